@@ -0,0 +1,11 @@
+// Sobe o servidor de sincronia: SYNC_TOKEN=senha npm run sync-server
+// PORT (padrão 8787) e SYNC_DATA_FILE (padrão ./sync-data.json) são opcionais.
+import { createSyncServer } from './syncServer.js';
+
+const port = Number(process.env.PORT) || 8787;
+const file = process.env.SYNC_DATA_FILE || 'sync-data.json';
+
+const server = await createSyncServer({ file, token: process.env.SYNC_TOKEN });
+server.listen(port, () => {
+  console.log(`Servidor de sincronia em http://localhost:${port} (dados em ${file})`);
+});
@@ -0,0 +1,119 @@
+// ============================================================================
+// SERVIDOR DE SINCRONIA (Node puro, sem dependências)
+// Guarda a última versão de cada registro num arquivo JSON e responde a um
+// único pedido: POST /sync { cursor, schemaVersion, changes } ->
+// { cursor, schemaVersion, changes } com tudo que mudou desde o cursor.
+// As regras de conflito são as mesmas do app (src/syncProtocol.js).
+// Uma casa por servidor; todos os aparelhos usam a mesma senha (token).
+// ============================================================================
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createServerState, applyToServer, getServerChangesSince } from '../src/syncProtocol.js';
+
+// Pedido maior que isso é erro (o envio inicial de anos de lançamentos cabe com folga)
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const loadState = async (file) => {
+  try {
+    return JSON.parse(await readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return createServerState();
+    throw error;
+  }
+};
+
+// Grava num arquivo temporário e renomeia: queda no meio não corrompe o arquivo
+const saveState = async (file, state) => {
+  await writeFile(`${file}.tmp`, JSON.stringify(state));
+  await rename(`${file}.tmp`, file);
+};
+
+// Compara a senha sem vazar pelo tempo de resposta quantos caracteres acertou
+const isAuthorized = (header, token) => {
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(header || ''), digest(`Bearer ${token}`));
+};
+
+// Pedido grande demais resolve com null (vira 413); erro de conexão rejeita
+const readBody = (request) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  request.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      resolve(null);
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+  request.on('error', reject);
+});
+
+const sendJSON = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+export const createSyncServer = async ({ file, token }) => {
+  if (!token) throw new Error('Defina uma senha (SYNC_TOKEN) para o servidor.');
+  let state = await loadState(file);
+  // Um pedido de cada vez: o estado é lido e gravado inteiro
+  let queue = Promise.resolve();
+
+  // Só o que o app mandou errado vira 400; falha ao gravar o arquivo sobe como
+  // erro (500) e o estado em memória continua igual ao do disco
+  const handleSync = async (body) => {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch {
+      return [400, { error: 'JSON inválido.' }];
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) return [400, { error: 'Pedido inválido.' }];
+    const { cursor = 0, schemaVersion = 0, changes = [] } = request;
+    if (!Array.isArray(changes)) return [400, { error: 'changes precisa ser uma lista.' }];
+    if (changes.some(change => !change || typeof change.store !== 'string' || change.key == null)) {
+      return [400, { error: 'Mudança sem store ou key.' }];
+    }
+    // App desatualizado não pode mandar registros no formato antigo por cima dos novos
+    if (schemaVersion < state.schemaVersion) return [409, { error: 'Atualize o app.', schemaVersion: state.schemaVersion }];
+
+    if (changes.length > 0) {
+      const next = applyToServer(state, changes);
+      await saveState(file, next);
+      state = next;
+    }
+    return [200, { cursor: state.seq, schemaVersion: state.schemaVersion, changes: getServerChangesSince(state, Number(cursor) || 0) }];
+  };
+
+  return createServer(async (request, response) => {
+    // O app costuma ser servido de outro endereço
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    if (request.method !== 'POST' || request.url !== '/sync') return sendJSON(response, 404, { error: 'Não encontrado.' });
+    if (!isAuthorized(request.headers.authorization, token)) return sendJSON(response, 401, { error: 'Senha incorreta.' });
+
+    try {
+      const body = await readBody(request);
+      if (body === null) return sendJSON(response, 413, { error: 'Pedido grande demais.' });
+      const result = queue.then(() => handleSync(body));
+      queue = result.catch(() => {});
+      const [status, payload] = await result;
+      sendJSON(response, status, payload);
+    } catch (error) {
+      console.error('Falha na sincronia:', error);
+      sendJSON(response, 500, { error: 'Erro no servidor.' });
+    }
+  });
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSyncServer } from './syncServer.js';
+
+const change = { store: 'transactions', key: 't1', record: { id: 't1', amount: 100 }, deleted: false, stamp: 10, deviceId: 'a', member: 'Ana', schemaVersion: 9 };
+
+describe('servidor de sincronia', () => {
+  let dir;
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'sync-'));
+    server = await createSyncServer({ file: join(dir, 'data.json'), token: 'segredo' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/sync`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const post = (body, token = 'segredo') => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+
+  it('recusa senha errada', async () => {
+    expect((await post({ cursor: 0, changes: [] }, 'outra')).status).toBe(401);
+  });
+
+  it('guarda a mudança em disco e devolve o que mudou desde o cursor', async () => {
+    const response = await post({ cursor: 0, schemaVersion: 9, changes: [change] });
+    expect(await response.json()).toMatchObject({ cursor: 1, schemaVersion: 9, changes: [{ key: 't1', seq: 1 }] });
+    const saved = JSON.parse(await readFile(join(dir, 'data.json'), 'utf-8'));
+    expect(saved.records['transactions/t1'].member).toBe('Ana');
+
+    const again = await post({ cursor: 1, schemaVersion: 9, changes: [] });
+    expect((await again.json()).changes).toEqual([]);
+  });
+
+  it('manda atualizar o app que ficou numa versão antiga', async () => {
+    expect((await post({ cursor: 0, schemaVersion: 8, changes: [] })).status).toBe(409);
+  });
+
+  it('pedido mal formado é 400', async () => {
+    const raw = await fetch(url, { method: 'POST', headers: { Authorization: 'Bearer segredo' }, body: '{"cursor": ' });
+    expect(raw.status).toBe(400);
+    expect((await post(null)).status).toBe(400);
+    expect((await post({ cursor: 0, schemaVersion: 9, changes: [null] })).status).toBe(400);
+  });
+
+  it('falha ao gravar é 500 e não muda o que os outros aparelhos recebem', async () => {
+    const broken = await createSyncServer({ file: join(dir, 'pasta-que-nao-existe', 'data.json'), token: 'segredo' });
+    await new Promise(resolve => broken.listen(0, '127.0.0.1', resolve));
+    const brokenUrl = `http://127.0.0.1:${broken.address().port}/sync`;
+    const send = (body) => fetch(brokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer segredo' },
+      body: JSON.stringify(body)
+    });
+    try {
+      expect((await send({ cursor: 0, schemaVersion: 9, changes: [change] })).status).toBe(500);
+      expect((await (await send({ cursor: 0, schemaVersion: 9, changes: [] })).json()).changes).toEqual([]);
+    } finally {
+      await new Promise(resolve => broken.close(resolve));
+    }
+  });
+});
@@ -1,25 +1,136 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useReducer, useCallback } from 'react';
 import { 
   Plus, Wallet, AlertCircle, TrendingUp, Settings, 
-  ChevronLeft, ChevronRight, Calendar, Copy, Save, Trash2
+  ChevronLeft, ChevronRight, ChevronUp, ChevronDown, Calendar, Copy, Save, Trash2,
+  Pencil, Filter, Undo2, History, ArrowLeftRight, X, Download, Upload, FileText, BarChart3,
+  Bell, CheckCircle2, CalendarClock, CreditCard, Landmark, ArrowRightLeft, PiggyBank, Target,
+  Lock, LockOpen, RefreshCw, GripVertical, Camera, Paperclip, Search, Bookmark, Archive, ArchiveRestore, Tag, ShoppingCart, House, Utensils, Car,
+  HeartPulse, GraduationCap, Gamepad2, Shirt, Plane, Zap, Gift, PawPrint, Bus, Baby, Smartphone
 } from 'lucide-react';
+import {
+  loadDatabase, persistChanges, writeChanges, clearSyncState, deleteDatabase, createSnapshot, diffSnapshot,
+  applyChangesToSnapshot, broadcastChanges, broadcastReset, subscribeToChanges, saveReceipt, loadReceipt, pruneReceipts
+} from './db';
+import {
+  SYNC_SETTINGS_KEY, nextStamp, stampLocalChanges, stampExistingData, runSync, loadSyncSettings, saveSyncSettings
+} from './sync';
+import {
+  getMonthKey, sumAmounts, sumValues, getLedgerIncomes, getMonthTransactions, buildMonthSummary, createId
+} from './budget';
+import { reducer, actions, createInitialState, getMonthOpening, canChangeBaseCurrency } from './store';
+import { getDataCurrency } from './storage';
+import {
+  parseMoney, formatMoney, toMoneyInput, parseRate, formatRate, toRateInput, convertToBase, isForeignAmount, getLastExchangeRates
+} from './money';
+import {
+  t, LOCALES, CURRENCIES, PREFERENCES_KEY, getLocale, getBaseCurrency, getPreferences, loadPreferences, applyPreferences, savePreferences,
+  applyBaseCurrency, loadLegacyBaseCurrency
+} from './i18n';
+import { getLaunchView, clearLaunchView, registerServiceWorker } from './pwa';
+import { downloadBackup, parseBackup, applyImport, previewImport, STORE_LABELS } from './backup';
+import {
+  parseOFX, readCSV, parseCSV, guessCSVMapping, matchCategory, findDuplicate, CSV_PRESETS, DATE_FORMATS
+} from './bankImport';
+import { getLastMonthKeys, buildMonthlyReport, buildCategoryStats } from './reports';
+import { FREQUENCIES, createRecurringDefaults, expandRecurring, describeRecurring } from './recurring';
+import {
+  BILL_STATUS, isPendingBill, getBillState, getMonthBills, getBillAlerts, getCommittedAmount,
+  canNotify, requestNotificationPermission, notifyBills
+} from './bills';
+import {
+  ACCOUNT_TYPES, isCreditCard, getTransactionMonthKey, getPaymentAccountId,
+  buildInvoices, getAccountBalances
+} from './accounts';
+import { planContributions, getGoalProgress } from './goals';
+import {
+  createEmptyFilter, isFilterEmpty, searchTransactions, groupByMonth, buildSearchCSV, downloadSearchCSV
+} from './search';
+import {
+  PAYMENT_METHODS, getPaymentMethodLabel, getDefaultPaymentMethod, parseTags, formatTags, getUsedTags,
+  getDescriptionSuggestions, findDescriptionSuggestion, shrinkReceiptImage
+} from './transactions';
+import { MONTH_STATUS, isMonthClosed, buildMonthClosing, recalculateLaterMonths } from './closing';
+import {
+  CATEGORY_COLORS, DEFAULT_CATEGORY_COLOR, isArchived, getActiveCategories, getNextCategoryOrder, getCategoryTree,
+  getSubcategories, getCategoryLabel, getParentOptions, rollupByParent, moveCategory, moveCategoryBy, getCategoryUsage
+} from './categories';
 
 // ============================================================================
-// PARTE 1: LÓGICA DE NEGÓCIO E UTILITÁRIOS
-// (Aqui estão as regras do "Schema" que mencionei, já embutidas)
+// PARTE 1: UTILITÁRIOS DE TELA
+// (As regras do "Schema" ficam no budget.js e no store.js; aqui só formatação)
 // ============================================================================
 
-// Gera chave única para o mês (ex: "2025-10")
-const getMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+// Datas e meses seguem o idioma escolhido (i18n.js)
 
 // Formata data para exibição (ex: "Outubro 2025")
 const formatMonthDisplay = (date) => {
-  return new Intl.DateTimeFormat('pt-BR', { month: 'long', year: 'numeric' }).format(date);
+  return new Intl.DateTimeFormat(getLocale(), { month: 'long', year: 'numeric' }).format(date);
 };
 
-// Formata dinheiro (R$)
-const formatMoney = (value) => {
-  return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+// Formata mês curto a partir da chave (ex: "2025-10" -> "out.")
+const formatMonthShort = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Intl.DateTimeFormat(getLocale(), { month: 'short' }).format(new Date(year, month - 1));
+};
+
+// Formata a chave do mês para exibição numérica (ex: "2026-03" -> "03/2026")
+const formatMonthKeyDisplay = (monthKey) => monthKey.split('-').reverse().join('/');
+
+// Campo de valor em reais: texto com teclado numérico, para aceitar "1.234,56"
+// (os valores guardados são centavos inteiros; formatMoney e parseMoney no money.js)
+const MONEY_INPUT_PROPS = { type: 'text', inputMode: 'decimal', autoComplete: 'off' };
+
+// Lê um campo de valor do formulário, em centavos.
+// Valor inválido avisa, devolve o foco ao campo e retorna null (o formulário não segue).
+const readMoneyField = (field, { optional = false, allowNegative = false } = {}) => {
+  if (optional && field.value.trim() === '') return 0;
+  const cents = parseMoney(field.value);
+  if (cents !== null && (allowNegative || cents >= 0)) return cents;
+  alert(allowNegative
+    ? t('Valor inválido: "{value}". Use o formato 1.234,56 (ou -1.234,56).', { value: field.value })
+    : t('Valor inválido: "{value}". Use o formato 1.234,56.', { value: field.value }));
+  field.focus();
+  return null;
+};
+
+// Lê o valor de um CurrencyAmountField. Na moeda base devolve só { amount };
+// em outra moeda converte pela cotação e guarda também o valor original.
+// Valor ou cotação inválidos avisam e retornam null, como o readMoneyField.
+const readCurrencyAmountFields = (form) => {
+  const originalAmount = readMoneyField(form.amount);
+  if (originalAmount === null) return null;
+  const currency = form.currency?.value || getBaseCurrency();
+  if (currency === getBaseCurrency()) return { amount: originalAmount };
+  const exchangeRate = parseRate(form.exchangeRate.value);
+  if (exchangeRate === null) {
+    alert(t('Cotação inválida: "{value}". Informe quanto vale 1 {currency} em {base}.', { value: form.exchangeRate.value, currency, base: getBaseCurrency() }));
+    form.exchangeRate.focus();
+    return null;
+  }
+  return { amount: convertToBase(originalAmount, exchangeRate), currency, originalAmount, exchangeRate };
+};
+
+// Iniciais dos dias da semana, começando no domingo (ex: "D S T Q Q S S")
+const getWeekdayInitials = () => Array.from({ length: 7 }, (_, i) => (
+  new Intl.DateTimeFormat(getLocale(), { weekday: 'narrow' }).format(new Date(2023, 0, 1 + i))
+));
+
+// Formata dia para exibição (ex: "05/10"; em inglês "10/05")
+const formatDayDisplay = (isoDate) => {
+  return new Intl.DateTimeFormat(getLocale(), { day: '2-digit', month: '2-digit' }).format(new Date(isoDate));
+};
+
+// Converte data ISO para o formato do <input type="date"> (ex: "2025-10-05")
+const toDateInputValue = (isoDate) => {
+  const date = new Date(isoDate);
+  return `${getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Converte o valor do <input type="date"> de volta para ISO.
+// Usa meio-dia local para o fuso horário não empurrar a data pro dia anterior.
+const fromDateInputValue = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day, 12).toISOString();
 };
 
 // ============================================================================
@@ -27,214 +138,2839 @@ const formatMoney = (value) => {
 // (Botões, Cartões e Caixas de Texto bonitos)
 // ============================================================================
 
-const Card = ({ children, className = "" }) => (
-  <div className={`bg-white rounded-2xl shadow-sm border border-slate-100 p-5 ${className}`}>
-    {children}
-  </div>
-);
+const Card = ({ children, className = "" }) => (
+  <div className={`bg-white rounded-2xl shadow-sm border border-slate-100 p-5 ${className}`}>
+    {children}
+  </div>
+);
+
+const Button = ({ onClick, children, variant = 'primary', className = "", disabled=false, type = 'button' }) => {
+  const baseStyle = "w-full py-3.5 px-6 rounded-xl font-semibold transition-all flex items-center justify-center gap-2";
+  const variants = {
+    primary: "bg-emerald-600 text-white hover:bg-emerald-700 shadow-emerald-200 shadow-md active:scale-95",
+    secondary: "bg-slate-100 text-slate-700 hover:bg-slate-200 active:scale-95",
+    ghost: "bg-transparent text-emerald-600 hover:bg-emerald-50",
+    danger: "bg-red-50 text-red-600 hover:bg-red-100"
+  };
+  return (
+    <button 
+      type={type}
+      onClick={onClick} 
+      disabled={disabled}
+      className={`${baseStyle} ${variants[variant]} ${disabled ? 'opacity-50 cursor-not-allowed' : ''} ${className}`}
+    >
+      {children}
+    </button>
+  );
+};
+
+const Input = ({ label, ...props }) => (
+  <div className="mb-4">
+    <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{label}</label>
+    <input 
+      className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-100 outline-none transition-all text-slate-800 bg-slate-50 focus:bg-white"
+      {...props}
+    />
+  </div>
+);
+
+// Campo de valor com a moeda ao lado. Em outra moeda pede a cotação (já vem com
+// a última usada para ela) e mostra quanto fica na moeda base.
+// Os campos são amount, currency e exchangeRate: leia com readCurrencyAmountFields.
+// record preenche a edição; compact é a versão pequena das listas (ex: Rendas).
+const CurrencyAmountField = ({ label, record, lastRates = {}, compact = false, ...props }) => {
+  const baseCurrency = getBaseCurrency();
+  const isForeign = isForeignAmount(record);
+  const [currency, setCurrency] = useState(isForeign ? record.currency : baseCurrency);
+  const [amountText, setAmountText] = useState(record ? toMoneyInput(isForeign ? record.originalAmount : record.amount) : '');
+  const [rateText, setRateText] = useState(isForeign ? toRateInput(record.exchangeRate) : '');
+
+  const handleCurrencyChange = (e) => {
+    setCurrency(e.target.value);
+    if (lastRates[e.target.value]) setRateText(toRateInput(lastRates[e.target.value]));
+  };
+
+  const originalAmount = parseMoney(amountText);
+  const rate = parseRate(rateText);
+  const converted = originalAmount !== null && rate !== null ? convertToBase(originalAmount, rate) : null;
+  const fieldClass = compact
+    ? "px-3 py-2 border rounded-lg text-sm bg-white"
+    : "px-4 py-3 rounded-xl border border-slate-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-100 outline-none transition-all text-slate-800 bg-slate-50 focus:bg-white";
+
+  return (
+    <div className={compact ? '' : 'mb-4'}>
+      {label && <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{label}</label>}
+      <div className="flex gap-2">
+        <input
+          name="amount"
+          {...MONEY_INPUT_PROPS}
+          value={amountText}
+          onChange={(e) => setAmountText(e.target.value)}
+          placeholder={toMoneyInput(0)}
+          className={`${fieldClass} flex-1 min-w-0`}
+          {...props}
+        />
+        <select name="currency" value={currency} onChange={handleCurrencyChange} className={`${fieldClass} bg-white`} aria-label={t('Moeda')}>
+          {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+        </select>
+      </div>
+      {currency !== baseCurrency && (
+        <div className="flex items-center gap-2 mt-2 text-sm text-slate-600">
+          <span className="whitespace-nowrap">1 {currency} =</span>
+          <input
+            name="exchangeRate"
+            type="text"
+            inputMode="decimal"
+            autoComplete="off"
+            value={rateText}
+            onChange={(e) => setRateText(e.target.value)}
+            placeholder={t('Cotação')}
+            aria-label={t('Cotação (1 {currency} em {base})', { currency, base: baseCurrency })}
+            className="w-28 px-3 py-2 border rounded-lg text-sm bg-white"
+            required
+          />
+          <span>{baseCurrency}</span>
+          {converted !== null && <span className="ml-auto font-semibold text-slate-700">= {formatMoney(converted)}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Valor em outra moeda ao lado do total na moeda base (ex: "US$ 10,00 · 1 USD = 5,43")
+const ForeignAmountNote = ({ record }) => (
+  isForeignAmount(record)
+    ? <span>{formatMoney(record.originalAmount, record.currency)} · 1 {record.currency} = {formatRate(record.exchangeRate)}</span>
+    : null
+);
+
+// Ícones que o usuário pode escolher para uma categoria (guardamos só o nome)
+const CATEGORY_ICONS = {
+  Tag, ShoppingCart, House, Utensils, Car, Bus, Zap, HeartPulse, GraduationCap,
+  Gamepad2, Shirt, Plane, Gift, PawPrint, Baby, Smartphone
+};
+
+// Bolinha com a cor e o ícone da categoria
+const CategoryIcon = ({ category, size = 14 }) => {
+  const Icon = CATEGORY_ICONS[category?.icon] || Tag;
+  return (
+    <span
+      className="inline-flex items-center justify-center rounded-full text-white shrink-0"
+      style={{ backgroundColor: category?.color || DEFAULT_CATEGORY_COLOR, width: size + 12, height: size + 12 }}
+    >
+      <Icon size={size} />
+    </span>
+  );
+};
+
+// Opções de categoria para um <select>, na ordem dos grupos ("Casa > Luz").
+// Arquivadas só aparecem se já estiverem escolhidas (ex: editando um lançamento antigo)
+// ou em filtros do histórico (includeArchived).
+const CategoryOptions = ({ categories, selectedId, includeArchived = false }) => (
+  getCategoryTree(categories)
+    .filter(({ category }) => includeArchived || !isArchived(category) || category.id === selectedId)
+    .map(({ category }) => (
+      <option key={category.id} value={category.id}>
+        {getCategoryLabel(categories, category.id)}{isArchived(category) ? ` ${t('(arquivada)')}` : ''}
+      </option>
+    ))
+);
+
+// ============================================================================
+// PARTE 3: TELAS AUXILIARES
+// (Telas com estado próprio, usadas pelo aplicativo principal)
+// ============================================================================
+
+// Aviso de que os dados salvos estavam com problema (uma cópia do original fica guardada)
+const StorageNotice = ({ status, onDismiss }) => {
+  if (status !== 'corrupt' && status !== 'repaired') return null;
+  return (
+    <div className="fixed top-4 left-0 right-0 flex justify-center z-50 px-6">
+      <div className="max-w-md w-full bg-amber-50 border border-amber-200 text-amber-800 p-4 rounded-2xl shadow-lg flex items-start gap-3">
+        <AlertCircle size={20} className="mt-0.5 shrink-0" />
+        <p className="text-sm flex-1">
+          {status === 'corrupt'
+            ? t('Não conseguimos ler os dados salvos, então o app começou do zero. Uma cópia do conteúdo original foi guardada no navegador.')
+            : t('Alguns dados salvos estavam inválidos e foram corrigidos automaticamente. Uma cópia do original foi guardada no navegador.')}
+        </p>
+        <button onClick={onDismiss} className="text-amber-600 hover:text-amber-800"><X size={18} /></button>
+      </div>
+    </div>
+  );
+};
+
+// Aviso de versão nova do app (service worker, ver pwa.js). Fica por cima de
+// qualquer tela; o main.jsx monta este componente ao lado do App.
+export const UpdatePrompt = () => {
+  const [applyUpdate, setApplyUpdate] = useState(null);
+
+  useEffect(() => {
+    registerServiceWorker((apply) => setApplyUpdate(() => apply));
+  }, []);
+
+  if (!applyUpdate) return null;
+  return (
+    <div className="fixed bottom-4 left-0 right-0 flex justify-center z-50 px-6">
+      <div className="max-w-md w-full bg-slate-900 text-white p-4 rounded-2xl shadow-lg flex items-center gap-3">
+        <Download size={20} className="shrink-0 text-emerald-400" />
+        <p className="text-sm flex-1">{t('Nova versão do app disponível.')}</p>
+        <button onClick={applyUpdate} className="bg-emerald-600 px-3 py-2 rounded-lg text-sm font-semibold">{t('Atualizar')}</button>
+      </div>
+    </div>
+  );
+};
+
+// Sincronia entre aparelhos (sync.js): nome de quem lança, servidor e situação do último envio
+const SyncSection = ({ settings, status, isAvailable, onSave, onSyncNow }) => {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...settings,
+      enabled: true,
+      memberName: e.target.memberName.value.trim(),
+      serverUrl: e.target.serverUrl.value.trim(),
+      token: e.target.token.value
+    });
+  };
+
+  if (!isAvailable) {
+    return <Card><p className="text-xs text-slate-400 text-center">{t('Este navegador não tem IndexedDB, então não dá para sincronizar.')}</p></Card>;
+  }
+
+  const fieldClass = "w-full px-3 py-2 border rounded-lg text-sm";
+
+  return (
+    <Card>
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <input name="memberName" defaultValue={settings.memberName} placeholder={t('Seu nome (aparece nos lançamentos)')} className={fieldClass} required />
+        <input name="serverUrl" type="url" defaultValue={settings.serverUrl} placeholder={t('Servidor (ex: http://192.168.0.10:8787)')} className={fieldClass} required />
+        <input name="token" type="password" defaultValue={settings.token} placeholder={t('Senha do servidor')} className={fieldClass} autoComplete="off" required />
+        <div className="flex gap-2">
+          {settings.enabled && (
+            <button type="button" onClick={() => onSave({ ...settings, enabled: false })} className="flex-1 py-2 bg-slate-100 text-slate-600 rounded-lg text-sm font-semibold">{t('Desligar')}</button>
+          )}
+          <button className="flex-1 py-2 bg-emerald-600 text-white rounded-lg text-sm font-semibold">{settings.enabled ? t('Salvar') : t('Ligar sincronia')}</button>
+        </div>
+      </form>
+
+      {settings.enabled && (
+        <div className="mt-3 pt-3 border-t border-slate-100 flex items-center gap-2 text-xs">
+          <p className={`flex-1 ${status.state === 'error' ? 'text-red-500' : 'text-slate-500'}`}>
+            {status.state === 'syncing' && t('Sincronizando...')}
+            {status.state === 'error' && status.message}
+            {status.state === 'idle' && (status.lastSyncAt
+              ? t('Sincronizado às {time}', { time: status.lastSyncAt.toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' }) })
+              : t('Ainda não sincronizou.'))}
+            {status.pendingCount > 0 && ` · ${t('{count} mudanças esperando envio', { count: status.pendingCount })}`}
+          </p>
+          <button onClick={onSyncNow} disabled={status.state === 'syncing'} className="p-2 bg-slate-100 rounded-lg text-slate-600" aria-label={t('Sincronizar agora')}>
+            <RefreshCw size={14} className={status.state === 'syncing' ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// Backup: exporta tudo para um .json e importa (substituindo ou juntando) com prévia
+const BackupSection = ({ currentData, onImport }) => {
+  const [pending, setPending] = useState(null); // Backup lido, esperando confirmação
+  const [mode, setMode] = useState('merge');
+  const [message, setMessage] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setPending({ ...parseBackup(await file.text()), fileName: file.name });
+      setMessage(null);
+    } catch (error) {
+      setPending(null);
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleConfirm = () => {
+    try {
+      onImport(applyImport(currentData, pending.data, mode));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+    setPending(null);
+    setMessage({ type: 'success', text: t('Backup importado!') });
+  };
+
+  const preview = pending && previewImport(currentData, pending.data, mode);
+
+  return (
+    <Card>
+      <div className="flex gap-2 mb-3">
+        <button
+          onClick={() => downloadBackup(currentData)}
+          className="flex-1 flex items-center justify-center gap-2 py-2 bg-slate-100 text-slate-700 rounded-lg text-sm font-semibold hover:bg-slate-200"
+        >
+          <Download size={16} /> {t('Exportar')}
+        </button>
+        <label className="flex-1 flex items-center justify-center gap-2 py-2 bg-slate-100 text-slate-700 rounded-lg text-sm font-semibold hover:bg-slate-200 cursor-pointer">
+          <Upload size={16} /> {t('Importar')}
+          <input type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+        </label>
+      </div>
+
+      {message && (
+        <p className={`text-xs text-center ${message.type === 'error' ? 'text-red-500' : 'text-emerald-600'}`}>{message.text}</p>
+      )}
+
+      {pending && (
+        <div className="border-t border-slate-100 pt-3 space-y-3">
+          <div className="text-xs text-slate-500">
+            <p className="font-semibold text-slate-700 truncate">{pending.fileName}</p>
+            {pending.exportedAt && <p>{t('Feito em {date}', { date: new Date(pending.exportedAt).toLocaleString(getLocale()) })}</p>}
+            {pending.issues > 0 && <p className="text-amber-600">{t('{count} itens inválidos foram corrigidos ou ignorados.', { count: pending.issues })}</p>}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            {[['merge', t('Juntar')], ['replace', t('Substituir tudo')]].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setMode(value)}
+                className={`py-2 rounded-lg font-semibold ${mode === value ? 'bg-emerald-600 text-white' : 'bg-slate-100 text-slate-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="space-y-1">
+            {Object.entries(preview).map(([storeName, summary]) => (
+              <div key={storeName} className="flex justify-between text-xs">
+                <span className="text-slate-600">{t(STORE_LABELS[storeName])}</span>
+                <span className="text-slate-400">
+                  <span className="text-emerald-600">+{summary.added}</span>
+                  {' · '}<span className="text-amber-600">{t('{count} alterados', { count: summary.updated })}</span>
+                  {' · '}<span className="text-red-500">-{summary.removed}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={() => setPending(null)} className="py-2">{t('Cancelar')}</Button>
+            <Button variant={mode === 'replace' ? 'danger' : 'primary'} onClick={handleConfirm} className="py-2">{t('Importar')}</Button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// Idioma (deste aparelho) e moeda base (dos dados, vai no backup e na sincronia).
+// A moeda base só pode ser trocada antes do primeiro valor: depois ela fica travada.
+const PreferencesSection = ({ preferences, canChangeCurrency, onSave, onChangeCurrency }) => {
+  const fieldClass = "w-full mt-1 px-3 py-2 border rounded-lg text-sm bg-white text-slate-700";
+
+  return (
+    <Card className="space-y-3">
+      <label className="block text-xs font-semibold text-slate-500">
+        {t('Idioma')}
+        <select value={preferences.locale} onChange={(e) => onSave({ ...preferences, locale: e.target.value })} className={fieldClass}>
+          {LOCALES.map(locale => <option key={locale.id} value={locale.id}>{locale.label}</option>)}
+        </select>
+      </label>
+      <label className="block text-xs font-semibold text-slate-500">
+        {t('Moeda base')}
+        <select value={preferences.baseCurrency} onChange={(e) => onChangeCurrency(e.target.value)} disabled={!canChangeCurrency} className={`${fieldClass} disabled:bg-slate-100 disabled:text-slate-400`}>
+          {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+        </select>
+      </label>
+      {!canChangeCurrency && (
+        <p className="text-xs text-slate-400">{t('A moeda base não pode mais ser trocada: os valores já guardados estão nela. Para usar outra moeda, comece do zero.')}</p>
+      )}
+      <p className="text-xs text-slate-400">{t('Todos os totais ficam na moeda base. Gastos e rendas em outra moeda são convertidos pela cotação que você informar ao lançar.')}</p>
+    </Card>
+  );
+};
+
+// Importar extrato (OFX/CSV): mapeia colunas, sugere categorias pelas regras e marca duplicados
+const BankImport = ({ categories, rules, transactions, onAddRule, onDeleteRule, onImport, onBack }) => {
+  const [source, setSource] = useState(null); // { kind: 'ofx', rows } | { kind: 'csv', csv, mapping }
+  const [overrides, setOverrides] = useState({}); // Escolhas manuais por linha: { categoryId, selected }
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    setOverrides({});
+    if (/\.ofx$/i.test(file.name) || /<OFX>/i.test(text)) {
+      const rows = parseOFX(text);
+      setSource({ kind: 'ofx', rows, fileName: file.name });
+      setError(rows.length === 0 ? t('Nenhum lançamento encontrado no arquivo.') : null);
+    } else {
+      const csv = readCSV(text);
+      setSource({ kind: 'csv', csv, mapping: guessCSVMapping(csv.headers), fileName: file.name });
+      setError(csv.rows.length === 0 ? t('O arquivo está vazio.') : null);
+    }
+  };
+
+  const updateMapping = (changes) => {
+    setSource(prev => ({ ...prev, mapping: { ...prev.mapping, ...changes } }));
+    setOverrides({});
+  };
+
+  const handleAddRule = (e) => {
+    e.preventDefault();
+    onAddRule({ pattern: e.target.pattern.value.trim(), categoryId: e.target.category.value });
+    e.target.reset();
+  };
+
+  const parsedRows = !source ? [] : source.kind === 'ofx' ? source.rows : parseCSV(source.csv, source.mapping);
+  const creditCount = parsedRows.filter(row => row.isCredit).length;
+
+  // Linha de revisão = linha do arquivo + categoria sugerida + duplicado + escolhas manuais
+  const reviewRows = parsedRows.map((row, index) => ({ row, index })).filter(({ row }) => !row.isCredit).map(({ row, index }) => {
+    const duplicate = findDuplicate(row, transactions);
+    const override = overrides[index] || {};
+    const categoryId = override.categoryId ?? matchCategory(row.description, rules);
+    return { ...row, index, duplicate, categoryId, selected: (override.selected ?? !duplicate) && Boolean(categoryId) };
+  });
+  const acceptedRows = reviewRows.filter(row => row.selected);
+
+  const setOverride = (index, changes) => {
+    setOverrides(prev => ({ ...prev, [index]: { ...prev[index], ...changes } }));
+  };
+
+  const selectClass = "flex-1 px-3 py-2 border rounded-lg text-sm bg-white";
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-32">
+      <div className="max-w-md mx-auto space-y-4">
+        <div className="flex items-center gap-3 mb-2">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <h2 className="text-xl font-bold text-slate-800">{t('Importar Extrato')}</h2>
+        </div>
+
+        <Card>
+          <label className="flex items-center justify-center gap-2 py-3 bg-slate-100 text-slate-700 rounded-xl text-sm font-semibold hover:bg-slate-200 cursor-pointer">
+            <FileText size={18} /> {source ? source.fileName : t('Escolher arquivo OFX ou CSV')}
+            <input type="file" accept=".ofx,.csv,text/csv" onChange={handleFile} className="hidden" />
+          </label>
+          {error && <p className="text-xs text-red-500 text-center mt-2">{error}</p>}
+        </Card>
+
+        {/* Mapeamento de Colunas (CSV) */}
+        {source?.kind === 'csv' && source.csv.headers.length > 0 && (
+          <Card className="space-y-2">
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider">{t('Colunas do CSV')}</p>
+            <select
+              value={source.mapping.preset}
+              onChange={(e) => {
+                const { label: _label, ...preset } = CSV_PRESETS[e.target.value] || {};
+                updateMapping({ ...preset, preset: e.target.value });
+              }}
+              className={`w-full ${selectClass}`}
+            >
+              <option value="">{t('Personalizado')}</option>
+              {Object.entries(CSV_PRESETS).map(([id, preset]) => <option key={id} value={id}>{t(preset.label)}</option>)}
+            </select>
+            {[['date', t('Data')], ['description', t('Descrição')], ['amount', t('Valor')]].map(([field, label]) => (
+              <div key={field} className="flex items-center gap-2 text-sm">
+                <span className="w-24 text-slate-500">{label}</span>
+                <select value={source.mapping[field] || ''} onChange={(e) => updateMapping({ [field]: e.target.value, preset: '' })} className={selectClass}>
+                  <option value="">{t('Coluna...')}</option>
+                  {source.csv.headers.map(header => <option key={header} value={header}>{header}</option>)}
+                </select>
+              </div>
+            ))}
+            <div className="flex gap-2">
+              <select value={source.mapping.dateFormat} onChange={(e) => updateMapping({ dateFormat: e.target.value, preset: '' })} className={selectClass}>
+                {Object.keys(DATE_FORMATS).map(format => <option key={format} value={format}>{format}</option>)}
+              </select>
+              <select value={source.mapping.expenseSign} onChange={(e) => updateMapping({ expenseSign: e.target.value, preset: '' })} className={selectClass}>
+                <option value="negative">{t('Gastos negativos')}</option>
+                <option value="positive">{t('Gastos positivos')}</option>
+              </select>
+            </div>
+          </Card>
+        )}
+
+        {/* Regras de Categoria */}
+        {source && (
+          <Card>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{t('Regras automáticas')}</p>
+            <form onSubmit={handleAddRule} className="flex gap-2 mb-3">
+              <input name="pattern" placeholder={t('Descrição contém...')} className="flex-1 min-w-0 px-3 py-2 border rounded-lg text-sm" required />
+              <select name="category" className="w-32 px-3 py-2 border rounded-lg text-sm bg-white" required>
+                <option value="">{t('Categoria')}</option>
+                <CategoryOptions categories={categories} />
+              </select>
+              <button className="bg-emerald-600 text-white p-2 rounded-lg"><Plus size={18}/></button>
+            </form>
+            <div className="space-y-1">
+              {rules.map(rule => (
+                <div key={rule.id} className="flex items-center justify-between text-xs text-slate-600">
+                  <span>"{rule.pattern}" → {categories.find(c => c.id === rule.categoryId)?.name || '?'}</span>
+                  <button onClick={() => onDeleteRule(rule.id)} className="p-1 text-slate-400 hover:text-red-500"><Trash2 size={14}/></button>
+                </div>
+              ))}
+              {rules.length === 0 && <p className="text-xs text-slate-400 text-center">{t('Ex: "IFOOD" → Alimentação')}</p>}
+            </div>
+          </Card>
+        )}
+
+        {/* Revisão */}
+        {reviewRows.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider ml-1">
+              {t('Revisar {count} lançamentos', { count: reviewRows.length })}
+              {creditCount > 0 && <span className="normal-case font-normal"> {t('({count} entradas ignoradas)', { count: creditCount })}</span>}
+            </p>
+            {reviewRows.map(row => (
+              <Card key={row.index} className={`py-3 px-4 ${row.selected ? '' : 'opacity-60'}`}>
+                <div className="flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={row.selected}
+                    disabled={!row.categoryId}
+                    onChange={(e) => setOverride(row.index, { selected: e.target.checked })}
+                    className="w-4 h-4 accent-emerald-600"
+                  />
+                  <div className="text-xs font-bold text-slate-400 w-10">{formatDayDisplay(row.date)}</div>
+                  <p className="flex-1 min-w-0 text-sm font-semibold text-slate-700 truncate">{row.description}</p>
+                  <span className="text-sm font-bold text-slate-700">{formatMoney(row.amount)}</span>
+                </div>
+                <div className="flex items-center gap-2 mt-2 pl-7">
+                  <select
+                    value={row.categoryId}
+                    onChange={(e) => setOverride(row.index, { categoryId: e.target.value })}
+                    className={`flex-1 px-2 py-1 border rounded-lg text-xs bg-white ${row.categoryId ? '' : 'border-amber-300'}`}
+                  >
+                    <option value="">{t('Sem categoria')}</option>
+                    <CategoryOptions categories={categories} selectedId={row.categoryId} />
+                  </select>
+                  {row.duplicate && <span className="text-xs bg-amber-50 text-amber-600 px-1.5 rounded font-semibold">{t('Possível duplicado')}</span>}
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {reviewRows.length > 0 && (
+        <div className="fixed bottom-6 left-0 right-0 flex justify-center z-50 px-6">
+          <Button
+            onClick={() => onImport(acceptedRows)}
+            disabled={acceptedRows.length === 0}
+            className="max-w-md shadow-xl"
+          >
+            {t('Importar {count} lançamentos ({total})', { count: acceptedRows.length, total: formatMoney(sumAmounts(acceptedRows)) })}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Cores das categorias sem cor própria nos gráficos (repete se houver mais categorias que cores)
+const CHART_COLORS = ['bg-emerald-500', 'bg-indigo-500', 'bg-amber-500', 'bg-rose-500', 'bg-sky-500', 'bg-violet-500', 'bg-lime-500', 'bg-orange-500'];
+
+// Relatórios: tendência dos últimos 12 meses e detalhes por categoria
+const Reports = ({ categories, monthlyLedgers, transactions, endMonthKey, onBack }) => {
+  const [selectedCategoryId, setSelectedCategoryId] = useState(categories[0]?.id || '');
+
+  const report = useMemo(() => buildMonthlyReport({
+    monthKeys: getLastMonthKeys(endMonthKey, 12),
+    categories,
+    monthlyLedgers,
+    transactions
+  }), [endMonthKey, categories, monthlyLedgers, transactions]);
+
+  const stats = useMemo(() => buildCategoryStats(report, categories), [report, categories]);
+
+  const flowMax = Math.max(1, ...report.flatMap(m => [m.income, m.expenses, Math.abs(m.savings)]));
+  const spentMax = Math.max(1, ...report.map(m => m.expenses));
+  const selectedStats = stats[selectedCategoryId];
+  const selectedMax = Math.max(1, ...(selectedStats?.history || []).flatMap(m => [m.spent, m.budget]));
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto space-y-4">
+        <div className="flex items-center gap-3 mb-2">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('Relatórios')}</h2>
+            <p className="text-sm text-slate-500">{t('Últimos 12 meses')}</p>
+          </div>
+        </div>
+
+        {/* Renda x Gastos x Economia */}
+        <Card>
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3">{t('Renda x Gastos x Economia')}</p>
+          <div className="flex items-end gap-1 h-40">
+            {report.map(month => (
+              <div key={month.monthKey} className="flex-1 flex items-end justify-center gap-px h-full" title={month.monthKey}>
+                <div className="w-1/3 bg-emerald-500 rounded-t" style={{ height: `${(month.income / flowMax) * 100}%` }} />
+                <div className="w-1/3 bg-rose-400 rounded-t" style={{ height: `${(month.expenses / flowMax) * 100}%` }} />
+                <div className={`w-1/3 rounded-t ${month.savings < 0 ? 'bg-red-600' : 'bg-indigo-500'}`} style={{ height: `${(Math.abs(month.savings) / flowMax) * 100}%` }} />
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-1 mt-1">
+            {report.map(month => <span key={month.monthKey} className="flex-1 text-center text-[10px] text-slate-400">{formatMonthShort(month.monthKey)}</span>)}
+          </div>
+          <div className="flex justify-center gap-4 mt-3 text-xs text-slate-500">
+            <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-emerald-500" /> {t('Renda')}</span>
+            <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-rose-400" /> {t('Gastos')}</span>
+            <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-indigo-500" /> {t('Economia')}</span>
+          </div>
+        </Card>
+
+        {/* Gastos por Categoria (empilhado) */}
+        <Card>
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3">{t('Gastos por categoria')}</p>
+          <div className="flex items-end gap-1 h-40">
+            {report.map(month => (
+              <div key={month.monthKey} className="flex-1 flex flex-col-reverse h-full" title={formatMoney(month.expenses)}>
+                {categories.map((cat, i) => (
+                  <div
+                    key={cat.id}
+                    className={cat.color ? '' : CHART_COLORS[i % CHART_COLORS.length]}
+                    style={{ height: `${(month.byCategory[cat.id].spent / spentMax) * 100}%`, backgroundColor: cat.color || undefined }}
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-1 mt-1">
+            {report.map(month => <span key={month.monthKey} className="flex-1 text-center text-[10px] text-slate-400">{formatMonthShort(month.monthKey)}</span>)}
+          </div>
+          <div className="flex flex-wrap justify-center gap-x-4 gap-y-1 mt-3 text-xs text-slate-500">
+            {categories.map((cat, i) => (
+              <span key={cat.id} className="flex items-center gap-1">
+                <span
+                  className={`w-2 h-2 rounded-full ${cat.color ? '' : CHART_COLORS[i % CHART_COLORS.length]}`}
+                  style={{ backgroundColor: cat.color || undefined }}
+                /> {cat.name}
+              </span>
+            ))}
+          </div>
+        </Card>
+
+        {/* Detalhe da Categoria */}
+        {categories.length > 0 && (
+          <Card>
+            <select
+              value={selectedCategoryId}
+              onChange={(e) => setSelectedCategoryId(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-sm bg-white mb-4"
+            >
+              <CategoryOptions categories={categories} includeArchived />
+            </select>
+
+            {selectedStats && (
+              <>
+                <div className="flex justify-between text-sm mb-4">
+                  <span className="text-slate-500">{t('Média mensal')}</span>
+                  <span className="font-bold text-slate-700">{formatMoney(selectedStats.average)}</span>
+                </div>
+
+                {/* Gasto x Teto: barra = gasto, traço = teto do mês */}
+                <div className="flex items-end gap-1 h-32">
+                  {selectedStats.history.map(month => (
+                    <div key={month.monthKey} className="flex-1 relative h-full flex items-end" title={`${formatMoney(month.spent)} / ${formatMoney(month.budget)}`}>
+                      <div className={`w-full rounded-t ${month.spent > month.budget ? 'bg-red-500' : 'bg-emerald-500'}`} style={{ height: `${(month.spent / selectedMax) * 100}%` }} />
+                      <div className="absolute left-0 right-0 border-t-2 border-slate-700" style={{ bottom: `${(Math.max(0, month.budget) / selectedMax) * 100}%` }} />
+                    </div>
+                  ))}
+                </div>
+                <div className="flex gap-1 mt-1">
+                  {selectedStats.history.map(month => <span key={month.monthKey} className="flex-1 text-center text-[10px] text-slate-400">{formatMonthShort(month.monthKey)}</span>)}
+                </div>
+                {selectedStats.history.length === 0 && <p className="text-xs text-slate-400 text-center">{t('Sem dados no período.')}</p>}
+
+                <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mt-4 mb-2">{t('Meses acima do teto')}</p>
+                <div className="space-y-1">
+                  {selectedStats.overMonths.map(month => (
+                    <div key={month.monthKey} className="flex justify-between text-sm">
+                      <span className="text-slate-600 capitalize">{formatMonthDisplay(new Date(`${month.monthKey}-01T12:00:00`))}</span>
+                      <span className="text-red-500 font-semibold">+{formatMoney(month.spent - month.budget)}</span>
+                    </div>
+                  ))}
+                  {selectedStats.overMonths.length === 0 && <p className="text-xs text-emerald-600">{t('Nenhum estouro no período.')}</p>}
+                </div>
+              </>
+            )}
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Formulário de gasto fixo (criar e editar): frequência, vencimento, início/fim ou parcelas
+const RecurringExpenseForm = ({ categories, initial, defaultStartMonth, onSave, onCancel }) => {
+  const template = initial || { ...createRecurringDefaults(), startMonth: defaultStartMonth };
+  const [endMode, setEndMode] = useState(template.installments ? 'installments' : template.endMonth ? 'until' : 'never');
+  const [frequency, setFrequency] = useState(template.frequency);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const amount = readMoneyField(form.amount);
+    if (amount === null) return;
+    onSave({
+      name: form.name.value,
+      amount,
+      categoryId: form.category.value,
+      frequency,
+      dueDay: Number(form.dueDay.value),
+      startMonth: form.startMonth.value || null,
+      endMonth: endMode === 'until' ? form.endMonth.value : null,
+      installments: endMode === 'installments' ? Number(form.installments.value) : null,
+      isEstimated: form.isEstimated.checked
+    });
+    if (!initial) {
+      form.reset();
+      setEndMode('never');
+      setFrequency(template.frequency);
+    }
+  };
+
+  const fieldClass = "px-3 py-2 border rounded-lg text-sm bg-white";
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-4 space-y-2">
+      <input name="name" defaultValue={initial?.name} placeholder={t('Nome (Ex: Aluguel)')} className={`w-full ${fieldClass}`} required />
+      <div className="flex gap-2">
+        <input name="amount" {...MONEY_INPUT_PROPS} defaultValue={initial ? toMoneyInput(initial.amount) : ''} placeholder={t('Valor')} className={`w-24 ${fieldClass}`} required />
+        <select name="category" defaultValue={initial?.categoryId || ''} className={`flex-1 ${fieldClass}`} required>
+          <option value="">{t('Categoria...')}</option>
+          <CategoryOptions categories={categories} selectedId={initial?.categoryId} />
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <select name="frequency" value={frequency} onChange={(e) => setFrequency(e.target.value)} className={`flex-1 ${fieldClass}`}>
+          {Object.entries(FREQUENCIES).map(([id, freq]) => <option key={id} value={id}>{t(freq.label)}</option>)}
+        </select>
+        <input name="dueDay" type="number" min="1" max="31" defaultValue={template.dueDay} placeholder={t('Dia')} className={`w-20 ${fieldClass}`} required />
+      </div>
+      <div className="flex items-center gap-2 text-sm">
+        <span className="w-14 text-slate-500">{t('Início')}</span>
+        {/* Parcelado e o que não é mensal contam a partir do início: sem ele não caem em mês nenhum */}
+        <input name="startMonth" type="month" defaultValue={template.startMonth || ''} required={endMode === 'installments' || frequency !== 'monthly'} className={`flex-1 ${fieldClass}`} />
+      </div>
+      <div className="flex gap-2">
+        <select value={endMode} onChange={(e) => setEndMode(e.target.value)} className={`flex-1 ${fieldClass}`}>
+          <option value="never">{t('Sem fim')}</option>
+          <option value="until">{t('Até o mês...')}</option>
+          <option value="installments">{t('Parcelado')}</option>
+        </select>
+        {endMode === 'until' && (
+          <input name="endMonth" type="month" defaultValue={template.endMonth || ''} className={`flex-1 ${fieldClass}`} required />
+        )}
+        {endMode === 'installments' && (
+          <input name="installments" type="number" min="1" defaultValue={template.installments || ''} placeholder={t('Nº de parcelas')} className={`w-32 ${fieldClass}`} required />
+        )}
+      </div>
+      <label className="flex items-center gap-2 text-sm text-slate-600">
+        <input name="isEstimated" type="checkbox" defaultChecked={template.isEstimated} className="accent-indigo-600" />
+        {t('Valor varia (luz, água): confirmar o valor real todo mês')}
+      </label>
+      <div className="flex gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="flex-1 py-2 bg-slate-100 text-slate-600 rounded-lg text-sm font-semibold">{t('Cancelar')}</button>
+        )}
+        <button className="flex-1 flex items-center justify-center gap-2 py-2 bg-indigo-600 text-white rounded-lg text-sm font-semibold">
+          <Save size={16}/> {initial ? t('Salvar') : t('Adicionar')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Gastos com valor estimado (luz, água...) esperando o valor real da conta
+const EstimatedConfirmations = ({ transactions, onConfirm }) => (
+  <Card className="border-amber-100 bg-amber-50/50">
+    <p className="text-xs font-bold text-amber-600 uppercase tracking-wider mb-2">{t('Confirme o valor real')}</p>
+    <div className="space-y-2">
+      {transactions.map(trans => (
+        <form
+          key={trans.id}
+          onSubmit={(e) => {
+            e.preventDefault();
+            const amount = readMoneyField(e.target.amount);
+            if (amount !== null) onConfirm(trans.id, amount);
+          }}
+          className="flex items-center gap-2"
+        >
+          <span className="flex-1 text-sm text-slate-700 truncate">{trans.description}</span>
+          <input name="amount" {...MONEY_INPUT_PROPS} defaultValue={toMoneyInput(trans.amount)} className="w-24 px-2 py-1 border rounded-lg text-sm" required />
+          <button className="bg-amber-500 text-white px-3 py-1 rounded-lg text-sm font-semibold">OK</button>
+        </form>
+      ))}
+    </div>
+  </Card>
+);
+
+// Seletor de conta/cartão usado nos formulários de lançamento e renda
+const AccountSelect = ({ accounts, defaultValue = '', className = '', onChange }) => (
+  <select name="account" defaultValue={defaultValue || ''} onChange={onChange} className={`bg-white ${className}`}>
+    <option value="">{t('Sem conta')}</option>
+    {accounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+  </select>
+);
+
+// Cores e textos de cada situação de conta (ver getBillState no bills.js)
+const BILL_STATE_STYLES = {
+  paid: { label: 'Paga', dot: 'bg-emerald-500', badge: 'bg-emerald-50 text-emerald-600' },
+  overdue: { label: 'Atrasada', dot: 'bg-red-500', badge: 'bg-red-50 text-red-600' },
+  'due-soon': { label: 'Vence logo', dot: 'bg-amber-500', badge: 'bg-amber-50 text-amber-600' },
+  pending: { label: 'Pendente', dot: 'bg-slate-400', badge: 'bg-slate-100 text-slate-500' }
+};
+
+// Da mais urgente para a menos urgente
+const BILL_STATE_PRIORITY = ['overdue', 'due-soon', 'pending', 'paid'];
+
+// Aviso no painel: contas atrasadas ou vencendo nos próximos dias (de qualquer mês)
+const BillAlerts = ({ bills, today, onOpen }) => {
+  const overdue = bills.filter(bill => getBillState(bill, today) === 'overdue');
+  const dueSoon = bills.length - overdue.length;
+  return (
+    <button
+      onClick={onOpen}
+      className={`w-full flex items-center gap-3 p-4 rounded-2xl shadow-sm border text-left ${overdue.length > 0 ? 'bg-red-50 border-red-100' : 'bg-amber-50 border-amber-100'}`}
+    >
+      <Bell size={20} className={overdue.length > 0 ? 'text-red-500' : 'text-amber-500'} />
+      <div className="flex-1 text-sm">
+        {overdue.length > 0 && <p className="font-bold text-red-600">{overdue.length === 1 ? t('1 conta atrasada') : t('{count} contas atrasadas', { count: overdue.length })}</p>}
+        {dueSoon > 0 && <p className="font-semibold text-amber-700">{dueSoon === 1 ? t('1 conta vence nos próximos dias') : t('{count} contas vencem nos próximos dias', { count: dueSoon })}</p>}
+      </div>
+      <ChevronRight size={16} className="text-slate-400" />
+    </button>
+  );
+};
+
+// Agenda de contas do mês: calendário com os vencimentos e lista para marcar como pago
+const BillsAgenda = ({ monthLabel, monthKey, bills, today, categories, onTogglePaid, onEnableReminders, onBack }) => {
+  const [permission, setPermission] = useState(() => (canNotify() ? Notification.permission : 'unsupported'));
+
+  const [year, month] = monthKey.split('-').map(Number);
+  const daysInMonth = new Date(year, month, 0).getDate();
+  const firstWeekday = new Date(year, month - 1, 1).getDay();
+  const isCurrentMonth = getMonthKey(today) === monthKey;
+
+  const getCategoryName = (categoryId) => getCategoryLabel(categories, categoryId);
+  const billsOnDay = (day) => bills.filter(bill => new Date(bill.dueDate).getDate() === day);
+
+  // O dia fica com a cor da conta mais urgente
+  const getDayState = (day) => {
+    const states = billsOnDay(day).map(bill => getBillState(bill, today));
+    return BILL_STATE_PRIORITY.find(state => states.includes(state));
+  };
+
+  const pendingTotal = getCommittedAmount(bills);
+  const paidTotal = sumAmounts(bills.filter(bill => !isPendingBill(bill)));
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto">
+        <div className="flex items-center gap-3 mb-6">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('Contas do Mês')}</h2>
+            <p className="text-xs text-slate-400 capitalize">{monthLabel}</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          <Card className="p-4">
+            <p className="text-xs text-amber-600 uppercase font-bold tracking-wide mb-1">{t('A pagar')}</p>
+            <p className="text-lg font-bold text-slate-800">{formatMoney(pendingTotal)}</p>
+          </Card>
+          <Card className="p-4">
+            <p className="text-xs text-emerald-600 uppercase font-bold tracking-wide mb-1">{t('Pago')}</p>
+            <p className="text-lg font-bold text-slate-800">{formatMoney(paidTotal)}</p>
+          </Card>
+        </div>
+
+        {/* Calendário */}
+        <Card className="mb-4">
+          <div className="grid grid-cols-7 gap-1 text-center">
+            {getWeekdayInitials().map((weekday, i) => (
+              <span key={i} className="text-[10px] font-bold text-slate-400">{weekday}</span>
+            ))}
+            {Array.from({ length: firstWeekday }, (_, i) => <span key={`blank-${i}`} />)}
+            {Array.from({ length: daysInMonth }, (_, i) => i + 1).map(day => {
+              const state = getDayState(day);
+              const isToday = isCurrentMonth && day === today.getDate();
+              return (
+                <div key={day} className={`flex flex-col items-center py-1 rounded-lg text-xs ${isToday ? 'bg-slate-900 text-white font-bold' : 'text-slate-600'}`}>
+                  {day}
+                  <span className={`w-1.5 h-1.5 mt-0.5 rounded-full ${state ? BILL_STATE_STYLES[state].dot : ''}`} />
+                </div>
+              );
+            })}
+          </div>
+        </Card>
+
+        {/* Lista de vencimentos */}
+        <Card className="p-0 overflow-hidden mb-4">
+          {bills.length === 0 && (
+            <p className="text-sm text-slate-400 text-center py-8">{t('Nenhuma conta com vencimento neste mês.')}</p>
+          )}
+          {bills.map(bill => {
+            const state = getBillState(bill, today);
+            const style = BILL_STATE_STYLES[state];
+            return (
+              <div key={bill.id} className="flex items-center gap-3 px-4 py-3 border-b border-slate-50 last:border-0">
+                <div className="text-xs font-bold text-slate-400 w-10">{formatDayDisplay(bill.dueDate)}</div>
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-medium truncate ${state === 'paid' ? 'text-slate-400 line-through' : 'text-slate-700'}`}>{bill.description}</p>
+                  <p className="text-xs text-slate-400 flex items-center gap-1">
+                    {bill.isInvoice ? t('Cartão de crédito') : getCategoryName(bill.categoryId)}
+                    <span className={`px-1.5 rounded font-semibold ${style.badge}`}>{t(style.label)}</span>
+                    {state !== 'paid' && bill.paidAmount > 0 && <span>· {t('pago {amount}', { amount: formatMoney(bill.paidAmount) })}</span>}
+                  </p>
+                </div>
+                <span className="font-bold text-slate-700 text-sm">{formatMoney(bill.amount)}</span>
+                <button
+                  onClick={() => onTogglePaid(bill)}
+                  className={`p-1.5 ${state === 'paid' ? 'text-emerald-500' : 'text-slate-300 hover:text-emerald-500'}`}
+                  title={state === 'paid' ? t('Desmarcar pagamento') : t('Marcar como paga')}
+                >
+                  <CheckCircle2 size={20} />
+                </button>
+              </div>
+            );
+          })}
+        </Card>
+
+        {/* Lembretes do navegador */}
+        {permission === 'default' && (
+          <Button variant="secondary" onClick={() => onEnableReminders().then(setPermission)}>
+            <Bell size={16} /> {t('Ativar lembretes de vencimento')}
+          </Button>
+        )}
+        {permission === 'granted' && (
+          <p className="text-xs text-slate-400 text-center">{t('Lembretes ativos: avisamos das contas atrasadas ou vencendo enquanto o app estiver aberto.')}</p>
+        )}
+        {permission === 'denied' && (
+          <p className="text-xs text-slate-400 text-center">{t('Lembretes bloqueados. Libere as notificações deste site no navegador para recebê-los.')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Nova despesa: valor, descrição (com sugestão de categoria), data, conta,
+// forma de pagamento, etiquetas e foto do comprovante
+const NewTransactionForm = ({ categories, accounts, transactions, lastRates, defaultDate, canAttachReceipt, isLockedMonth, onSave, onCancel }) => {
+  const [categoryId, setCategoryId] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('');
+  const [suggested, setSuggested] = useState(null); // Sugestão aplicada pela descrição
+  const [isSaving, setIsSaving] = useState(false);
+
+  const suggestions = useMemo(() => getDescriptionSuggestions(transactions), [transactions]);
+  const usedTags = useMemo(() => getUsedTags(transactions), [transactions]);
+
+  // Descrição já usada antes: sugere a categoria da última vez (se ela ainda existir e não estiver arquivada)
+  const handleDescriptionChange = (e) => {
+    const suggestion = findDescriptionSuggestion(suggestions, e.target.value);
+    const category = suggestion && categories.find(cat => cat.id === suggestion.categoryId);
+    if (!category || isArchived(category)) return;
+    setCategoryId(category.id);
+    setSuggested(category.id);
+  };
+
+  const handleAccountChange = (e) => {
+    const method = getDefaultPaymentMethod(accounts.find(acc => acc.id === e.target.value));
+    if (method) setPaymentMethod(method);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const money = readCurrencyAmountFields(form);
+    if (money === null) return;
+    const date = fromDateInputValue(form.date.value);
+    const accountId = form.account?.value || null;
+    // Compra no cartão entra no mês em que a fatura vence; o resto, no mês da data
+    const monthKey = getTransactionMonthKey({ date, accountId }, accounts);
+    if (isLockedMonth(monthKey)) return;
+    const tags = parseTags(form.tags.value);
+    setIsSaving(true);
+    await onSave({
+      monthKey,
+      categoryId,
+      ...money,
+      date,
+      accountId,
+      ...(form.description.value.trim() && { description: form.description.value.trim() }),
+      ...(paymentMethod && { paymentMethod }),
+      ...(tags.length > 0 && { tags })
+    }, form.receipt?.files[0] || null);
+    setIsSaving(false);
+  };
+
+  const fieldClass = "w-full px-4 py-3 rounded-xl border border-slate-200 bg-white";
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <CurrencyAmountField label={t('Valor Gasto')} lastRates={lastRates} autoFocus required />
+      <Input name="description" label={t('Descrição')} placeholder={t('Ex: Padaria')} list="transaction-descriptions" autoComplete="off" onChange={handleDescriptionChange} />
+      <datalist id="transaction-descriptions">
+        {suggestions.map(suggestion => <option key={suggestion.description} value={suggestion.description} />)}
+      </datalist>
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{t('Categoria')}</label>
+        <select name="category" value={categoryId} onChange={(e) => { setCategoryId(e.target.value); setSuggested(null); }} className={fieldClass} required>
+          <option value="">{t('Selecione...')}</option>
+          <CategoryOptions categories={categories} />
+        </select>
+        {suggested && suggested === categoryId && <p className="text-xs text-emerald-600 mt-1 ml-1">{t('Mesma categoria da última vez')}</p>}
+      </div>
+      <Input name="date" type="date" label={t('Data')} defaultValue={defaultDate} required />
+      {accounts.length > 0 && (
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{t('Pago com')}</label>
+          <AccountSelect accounts={accounts} onChange={handleAccountChange} className="w-full px-4 py-3 rounded-xl border border-slate-200" />
+        </div>
+      )}
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{t('Forma de pagamento')}</label>
+        <div className="flex flex-wrap gap-2">
+          {PAYMENT_METHODS.map(method => (
+            <button
+              key={method.id}
+              type="button"
+              onClick={() => setPaymentMethod(paymentMethod === method.id ? '' : method.id)}
+              className={`px-3 py-1.5 rounded-full text-xs font-semibold ${paymentMethod === method.id ? 'bg-emerald-600 text-white' : 'bg-slate-100 text-slate-600'}`}
+            >
+              {t(method.label)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <Input name="tags" label={t('Etiquetas')} placeholder={t('Ex: viagem, presente')} list="transaction-tags" autoComplete="off" />
+      <datalist id="transaction-tags">
+        {usedTags.map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+      {canAttachReceipt && (
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{t('Comprovante (foto)')}</label>
+          <label className="flex items-center gap-2 px-4 py-3 rounded-xl border border-dashed border-slate-300 text-sm text-slate-500 cursor-pointer">
+            <Camera size={16} />
+            <input name="receipt" type="file" accept="image/*" capture="environment" className="flex-1 min-w-0 text-xs" />
+          </label>
+          <p className="text-xs text-slate-400 mt-1 ml-1">{t('A foto fica só neste aparelho.')}</p>
+        </div>
+      )}
+      <div className="flex gap-3">
+        <Button variant="secondary" onClick={onCancel}>{t('Cancelar')}</Button>
+        <Button type="submit" disabled={isSaving}>{t('Salvar Gasto')}</Button>
+      </div>
+    </form>
+  );
+};
+
+// Foto do comprovante em tela cheia (o Blob vira uma URL temporária enquanto está aberta)
+const ReceiptViewer = ({ receiptId, onLoad, onClose }) => {
+  const [state, setState] = useState({ status: 'loading' });
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    onLoad(receiptId)
+      .then(blob => {
+        if (cancelled) return;
+        if (!blob) {
+          setState({ status: 'missing' });
+          return;
+        }
+        url = URL.createObjectURL(blob);
+        setState({ status: 'ok', url });
+      })
+      .catch(() => !cancelled && setState({ status: 'missing' }));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [receiptId, onLoad]);
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <button onClick={onClose} className="absolute top-4 right-4 p-2 bg-white/10 rounded-full text-white" aria-label={t('Fechar')}><X size={20} /></button>
+      {state.status === 'ok' && <img src={state.url} alt={t('Comprovante')} className="max-w-full max-h-full rounded-lg" />}
+      {state.status === 'loading' && <p className="text-white/70 text-sm">{t('Abrindo...')}</p>}
+      {state.status === 'missing' && <p className="text-white/70 text-sm text-center">{t('A foto deste comprovante não está neste aparelho.')}</p>}
+    </div>
+  );
+};
+
+// Histórico de lançamentos do mês: lista, filtra, edita e exclui (com desfazer)
+const TransactionHistory = ({ monthLabel, transactions, categories, accounts, lastRates, isLocked, onUpdate, onDelete, onRestore, onLoadReceipt, onBack }) => {
+  const [filterCategoryId, setFilterCategoryId] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [lastDeleted, setLastDeleted] = useState(null);
+  const [openReceiptId, setOpenReceiptId] = useState(null);
+
+  // O aviso de "Desfazer" some sozinho depois de alguns segundos
+  useEffect(() => {
+    if (!lastDeleted) return;
+    const timer = setTimeout(() => setLastDeleted(null), 5000);
+    return () => clearTimeout(timer);
+  }, [lastDeleted]);
+
+  const getCategoryName = (categoryId) => getCategoryLabel(categories, categoryId);
+  const getAccountName = (accountId) => accounts.find(acc => acc.id === accountId)?.name;
+
+  const visibleTransactions = transactions
+    .filter(t => !filterCategoryId || t.categoryId === filterCategoryId)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const visibleTotal = sumAmounts(visibleTransactions);
+
+  const handleDelete = (trans) => {
+    onDelete(trans.id);
+    setLastDeleted(trans);
+    if (editingId === trans.id) setEditingId(null);
+  };
+
+  const handleSaveEdit = (e, trans) => {
+    e.preventDefault();
+    const money = readCurrencyAmountFields(e.target);
+    if (money === null) return;
+    const changes = {
+      // Voltou para a moeda base: apaga o valor original e a cotação
+      currency: undefined,
+      originalAmount: undefined,
+      exchangeRate: undefined,
+      ...money,
+      categoryId: e.target.category.value,
+      description: e.target.description.value.trim(),
+      paymentMethod: e.target.paymentMethod.value || null,
+      tags: parseTags(e.target.tags.value)
+    };
+    // Editar o valor de um fixo estimado já conta como confirmação
+    if (trans.isEstimated) changes.isEstimated = false;
+    // Só mexe na data se o usuário trocou o dia (senão o horário original viraria meio-dia)
+    if (e.target.date.value !== toDateInputValue(trans.date)) {
+      changes.date = fromDateInputValue(e.target.date.value);
+    }
+    // Trocar de conta (ou de cartão) pode mudar o mês da fatura
+    if (e.target.account && (e.target.account.value || null) !== (trans.accountId || null)) {
+      changes.accountId = e.target.account.value || null;
+    }
+    onUpdate(trans.id, changes);
+    setEditingId(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto">
+        <div className="flex items-center gap-3 mb-6">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('Lançamentos')}</h2>
+            <p className="text-sm text-slate-500 capitalize">{monthLabel}</p>
+          </div>
+        </div>
+
+        {/* Filtro por Categoria */}
+        <div className="flex items-center gap-2 mb-4">
+          <Filter size={16} className="text-slate-400" />
+          <select
+            value={filterCategoryId}
+            onChange={(e) => setFilterCategoryId(e.target.value)}
+            className="flex-1 px-3 py-2 border rounded-lg text-sm bg-white"
+          >
+            <option value="">{t('Todas as categorias')}</option>
+            <CategoryOptions categories={categories} includeArchived />
+          </select>
+          <span className="text-sm font-bold text-slate-600">{formatMoney(visibleTotal)}</span>
+        </div>
+
+        <div className="space-y-2">
+          {visibleTransactions.map(trans => (
+            <Card key={trans.id} className="py-3 px-4">
+              {editingId === trans.id ? (
+                <form onSubmit={(e) => handleSaveEdit(e, trans)}>
+                  <CurrencyAmountField label={t('Valor')} record={trans} lastRates={lastRates} autoFocus required />
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{t('Categoria')}</label>
+                    <select name="category" defaultValue={trans.categoryId} className="w-full px-4 py-3 rounded-xl border border-slate-200 bg-white" required>
+                      <CategoryOptions categories={categories} selectedId={trans.categoryId} />
+                    </select>
+                  </div>
+                  <Input name="date" type="date" label={t('Data')} defaultValue={toDateInputValue(trans.date)} required />
+                  {accounts.length > 0 && (
+                    <div className="mb-4">
+                      <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{t('Conta')}</label>
+                      <AccountSelect accounts={accounts} defaultValue={trans.accountId} className="w-full px-4 py-3 rounded-xl border border-slate-200" />
+                    </div>
+                  )}
+                  <Input name="description" label={t('Descrição')} defaultValue={trans.description || ''} placeholder={t('Ex: Padaria')} />
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{t('Forma de pagamento')}</label>
+                    <select name="paymentMethod" defaultValue={trans.paymentMethod || ''} className="w-full px-4 py-3 rounded-xl border border-slate-200 bg-white">
+                      <option value="">{t('Não informada')}</option>
+                      {PAYMENT_METHODS.map(method => <option key={method.id} value={method.id}>{t(method.label)}</option>)}
+                    </select>
+                  </div>
+                  <Input name="tags" label={t('Etiquetas')} defaultValue={formatTags(trans.tags)} placeholder={t('Ex: viagem, presente')} />
+                  <div className="flex gap-3">
+                    <Button variant="secondary" onClick={() => setEditingId(null)}>{t('Cancelar')}</Button>
+                    <Button type="submit">{t('Salvar')}</Button>
+                  </div>
+                </form>
+              ) : (
+                <div className="flex items-center gap-3">
+                  <div className="text-xs font-bold text-slate-400 w-10">{formatDayDisplay(trans.date)}</div>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-semibold text-slate-700 truncate">{trans.description || getCategoryName(trans.categoryId)}</p>
+                    <div className="flex items-center gap-2 text-xs text-slate-400">
+                      <span>{getCategoryName(trans.categoryId)}</span>
+                      {getAccountName(trans.accountId) && <span>· {getAccountName(trans.accountId)}</span>}
+                      {trans.paymentMethod && <span>· {getPaymentMethodLabel(trans.paymentMethod)}</span>}
+                      {trans.createdBy && <span>· {trans.createdBy}</span>}
+                      {trans.isFixed && <span className="bg-indigo-50 text-indigo-600 px-1.5 rounded font-semibold">{t('Fixo')}</span>}
+                      {trans.isEstimated && <span className="bg-amber-50 text-amber-600 px-1.5 rounded font-semibold">{t('Estimado')}</span>}
+                      {isPendingBill(trans) && <span className="bg-slate-100 text-slate-500 px-1.5 rounded font-semibold">{t('A pagar')}</span>}
+                    </div>
+                    {isForeignAmount(trans) && <p className="text-xs text-slate-400"><ForeignAmountNote record={trans} /></p>}
+                    {trans.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {trans.tags.map(tag => <span key={tag} className="bg-emerald-50 text-emerald-700 px-1.5 rounded text-[10px] font-semibold">#{tag}</span>)}
+                      </div>
+                    )}
+                  </div>
+                  <span className="text-sm font-bold text-slate-700">{formatMoney(trans.amount)}</span>
+                  {trans.receiptId && (
+                    <button onClick={() => setOpenReceiptId(trans.receiptId)} className="p-1.5 text-slate-400 hover:text-emerald-600" aria-label={t('Ver comprovante')}><Paperclip size={16}/></button>
+                  )}
+                  {!isLocked && (
+                    <>
+                      <button onClick={() => setEditingId(trans.id)} className="p-1.5 text-slate-400 hover:text-emerald-600" aria-label={t('Editar')}><Pencil size={16}/></button>
+                      <button onClick={() => handleDelete(trans)} className="p-1.5 text-slate-400 hover:text-red-500" aria-label={t('Excluir')}><Trash2 size={16}/></button>
+                    </>
+                  )}
+                </div>
+              )}
+            </Card>
+          ))}
+
+          {visibleTransactions.length === 0 && (
+            <p className="text-sm text-slate-400 text-center py-12">{t('Nenhum lançamento neste mês.')}</p>
+          )}
+        </div>
+      </div>
+
+      {openReceiptId && <ReceiptViewer receiptId={openReceiptId} onLoad={onLoadReceipt} onClose={() => setOpenReceiptId(null)} />}
+
+      {/* Aviso de exclusão com Desfazer */}
+      {lastDeleted && (
+        <div className="fixed bottom-6 left-0 right-0 flex justify-center z-50 px-6">
+          <div className="bg-slate-900 text-white flex items-center gap-4 px-5 py-3 rounded-full shadow-xl">
+            <span className="text-sm">{t('Lançamento excluído')}</span>
+            <button
+              onClick={() => { onRestore(lastDeleted); setLastDeleted(null); }}
+              className="flex items-center gap-1 text-emerald-300 font-semibold text-sm"
+            >
+              <Undo2 size={16} /> {t('Desfazer')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Busca em todos os meses: texto e filtros avançados, resultado por mês com
+// totais, filtros salvos e exportação do resultado para CSV
+const TransactionSearch = ({ transactions, categories, accounts, savedFilters, onSaveFilter, onDeleteFilter, onOpenMonth, onBack }) => {
+  const [filter, setFilter] = useState(createEmptyFilter);
+  const [showFilters, setShowFilters] = useState(false);
+  const [activeSavedId, setActiveSavedId] = useState(null);
+  const [isNaming, setIsNaming] = useState(false);
+  const [formKey, setFormKey] = useState(0); // Recria os campos ao trocar de filtro salvo
+
+  const results = useMemo(() => searchTransactions(transactions, filter, categories), [transactions, filter, categories]);
+  const groups = useMemo(() => groupByMonth(results), [results]);
+  const usedTags = useMemo(() => getUsedTags(transactions), [transactions]);
+  const activeSaved = savedFilters.find(saved => saved.id === activeSavedId);
+
+  const updateFilter = (changes) => {
+    setFilter(current => ({ ...current, ...changes }));
+    setActiveSavedId(null);
+  };
+
+  const applyFilter = (nextFilter, savedId = null) => {
+    setFilter({ ...createEmptyFilter(), ...nextFilter });
+    setActiveSavedId(savedId);
+    setFormKey(key => key + 1);
+  };
+
+  // Valor em branco (ou inválido enquanto digita) não limita a busca
+  const handleAmountChange = (field, text) => {
+    updateFilter({ [field]: text.trim() === '' ? null : parseMoney(text) });
+  };
+
+  const toggleInList = (field, value) => {
+    const list = filter[field];
+    updateFilter({ [field]: list.includes(value) ? list.filter(item => item !== value) : [...list, value] });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const name = e.target.name.value.trim();
+    if (!name) return;
+    setActiveSavedId(onSaveFilter(name, filter));
+    setIsNaming(false);
+  };
+
+  const getCategoryName = (categoryId) => getCategoryLabel(categories, categoryId);
+  const fieldClass = "w-full px-3 py-2 border rounded-lg text-sm bg-white";
+  const chipClass = (isActive) => `px-3 py-1.5 rounded-full text-xs font-semibold ${isActive ? 'bg-emerald-600 text-white' : 'bg-white border border-slate-200 text-slate-600'}`;
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto">
+        <div className="flex items-center gap-3 mb-6">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('Buscar lançamentos')}</h2>
+            <p className="text-sm text-slate-500">{t('Em todos os meses')}</p>
+          </div>
+        </div>
+
+        {/* Filtros salvos */}
+        {savedFilters.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {savedFilters.map(saved => (
+              <span key={saved.id} className={`${chipClass(saved.id === activeSavedId)} inline-flex items-center gap-1`}>
+                <button onClick={() => applyFilter(saved.filter, saved.id)} className="inline-flex items-center gap-1">
+                  <Bookmark size={12} /> {saved.name}
+                </button>
+                <button onClick={() => { onDeleteFilter(saved.id); if (saved.id === activeSavedId) setActiveSavedId(null); }} aria-label={t('Apagar filtro {name}', { name: saved.name })}><X size={12} /></button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div key={formKey}>
+          <div className="flex items-center gap-2 mb-3">
+            <div className="flex-1 flex items-center gap-2 px-3 py-2 border rounded-lg bg-white">
+              <Search size={16} className="text-slate-400" />
+              <input
+                type="search"
+                defaultValue={filter.text}
+                onChange={(e) => updateFilter({ text: e.target.value })}
+                placeholder={t('Ex: encanador, padaria, viagem')}
+                className="flex-1 text-sm outline-none"
+                autoFocus
+              />
+            </div>
+            <button onClick={() => setShowFilters(!showFilters)} className={`p-2 rounded-lg ${showFilters ? 'bg-emerald-600 text-white' : 'bg-white border text-slate-500'}`} aria-label={t('Filtros')}>
+              <Filter size={16} />
+            </button>
+          </div>
+
+          {showFilters && (
+            <Card className="mb-4 space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                <input {...MONEY_INPUT_PROPS} defaultValue={filter.minAmount != null ? toMoneyInput(filter.minAmount) : ''} onChange={(e) => handleAmountChange('minAmount', e.target.value)} placeholder={t('Valor mínimo')} className={fieldClass} />
+                <input {...MONEY_INPUT_PROPS} defaultValue={filter.maxAmount != null ? toMoneyInput(filter.maxAmount) : ''} onChange={(e) => handleAmountChange('maxAmount', e.target.value)} placeholder={t('Valor máximo')} className={fieldClass} />
+                <input type="date" defaultValue={filter.startDate} onChange={(e) => updateFilter({ startDate: e.target.value })} className={fieldClass} aria-label={t('De')} />
+                <input type="date" defaultValue={filter.endDate} onChange={(e) => updateFilter({ endDate: e.target.value })} className={fieldClass} aria-label={t('Até')} />
+              </div>
+
+              <div>
+                <select value="" onChange={(e) => e.target.value && toggleInList('categoryIds', e.target.value)} className={fieldClass}>
+                  <option value="">{t('Filtrar por categoria...')}</option>
+                  <CategoryOptions categories={categories.filter(cat => !filter.categoryIds.includes(cat.id))} includeArchived />
+                </select>
+                {filter.categoryIds.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {filter.categoryIds.map(id => (
+                      <button key={id} onClick={() => toggleInList('categoryIds', id)} className={`${chipClass(true)} inline-flex items-center gap-1`}>
+                        {getCategoryName(id)} <X size={12} />
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {usedTags.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {usedTags.map(tag => (
+                    <button key={tag} onClick={() => toggleInList('tags', tag)} className={chipClass(filter.tags.includes(tag))}>#{tag}</button>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                {[['all', 'Todos'], ['fixed', 'Fixos'], ['variable', 'Variáveis']].map(([kind, label]) => (
+                  <button key={kind} onClick={() => updateFilter({ kind })} className={`flex-1 ${chipClass(filter.kind === kind)}`}>{t(label)}</button>
+                ))}
+              </div>
+
+              {!isFilterEmpty(filter) && (
+                <button onClick={() => applyFilter(createEmptyFilter())} className="text-xs text-slate-500 hover:text-red-500">{t('Limpar filtros')}</button>
+              )}
+            </Card>
+          )}
+        </div>
+
+        {/* Resumo, salvar e exportar */}
+        <div className="flex items-center gap-2 mb-4">
+          <p className="flex-1 text-sm text-slate-500">
+            {results.length === 1 ? t('1 lançamento') : t('{count} lançamentos', { count: results.length })} · <span className="font-bold text-slate-700">{formatMoney(sumAmounts(results))}</span>
+          </p>
+          {!isFilterEmpty(filter) && !activeSaved && (
+            <button onClick={() => setIsNaming(true)} className="p-2 bg-white border rounded-lg text-slate-500" aria-label={t('Salvar filtro')}><Bookmark size={16} /></button>
+          )}
+          <button
+            onClick={() => downloadSearchCSV(buildSearchCSV(results, { categories, accounts }), activeSaved?.name || 'busca')}
+            disabled={results.length === 0}
+            className="p-2 bg-white border rounded-lg text-slate-500 disabled:opacity-50"
+            aria-label={t('Exportar CSV')}
+          >
+            <Download size={16} />
+          </button>
+        </div>
+
+        {isNaming && (
+          <form onSubmit={handleSave} className="flex gap-2 mb-4">
+            <input name="name" placeholder={t('Nome do filtro (ex: Obra da cozinha)')} className={fieldClass} autoFocus required />
+            <button className="px-4 py-2 bg-emerald-600 text-white rounded-lg text-sm font-semibold">{t('Salvar')}</button>
+            <button type="button" onClick={() => setIsNaming(false)} className="p-2 text-slate-400"><X size={16} /></button>
+          </form>
+        )}
+
+        {/* Resultado por mês */}
+        <div className="space-y-5">
+          {groups.map(group => (
+            <div key={group.monthKey}>
+              <button onClick={() => onOpenMonth(group.monthKey)} className="w-full flex items-center justify-between mb-2 px-1 text-sm">
+                <span className="font-semibold text-slate-600 capitalize">{formatMonthDisplay(new Date(`${group.monthKey}-01T12:00:00`))}</span>
+                <span className="font-bold text-slate-700">{formatMoney(group.total)}</span>
+              </button>
+              <div className="space-y-2">
+                {group.transactions.map(trans => (
+                  <Card key={trans.id} className="py-3 px-4">
+                    <div className="flex items-center gap-3">
+                      <div className="text-xs font-bold text-slate-400 w-10">{formatDayDisplay(trans.date)}</div>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-semibold text-slate-700 truncate">{trans.description || getCategoryName(trans.categoryId)}</p>
+                        <p className="text-xs text-slate-400 truncate">
+                          {getCategoryName(trans.categoryId)}
+                          {trans.isFixed && ` · ${t('Fixo')}`}
+                          {trans.tags?.length > 0 && ` · ${trans.tags.map(tag => `#${tag}`).join(' ')}`}
+                        </p>
+                      </div>
+                      <span className="text-sm font-bold text-slate-700">{formatMoney(trans.amount)}</span>
+                    </div>
+                  </Card>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {results.length === 0 && (
+            <p className="text-sm text-slate-400 text-center py-12">{t('Nenhum lançamento encontrado.')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Rendas do mês: várias fontes (salário, freela, 13º...) com data e valor
+const IncomeManager = ({ monthLabel, incomes, accounts, lastRates, defaultDate, onAdd, onDelete, onBack }) => {
+  const [formKey, setFormKey] = useState(0); // Recria o formulário (e o campo de moeda) depois de lançar
+  const sortedIncomes = [...incomes].sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+  const total = sumAmounts(incomes);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const money = readCurrencyAmountFields(e.target);
+    if (money === null) return;
+    onAdd({
+      source: e.target.source.value.trim(),
+      ...money,
+      date: fromDateInputValue(e.target.date.value),
+      accountId: e.target.account?.value || null
+    });
+    setFormKey(key => key + 1);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto">
+        <div className="flex items-center gap-3 mb-6">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('Rendas')}</h2>
+            <p className="text-sm text-slate-500 capitalize">{monthLabel}</p>
+          </div>
+        </div>
+
+        <Card className="mb-4">
+          <form key={formKey} onSubmit={handleAdd} className="space-y-2">
+            <input name="source" placeholder={t('Fonte (Ex: Freela, 13º Salário)')} className="w-full px-3 py-2 border rounded-lg text-sm" required />
+            {accounts.length > 0 && <AccountSelect accounts={accounts} className="w-full px-3 py-2 border rounded-lg text-sm" />}
+            <CurrencyAmountField lastRates={lastRates} compact required />
+            <div className="flex gap-2">
+              <input name="date" type="date" defaultValue={defaultDate} className="flex-1 px-3 py-2 border rounded-lg text-sm" required />
+              <button className="bg-emerald-600 text-white p-2 rounded-lg"><Plus size={18}/></button>
+            </div>
+          </form>
+        </Card>
+
+        <Card>
+          <div className="space-y-2">
+            {sortedIncomes.map(inc => (
+              <div key={inc.id} className="flex items-center gap-3 text-sm py-2 border-b border-slate-50 last:border-0">
+                <div className="text-xs font-bold text-slate-400 w-10">{inc.date ? formatDayDisplay(inc.date) : '--'}</div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-slate-700">{inc.source}</p>
+                  {isForeignAmount(inc) && <p className="text-xs text-slate-400"><ForeignAmountNote record={inc} /></p>}
+                </div>
+                <span className="font-bold text-emerald-600">{formatMoney(inc.amount)}</span>
+                <button onClick={() => onDelete(inc.id)} className="p-1.5 text-slate-400 hover:text-red-500" aria-label={t('Excluir')}><Trash2 size={16}/></button>
+              </div>
+            ))}
+            {incomes.length === 0 && <p className="text-xs text-slate-400 text-center">{t('Nenhuma renda lançada.')}</p>}
+          </div>
+          <div className="flex justify-between pt-3 mt-2 border-t border-slate-100 text-sm font-bold text-slate-700">
+            <span>{t('Total')}</span>
+            <span>{formatMoney(total)}</span>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+// Contas e cartões: saldos, cadastro e transferências do mês
+const AccountsManager = ({ monthLabel, accounts, balances, transfers, defaultDate, onAddAccount, onDeleteAccount, onTransfer, onDeleteTransfer, onBack }) => {
+  const [newType, setNewType] = useState('checking');
+
+  const getAccountName = (accountId) => accounts.find(acc => acc.id === accountId)?.name || t('Fora do app');
+  const totalBalance = sumValues(balances);
+
+  const handleAddAccount = (e) => {
+    e.preventDefault();
+    const initialBalance = readMoneyField(e.target.initialBalance, { optional: true, allowNegative: true });
+    if (initialBalance === null) return;
+    const fields = {
+      name: e.target.name.value.trim(),
+      type: newType,
+      initialBalance
+    };
+    if (isCreditCard(fields)) {
+      fields.closingDay = Number(e.target.closingDay.value);
+      fields.dueDay = Number(e.target.dueDay.value);
+      fields.paymentAccountId = e.target.paymentAccount.value || null;
+    }
+    onAddAccount(fields);
+    e.target.reset();
+    setNewType('checking');
+  };
+
+  const handleTransfer = (e) => {
+    e.preventDefault();
+    const fromAccountId = e.target.from.value || null;
+    const toAccountId = e.target.to.value || null;
+    if (fromAccountId === toAccountId) return;
+    const amount = readMoneyField(e.target.amount);
+    if (amount === null) return;
+    onTransfer({
+      fromAccountId,
+      toAccountId,
+      amount,
+      date: fromDateInputValue(e.target.date.value)
+    });
+    e.target.reset();
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto">
+        <div className="flex items-center gap-3 mb-6">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('Contas e Cartões')}</h2>
+            <p className="text-sm text-slate-500 capitalize">{monthLabel}</p>
+          </div>
+        </div>
+
+        {/* Saldos */}
+        <Card className="mb-4">
+          <div className="space-y-2">
+            {accounts.map(acc => (
+              <div key={acc.id} className="flex items-center gap-3 text-sm py-2 border-b border-slate-50 last:border-0">
+                {isCreditCard(acc) ? <CreditCard size={16} className="text-indigo-500" /> : <Landmark size={16} className="text-emerald-500" />}
+                <div className="flex-1 min-w-0">
+                  <p className="text-slate-700 truncate">{acc.name}</p>
+                  <p className="text-xs text-slate-400">
+                    {t(ACCOUNT_TYPES[acc.type]?.label || '')}
+                    {isCreditCard(acc) && ` · ${t('fecha dia {closingDay} · vence dia {dueDay}', acc)}`}
+                  </p>
+                </div>
+                <span className={`font-bold ${balances[acc.id] < 0 ? 'text-red-500' : 'text-slate-700'}`}>{formatMoney(balances[acc.id] || 0)}</span>
+                <button onClick={() => onDeleteAccount(acc.id)} className="p-1.5 text-slate-400 hover:text-red-500" aria-label={t('Excluir')}><Trash2 size={16}/></button>
+              </div>
+            ))}
+            {accounts.length === 0 && <p className="text-xs text-slate-400 text-center">{t('Nenhuma conta cadastrada.')}</p>}
+          </div>
+          {accounts.length > 0 && (
+            <div className="flex justify-between pt-3 mt-2 border-t border-slate-100 text-sm font-bold text-slate-700">
+              <span>{t('Saldo total')}</span>
+              <span>{formatMoney(totalBalance)}</span>
+            </div>
+          )}
+        </Card>
+
+        {/* Nova conta */}
+        <Card className="mb-4">
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{t('Nova conta')}</p>
+          <form onSubmit={handleAddAccount} className="space-y-2">
+            <div className="flex gap-2">
+              <input name="name" placeholder={t('Nome (Ex: Nubank)')} className="flex-1 px-3 py-2 border rounded-lg text-sm" required />
+              <select value={newType} onChange={(e) => setNewType(e.target.value)} className="px-3 py-2 border rounded-lg text-sm bg-white">
+                {Object.entries(ACCOUNT_TYPES).map(([type, { label }]) => <option key={type} value={type}>{t(label)}</option>)}
+              </select>
+            </div>
+            <input name="initialBalance" {...MONEY_INPUT_PROPS} placeholder={newType === 'credit' ? t('Fatura em aberto (negativo)') : t('Saldo atual')} className="w-full px-3 py-2 border rounded-lg text-sm" />
+            {newType === 'credit' && (
+              <div className="flex gap-2">
+                <input name="closingDay" type="number" min="1" max="31" placeholder={t('Fecha dia')} className="w-24 px-3 py-2 border rounded-lg text-sm" required />
+                <input name="dueDay" type="number" min="1" max="31" placeholder={t('Vence dia')} className="w-24 px-3 py-2 border rounded-lg text-sm" required />
+                <select name="paymentAccount" className="flex-1 px-3 py-2 border rounded-lg text-sm bg-white">
+                  <option value="">{t('Paga com...')}</option>
+                  {accounts.filter(acc => !isCreditCard(acc)).map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                </select>
+              </div>
+            )}
+            <button className="w-full flex items-center justify-center gap-2 py-2 bg-emerald-600 text-white rounded-lg text-sm font-semibold">
+              <Plus size={16}/> {t('Adicionar')}
+            </button>
+          </form>
+        </Card>
+
+        {/* Transferências */}
+        {accounts.length > 0 && (
+          <Card>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{t('Transferir')}</p>
+            <form onSubmit={handleTransfer} className="space-y-2 mb-3">
+              <div className="flex items-center gap-2">
+                <select name="from" className="flex-1 px-3 py-2 border rounded-lg text-sm bg-white" aria-label={t('De')}>
+                  <option value="">{t('Fora do app')}</option>
+                  {accounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                </select>
+                <ArrowRightLeft size={16} className="text-slate-400 shrink-0" />
+                <select name="to" className="flex-1 px-3 py-2 border rounded-lg text-sm bg-white" aria-label={t('Para')}>
+                  <option value="">{t('Fora do app')}</option>
+                  {accounts.map(acc => <option key={acc.id} value={acc.id}>{acc.name}</option>)}
+                </select>
+              </div>
+              <div className="flex gap-2">
+                <input name="amount" {...MONEY_INPUT_PROPS} placeholder={t('Valor')} className="w-28 px-3 py-2 border rounded-lg text-sm" required />
+                <input name="date" type="date" defaultValue={defaultDate} className="flex-1 px-3 py-2 border rounded-lg text-sm" required />
+                <button className="bg-emerald-600 text-white p-2 rounded-lg" aria-label={t('Transferir')}><Save size={18}/></button>
+              </div>
+              <p className="text-xs text-slate-400">{t('Transferir para um cartão paga a fatura que vence neste mês.')}</p>
+            </form>
+            <div className="space-y-2">
+              {transfers.map(tr => (
+                <div key={tr.id} className="flex items-center gap-3 text-sm py-2 border-t border-slate-50">
+                  <div className="text-xs font-bold text-slate-400 w-10">{formatDayDisplay(tr.date)}</div>
+                  <span className="flex-1 text-slate-700 truncate">{getAccountName(tr.fromAccountId)} → {getAccountName(tr.toAccountId)}</span>
+                  <span className="font-bold text-slate-600">{formatMoney(tr.amount)}</span>
+                  <button onClick={() => onDeleteTransfer(tr.id)} className="p-1.5 text-slate-400 hover:text-red-500" aria-label={t('Excluir')}><Trash2 size={16}/></button>
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Barra de progresso de uma meta com a previsão de conclusão
+const GoalProgress = ({ goal, progress }) => (
+  <div>
+    <div className="flex justify-between text-sm mb-1">
+      <span className="font-semibold text-slate-700">{goal.name}</span>
+      <span className="font-bold text-slate-600">
+        {formatMoney(progress.saved)} <span className="text-slate-400 font-normal">/ {formatMoney(goal.targetAmount)}</span>
+      </span>
+    </div>
+    <div className="h-2.5 bg-slate-100 rounded-full overflow-hidden">
+      <div className="h-full bg-sky-500 transition-all duration-500" style={{ width: `${progress.percentage}%` }} />
+    </div>
+    <p className={`text-xs mt-1 ${progress.isOnTrack ? 'text-slate-400' : 'text-amber-600'}`}>
+      {progress.missing === 0
+        ? t('Meta alcançada!')
+        : progress.projectedMonthKey
+          ? t('Previsão: {month}', { month: formatMonthKeyDisplay(progress.projectedMonthKey) })
+          : t('Sem previsão (nada guardado por mês)')}
+      {goal.targetDate && progress.missing > 0 && ` · ${t('meta {month}', { month: formatMonthKeyDisplay(goal.targetDate) })}`}
+      {!progress.isOnTrack && progress.neededPerMonth !== null && ` · ${t('precisa de {amount}/mês', { amount: formatMoney(progress.neededPerMonth) })}`}
+    </p>
+  </div>
+);
+
+// Metas de economia: cadastro, progresso e depósitos avulsos no mês atual
+const GoalsManager = ({ monthLabel, goals, progressById, monthContributions, onAddGoal, onDeleteGoal, onContribute, onBack }) => {
+  const handleAddGoal = (e) => {
+    e.preventDefault();
+    const targetAmount = readMoneyField(e.target.targetAmount);
+    if (targetAmount === null) return;
+    const initialAmount = readMoneyField(e.target.initialAmount, { optional: true });
+    if (initialAmount === null) return;
+    const monthlyContribution = readMoneyField(e.target.monthlyContribution, { optional: true });
+    if (monthlyContribution === null) return;
+    onAddGoal({
+      name: e.target.name.value.trim(),
+      targetAmount,
+      targetDate: e.target.targetDate.value || null,
+      initialAmount,
+      monthlyContribution,
+      rolloverShare: Number(e.target.rolloverShare.value || 0)
+    });
+    e.target.reset();
+  };
+
+  const totalShare = goals.reduce((acc, goal) => acc + (Number(goal.rolloverShare) || 0), 0);
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto">
+        <div className="flex items-center gap-3 mb-6">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('Metas')}</h2>
+            <p className="text-sm text-slate-500 capitalize">{monthLabel}</p>
+          </div>
+        </div>
+
+        <div className="space-y-3 mb-4">
+          {goals.map(goal => (
+            <Card key={goal.id} className="py-4 px-5">
+              <GoalProgress goal={goal} progress={progressById[goal.id]} />
+              <p className="text-xs text-slate-400 mt-2">
+                {t('Todo mês: {amount} + {share}% da sobra', { amount: formatMoney(goal.monthlyContribution || 0), share: goal.rolloverShare || 0 })}
+                {monthContributions[goal.id] > 0 && ` · ${t('este mês: {amount}', { amount: formatMoney(monthContributions[goal.id]) })}`}
+              </p>
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  const amount = readMoneyField(e.target.amount, { allowNegative: true });
+                  if (amount === null) return;
+                  onContribute(goal.id, amount);
+                  e.target.reset();
+                }}
+                className="flex gap-2 mt-3"
+              >
+                <input name="amount" {...MONEY_INPUT_PROPS} placeholder={t('Guardar (ou retirar com -)')} className="flex-1 px-3 py-2 border rounded-lg text-sm" required />
+                <button className="bg-sky-600 text-white p-2 rounded-lg" aria-label={t('Guardar')}><PiggyBank size={18}/></button>
+                <button type="button" onClick={() => onDeleteGoal(goal.id)} className="p-2 text-slate-400 hover:text-red-500" aria-label={t('Excluir')}><Trash2 size={18}/></button>
+              </form>
+            </Card>
+          ))}
+          {goals.length === 0 && (
+            <p className="text-sm text-slate-400 text-center py-6">{t('Nenhuma meta criada. Que tal uma reserva de emergência?')}</p>
+          )}
+          {totalShare > 100 && (
+            <p className="text-xs text-amber-600 text-center">{t('As metas somam {share}% da sobra; cada uma recebe sua parte proporcional.', { share: totalShare })}</p>
+          )}
+        </div>
+
+        <Card>
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{t('Nova meta')}</p>
+          <form onSubmit={handleAddGoal} className="space-y-2">
+            <input name="name" placeholder={t('Nome (Ex: Reserva de emergência)')} className="w-full px-3 py-2 border rounded-lg text-sm" required />
+            <div className="flex gap-2">
+              <input name="targetAmount" {...MONEY_INPUT_PROPS} placeholder={t('Valor alvo')} className="flex-1 px-3 py-2 border rounded-lg text-sm" required />
+              <input name="targetDate" type="month" className="flex-1 px-3 py-2 border rounded-lg text-sm" title={t('Até quando')} />
+            </div>
+            <div className="flex gap-2">
+              <input name="initialAmount" {...MONEY_INPUT_PROPS} placeholder={t('Já tenho')} className="flex-1 px-3 py-2 border rounded-lg text-sm" />
+              <input name="monthlyContribution" {...MONEY_INPUT_PROPS} placeholder={t('Fixo/mês')} className="flex-1 px-3 py-2 border rounded-lg text-sm" />
+              <input name="rolloverShare" type="number" min="0" max="100" placeholder={t('% sobra')} className="w-20 px-3 py-2 border rounded-lg text-sm" />
+            </div>
+            <button className="w-full flex items-center justify-center gap-2 py-2 bg-sky-600 text-white rounded-lg text-sm font-semibold">
+              <Plus size={16}/> {t('Criar meta')}
+            </button>
+          </form>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+// Fechar (ou reabrir) o mês: resumo, pendências e o que muda nos meses seguintes
+const MonthClosing = ({ monthLabel, ledger, closing, categories, pendingBillsCount, estimatedCount, laterDiffs, onConfirm, onBack }) => {
+  const isClosed = isMonthClosed(ledger);
+  const getCategoryName = (categoryId) => getCategoryLabel(categories, categoryId);
+  const carryoverEntries = Object.entries(closing.carryover).filter(([, value]) => value !== 0);
+
+  const summaryRows = [
+    [t('Renda'), closing.income],
+    [t('Herdado do mês anterior'), Number(ledger.rollover || 0)],
+    [t('Gastos'), -closing.expenses],
+    [t('Guardado em metas'), -closing.saved]
+  ];
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto">
+        <div className="flex items-center gap-3 mb-6">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{isClosed ? t('Mês Fechado') : t('Fechar Mês')}</h2>
+            <p className="text-sm text-slate-500 capitalize">{monthLabel}</p>
+          </div>
+        </div>
+
+        {/* Resumo */}
+        <Card className="mb-4">
+          <div className="space-y-1 text-sm">
+            {summaryRows.map(([label, value]) => (
+              <div key={label} className="flex justify-between">
+                <span className="text-slate-500">{label}</span>
+                <span className={`font-semibold ${value < 0 ? 'text-red-500' : 'text-slate-700'}`}>{formatMoney(value)}</span>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between pt-3 mt-3 border-t border-slate-100 text-sm font-bold">
+            <span className="text-slate-700">{t('Passa para o próximo mês')}</span>
+            <span className={closing.rollover < 0 ? 'text-red-500' : 'text-emerald-600'}>{formatMoney(closing.rollover)}</span>
+          </div>
+          {carryoverEntries.length > 0 && (
+            <div className="mt-3 space-y-1">
+              <p className="text-xs font-bold text-slate-400 uppercase tracking-wider">{t('Saldo das categorias')}</p>
+              {carryoverEntries.map(([categoryId, value]) => (
+                <div key={categoryId} className="flex justify-between text-xs">
+                  <span className="text-slate-500">{getCategoryName(categoryId)}</span>
+                  <span className={`font-bold ${value < 0 ? 'text-red-500' : 'text-slate-600'}`}>{formatMoney(value)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {isClosed && (
+            <p className="text-xs text-slate-400 mt-3">{t('Fechado em {day}. Estes valores ficam congelados.', { day: formatDayDisplay(closing.closedAt) })}</p>
+          )}
+        </Card>
+
+        {/* Pendências */}
+        {!isClosed && (pendingBillsCount > 0 || estimatedCount > 0) && (
+          <Card className="mb-4 border-amber-100 bg-amber-50/50 text-sm text-amber-700 space-y-1">
+            {pendingBillsCount > 0 && <p>{pendingBillsCount === 1 ? t('1 conta ainda não foi paga.') : t('{count} contas ainda não foram pagas.', { count: pendingBillsCount })}</p>}
+            {estimatedCount > 0 && <p>{estimatedCount === 1 ? t('1 gasto estimado sem valor real confirmado.') : t('{count} gastos estimados sem valor real confirmado.', { count: estimatedCount })}</p>}
+            <p className="text-xs">{t('Dá para fechar mesmo assim; pagar contas continua liberado depois.')}</p>
+          </Card>
+        )}
+
+        {/* Meses seguintes */}
+        <Card className="mb-4">
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{t('Meses seguintes')}</p>
+          {laterDiffs.length === 0 ? (
+            <p className="text-xs text-slate-400">{t('Nenhum mês seguinte muda.')}</p>
+          ) : (
+            <div className="space-y-2">
+              {laterDiffs.map(({ monthKey, before, after }) => (
+                <div key={monthKey} className="text-sm">
+                  <p className="font-semibold text-slate-700">{formatMonthKeyDisplay(monthKey)}</p>
+                  <div className="flex justify-between text-xs text-slate-500">
+                    <span>{t('Herdado')}</span>
+                    <span>{formatMoney(before.rollover)} → <b className="text-slate-700">{formatMoney(after.rollover)}</b></span>
+                  </div>
+                  <div className="flex justify-between text-xs text-slate-500">
+                    <span>{t('Saldo das categorias')}</span>
+                    <span>{formatMoney(sumValues(before.carryover))} → <b className="text-slate-700">{formatMoney(sumValues(after.carryover))}</b></span>
+                  </div>
+                  {sumValues(before.goalContributions) !== sumValues(after.goalContributions) && (
+                    <div className="flex justify-between text-xs text-slate-500">
+                      <span>{t('Guardado em metas')}</span>
+                      <span>{formatMoney(sumValues(before.goalContributions))} → <b className="text-slate-700">{formatMoney(sumValues(after.goalContributions))}</b></span>
+                    </div>
+                  )}
+                </div>
+              ))}
+              <p className="text-xs text-slate-400">{t('Meses já fechados não são alterados.')}</p>
+            </div>
+          )}
+        </Card>
+
+        {isClosed ? (
+          <>
+            <p className="text-xs text-slate-400 text-center mb-2">{t('Reabrir libera a edição dos lançamentos. Feche de novo depois para congelar os novos valores.')}</p>
+            <Button variant="secondary" onClick={onConfirm}><LockOpen size={16} /> {t('Reabrir mês')}</Button>
+          </>
+        ) : (
+          <Button onClick={onConfirm}><Lock size={16} /> {t('Fechar mês')}</Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Formulário de categoria (criar e editar): nome, teto, grupo, cor e ícone
+const CategoryForm = ({ categories, initial, onSave, onCancel }) => {
+  const [color, setColor] = useState(initial?.color || DEFAULT_CATEGORY_COLOR);
+  const [icon, setIcon] = useState(initial?.icon || 'Tag');
+  const parentOptions = getParentOptions(categories, initial?.id);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const limit = readMoneyField(e.target.limit);
+    if (limit === null) return;
+    onSave({
+      name: e.target.name.value.trim(),
+      limit,
+      parentId: e.target.parentId?.value || null,
+      color,
+      icon
+    });
+    if (!initial) {
+      e.target.reset();
+      setColor(DEFAULT_CATEGORY_COLOR);
+      setIcon('Tag');
+    }
+  };
+
+  const fieldClass = "px-3 py-2 border rounded-lg text-sm bg-white";
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="flex gap-2">
+        <input name="name" defaultValue={initial?.name} placeholder={t('Nome (Ex: Lazer)')} className={`flex-1 min-w-0 ${fieldClass}`} required />
+        <input name="limit" {...MONEY_INPUT_PROPS} defaultValue={initial ? toMoneyInput(initial.limit) : ''} placeholder={t('Teto')} className={`w-24 ${fieldClass}`} required />
+      </div>
+      {parentOptions.length > 0 ? (
+        <select name="parentId" defaultValue={initial?.parentId || ''} className={`w-full ${fieldClass}`}>
+          <option value="">{t('Sem grupo (primeiro nível)')}</option>
+          {parentOptions.map(c => <option key={c.id} value={c.id}>{t('Dentro de {name}', { name: c.name })}</option>)}
+        </select>
+      ) : (
+        initial && <p className="text-xs text-slate-400">{t('Tem subcategorias, então fica no primeiro nível.')}</p>
+      )}
+      <div className="flex flex-wrap gap-1.5">
+        {CATEGORY_COLORS.map(option => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => setColor(option)}
+            aria-label={t('Cor {color}', { color: option })}
+            className={`w-6 h-6 rounded-full ${color === option ? 'ring-2 ring-offset-1 ring-slate-400' : ''}`}
+            style={{ backgroundColor: option }}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1.5">
+        {Object.keys(CATEGORY_ICONS).map(name => (
+          <button key={name} type="button" onClick={() => setIcon(name)} aria-label={t('Ícone {name}', { name })}>
+            {/* Os não escolhidos ficam cinza */}
+            <CategoryIcon category={{ icon: name, color: icon === name ? color : '#cbd5e1' }} />
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        {onCancel && <button type="button" onClick={onCancel} className="flex-1 py-2 bg-slate-100 text-slate-600 rounded-lg text-sm font-semibold">{t('Cancelar')}</button>}
+        <button className="flex-1 py-2 bg-emerald-600 text-white rounded-lg text-sm font-semibold flex items-center justify-center gap-1">
+          {initial ? <><Save size={16} /> {t('Salvar')}</> : <><Plus size={16} /> {t('Criar categoria')}</>}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Categorias: cria, edita, reordena (arrastando ou pelas setas), arquiva e apaga (levando o que
+// apontava para ela para outra categoria). Arquivadas ficam numa lista à parte.
+const CategoryManager = ({ categories, getUsage, onCreate, onUpdate, onArchive, onReorder, onDelete }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+
+  const tree = getCategoryTree(categories);
+  const activeRows = tree.filter(({ category }) => !isArchived(category));
+  const archivedRows = tree.filter(({ category }) => isArchived(category));
+
+  const handleDrop = (targetId) => {
+    const orderedIds = moveCategory(categories, draggedId, targetId);
+    if (orderedIds) onReorder(orderedIds);
+    setDraggedId(null);
+  };
+
+  const handleMove = (categoryId, step) => {
+    const orderedIds = moveCategoryBy(categories, categoryId, step);
+    if (orderedIds) onReorder(orderedIds);
+  };
+
+  const renderDelete = (category) => {
+    const usage = getUsage(category.id);
+    const usedCount = usage.transactions.length + usage.recurringExpenses.length + usage.importRules.length;
+    const replacements = getActiveCategories(categories).filter(c => c.id !== category.id);
+
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      onDelete(category.id, e.target.replacement?.value || null);
+      setDeletingId(null);
+    };
+
+    return (
+      <form onSubmit={handleSubmit} className="bg-red-50 rounded-xl p-3 space-y-2 text-xs text-red-700">
+        <p>
+          {usedCount > 0
+            ? t('Usada em {transactions} lançamentos, {recurring} fixos e {rules} regras.', {
+              transactions: usage.transactions.length, recurring: usage.recurringExpenses.length, rules: usage.importRules.length
+            })
+            : t('Nenhum lançamento usa esta categoria.')}
+          {usage.subcategories.length > 0 && ` ${t('As {count} subcategorias vão para o primeiro nível.', { count: usage.subcategories.length })}`}
+        </p>
+        {usage.closedCount > 0 ? (
+          <>
+            <p className="font-semibold">{t('Tem lançamentos em meses fechados, que não podem mudar. Arquive a categoria em vez de apagar.')}</p>
+            <button type="button" onClick={() => { onArchive(category.id, true); setDeletingId(null); }} className="w-full py-2 bg-white text-slate-700 rounded-lg font-semibold">{t('Arquivar')}</button>
+          </>
+        ) : (
+          <>
+            {usedCount > 0 && (
+              <select name="replacement" className="w-full px-3 py-2 border rounded-lg text-sm bg-white text-slate-700" required>
+                <option value="">{t('Mover tudo para...')}</option>
+                <CategoryOptions categories={replacements} />
+              </select>
+            )}
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setDeletingId(null)} className="flex-1 py-2 bg-white text-slate-600 rounded-lg font-semibold">{t('Cancelar')}</button>
+              <button className="flex-1 py-2 bg-red-600 text-white rounded-lg font-semibold">{t('Apagar')}</button>
+            </div>
+          </>
+        )}
+      </form>
+    );
+  };
+
+  const renderRow = ({ category, depth }) => {
+    if (editingId === category.id) {
+      return (
+        <div key={category.id} className="py-2 border-b border-slate-50 last:border-0">
+          <CategoryForm
+            categories={categories}
+            initial={category}
+            onSave={(fields) => { onUpdate(category.id, fields); setEditingId(null); }}
+            onCancel={() => setEditingId(null)}
+          />
+        </div>
+      );
+    }
+    const archived = isArchived(category);
+    return (
+      <div
+        key={category.id}
+        draggable={!archived}
+        onDragStart={(e) => {
+          // Sem dados no arrasto o Firefox nem começa a arrastar
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', category.id);
+          setDraggedId(category.id);
+        }}
+        onDragEnd={() => setDraggedId(null)}
+        onDragOver={(e) => { if (moveCategory(categories, draggedId, category.id)) e.preventDefault(); }}
+        onDrop={() => handleDrop(category.id)}
+        className={`py-2 border-b border-slate-50 last:border-0 ${depth > 0 ? 'pl-6' : ''} ${draggedId === category.id ? 'opacity-40' : ''}`}
+      >
+        <div className="flex items-center gap-2 text-sm">
+          {!archived && <GripVertical size={14} className="text-slate-300 cursor-grab shrink-0" />}
+          <CategoryIcon category={category} size={12} />
+          <span className={`flex-1 truncate ${archived ? 'text-slate-400' : ''}`}>{category.name}</span>
+          <span className="font-medium text-slate-500">{formatMoney(category.limit)}</span>
+          {!archived && (
+            <>
+              <button onClick={() => handleMove(category.id, -1)} className="p-1 text-slate-400 hover:text-emerald-600" aria-label={t('Subir')}><ChevronUp size={14} /></button>
+              <button onClick={() => handleMove(category.id, 1)} className="p-1 text-slate-400 hover:text-emerald-600" aria-label={t('Descer')}><ChevronDown size={14} /></button>
+            </>
+          )}
+          <button onClick={() => setEditingId(category.id)} className="p-1 text-slate-400 hover:text-emerald-600" aria-label={t('Editar')}><Pencil size={14} /></button>
+          <button onClick={() => onArchive(category.id, !archived)} className="p-1 text-slate-400 hover:text-amber-600" aria-label={archived ? t('Desarquivar') : t('Arquivar')}>
+            {archived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+          </button>
+          <button onClick={() => setDeletingId(deletingId === category.id ? null : category.id)} className="p-1 text-slate-400 hover:text-red-500" aria-label={t('Apagar')}><Trash2 size={14} /></button>
+        </div>
+        {deletingId === category.id && <div className="mt-2">{renderDelete(category)}</div>}
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <div className="mb-4">
+        <CategoryForm categories={categories} onSave={onCreate} />
+      </div>
+      {activeRows.length > 1 && <p className="text-xs text-slate-400 mb-1">{t('Arraste ou use as setas para mudar a ordem.')}</p>}
+      <div>
+        {activeRows.map(renderRow)}
+        {activeRows.length === 0 && <p className="text-xs text-slate-400 text-center">{t('Nenhuma categoria criada.')}</p>}
+      </div>
+      {archivedRows.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-slate-100">
+          <button onClick={() => setShowArchived(!showArchived)} className="text-xs font-semibold text-slate-500 flex items-center gap-1">
+            <Archive size={14} /> {showArchived
+              ? t('Esconder {count} arquivadas', { count: archivedRows.length })
+              : t('Mostrar {count} arquivadas', { count: archivedRows.length })}
+          </button>
+          {showArchived && <div className="mt-2">{archivedRows.map(renderRow)}</div>}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// Orçamento base zero: distribui cada real entre as categorias e move dinheiro entre elas
+const BudgetPlanner = ({ monthLabel, categories, allocations, carryover, getSpent, toBeAssigned, onSetAllocation, onMove, onBack }) => {
+  const handleMove = (e) => {
+    e.preventDefault();
+    const from = e.target.from.value;
+    const to = e.target.to.value;
+    if (from === to) return;
+    const amount = readMoneyField(e.target.amount);
+    if (amount === null) return;
+    onMove(from, to, amount);
+    e.target.reset();
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-6 pb-24">
+      <div className="max-w-md mx-auto">
+        <div className="flex items-center gap-3 mb-6">
+          <button onClick={onBack} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">{t('Distribuir Orçamento')}</h2>
+            <p className="text-sm text-slate-500 capitalize">{monthLabel}</p>
+          </div>
+        </div>
+
+        {/* Falta Distribuir */}
+        <div className={`p-4 rounded-2xl mb-4 text-center ${toBeAssigned === 0 ? 'bg-emerald-50 text-emerald-700' : toBeAssigned > 0 ? 'bg-amber-50 text-amber-700' : 'bg-red-50 text-red-600'}`}>
+          <p className="text-xs uppercase font-bold tracking-wide mb-1">
+            {toBeAssigned < 0 ? t('Distribuído a mais') : t('Falta distribuir')}
+          </p>
+          <p className="text-2xl font-bold">{formatMoney(Math.abs(toBeAssigned))}</p>
+        </div>
+
+        <Card className="mb-4">
+          <div className="space-y-3">
+            {getCategoryTree(categories).map(({ category: cat, depth }) => {
+              const allocation = Number(allocations[cat.id] || 0);
+              const carry = Number(carryover[cat.id] || 0);
+              const available = allocation + carry - getSpent(cat.id);
+              return (
+                <div key={cat.id} className={`py-2 border-b border-slate-50 last:border-0 ${depth > 0 ? 'pl-6' : ''}`}>
+                  <div className="flex items-center gap-2">
+                    <CategoryIcon category={cat} size={12} />
+                    <span className="flex-1 text-sm font-semibold text-slate-700">{cat.name}</span>
+                    <input
+                      key={`${cat.id}-${allocation}`}
+                      {...MONEY_INPUT_PROPS}
+                      defaultValue={toMoneyInput(allocation)}
+                      onBlur={(e) => {
+                        const value = parseMoney(e.target.value);
+                        // Valor inválido volta ao que era
+                        if (value === null) e.target.value = toMoneyInput(allocation);
+                        else if (value !== allocation) onSetAllocation(cat.id, value);
+                      }}
+                      className="w-28 px-3 py-2 border rounded-lg text-sm text-right"
+                      aria-label={t('Distribuído para {name}', { name: cat.name })}
+                    />
+                  </div>
+                  <div className="flex justify-between text-xs text-slate-400 mt-1">
+                    <span>
+                      {carry !== 0 && (
+                        <span className={carry < 0 ? 'text-red-500' : 'text-blue-500'}>
+                          {carry > 0
+                            ? t('Sobra do mês passado: {amount}', { amount: formatMoney(carry) })
+                            : t('Estouro do mês passado: {amount}', { amount: formatMoney(carry) })}
+                        </span>
+                      )}
+                    </span>
+                    <span className={available < 0 ? 'text-red-500 font-bold' : ''}>{t('Disponível: {amount}', { amount: formatMoney(available) })}</span>
+                  </div>
+                </div>
+              );
+            })}
+            {categories.length === 0 && <p className="text-xs text-slate-400 text-center">{t('Nenhuma categoria criada.')}</p>}
+          </div>
+        </Card>
+
+        {/* Mover Dinheiro */}
+        {categories.length > 1 && (
+          <Card>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-3">{t('Mover dinheiro')}</p>
+            <form onSubmit={handleMove} className="space-y-2">
+              <div className="flex items-center gap-2">
+                <select name="from" className="flex-1 px-3 py-2 border rounded-lg text-sm bg-white">
+                  <option value="">{t('Falta distribuir')}</option>
+                  <CategoryOptions categories={categories} includeArchived />
+                </select>
+                <ArrowLeftRight size={16} className="text-slate-400" />
+                <select name="to" className="flex-1 px-3 py-2 border rounded-lg text-sm bg-white" required>
+                  <option value="">{t('Para...')}</option>
+                  <CategoryOptions categories={categories} />
+                </select>
+              </div>
+              <div className="flex gap-2">
+                <input name="amount" {...MONEY_INPUT_PROPS} placeholder={t('Valor')} className="flex-1 px-3 py-2 border rounded-lg text-sm" required />
+                <button className="bg-emerald-600 text-white px-4 rounded-lg text-sm font-semibold">{t('Mover')}</button>
+              </div>
+            </form>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// PARTE 4: O APLICATIVO EM SI (CÓDIGO PRINCIPAL)
+// ============================================================================
+
+export default function ZeroBudgetApp() {
+  
+  // --- BANCO DE DADOS NA MEMÓRIA ---
+  // Aqui é onde o tal "Schema" vive na prática: um objeto só, mudado por ações (store.js)
+  //   categories         Categorias (Lazer, Mercado...)
+  //   recurringExpenses  Gastos Fixos (Aluguel...)
+  //   recurringIncomes   Rendas Fixas (Salário...)
+  //   monthlyLedgers     Dados de cada mês (Renda, Sobra)
+  //   transactions       Todas as despesas já feitas
+  //   importRules        Regras do extrato ("IFOOD" -> Alimentação)
+  //   accounts, transfers, goals
+  const [data, dispatch] = useReducer(reducer, null, createInitialState);
+  const { categories, recurringExpenses, recurringIncomes, monthlyLedgers, transactions, importRules, accounts, transfers, goals, savedFilters } = data;
+  // Moeda base: é dos dados (backup, sincronia e outras abas podem trocá-la) e o
+  // formatMoney a lê na hora, então é aplicada antes de desenhar qualquer valor
+  const baseCurrency = getDataCurrency(data);
+  applyBaseCurrency(baseCurrency);
+
+  // Conexão com o IndexedDB e fotografia do que já está gravado nele
+  const dbRef = useRef(null);
+  const persistedRef = useRef(null);
+
+  // Sincronia entre aparelhos (opcional; sync.js e server/)
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings); // Deste aparelho (localStorage)
+  const [preferences, setPreferences] = useState(getPreferences); // Idioma deste aparelho e moeda base dos dados (i18n.js)
+  const [syncStatus, setSyncStatus] = useState({ state: 'idle' });
+  const dataRef = useRef(data); // Dados atuais para o envio (a sincronia roda fora do render)
+  const syncClockRef = useRef(0); // Maior carimbo já usado ou visto
+  const syncNowRef = useRef(null); // { now, soon } enquanto a sincronia está ligada
+  
+  // --- CONTROLE DA TELA ---
+  const [currentDate, setCurrentDate] = useState(new Date()); 
+  // Controla qual tela aparece (o atalho "Nova Despesa" do app instalado abre direto nela)
+  const [view, setView] = useState(() => getLaunchView(window.location.search) || 'dashboard');
+  const [isLoading, setIsLoading] = useState(true); // O IndexedDB é assíncrono
+  const [storageNotice, setStorageNotice] = useState(null); // Aviso se os dados vieram corrompidos
+  const [isConfirmingReset, setIsConfirmingReset] = useState(false);
+  const [editingRecurringId, setEditingRecurringId] = useState(null);
+  const [today, setToday] = useState(() => new Date()); // Para vencimentos (atualiza de hora em hora)
+
+  // Variáveis auxiliares
+  const currentMonthKey = getMonthKey(currentDate);
+  const currentLedger = monthlyLedgers[currentMonthKey]; // Pega os dados SÓ deste mês atual
+  // Data sugerida nos formulários: hoje, ou o dia 1º quando se está olhando outro mês
+  const defaultDateValue = toDateInputValue(getMonthKey(new Date()) === currentMonthKey ? new Date() : new Date(currentDate.getFullYear(), currentDate.getMonth(), 1));
+
+  // --- SALVAMENTO AUTOMÁTICO (Persistência) ---
+  // Isso garante que se você fechar e abrir de novo, os dados continuam lá
+  // (IndexedDB no db.js; formato, migrações e reparo no storage.js)
+  useEffect(() => {
+    let cancelled = false;
+    loadDatabase().then(({ db, data: loaded, status }) => {
+      if (cancelled) {
+        db?.close();
+        return;
+      }
+      dbRef.current = db;
+      // Fotos de comprovantes de lançamentos que já foram excluídos
+      if (db && (status === 'ok' || status === 'repaired')) {
+        pruneReceipts(db, loaded.transactions).catch(error => console.error('Não foi possível limpar os comprovantes:', error));
+      }
+      persistedRef.current = createSnapshot(loaded);
+      // Dados de antes da moeda morar neles: adotam a que este aparelho usava (o salvamento grava)
+      const legacyCurrency = status !== 'outdated' && !loaded.settings.baseCurrency && loadLegacyBaseCurrency();
+      dispatch(actions.replaceData(legacyCurrency ? { ...loaded, settings: { ...loaded.settings, baseCurrency: legacyCurrency } } : loaded));
+      setStorageNotice(status);
+      setIsLoading(false);
+    }).catch(error => {
+      // Sem dados carregados o app não pode gravar nada: fica na tela de erro até recarregar
+      console.error('Não foi possível abrir os dados:', error);
+      if (!cancelled) setStorageNotice('failed');
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Grava só os registros que mudaram e avisa as outras abas
+  useEffect(() => {
+    if (isLoading) return;
+    const changes = diffSnapshot(persistedRef.current, data);
+    if (Object.keys(changes).length === 0) return;
+
+    // Com a sincronia ligada, cada mudança ganha um carimbo e fica pendente de envio
+    const syncEntries = syncSettings.enabled && dbRef.current
+      ? stampLocalChanges(changes, persistedRef.current, {
+        stamp: (syncClockRef.current = nextStamp(syncClockRef.current)),
+        deviceId: syncSettings.deviceId,
+        member: syncSettings.memberName
+      })
+      : [];
+
+    applyChangesToSnapshot(persistedRef.current, changes);
+    persistChanges(dbRef.current, changes, data, syncEntries)
+      .then(() => {
+        broadcastChanges(changes);
+        if (syncEntries.length > 0) syncNowRef.current?.soon();
+      })
+      .catch(error => console.error('Não foi possível salvar os dados:', error));
+  }, [data, isLoading, syncSettings]);
+
+  useEffect(() => {
+    dataRef.current = data;
+  }, [data]);
+
+  // Envia e recebe: ao abrir, a cada minuto, ao voltar a internet e logo depois de cada mudança.
+  // Sem internet só fica pendente; o app continua funcionando com os dados deste aparelho.
+  useEffect(() => {
+    if (isLoading || !syncSettings.enabled || !dbRef.current) return;
+    let isRunning = false;
+    let timer = null;
+
+    const run = async () => {
+      if (isRunning) return;
+      isRunning = true;
+      setSyncStatus(status => ({ ...status, state: 'syncing' }));
+      try {
+        const result = await runSync(dbRef.current, syncSettings, () => dataRef.current);
+        syncClockRef.current = Math.max(syncClockRef.current, result.clock);
+        // Já está gravado no banco: só aplica aqui (e nas outras abas), sem regravar
+        if (Object.keys(result.changes).length > 0) {
+          applyChangesToSnapshot(persistedRef.current, result.changes);
+          dispatch(actions.applyChanges(result.changes));
+          broadcastChanges(result.changes);
+        }
+        setSyncStatus({
+          state: result.isOutdated ? 'error' : 'idle',
+          message: result.isOutdated ? t('Outro aparelho usa uma versão mais nova do app. Atualize este aparelho.') : null,
+          lastSyncAt: new Date(),
+          pendingCount: result.pendingCount
+        });
+      } catch (error) {
+        setSyncStatus(status => ({ ...status, state: 'error', message: error.message }));
+      } finally {
+        isRunning = false;
+      }
+    };
+
+    // Várias mudanças seguidas viram um envio só
+    syncNowRef.current = {
+      now: run,
+      soon: () => {
+        clearTimeout(timer);
+        timer = setTimeout(run, 3000);
+      }
+    };
+    run();
+    const interval = setInterval(run, 60 * 1000);
+    window.addEventListener('online', run);
+    return () => {
+      syncNowRef.current = null;
+      clearTimeout(timer);
+      clearInterval(interval);
+      window.removeEventListener('online', run);
+    };
+  }, [isLoading, syncSettings]);
+
+  // Sincronia ligada/desligada (ou idioma trocado) em outra aba
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === SYNC_SETTINGS_KEY) setSyncSettings(loadSyncSettings());
+      if (e.key === PREFERENCES_KEY) setPreferences(applyPreferences(loadPreferences()));
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Outra aba gravou algo: aplica só aqueles registros aqui (sem regravar)
+  useEffect(() => {
+    if (isLoading) return;
+    return subscribeToChanges({
+      onChanges: (changes) => {
+        applyChangesToSnapshot(persistedRef.current, changes);
+        dispatch(actions.applyChanges(changes));
+      },
+      onReset: () => window.location.reload()
+    });
+  }, [isLoading]);
+
+  useEffect(() => {
+    clearLaunchView();
+  }, []);
+
+  // Com o app aberto, "hoje" avança sozinho (vira o dia, contas passam a vencer)
+  useEffect(() => {
+    const timer = setInterval(() => setToday(new Date()), 60 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Faturas dos cartões (cada uma vira uma conta a pagar no mês em que vence)
+  const invoices = useMemo(() => buildInvoices(accounts, transactions, transfers), [accounts, transactions, transfers]);
+
+  // Contas atrasadas ou vencendo logo, de qualquer mês
+  const billAlerts = useMemo(() => getBillAlerts([...transactions, ...invoices], today), [transactions, invoices, today]);
+  // Última cotação de cada moeda, sugerida nos campos de valor
+  const lastRates = useMemo(() => getLastExchangeRates([
+    ...Object.values(monthlyLedgers).flatMap(getLedgerIncomes),
+    ...transactions
+  ]), [monthlyLedgers, transactions]);
+
+  // Lembretes do navegador (só se o usuário ativou; cada conta avisa uma vez por dia)
+  useEffect(() => {
+    if (isLoading) return;
+    notifyBills(billAlerts, today, formatMoney);
+  }, [billAlerts, today, isLoading]);
+
+  // --- CÁLCULOS DE TELA ---
+  // As contas do mês (base zero, sobra, metas) ficam no budget.js
+
+  const currentTransactions = useMemo(() => {
+    return getMonthTransactions(transactions, currentMonthKey);
+  }, [transactions, currentMonthKey]);
+
+  const {
+    totalIncome,
+    totalAvailable,
+    totalSaved: totalSavedThisMonth,
+    allocations: currentAllocations,
+    carryover: currentCarryover,
+    spentByCategory,
+    budgetByCategory,
+    // O que foi para as metas não está mais disponível para gastar
+    remaining: remainingBalance,
+    // "Falta distribuir": dinheiro novo (renda + sobra geral) que ainda não tem categoria nem meta
+    toBeAssigned
+  } = buildMonthSummary({ ledger: currentLedger, categories, monthTransactions: currentTransactions });
+
+  const getSpentByCategory = (categoryId) => spentByCategory[categoryId] || 0;
+
+  // No painel, cada grupo soma o gasto e o orçamento das subcategorias (categories.js).
+  // Arquivada só aparece se ainda tiver dinheiro ou gasto no mês.
+  const spentByGroup = rollupByParent(spentByCategory, categories);
+  const budgetByGroup = rollupByParent(budgetByCategory, categories);
+  const dashboardCategories = categories.filter(c => !isArchived(c) || Boolean(spentByGroup[c.id] || budgetByGroup[c.id]));
+  const budgetCategories = categories.filter(c => !isArchived(c) || Boolean(currentAllocations[c.id] || currentCarryover[c.id]));
+
+  const estimatedTransactions = currentTransactions.filter(t => t.isEstimated);
+
+  const currentIncomes = getLedgerIncomes(currentLedger);
+  const currentGoalContributions = currentLedger?.goalContributions || {};
+  // As contas pendentes já saíram do "Restante", mas o dinheiro ainda está na conta:
+  // ele está comprometido. O "Restante" é o dinheiro livre de verdade.
+  const monthBills = getMonthBills([...currentTransactions, ...invoices], currentMonthKey);
+  const committedAmount = getCommittedAmount(monthBills);
+  const accountBalances = getAccountBalances(accounts, { transactions, transfers, monthlyLedgers });
+
+  const goalProgress = Object.fromEntries(goals.map(goal => [goal.id, getGoalProgress(goal, monthlyLedgers, currentMonthKey)]));
+
+  // --- INTERAÇÕES DO USUÁRIO ---
+
+  // Criar um Novo Mês (A Mágica da Automação): rendas e gastos fixos lançados sozinhos,
+  // sobra (ou dívida) do mês passado herdada e parte dela já guardada nas metas (store.js)
+  const startNewMonth = (extraIncome) => {
+    dispatch(actions.startMonth(data, { monthKey: currentMonthKey, extraIncome }));
+    // Veio do atalho "Nova Despesa" com o mês ainda sem plano: segue para o lançamento
+    setView(current => (current === 'add-transaction' ? current : 'dashboard'));
+  };
+
+  const handleMonthChange = (direction) => {
+    const newDate = new Date(currentDate);
+    newDate.setMonth(currentDate.getMonth() + direction);
+    setCurrentDate(newDate);
+    // Ao mudar de mês, o App vai checar sozinho se o mês existe.
+    // Se não existir, vai cair na tela de "Criar Mês" automaticamente.
+  };
+
+  // --- CATEGORIAS (categories.js) ---
+
+  const handleCreateCategory = (fields) => {
+    dispatch(actions.addRecord('categories', { ...fields, order: getNextCategoryOrder(categories), archived: false }));
+  };
+
+  const handleUpdateCategory = (id, fields) => {
+    dispatch(actions.updateRecord('categories', id, fields));
+  };
+
+  // Arquivar um grupo arquiva as filhas; desarquivar uma filha traz o grupo de volta
+  const handleArchiveCategory = (id, archived) => {
+    const category = categories.find(c => c.id === id);
+    const related = archived
+      ? categories.filter(c => c.parentId === id)
+      : categories.filter(c => c.id === category?.parentId);
+    [id, ...related.map(c => c.id)].forEach(categoryId => {
+      dispatch(actions.updateRecord('categories', categoryId, { archived }));
+    });
+  };
+
+  const handleReorderCategories = (orderedIds) => {
+    dispatch(actions.reorderCategories(orderedIds));
+  };
+
+  // O que aponta para a categoria, e quantos desses lançamentos estão em meses fechados
+  // (o reducer não apaga categoria usada em mês fechado)
+  const getCategoryUsageInfo = (id) => {
+    const usage = getCategoryUsage(data, id);
+    return { ...usage, closedCount: usage.transactions.filter(t => isMonthClosed(monthlyLedgers[t.monthKey])).length };
+  };
+
+  const handleDeleteCategory = (id, replacementId) => {
+    dispatch(actions.deleteCategory(id, replacementId));
+  };
+
+  // Cria ou edita um gasto fixo (mudanças valem para os próximos meses novos)
+  const handleSaveRecurring = (fields) => {
+    if (editingRecurringId) {
+      dispatch(actions.updateRecord('recurringExpenses', editingRecurringId, fields));
+      setEditingRecurringId(null);
+    } else {
+      dispatch(actions.addRecord('recurringExpenses', fields));
+    }
+  };
+
+  // Apaga só o modelo; o que já foi lançado nos meses passados continua lá
+  const handleDeleteRecurring = (id) => {
+    if (!confirm(t('Apagar este gasto fixo? Os lançamentos já feitos continuam no histórico.'))) return;
+    dispatch(actions.deleteRecord('recurringExpenses', id));
+    if (editingRecurringId === id) setEditingRecurringId(null);
+  };
+
+  const handleConfirmEstimated = (id, amount) => {
+    handleUpdateTransaction(id, { amount, isEstimated: false });
+  };
+
+  // Mês fechado não aceita mudanças nos lançamentos, rendas e distribuição (avisa e bloqueia;
+  // o reducer também ignora, mas aqui o usuário fica sabendo o porquê)
+  const isLockedMonth = (monthKey) => {
+    if (!isMonthClosed(monthlyLedgers[monthKey])) return false;
+    alert(t('O mês {month} está fechado. Reabra o mês para fazer mudanças.', { month: formatMonthKeyDisplay(monthKey) }));
+    return true;
+  };
+
+  const handleUpdateTransaction = (id, changes) => {
+    const trans = transactions.find(t => t.id === id);
+    const updated = { ...trans, ...changes };
+    // Se a data (ou o cartão) mudou de mês, o lançamento vai junto para o mês certo
+    const targetMonthKey = changes.date || changes.accountId !== undefined ? getTransactionMonthKey(updated, accounts) : trans.monthKey;
+    if (isLockedMonth(trans.monthKey) || isLockedMonth(targetMonthKey)) return;
+    dispatch(actions.updateTransaction(id, changes));
+  };
 
-const Button = ({ onClick, children, variant = 'primary', className = "", disabled=false }) => {
-  const baseStyle = "w-full py-3.5 px-6 rounded-xl font-semibold transition-all flex items-center justify-center gap-2";
-  const variants = {
-    primary: "bg-emerald-600 text-white hover:bg-emerald-700 shadow-emerald-200 shadow-md active:scale-95",
-    secondary: "bg-slate-100 text-slate-700 hover:bg-slate-200 active:scale-95",
-    ghost: "bg-transparent text-emerald-600 hover:bg-emerald-50",
-    danger: "bg-red-50 text-red-600 hover:bg-red-100"
+  // Marca a conta como paga (ou desfaz, se foi engano).
+  // Fatura de cartão é paga com uma transferência da conta de pagamento para o cartão.
+  const handleToggleBillPaid = (bill) => {
+    if (bill.isInvoice) {
+      if (isPendingBill(bill)) {
+        const card = accounts.find(acc => acc.id === bill.accountId);
+        handleCreateTransfer({
+          fromAccountId: getPaymentAccountId(card, accounts),
+          toAccountId: card.id,
+          amount: bill.amount - bill.paidAmount,
+          date: new Date().toISOString(),
+          invoiceMonth: bill.monthKey
+        });
+      } else {
+        dispatch(actions.deleteInvoicePayments(bill.accountId, bill.monthKey));
+      }
+      return;
+    }
+    // Pagar não muda o orçamento, então vale até em mês fechado
+    dispatch(actions.setBillPaid(bill.id, isPendingBill(bill)));
   };
-  return (
-    <button 
-      onClick={onClick} 
-      disabled={disabled}
-      className={`${baseStyle} ${variants[variant]} ${disabled ? 'opacity-50 cursor-not-allowed' : ''} ${className}`}
-    >
-      {children}
-    </button>
-  );
-};
 
-const Input = ({ label, ...props }) => (
-  <div className="mb-4">
-    <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">{label}</label>
-    <input 
-      className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-100 outline-none transition-all text-slate-800 bg-slate-50 focus:bg-white"
-      {...props}
-    />
-  </div>
-);
+  // Abre a agenda no mês da conta mais antiga do aviso (pode ser um mês passado)
+  const handleOpenBillAlerts = () => {
+    const dueDate = new Date(billAlerts[0].dueDate);
+    setCurrentDate(new Date(dueDate.getFullYear(), dueDate.getMonth(), 1));
+    setView('bills');
+  };
 
-// ============================================================================
-// PARTE 3: O APLICATIVO EM SI (CÓDIGO PRINCIPAL)
-// ============================================================================
+  const handleEnableReminders = () => {
+    return requestNotificationPermission().then(permission => {
+      if (permission === 'granted') notifyBills(billAlerts, today, formatMoney);
+      return permission;
+    });
+  };
 
-export default function ZeroBudgetApp() {
-  
-  // --- BANCO DE DADOS NA MEMÓRIA ---
-  // Aqui é onde o tal "Schema" vive na prática
-  
-  const [categories, setCategories] = useState([]); // Categorias (Lazer, Mercado...)
-  const [recurringExpenses, setRecurringExpenses] = useState([]); // Gastos Fixos (Aluguel...)
-  const [monthlyLedgers, setMonthlyLedgers] = useState({}); // Dados de cada mês (Renda, Sobra)
-  const [transactions, setTransactions] = useState([]); // Todas as despesas já feitas
-  
-  // --- CONTROLE DA TELA ---
-  const [currentDate, setCurrentDate] = useState(new Date()); 
-  const [view, setView] = useState('dashboard'); // Controla qual tela aparece
-  const [isFirstLoad, setIsFirstLoad] = useState(true);
+  const handleDeleteTransaction = (id) => {
+    if (isLockedMonth(transactions.find(t => t.id === id)?.monthKey)) return;
+    dispatch(actions.deleteTransaction(id));
+  };
 
-  // Variáveis auxiliares
-  const currentMonthKey = getMonthKey(currentDate);
-  const currentLedger = monthlyLedgers[currentMonthKey]; // Pega os dados SÓ deste mês atual
+  const handleRestoreTransaction = (trans) => {
+    if (isLockedMonth(trans.monthKey)) return;
+    dispatch(actions.addTransactions([trans]));
+  };
 
-  // --- SALVAMENTO AUTOMÁTICO (Persistência) ---
-  // Isso garante que se você fechar e abrir de novo, os dados continuam lá
-  useEffect(() => {
-    const savedData = localStorage.getItem('zeroBudget_MVP_v1');
-    if (savedData) {
-      const parsed = JSON.parse(savedData);
-      setCategories(parsed.categories || []);
-      setRecurringExpenses(parsed.recurringExpenses || []);
-      setMonthlyLedgers(parsed.monthlyLedgers || {});
-      setTransactions(parsed.transactions || []);
-    }
-    setIsFirstLoad(false);
-  }, []);
+  // Quem lançou (nome configurado na sincronia), para o casal saber quem gastou
+  const getCreatedBy = () => (syncSettings.memberName ? { createdBy: syncSettings.memberName } : {});
 
-  useEffect(() => {
-    if (!isFirstLoad) {
-      localStorage.setItem('zeroBudget_MVP_v1', JSON.stringify({
-        categories,
-        recurringExpenses,
-        monthlyLedgers,
-        transactions
-      }));
+  // A foto do comprovante é gravada antes do lançamento (que só guarda o receiptId)
+  const handleAddTransaction = async (trans, receiptFile) => {
+    if (isLockedMonth(trans.monthKey)) return;
+    let receipt = {};
+    if (receiptFile && dbRef.current) {
+      const receiptId = createId();
+      try {
+        await saveReceipt(dbRef.current, receiptId, await shrinkReceiptImage(receiptFile));
+        receipt = { receiptId };
+      } catch (error) {
+        console.error('Não foi possível guardar o comprovante:', error);
+        alert(t('Não foi possível guardar a foto do comprovante. O gasto foi salvo sem ela.'));
+      }
     }
-  }, [categories, recurringExpenses, monthlyLedgers, transactions, isFirstLoad]);
+    dispatch(actions.addTransactions([{ ...trans, ...receipt, ...getCreatedBy() }]));
+    setView('dashboard');
+  };
 
-  // --- INTELIGÊNCIA DO APP (SERVICES) ---
+  const handleLoadReceipt = useCallback((receiptId) => loadReceipt(dbRef.current, receiptId), []);
 
-  // 1. Descobrir se sobrou dinheiro do mês passado
-  const calculateRollover = (targetMonthKey) => {
-    // Matemática de data para achar o mês anterior
-    const [year, month] = targetMonthKey.split('-').map(Number);
-    const prevDate = new Date(year, month - 2); 
-    const prevKey = getMonthKey(prevDate);
-    
-    // Busca dados do mês anterior
-    const prevLedger = monthlyLedgers[prevKey];
+  const handleCreateRecurringIncome = (e) => {
+    e.preventDefault();
+    const amount = readMoneyField(e.target.amount);
+    if (amount === null) return;
+    dispatch(actions.addRecord('recurringIncomes', {
+      source: e.target.source.value,
+      amount
+    }));
+    e.target.reset();
+  };
+
+  const handleSetAllocation = (categoryId, amount) => {
+    if (isLockedMonth(currentMonthKey)) return;
+    dispatch(actions.setAllocation(currentMonthKey, categoryId, amount));
+  };
 
-    if (!prevLedger) return 0; // Se não tem mês anterior, sobra é 0
+  // Move dinheiro entre categorias no meio do mês ('' = falta distribuir)
+  const handleMoveMoney = (fromCategoryId, toCategoryId, amount) => {
+    if (isLockedMonth(currentMonthKey)) return;
+    dispatch(actions.moveMoney(currentMonthKey, fromCategoryId, toCategoryId, amount));
+  };
 
-    // Soma tudo que gastou no mês anterior
-    const prevExpenses = transactions
-      .filter(t => t.monthKey === prevKey)
-      .reduce((acc, t) => acc + Number(t.amount), 0);
+  const handleAddIncome = (income) => {
+    if (isLockedMonth(currentMonthKey)) return;
+    dispatch(actions.addIncome(currentMonthKey, income));
+  };
 
-    // Sobra = (Renda + O que sobrou do outro mês) - Gastos
-    const balance = (prevLedger.income + prevLedger.rollover) - prevExpenses;
-    return Math.max(0, balance); // Só retorna valor positivo
+  const handleDeleteIncome = (id) => {
+    if (isLockedMonth(currentMonthKey)) return;
+    dispatch(actions.deleteIncome(currentMonthKey, id));
   };
 
-  // 2. Criar um Novo Mês (A Mágica da Automação)
-  const startNewMonth = (incomeInput, rolloverInput) => {
-    // Define a renda deste mês novo
-    const newLedger = {
-      income: Number(incomeInput),
-      rollover: Number(rolloverInput),
-      status: 'OPEN'
-    };
+  // Fecha ou reabre o mês atual, já com os meses seguintes recalculados (ver closing.js)
+  const handleSetMonthLedgers = (ledgers) => {
+    dispatch(actions.setMonthLedgers(ledgers));
+    setView('dashboard');
+  };
 
-    // Salva a renda no banco
-    setMonthlyLedgers(prev => ({
-      ...prev,
-      [currentMonthKey]: newLedger
-    }));
+  const handleCreateAccount = (fields) => {
+    dispatch(actions.addRecord('accounts', fields));
+  };
+
+  // Apaga só a conta; os lançamentos continuam no histórico, sem conta
+  const handleDeleteAccount = (id) => {
+    if (!confirm(t('Apagar esta conta? Os lançamentos continuam no histórico, mas sem conta (e a fatura some, se for cartão).'))) return;
+    dispatch(actions.deleteRecord('accounts', id));
+  };
 
-    // PEGA OS GASTOS FIXOS E CRIA SOZINHO (Aqui está a automação!)
-    const autoTransactions = recurringExpenses.map(model => ({
-      id: Date.now() + Math.random().toString(), // ID único
-      monthKey: currentMonthKey,
-      categoryId: model.categoryId,
-      amount: model.amount,
-      description: `${model.name} (Fixo Recorrente)`,
-      date: new Date().toISOString(),
-      isFixed: true
+  // Transferência para cartão sem fatura indicada paga a fatura que vence no mês atual
+  const handleCreateTransfer = (fields) => {
+    const toAccount = accounts.find(acc => acc.id === fields.toAccountId);
+    dispatch(actions.addRecord('transfers', {
+      monthKey: getMonthKey(new Date(fields.date)),
+      invoiceMonth: isCreditCard(toAccount) ? currentMonthKey : null,
+      ...fields
     }));
+  };
 
-    // Adiciona essas despesas automáticas na lista
-    setTransactions(prev => [...prev, ...autoTransactions]);
-    
-    // Volta pra tela principal
-    setView('dashboard');
+  const handleDeleteTransfer = (id) => {
+    dispatch(actions.deleteRecord('transfers', id));
   };
 
-  // --- CÁLCULOS DE TELA ---
+  const handleCreateGoal = (fields) => {
+    dispatch(actions.addRecord('goals', fields));
+  };
 
-  const currentTransactions = useMemo(() => {
-    return transactions.filter(t => t.monthKey === currentMonthKey);
-  }, [transactions, currentMonthKey]);
+  // Apaga só a meta; o que cada mês guardou continua registrado nos meses
+  const handleDeleteGoal = (id) => {
+    if (!confirm(t('Apagar esta meta? Para usar o dinheiro guardado, retire antes (valor negativo) no mês em que for gastar.'))) return;
+    dispatch(actions.deleteRecord('goals', id));
+  };
 
-  const getSpentByCategory = (categoryId) => {
-    return currentTransactions
-      .filter(t => t.categoryId === categoryId)
-      .reduce((acc, curr) => acc + Number(curr.amount), 0);
+  // Depósito (ou retirada, se negativo) avulso numa meta, neste mês.
+  // Retirar devolve o dinheiro para o "Falta distribuir" do mês.
+  const handleContributeToGoal = (goalId, amount) => {
+    if (isLockedMonth(currentMonthKey)) return;
+    dispatch(actions.contributeToGoal(currentMonthKey, goalId, amount));
   };
 
-  const totalSpent = currentTransactions.reduce((acc, curr) => acc + Number(curr.amount), 0);
-  const totalAvailable = (currentLedger?.income || 0) + (currentLedger?.rollover || 0);
-  const remainingBalance = totalAvailable - totalSpent;
+  const handleCreateImportRule = ({ pattern, categoryId }) => {
+    dispatch(actions.addRecord('importRules', { pattern, categoryId }));
+  };
 
-  // --- INTERAÇÕES DO USUÁRIO ---
+  const handleDeleteImportRule = (id) => {
+    dispatch(actions.deleteRecord('importRules', id));
+  };
 
-  const handleMonthChange = (direction) => {
-    const newDate = new Date(currentDate);
-    newDate.setMonth(currentDate.getMonth() + direction);
-    setCurrentDate(newDate);
-    // Ao mudar de mês, o App vai checar sozinho se o mês existe.
-    // Se não existir, vai cair na tela de "Criar Mês" automaticamente.
+  // --- BUSCA (search.js) ---
+
+  // Devolve o id para a busca já marcar o filtro recém-salvo
+  const handleSaveFilter = (name, filter) => {
+    const action = actions.addRecord('savedFilters', { name, filter });
+    dispatch(action);
+    return action.record.id;
   };
 
-  const handleCreateCategory = (e) => {
-    e.preventDefault();
-    const newCat = {
-      id: Date.now().toString(),
-      name: e.target.name.value,
-      limit: Number(e.target.limit.value)
-    };
-    setCategories([...categories, newCat]);
-    e.target.reset();
+  const handleDeleteFilter = (id) => {
+    dispatch(actions.deleteRecord('savedFilters', id));
   };
 
-  const handleCreateRecurring = (e) => {
-    e.preventDefault();
-    const newRec = {
-      id: Date.now().toString(),
-      name: e.target.name.value,
-      amount: Number(e.target.amount.value),
-      categoryId: e.target.category.value
-    };
-    setRecurringExpenses([...recurringExpenses, newRec]);
-    e.target.reset();
+  // Resultado da busca -> lançamentos daquele mês
+  const handleOpenSearchMonth = (monthKey) => {
+    const [year, month] = monthKey.split('-').map(Number);
+    setCurrentDate(new Date(year, month - 1, 1));
+    setView('history');
+  };
+
+  // Linhas aceitas do extrato viram lançamentos normais, no mês da data de lançamento.
+  // Linhas de meses fechados ficam de fora (com aviso).
+  const handleImportStatement = (rows) => {
+    const openRows = rows.filter(row => !isMonthClosed(monthlyLedgers[getMonthKey(new Date(row.date))]));
+    if (openRows.length < rows.length) {
+      alert(t('{count} lançamento(s) caem em meses fechados e não foram importados.', { count: rows.length - openRows.length }));
+    }
+    dispatch(actions.addTransactions(openRows.map(row => ({
+      monthKey: getMonthKey(new Date(row.date)),
+      categoryId: row.categoryId,
+      amount: row.amount,
+      description: row.description,
+      date: row.date,
+      importId: row.importId,
+      ...getCreatedBy()
+    }))));
+    setView('dashboard');
+  };
+
+  // Troca os dados do app pelos importados; o salvamento automático grava só o que mudou
+  const handleImportData = (imported) => {
+    dispatch(actions.replaceData(imported));
+  };
+
+  // Ligar (ou trocar de servidor) reenvia tudo com o carimbo inicial e recebe tudo
+  // do começo; desligar esquece o que estava pendente. Os dados ficam como estão.
+  const handleSaveSyncSettings = async (settings) => {
+    const db = dbRef.current;
+    const isNewServer = settings.enabled && (!syncSettings.enabled || settings.serverUrl !== syncSettings.serverUrl);
+    try {
+      if (isNewServer || !settings.enabled) await clearSyncState(db);
+      if (isNewServer) await writeChanges(db, {}, stampExistingData(data, { deviceId: settings.deviceId, member: settings.memberName }));
+    } catch (error) {
+      console.error('Não foi possível preparar a sincronia:', error);
+      return;
+    }
+    saveSyncSettings(settings);
+    setSyncSettings(settings);
+    setSyncStatus({ state: 'idle' });
+  };
+
+  // O t() e o formatMoney leem as preferências na hora; trocar o estado redesenha tudo
+  const handleSavePreferences = (next) => {
+    setPreferences(savePreferences(next));
+  };
+
+  // Apaga o banco, o localStorage antigo e recarrega todas as abas abertas
+  const handleResetApp = async () => {
+    broadcastReset();
+    dbRef.current?.close();
+    await deleteDatabase().catch(error => console.error('Não foi possível apagar o banco:', error));
+    localStorage.clear();
+    window.location.reload();
   };
 
   // --- TELAS (VIEWS) ---
 
+  // FALHA AO ABRIR OS DADOS (o carregamento nunca termina, então nada é gravado)
+  if (storageNotice === 'failed') {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-6">
+        <Card className="max-w-md w-full text-center space-y-4">
+          <AlertCircle className="w-10 h-10 text-red-500 mx-auto" />
+          <p className="text-slate-600">{t('Não foi possível abrir os dados salvos. Recarregue para tentar de novo.')}</p>
+          <Button onClick={() => window.location.reload()}>{t('Recarregar')}</Button>
+        </Card>
+      </div>
+    );
+  }
+
+  // CARREGANDO (abrindo o banco de dados)
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <Wallet className="w-12 h-12 text-emerald-600 animate-pulse" />
+      </div>
+    );
+  }
+
+  // DADOS DE UMA VERSÃO MAIS NOVA (outra aba já atualizou o app): este código
+  // não pode mexer neles, então nada aparece até recarregar na versão nova
+  if (storageNotice === 'outdated') {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-6">
+        <Card className="max-w-md w-full text-center space-y-4">
+          <AlertCircle className="w-10 h-10 text-amber-500 mx-auto" />
+          <p className="text-slate-600">{t('Seus dados foram atualizados por uma versão mais nova do app. Recarregue para continuar.')}</p>
+          <Button onClick={() => window.location.reload()}>{t('Recarregar')}</Button>
+        </Card>
+      </div>
+    );
+  }
+
   // TELA 1: CONFIGURAR NOVO MÊS (Aparece se o mês não existe)
   if (!currentLedger && view !== 'settings') {
-    const projectedRollover = calculateRollover(currentMonthKey);
+    const { rollover: projectedRollover, carryover: projectedCarryover } = getMonthOpening(data, currentMonthKey);
+    const dueRecurringCount = expandRecurring(recurringExpenses, currentMonthKey).length;
+    const plannedGoalTotal = sumValues(planContributions(goals, monthlyLedgers, projectedRollover));
+    const carryoverTotal = sumValues(projectedCarryover);
     
     return (
       <div className="min-h-screen bg-slate-50 flex flex-col items-center justify-center p-6">
+        <StorageNotice status={storageNotice} onDismiss={() => setStorageNotice(null)} />
         <div className="w-full max-w-md">
           <div className="text-center mb-6">
             <Calendar className="w-16 h-16 text-emerald-600 mx-auto mb-4 bg-emerald-100 p-4 rounded-2xl" />
-            <h1 className="text-2xl font-bold text-slate-800">Planejar {formatMonthDisplay(currentDate)}</h1>
-            <p className="text-slate-500 mt-2">Vamos configurar o orçamento deste mês.</p>
+            <h1 className="text-2xl font-bold text-slate-800">{t('Planejar {month}', { month: formatMonthDisplay(currentDate) })}</h1>
+            <p className="text-slate-500 mt-2">{t('Vamos configurar o orçamento deste mês.')}</p>
           </div>
 
           <Card>
             <form onSubmit={(e) => {
               e.preventDefault();
-              startNewMonth(e.target.income.value, projectedRollover);
+              const extraIncome = readMoneyField(e.target.income, { optional: true });
+              if (extraIncome !== null) startNewMonth(extraIncome);
             }}>
               
               {/* Card de Sobra do Mês Anterior */}
@@ -242,35 +2978,75 @@ export default function ZeroBudgetApp() {
                 <div className="bg-blue-50 border border-blue-100 p-4 rounded-xl mb-6 flex items-start gap-3">
                   <div className="text-blue-500 mt-1"><Wallet size={20}/></div>
                   <div>
-                    <p className="text-sm font-semibold text-blue-700">Sobrou do mês passado!</p>
+                    <p className="text-sm font-semibold text-blue-700">{t('Sobrou do mês passado!')}</p>
                     <p className="text-lg font-bold text-blue-800">{formatMoney(projectedRollover)}</p>
-                    <p className="text-xs text-blue-600">Este valor será somado à sua renda.</p>
+                    <p className="text-xs text-blue-600">{t('Este valor será somado à sua renda.')}</p>
+                  </div>
+                </div>
+              )}
+
+              {/* Card de Estouro do Mês Anterior (vira dívida) */}
+              {projectedRollover < 0 && (
+                <div className="bg-red-50 border border-red-100 p-4 rounded-xl mb-6 flex items-start gap-3">
+                  <div className="text-red-500 mt-1"><AlertCircle size={20}/></div>
+                  <div>
+                    <p className="text-sm font-semibold text-red-700">{t('O mês passado fechou no vermelho')}</p>
+                    <p className="text-lg font-bold text-red-800">{formatMoney(projectedRollover)}</p>
+                    <p className="text-xs text-red-600">{t('Este valor será descontado da sua renda.')}</p>
                   </div>
                 </div>
               )}
 
+              {/* Card de Sobra/Estouro por Categoria */}
+              {Object.keys(projectedCarryover).length > 0 && (
+                <div className={`p-4 rounded-xl mb-6 border text-sm ${carryoverTotal < 0 ? 'bg-red-50 border-red-100 text-red-700' : 'bg-blue-50 border-blue-100 text-blue-700'}`}>
+                  <p className="font-semibold mb-2">{t('Saldo das categorias no mês passado')}</p>
+                  {categories.filter(c => projectedCarryover[c.id]).map(c => (
+                    <div key={c.id} className="flex justify-between text-xs">
+                      <span>{c.name}</span>
+                      <span className="font-bold">{formatMoney(projectedCarryover[c.id])}</span>
+                    </div>
+                  ))}
+                  <p className="text-xs mt-2 opacity-80">{t('Cada categoria começa o mês com esse saldo somado ao teto.')}</p>
+                </div>
+              )}
+
               <Input 
-                label="Qual sua Renda/Salário este mês?" 
+                label={recurringIncomes.length > 0 ? t('Alguma renda extra este mês?') : t('Qual sua Renda/Salário este mês?')} 
                 name="income" 
-                type="number" 
-                placeholder="0.00" 
+                {...MONEY_INPUT_PROPS}
+                placeholder={toMoneyInput(0)} 
                 autoFocus
-                required
+                required={recurringIncomes.length === 0}
               />
 
-              {recurringExpenses.length > 0 && (
-                <div className="bg-slate-50 p-4 rounded-xl mb-6 border border-slate-100">
-                  <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Automação</p>
-                  <div className="flex items-center gap-2 text-slate-600 text-sm">
-                    <Copy size={16} />
-                    <span>Lançaremos <b>{recurringExpenses.length} gastos fixos</b> automaticamente.</span>
-                  </div>
+              {(dueRecurringCount > 0 || recurringIncomes.length > 0 || plannedGoalTotal > 0) && (
+                <div className="bg-slate-50 p-4 rounded-xl mb-6 border border-slate-100 space-y-1">
+                  <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{t('Automação')}</p>
+                  {recurringIncomes.length > 0 && (
+                    <div className="flex items-center gap-2 text-slate-600 text-sm">
+                      <TrendingUp size={16} />
+                      <span>{t('Lançaremos {count} rendas fixas ({amount}).', { count: recurringIncomes.length, amount: formatMoney(sumAmounts(recurringIncomes)) })}</span>
+                    </div>
+                  )}
+                  {dueRecurringCount > 0 && (
+                    <div className="flex items-center gap-2 text-slate-600 text-sm">
+                      <Copy size={16} />
+                      <span>{t('Lançaremos {count} gastos fixos automaticamente.', { count: dueRecurringCount })}</span>
+                    </div>
+                  )}
+                  {plannedGoalTotal > 0 && (
+                    <div className="flex items-center gap-2 text-slate-600 text-sm">
+                      <PiggyBank size={16} />
+                      <span>{t('Guardaremos {amount} nas suas metas.', { amount: formatMoney(plannedGoalTotal) })}</span>
+                    </div>
+                  )}
                 </div>
               )}
 
               <div className="flex gap-3">
-                <Button variant="secondary" onClick={() => handleMonthChange(-1)} type="button">Voltar Mês</Button>
-                <Button type="submit">Iniciar Mês</Button>
+                <Button variant="secondary" onClick={() => handleMonthChange(-1)} type="button">{t('Voltar Mês')}</Button>
+                <Button type="submit">{t('Iniciar Mês')}</Button>
               </div>
             </form>
           </Card>
@@ -286,156 +3062,390 @@ export default function ZeroBudgetApp() {
         <div className="max-w-md mx-auto">
           <div className="flex items-center gap-3 mb-6">
             <button onClick={() => setView('dashboard')} className="p-2 bg-white rounded-full shadow-sm"><ChevronLeft size={20}/></button>
-            <h2 className="text-xl font-bold text-slate-800">Ajustes Globais</h2>
+            <h2 className="text-xl font-bold text-slate-800">{t('Ajustes Globais')}</h2>
           </div>
 
           <div className="space-y-6">
             {/* Seção Categorias */}
             <section>
-              <h3 className="font-semibold text-slate-600 mb-3 ml-1">1. Categorias (Budget)</h3>
-              <Card>
-                <form onSubmit={handleCreateCategory} className="mb-4">
-                  <div className="flex gap-2">
-                    <input name="name" placeholder="Nome (Ex: Lazer)" className="flex-1 px-3 py-2 border rounded-lg text-sm" required />
-                    <input name="limit" type="number" placeholder="Teto R$" className="w-24 px-3 py-2 border rounded-lg text-sm" required />
-                    <button className="bg-emerald-600 text-white p-2 rounded-lg"><Plus size={18}/></button>
-                  </div>
-                </form>
-                <div className="space-y-2 max-h-40 overflow-y-auto">
-                  {categories.map(cat => (
-                    <div key={cat.id} className="flex justify-between text-sm py-2 border-b border-slate-50 last:border-0">
-                      <span>{cat.name}</span>
-                      <span className="font-medium text-slate-500">{formatMoney(cat.limit)}</span>
-                    </div>
-                  ))}
-                  {categories.length === 0 && <p className="text-xs text-slate-400 text-center">Nenhuma categoria criada.</p>}
-                </div>
-              </Card>
+              <h3 className="font-semibold text-slate-600 mb-3 ml-1">1. {t('Categorias (Budget)')}</h3>
+              <p className="text-xs text-slate-400 mb-2 ml-1">{t('O teto é a sugestão inicial de cada mês novo; ajuste em "Distribuir". Arquivadas somem dos meses novos, mas o histórico continua.')}</p>
+              <CategoryManager
+                categories={categories}
+                getUsage={getCategoryUsageInfo}
+                onCreate={handleCreateCategory}
+                onUpdate={handleUpdateCategory}
+                onArchive={handleArchiveCategory}
+                onReorder={handleReorderCategories}
+                onDelete={handleDeleteCategory}
+              />
             </section>
 
             {/* Seção Modelos Fixos */}
             <section>
-              <h3 className="font-semibold text-slate-600 mb-3 ml-1">2. Gastos Fixos Recorrentes</h3>
-              <p className="text-xs text-slate-400 mb-2 ml-1">Estes gastos aparecerão automaticamente todo mês novo.</p>
+              <h3 className="font-semibold text-slate-600 mb-3 ml-1">2. {t('Gastos Fixos Recorrentes')}</h3>
+              <p className="text-xs text-slate-400 mb-2 ml-1">{t('Estes gastos aparecerão automaticamente nos meses novos em que vencem.')}</p>
               <Card>
                 {categories.length === 0 ? (
-                   <p className="text-sm text-red-400 text-center py-2">Crie categorias primeiro.</p>
+                   <p className="text-sm text-red-400 text-center py-2">{t('Crie categorias primeiro.')}</p>
                 ) : (
-                  <form onSubmit={handleCreateRecurring} className="mb-4 space-y-2">
-                    <input name="name" placeholder="Nome (Ex: Aluguel)" className="w-full px-3 py-2 border rounded-lg text-sm" required />
-                    <div className="flex gap-2">
-                      <input name="amount" type="number" placeholder="Valor" className="w-24 px-3 py-2 border rounded-lg text-sm" required />
-                      <select name="category" className="flex-1 px-3 py-2 border rounded-lg text-sm bg-white" required>
-                        <option value="">Categoria...</option>
-                        {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
-                      </select>
-                      <button className="bg-indigo-600 text-white p-2 rounded-lg"><Save size={18}/></button>
-                    </div>
-                  </form>
+                  <RecurringExpenseForm
+                    key={editingRecurringId || 'new'}
+                    categories={categories}
+                    initial={recurringExpenses.find(rec => rec.id === editingRecurringId)}
+                    defaultStartMonth={currentMonthKey}
+                    onSave={handleSaveRecurring}
+                    onCancel={editingRecurringId ? () => setEditingRecurringId(null) : null}
+                  />
                 )}
                 <div className="space-y-2">
                   {recurringExpenses.map(rec => (
+                    <div key={rec.id} className={`flex justify-between items-center gap-2 text-sm py-2 border-b border-slate-50 last:border-0 ${rec.id === editingRecurringId ? 'bg-indigo-50/50' : ''}`}>
+                      <div className="flex items-center gap-2 min-w-0">
+                         <div className="w-2 h-2 bg-indigo-500 rounded-full shrink-0"></div>
+                         <div className="min-w-0">
+                           <p className="truncate">{rec.name}</p>
+                           <p className="text-xs text-slate-400">{describeRecurring(rec)}</p>
+                         </div>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <span className="font-bold text-slate-600">{formatMoney(rec.amount)}</span>
+                        <button onClick={() => setEditingRecurringId(rec.id)} className="p-1.5 text-slate-400 hover:text-indigo-600" aria-label={t('Editar')}><Pencil size={14}/></button>
+                        <button onClick={() => handleDeleteRecurring(rec.id)} className="p-1.5 text-slate-400 hover:text-red-500" aria-label={t('Excluir')}><Trash2 size={14}/></button>
+                      </div>
+                    </div>
+                  ))}
+                  {recurringExpenses.length === 0 && <p className="text-xs text-slate-400 text-center">{t('Nenhum fixo cadastrado.')}</p>}
+                </div>
+              </Card>
+            </section>
+
+            {/* Seção Rendas Fixas */}
+            <section>
+              <h3 className="font-semibold text-slate-600 mb-3 ml-1">3. {t('Rendas Fixas Recorrentes')}</h3>
+              <p className="text-xs text-slate-400 mb-2 ml-1">{t('Estas rendas entrarão automaticamente todo mês novo.')}</p>
+              <Card>
+                <form onSubmit={handleCreateRecurringIncome} className="mb-4">
+                  <div className="flex gap-2">
+                    <input name="source" placeholder={t('Fonte (Ex: Salário)')} className="flex-1 px-3 py-2 border rounded-lg text-sm" required />
+                    <input name="amount" {...MONEY_INPUT_PROPS} placeholder={t('Valor')} className="w-24 px-3 py-2 border rounded-lg text-sm" required />
+                    <button className="bg-emerald-600 text-white p-2 rounded-lg" aria-label={t('Salvar')}><Save size={18}/></button>
+                  </div>
+                </form>
+                <div className="space-y-2">
+                  {recurringIncomes.map(rec => (
                     <div key={rec.id} className="flex justify-between items-center text-sm py-2 border-b border-slate-50 last:border-0">
                       <div className="flex items-center gap-2">
-                         <div className="w-2 h-2 bg-indigo-500 rounded-full"></div>
-                         <span>{rec.name}</span>
+                         <div className="w-2 h-2 bg-emerald-500 rounded-full"></div>
+                         <span>{rec.source}</span>
                       </div>
                       <span className="font-bold text-slate-600">{formatMoney(rec.amount)}</span>
                     </div>
                   ))}
-                  {recurringExpenses.length === 0 && <p className="text-xs text-slate-400 text-center">Nenhum fixo cadastrado.</p>}
+                  {recurringIncomes.length === 0 && <p className="text-xs text-slate-400 text-center">{t('Nenhuma renda fixa cadastrada.')}</p>}
                 </div>
               </Card>
             </section>
+
+            {/* Seção Sincronia */}
+            <section>
+              <h3 className="font-semibold text-slate-600 mb-3 ml-1">4. {t('Sincronizar entre aparelhos')}</h3>
+              <p className="text-xs text-slate-400 mb-2 ml-1">{t('Lançamentos, categorias, fixos e meses passam por um servidor seu (npm run sync-server). Sem internet, tudo continua funcionando e é enviado depois.')}</p>
+              <SyncSection
+                settings={syncSettings}
+                status={syncStatus}
+                isAvailable={Boolean(dbRef.current)}
+                onSave={handleSaveSyncSettings}
+                onSyncNow={() => syncNowRef.current?.now()}
+              />
+            </section>
+
+            {/* Seção Backup */}
+            <section>
+              <h3 className="font-semibold text-slate-600 mb-3 ml-1">5. {t('Backup')}</h3>
+              <p className="text-xs text-slate-400 mb-2 ml-1">{t('Guarde uma cópia de tudo num arquivo para não perder os dados se o navegador for limpo.')}</p>
+              <BackupSection currentData={data} onImport={handleImportData} />
+            </section>
+
+            {/* Seção Idioma e Moeda */}
+            <section>
+              <h3 className="font-semibold text-slate-600 mb-3 ml-1">6. {t('Idioma e moeda')}</h3>
+              <p className="text-xs text-slate-400 mb-2 ml-1">{t('Vale só para este aparelho.')}</p>
+              <PreferencesSection
+                preferences={{ ...preferences, baseCurrency }}
+                canChangeCurrency={canChangeBaseCurrency(data)}
+                onSave={handleSavePreferences}
+                onChangeCurrency={(currency) => dispatch(actions.setBaseCurrency(currency))}
+              />
+            </section>
             
-            <button 
-              onClick={() => {
-                if(confirm("Tem certeza? Isso apaga TUDO e reinicia o app.")) { localStorage.clear(); window.location.reload(); }
-              }}
-              className="text-red-500 text-sm w-full text-center py-4 border border-red-100 rounded-xl hover:bg-red-50"
-            >
-              <Trash2 size={16} className="inline mr-2"/>
-              Resetar Aplicativo
-            </button>
+            {isConfirmingReset ? (
+              <div className="border border-red-100 rounded-xl p-4 space-y-2 bg-red-50">
+                <p className="text-sm text-red-600 font-semibold text-center">{t('Isso apaga TUDO e reinicia o app.')}</p>
+                <Button variant="primary" onClick={() => {
+                  downloadBackup(data);
+                  // Dá tempo do navegador começar o download antes de recarregar
+                  setTimeout(handleResetApp, 1000);
+                }}>
+                  <Download size={16} /> {t('Baixar backup e apagar')}
+                </Button>
+                <Button variant="danger" onClick={handleResetApp}>{t('Apagar sem backup')}</Button>
+                <Button variant="ghost" onClick={() => setIsConfirmingReset(false)}>{t('Cancelar')}</Button>
+              </div>
+            ) : (
+              <button 
+                onClick={() => setIsConfirmingReset(true)}
+                className="text-red-500 text-sm w-full text-center py-4 border border-red-100 rounded-xl hover:bg-red-50"
+              >
+                <Trash2 size={16} className="inline mr-2"/>
+                {t('Resetar Aplicativo')}
+              </button>
+            )}
           </div>
         </div>
       </div>
     );
   }
 
-  // TELA 3: ADICIONAR DESPESA
+  // TELA 3: HISTÓRICO DE LANÇAMENTOS DO MÊS
+  if (view === 'history') {
+    return (
+      <TransactionHistory
+        monthLabel={formatMonthDisplay(currentDate)}
+        transactions={currentTransactions}
+        categories={categories}
+        accounts={accounts}
+        lastRates={lastRates}
+        isLocked={isMonthClosed(currentLedger)}
+        onUpdate={handleUpdateTransaction}
+        onDelete={handleDeleteTransaction}
+        onRestore={handleRestoreTransaction}
+        onLoadReceipt={handleLoadReceipt}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 3B: BUSCA EM TODOS OS MESES
+  if (view === 'search') {
+    return (
+      <TransactionSearch
+        transactions={transactions}
+        categories={categories}
+        accounts={accounts}
+        savedFilters={savedFilters}
+        onSaveFilter={handleSaveFilter}
+        onDeleteFilter={handleDeleteFilter}
+        onOpenMonth={handleOpenSearchMonth}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 4: RENDAS DO MÊS
+  if (view === 'incomes') {
+    return (
+      <IncomeManager
+        monthLabel={formatMonthDisplay(currentDate)}
+        incomes={currentIncomes}
+        accounts={accounts}
+        lastRates={lastRates}
+        defaultDate={defaultDateValue}
+        onAdd={handleAddIncome}
+        onDelete={handleDeleteIncome}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 5: DISTRIBUIR ORÇAMENTO (Base Zero)
+  if (view === 'budget') {
+    return (
+      <BudgetPlanner
+        monthLabel={formatMonthDisplay(currentDate)}
+        categories={budgetCategories}
+        allocations={currentAllocations}
+        carryover={currentCarryover}
+        getSpent={getSpentByCategory}
+        toBeAssigned={toBeAssigned}
+        onSetAllocation={handleSetAllocation}
+        onMove={handleMoveMoney}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 6: IMPORTAR EXTRATO
+  if (view === 'import') {
+    return (
+      <BankImport
+        categories={categories}
+        rules={importRules}
+        transactions={transactions}
+        onAddRule={handleCreateImportRule}
+        onDeleteRule={handleDeleteImportRule}
+        onImport={handleImportStatement}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 7: RELATÓRIOS
+  if (view === 'reports') {
+    return (
+      <Reports
+        categories={categories}
+        monthlyLedgers={monthlyLedgers}
+        transactions={transactions}
+        endMonthKey={currentMonthKey}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 8: CONTAS DO MÊS (vencimentos)
+  if (view === 'bills') {
+    return (
+      <BillsAgenda
+        monthLabel={formatMonthDisplay(currentDate)}
+        monthKey={currentMonthKey}
+        bills={monthBills}
+        today={today}
+        categories={categories}
+        onTogglePaid={handleToggleBillPaid}
+        onEnableReminders={handleEnableReminders}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 9: CONTAS E CARTÕES
+  if (view === 'accounts') {
+    return (
+      <AccountsManager
+        monthLabel={formatMonthDisplay(currentDate)}
+        accounts={accounts}
+        balances={accountBalances}
+        transfers={transfers.filter(tr => tr.monthKey === currentMonthKey)}
+        defaultDate={defaultDateValue}
+        onAddAccount={handleCreateAccount}
+        onDeleteAccount={handleDeleteAccount}
+        onTransfer={handleCreateTransfer}
+        onDeleteTransfer={handleDeleteTransfer}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 10: METAS DE ECONOMIA
+  if (view === 'goals') {
+    return (
+      <GoalsManager
+        monthLabel={formatMonthDisplay(currentDate)}
+        goals={goals}
+        progressById={goalProgress}
+        monthContributions={currentGoalContributions}
+        onAddGoal={handleCreateGoal}
+        onDeleteGoal={handleDeleteGoal}
+        onContribute={handleContributeToGoal}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 11: FECHAR / REABRIR MÊS
+  if (view === 'closing') {
+    const isClosed = isMonthClosed(currentLedger);
+    const { closing: _frozen, ...openLedger } = currentLedger;
+    const nextLedger = isClosed
+      ? { ...openLedger, status: MONTH_STATUS.OPEN }
+      : { ...currentLedger, status: MONTH_STATUS.CLOSED, closing: buildMonthClosing(currentLedger, currentTransactions) };
+    const { ledgers, diffs } = recalculateLaterMonths({ ...monthlyLedgers, [currentMonthKey]: nextLedger }, transactions, currentMonthKey, goals);
+    return (
+      <MonthClosing
+        monthLabel={formatMonthDisplay(currentDate)}
+        ledger={currentLedger}
+        closing={isClosed ? currentLedger.closing : nextLedger.closing}
+        categories={categories}
+        pendingBillsCount={monthBills.filter(isPendingBill).length}
+        estimatedCount={estimatedTransactions.length}
+        laterDiffs={diffs}
+        onConfirm={() => handleSetMonthLedgers(ledgers)}
+        onBack={() => setView('dashboard')}
+      />
+    );
+  }
+
+  // TELA 12: ADICIONAR DESPESA
   if (view === 'add-transaction') {
      return (
         <div className="fixed inset-0 bg-black/50 z-50 flex items-end sm:items-center justify-center p-4 backdrop-blur-sm">
             <div className="bg-white w-full max-w-md rounded-3xl p-6 animate-in slide-in-from-bottom-10 fade-in">
-                <h3 className="text-xl font-bold mb-4 text-slate-800">Nova Despesa</h3>
-                <form onSubmit={(e) => {
-                    e.preventDefault();
-                    const newTrans = {
-                        id: Date.now().toString(),
-                        monthKey: currentMonthKey,
-                        categoryId: e.target.category.value,
-                        amount: Number(e.target.amount.value),
-                        date: new Date().toISOString()
-                    };
-                    setTransactions([...transactions, newTrans]);
-                    setView('dashboard');
-                }}>
-                    <Input name="amount" type="number" step="0.01" label="Valor Gasto" autoFocus placeholder="0.00" required />
-                    <div className="mb-6">
-                        <label className="block text-sm font-medium text-slate-600 mb-1.5 ml-1">Categoria</label>
-                        <select name="category" className="w-full px-4 py-3 rounded-xl border border-slate-200 bg-white" required>
-                             <option value="">Selecione...</option>
-                             {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
-                        </select>
-                    </div>
-                    <div className="flex gap-3">
-                        <Button type="button" variant="secondary" onClick={() => setView('dashboard')}>Cancelar</Button>
-                        <Button type="submit">Salvar Gasto</Button>
-                    </div>
-                </form>
+                <h3 className="text-xl font-bold mb-4 text-slate-800">{t('Nova Despesa')}</h3>
+                <NewTransactionForm
+                    categories={categories}
+                    accounts={accounts}
+                    transactions={transactions}
+                    lastRates={lastRates}
+                    defaultDate={defaultDateValue}
+                    canAttachReceipt={Boolean(dbRef.current)}
+                    isLockedMonth={isLockedMonth}
+                    onSave={handleAddTransaction}
+                    onCancel={() => setView('dashboard')}
+                />
             </div>
         </div>
      )
   }
 
-  // TELA 4: DASHBOARD (PRINCIPAL)
+  // TELA 13: DASHBOARD (PRINCIPAL)
   return (
     <div className="min-h-screen bg-slate-50 pb-24">
+      <StorageNotice status={storageNotice} onDismiss={() => setStorageNotice(null)} />
+
       {/* CABEÇALHO ESCURO */}
       <div className="bg-slate-900 pt-10 pb-20 px-6 rounded-b-[2.5rem] shadow-lg relative overflow-hidden">
         <div className="max-w-md mx-auto relative z-10 text-white">
           
           {/* Navegador de Meses */}
           <div className="flex items-center justify-between mb-6">
-             <button onClick={() => handleMonthChange(-1)} className="p-2 hover:bg-white/10 rounded-full"><ChevronLeft /></button>
+             <button onClick={() => handleMonthChange(-1)} className="p-2 hover:bg-white/10 rounded-full" aria-label={t('Mês anterior')}><ChevronLeft /></button>
              <h2 className="text-lg font-medium flex items-center gap-2">
-                <Calendar size={18} className="opacity-70"/>
+                {isMonthClosed(currentLedger) ? <Lock size={18} className="opacity-70"/> : <Calendar size={18} className="opacity-70"/>}
                 {formatMonthDisplay(currentDate)}
              </h2>
-             <button onClick={() => handleMonthChange(1)} className="p-2 hover:bg-white/10 rounded-full"><ChevronRight /></button>
+             <button onClick={() => handleMonthChange(1)} className="p-2 hover:bg-white/10 rounded-full" aria-label={t('Próximo mês')}><ChevronRight /></button>
           </div>
 
           {/* Saldo Grande */}
           <div className="text-center mb-6">
-             <p className="text-white/60 text-sm font-medium mb-1">Disponível (Renda + Sobras)</p>
+             <p className="text-white/60 text-sm font-medium mb-1">{t('Disponível (Renda + Sobras)')}</p>
              <h1 className="text-4xl font-bold tracking-tight">{formatMoney(totalAvailable)}</h1>
+             <button onClick={() => setView('incomes')} className="mt-2 text-xs text-white/60 hover:text-white inline-flex items-center gap-1">
+                <TrendingUp size={14} />
+                {currentIncomes.length === 1
+                  ? t('1 renda ({amount}) · Lançar renda', { amount: formatMoney(totalIncome) })
+                  : t('{count} rendas ({amount}) · Lançar renda', { count: currentIncomes.length, amount: formatMoney(totalIncome) })}
+             </button>
           </div>
 
           {/* Cards Rápidos */}
           <div className="grid grid-cols-2 gap-3">
              <div className="bg-white/10 backdrop-blur-md p-3 rounded-2xl border border-white/10">
-                <p className="text-xs text-emerald-300 uppercase font-bold tracking-wide mb-1">Restante</p>
+                <p className="text-xs text-emerald-300 uppercase font-bold tracking-wide mb-1">{t('Livre')}</p>
                 <p className={`text-xl font-semibold ${remainingBalance < 0 ? 'text-red-400' : 'text-white'}`}>
                     {formatMoney(remainingBalance)}
                 </p>
+                {committedAmount > 0 && (
+                    <p className="text-xs text-white/60 mt-1">{t('+ {amount} comprometido', { amount: formatMoney(committedAmount) })}</p>
+                )}
              </div>
              <div className="bg-white/10 backdrop-blur-md p-3 rounded-2xl border border-white/10 flex items-center justify-between cursor-pointer hover:bg-white/20 transition-colors"
                 onClick={() => setView('settings')}
              >
                 <div>
-                    <p className="text-xs text-indigo-300 uppercase font-bold tracking-wide mb-1">Configurar</p>
-                    <p className="text-sm font-medium text-white/90">Categorias & Fixos</p>
+                    <p className="text-xs text-indigo-300 uppercase font-bold tracking-wide mb-1">{t('Configurar')}</p>
+                    <p className="text-sm font-medium text-white/90">{t('Categorias & Fixos')}</p>
                 </div>
                 <Settings size={18} className="text-white/50" />
              </div>
@@ -446,17 +3456,63 @@ export default function ZeroBudgetApp() {
       {/* LISTA DE CATEGORIAS (Corpo) */}
       <div className="max-w-md mx-auto px-6 -mt-10 relative z-20">
          <div className="space-y-3">
-            {categories.map(cat => {
-               const spent = getSpentByCategory(cat.id);
-               const percentage = Math.min((spent / cat.limit) * 100, 100);
-               const isOver = spent > cat.limit;
-               
+            {/* Contas Atrasadas / Vencendo */}
+            {billAlerts.length > 0 && (
+                <BillAlerts bills={billAlerts} today={today} onOpen={handleOpenBillAlerts} />
+            )}
+
+            {/* Fixos com Valor Estimado */}
+            {estimatedTransactions.length > 0 && (
+                <EstimatedConfirmations transactions={estimatedTransactions} onConfirm={handleConfirmEstimated} />
+            )}
+
+            {/* Falta Distribuir */}
+            {categories.length > 0 && (
+                <button
+                    onClick={() => setView('budget')}
+                    className={`w-full flex items-center justify-between p-4 rounded-2xl shadow-sm border text-left ${toBeAssigned === 0 ? 'bg-white border-slate-100' : toBeAssigned > 0 ? 'bg-amber-50 border-amber-100' : 'bg-red-50 border-red-100'}`}
+                >
+                    <div>
+                        <p className={`text-xs uppercase font-bold tracking-wide ${toBeAssigned < 0 ? 'text-red-500' : toBeAssigned > 0 ? 'text-amber-600' : 'text-emerald-600'}`}>
+                            {toBeAssigned === 0 ? t('Tudo distribuído') : toBeAssigned > 0 ? t('Falta distribuir') : t('Distribuído a mais')}
+                        </p>
+                        <p className="text-lg font-bold text-slate-800">{formatMoney(Math.abs(toBeAssigned))}</p>
+                    </div>
+                    <span className="text-sm font-semibold text-slate-500 flex items-center gap-1">
+                        {t('Distribuir')} <ChevronRight size={16} />
+                    </span>
+                </button>
+            )}
+
+            {/* Metas de Economia */}
+            {goals.length > 0 && (
+                <button onClick={() => setView('goals')} className="w-full text-left">
+                    <Card className="py-4 px-5 space-y-3">
+                        <div className="flex justify-between items-center">
+                            <p className="text-xs uppercase font-bold tracking-wide text-sky-600 flex items-center gap-1"><Target size={14} /> {t('Metas')}</p>
+                            {totalSavedThisMonth !== 0 && <p className="text-xs text-slate-400">{t('{amount} guardados este mês', { amount: formatMoney(totalSavedThisMonth) })}</p>}
+                        </div>
+                        {goals.map(goal => <GoalProgress key={goal.id} goal={goal} progress={goalProgress[goal.id]} />)}
+                    </Card>
+                </button>
+            )}
+
+            {getCategoryTree(dashboardCategories).filter(({ depth }) => depth === 0).map(({ category: cat }) => {
+               const spent = spentByGroup[cat.id] || 0;
+               const budget = budgetByGroup[cat.id] || 0;
+               const percentage = budget > 0 ? Math.min((spent / budget) * 100, 100) : (spent > 0 ? 100 : 0);
+               const isOver = spent > budget;
+               const subcategories = getSubcategories(dashboardCategories, cat.id);
+
                return (
                    <Card key={cat.id} className="py-4 px-5">
-                       <div className="flex justify-between mb-2">
-                           <span className="font-semibold text-slate-700">{cat.name}</span>
+                       <div className="flex justify-between items-center mb-2">
+                           <span className="font-semibold text-slate-700 flex items-center gap-2">
+                               <CategoryIcon category={cat} />
+                               {cat.name}
+                           </span>
                            <span className={`text-sm font-bold ${isOver ? 'text-red-500' : 'text-slate-600'}`}>
-                               {formatMoney(spent)} <span className="text-slate-400 font-normal">/ {cat.limit}</span>
+                               {formatMoney(spent)} <span className="text-slate-400 font-normal">/ {formatMoney(budget)}</span>
                            </span>
                        </div>
                        {/* Barra de Progresso */}
@@ -466,16 +3522,112 @@ export default function ZeroBudgetApp() {
                                style={{ width: `${percentage}%` }}
                            />
                        </div>
+                       {/* Subcategorias do grupo */}
+                       {subcategories.length > 0 && (
+                           <div className="mt-3 space-y-1">
+                               {subcategories.map(sub => (
+                                   <div key={sub.id} className="flex justify-between text-xs text-slate-500">
+                                       <span className="flex items-center gap-1.5"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: sub.color || DEFAULT_CATEGORY_COLOR }} />{sub.name}</span>
+                                       <span className={getSpentByCategory(sub.id) > budgetByCategory[sub.id] ? 'text-red-500 font-semibold' : ''}>
+                                           {formatMoney(getSpentByCategory(sub.id))} / {formatMoney(budgetByCategory[sub.id])}
+                                       </span>
+                                   </div>
+                               ))}
+                           </div>
+                       )}
                    </Card>
                )
             })}
             
             {categories.length === 0 && (
                 <div className="text-center py-12 text-slate-400 border-2 border-dashed border-slate-200 rounded-3xl">
-                    <p>Você ainda não configurou categorias.</p>
-                    <button onClick={() => setView('settings')} className="text-emerald-600 font-bold mt-2 hover:underline">Configurar Agora</button>
+                    <p>{t('Você ainda não configurou categorias.')}</p>
+                    <button onClick={() => setView('settings')} className="text-emerald-600 font-bold mt-2 hover:underline">{t('Configurar Agora')}</button>
                 </div>
             )}
+
+            {/* Atalho para o Histórico do Mês */}
+            {currentTransactions.length > 0 && (
+                <button
+                    onClick={() => setView('history')}
+                    className="w-full flex items-center justify-center gap-2 py-3 text-sm font-semibold text-slate-500 hover:text-emerald-600"
+                >
+                    <History size={16} />
+                    {t('Ver {count} lançamentos do mês', { count: currentTransactions.length })}
+                </button>
+            )}
+
+            {/* Atalho para a Busca */}
+            {transactions.length > 0 && (
+                <button
+                    onClick={() => setView('search')}
+                    className="w-full flex items-center justify-center gap-2 py-3 text-sm font-semibold text-slate-500 hover:text-emerald-600"
+                >
+                    <Search size={16} />
+                    {t('Buscar em todos os meses')}
+                </button>
+            )}
+
+            {/* Atalho para as Contas do Mês */}
+            {monthBills.length > 0 && (
+                <button
+                    onClick={() => setView('bills')}
+                    className="w-full flex items-center justify-center gap-2 py-3 text-sm font-semibold text-slate-500 hover:text-emerald-600"
+                >
+                    <CalendarClock size={16} />
+                    {t('Contas do mês ({count} a pagar)', { count: monthBills.filter(isPendingBill).length })}
+                </button>
+            )}
+
+            {/* Atalho para as Metas */}
+            {goals.length === 0 && (
+                <button
+                    onClick={() => setView('goals')}
+                    className="w-full flex items-center justify-center gap-2 py-3 text-sm font-semibold text-slate-500 hover:text-emerald-600"
+                >
+                    <PiggyBank size={16} />
+                    {t('Criar metas de economia')}
+                </button>
+            )}
+
+            {/* Atalho para Contas e Cartões */}
+            <button
+                onClick={() => setView('accounts')}
+                className="w-full flex items-center justify-center gap-2 py-3 text-sm font-semibold text-slate-500 hover:text-emerald-600"
+            >
+                <Landmark size={16} />
+                {accounts.length > 0 ? t('Contas e cartões ({amount})', { amount: formatMoney(sumValues(accountBalances)) }) : t('Cadastrar contas e cartões')}
+            </button>
+
+            {/* Fechar / Reabrir o Mês */}
+            <button
+                onClick={() => setView('closing')}
+                className="w-full flex items-center justify-center gap-2 py-3 text-sm font-semibold text-slate-500 hover:text-emerald-600"
+            >
+                {isMonthClosed(currentLedger) ? <><LockOpen size={16} /> {t('Mês fechado · ver resumo ou reabrir')}</> : <><Lock size={16} /> {t('Fechar o mês')}</>}
+            </button>
+
+            {/* Atalho para Importar Extrato */}
+            {categories.length > 0 && (
+                <button
+                    onClick={() => setView('import')}
+                    className="w-full flex items-center justify-center gap-2 py-3 text-sm font-semibold text-slate-500 hover:text-emerald-600"
+                >
+                    <FileText size={16} />
+                    {t('Importar extrato do banco')}
+                </button>
+            )}
+
+            {/* Atalho para Relatórios */}
+            {categories.length > 0 && (
+                <button
+                    onClick={() => setView('reports')}
+                    className="w-full flex items-center justify-center gap-2 py-3 text-sm font-semibold text-slate-500 hover:text-emerald-600"
+                >
+                    <BarChart3 size={16} />
+                    {t('Relatórios')}
+                </button>
+            )}
          </div>
       </div>
 
@@ -487,7 +3639,7 @@ export default function ZeroBudgetApp() {
                 className="pointer-events-auto bg-slate-900 text-white flex items-center gap-2 px-6 py-4 rounded-full shadow-xl shadow-slate-900/20 hover:scale-105 active:scale-95 transition-all font-semibold"
             >
                 <Plus size={20} />
-                <span>Nova Despesa</span>
+                <span>{t('Nova Despesa')}</span>
             </button>
           </div>
       )}
@@ -0,0 +1,96 @@
+// ============================================================================
+// CONTAS E CARTÕES
+// De onde o dinheiro saiu (corrente, poupança, dinheiro vivo, cartão), saldo
+// de cada conta e faturas de cartão. Compra no cartão entra no orçamento do
+// mês em que a fatura vence, e não no mês da compra.
+// ============================================================================
+
+import { getMonthKey, shiftMonthKey, sumAmounts } from './budget';
+import { getDueDate } from './recurring';
+import { BILL_STATUS, isPendingBill } from './bills';
+import { t } from './i18n';
+
+export const ACCOUNT_TYPES = {
+  checking: { label: 'Conta corrente' },
+  savings: { label: 'Poupança' },
+  cash: { label: 'Dinheiro' },
+  credit: { label: 'Cartão de crédito' }
+};
+
+export const isCreditCard = (account) => account?.type === 'credit';
+
+// Em que mês vence a fatura de uma compra feita nesta data.
+// Compra no dia do fechamento (ou depois) já cai na fatura seguinte.
+export const getInvoiceMonthKey = (card, isoDate) => {
+  const date = new Date(isoDate);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  const closingDay = Math.min(Number(card.closingDay) || 1, lastDay);
+
+  const closingOffset = date.getDate() < closingDay ? 0 : 1;
+  // Vencimento antes do fechamento (ex: fecha 28, vence 5) = vence no mês seguinte ao fechamento
+  const dueOffset = Number(card.dueDay) > Number(card.closingDay) ? 0 : 1;
+  return shiftMonthKey(getMonthKey(date), closingOffset + dueOffset);
+};
+
+// Mês do orçamento de um lançamento: o da fatura (cartão) ou o da data (resto)
+export const getTransactionMonthKey = (transaction, accounts) => {
+  const account = accounts.find(acc => acc.id === transaction.accountId);
+  if (isCreditCard(account)) return getInvoiceMonthKey(account, transaction.date);
+  return getMonthKey(new Date(transaction.date));
+};
+
+// De qual conta sai o pagamento da fatura (a escolhida no cartão ou a primeira que não é cartão)
+export const getPaymentAccountId = (card, accounts) => {
+  if (card.paymentAccountId && accounts.some(acc => acc.id === card.paymentAccountId)) return card.paymentAccountId;
+  return accounts.find(acc => !isCreditCard(acc))?.id || null;
+};
+
+// Faturas de todos os cartões, no formato de conta a pagar (ver bills.js).
+// O valor da fatura é a soma das compras; pagar = transferir para o cartão.
+export const buildInvoices = (accounts, transactions, transfers) => {
+  return accounts.filter(isCreditCard).flatMap(card => {
+    const totals = {};
+    transactions
+      .filter(t => t.accountId === card.id)
+      .forEach(t => { totals[t.monthKey] = (totals[t.monthKey] || 0) + Number(t.amount); });
+
+    return Object.entries(totals)
+      .filter(([, amount]) => amount > 0)
+      .map(([monthKey, amount]) => {
+        const paidAmount = sumAmounts(transfers.filter(tr => tr.toAccountId === card.id && tr.invoiceMonth === monthKey));
+        return {
+          id: `invoice-${card.id}-${monthKey}`,
+          isInvoice: true,
+          accountId: card.id,
+          monthKey,
+          description: t('Fatura {name}', { name: card.name }),
+          amount,
+          paidAmount,
+          dueDate: getDueDate(card, monthKey),
+          status: paidAmount >= amount ? BILL_STATUS.PAID : BILL_STATUS.PENDING
+        };
+      });
+  });
+};
+
+// Saldo de cada conta: saldo inicial + rendas + transferências recebidas
+// − gastos pagos − transferências enviadas. Cartão fica negativo (é dívida).
+// Contas a pagar ainda pendentes não saíram da conta.
+export const getAccountBalances = (accounts, { transactions, transfers, monthlyLedgers }) => {
+  const balances = Object.fromEntries(accounts.map(acc => [acc.id, Number(acc.initialBalance) || 0]));
+  const add = (accountId, amount) => {
+    if (accountId in balances) balances[accountId] = balances[accountId] + amount;
+  };
+
+  Object.values(monthlyLedgers).forEach(ledger => {
+    (ledger.incomes || []).forEach(inc => add(inc.accountId, Number(inc.amount)));
+  });
+  transactions
+    .filter(t => !isPendingBill(t))
+    .forEach(t => add(t.accountId, -Number(t.amount)));
+  transfers.forEach(tr => {
+    add(tr.fromAccountId, -Number(tr.amount));
+    add(tr.toAccountId, Number(tr.amount));
+  });
+  return balances;
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { getInvoiceMonthKey, getTransactionMonthKey, getPaymentAccountId, buildInvoices, getAccountBalances } from './accounts';
+import { BILL_STATUS } from './bills';
+
+const day = (year, month, date) => new Date(year, month - 1, date, 12).toISOString();
+
+const corrente = { id: 'corrente', name: 'Corrente', type: 'checking', initialBalance: 1000 };
+// Fecha dia 28 e vence dia 5 do mês seguinte
+const nubank = { id: 'nubank', name: 'Nubank', type: 'credit', initialBalance: 0, closingDay: 28, dueDay: 5 };
+// Fecha dia 3 e vence dia 10 do mesmo mês
+const inter = { id: 'inter', name: 'Inter', type: 'credit', initialBalance: 0, closingDay: 3, dueDay: 10 };
+const accounts = [corrente, nubank, inter];
+
+describe('getInvoiceMonthKey', () => {
+  it('compra antes do fechamento cai na fatura que vence no mês seguinte', () => {
+    expect(getInvoiceMonthKey(nubank, day(2025, 10, 27))).toBe('2025-11');
+  });
+
+  it('compra no dia do fechamento já vai para a próxima fatura', () => {
+    expect(getInvoiceMonthKey(nubank, day(2025, 10, 28))).toBe('2025-12');
+  });
+
+  it('cartão que vence no mesmo mês do fechamento', () => {
+    expect(getInvoiceMonthKey(inter, day(2025, 10, 2))).toBe('2025-10');
+    expect(getInvoiceMonthKey(inter, day(2025, 10, 15))).toBe('2025-11');
+  });
+
+  it('atravessa a virada do ano', () => {
+    expect(getInvoiceMonthKey(nubank, day(2025, 12, 30))).toBe('2026-02');
+  });
+
+  it('fechamento dia 31 em fevereiro fecha no último dia', () => {
+    const card = { ...nubank, closingDay: 31 };
+    expect(getInvoiceMonthKey(card, day(2026, 2, 27))).toBe('2026-03');
+    expect(getInvoiceMonthKey(card, day(2026, 2, 28))).toBe('2026-04');
+  });
+});
+
+describe('getTransactionMonthKey', () => {
+  it('usa o mês da fatura no cartão e o mês da data no resto', () => {
+    expect(getTransactionMonthKey({ accountId: 'nubank', date: day(2025, 10, 29) }, accounts)).toBe('2025-12');
+    expect(getTransactionMonthKey({ accountId: 'corrente', date: day(2025, 10, 29) }, accounts)).toBe('2025-10');
+    expect(getTransactionMonthKey({ date: day(2025, 10, 29) }, accounts)).toBe('2025-10');
+  });
+});
+
+describe('getPaymentAccountId', () => {
+  it('usa a conta escolhida no cartão ou a primeira que não é cartão', () => {
+    expect(getPaymentAccountId({ ...nubank, paymentAccountId: 'poupanca' }, [...accounts, { id: 'poupanca', type: 'savings' }])).toBe('poupanca');
+    expect(getPaymentAccountId(nubank, accounts)).toBe('corrente');
+    expect(getPaymentAccountId(nubank, [nubank])).toBeNull();
+  });
+});
+
+describe('faturas e saldos', () => {
+  const transactions = [
+    { id: 't1', monthKey: '2025-11', accountId: 'nubank', categoryId: 'c', amount: 120, date: day(2025, 10, 10) },
+    { id: 't2', monthKey: '2025-11', accountId: 'nubank', categoryId: 'c', amount: 80, date: day(2025, 10, 20) },
+    { id: 't3', monthKey: '2025-10', accountId: 'corrente', categoryId: 'c', amount: 50, date: day(2025, 10, 3) },
+    // Conta ainda não paga: não sai do saldo
+    { id: 't4', monthKey: '2025-10', accountId: 'corrente', categoryId: 'c', amount: 300, date: day(2025, 10, 15), dueDate: day(2025, 10, 15), status: BILL_STATUS.PENDING }
+  ];
+  const transfers = [
+    { id: 'p1', monthKey: '2025-11', fromAccountId: 'corrente', toAccountId: 'nubank', amount: 150, date: day(2025, 11, 5), invoiceMonth: '2025-11' }
+  ];
+  const monthlyLedgers = {
+    '2025-10': { incomes: [{ id: 'i1', amount: 2000, accountId: 'corrente' }, { id: 'i2', amount: 500 }] }
+  };
+
+  it('monta a fatura do mês com o valor pago', () => {
+    const [invoice] = buildInvoices(accounts, transactions, transfers);
+    expect(invoice).toMatchObject({
+      id: 'invoice-nubank-2025-11', isInvoice: true, monthKey: '2025-11',
+      amount: 200, paidAmount: 150, status: BILL_STATUS.PENDING, dueDate: day(2025, 11, 5)
+    });
+  });
+
+  it('fatura quitada fica paga', () => {
+    const paid = [...transfers, { ...transfers[0], id: 'p2', amount: 50 }];
+    expect(buildInvoices(accounts, transactions, paid)[0].status).toBe(BILL_STATUS.PAID);
+  });
+
+  it('calcula o saldo de cada conta', () => {
+    const balances = getAccountBalances(accounts, { transactions, transfers, monthlyLedgers });
+    expect(balances).toEqual({ corrente: 1000 + 2000 - 50 - 150, nubank: -200 + 150, inter: 0 });
+  });
+});
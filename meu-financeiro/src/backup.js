@@ -0,0 +1,124 @@
+// ============================================================================
+// BACKUP (exportar / importar JSON)
+// O arquivo leva um cabeçalho com a versão do backup e a versão do schema,
+// então um backup antigo passa pelas mesmas migrações do storage.js.
+// ============================================================================
+
+import { SCHEMA_VERSION, migrate, repairData, hasMoneyData, getDataCurrency } from './storage';
+import { STORES, toEntries, fromEntries } from './db';
+import { t } from './i18n';
+
+const BACKUP_APP = 'zeroBudget';
+export const BACKUP_VERSION = 1;
+
+// Rótulos para a prévia da importação
+export const STORE_LABELS = {
+  categories: 'Categorias',
+  recurringExpenses: 'Gastos fixos',
+  recurringIncomes: 'Rendas fixas',
+  monthlyLedgers: 'Meses',
+  transactions: 'Lançamentos',
+  importRules: 'Regras de importação',
+  accounts: 'Contas e cartões',
+  transfers: 'Transferências',
+  goals: 'Metas',
+  savedFilters: 'Filtros salvos',
+  settings: 'Configurações'
+};
+
+// Monta o conteúdo do arquivo de backup
+export const createBackup = (data, exportedAt = new Date()) => ({
+  app: BACKUP_APP,
+  backupVersion: BACKUP_VERSION,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  data: Object.fromEntries(STORES.map(storeName => [storeName, data[storeName]]))
+});
+
+// Baixa o backup como arquivo .json (ex: "meu-financeiro-backup-2025-10-05.json")
+export const downloadBackup = (data) => {
+  const backup = createBackup(data);
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `meu-financeiro-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Lê e valida o texto de um arquivo de backup. Lança Error com mensagem para o usuário.
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error(t('O arquivo não é um JSON válido.'));
+  }
+
+  if (backup?.app !== BACKUP_APP || !backup.data || typeof backup.data !== 'object') {
+    throw new Error(t('Este arquivo não é um backup do app.'));
+  }
+  if (backup.backupVersion > BACKUP_VERSION || backup.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(t('Este backup foi feito por uma versão mais nova do app. Atualize antes de importar.'));
+  }
+
+  const { data, issues } = repairData(migrate({ ...backup.data, schemaVersion: backup.schemaVersion }));
+  return { data, issues, exportedAt: backup.exportedAt };
+};
+
+// Junta os dados atuais com os importados, sem duplicar: mesmo id (ou mês) fica a versão importada
+export const mergeData = (current, incoming) => {
+  return Object.fromEntries(STORES.map(storeName => {
+    const entries = new Map(toEntries(storeName, current[storeName]));
+    toEntries(storeName, incoming[storeName]).forEach(([key, record]) => entries.set(key, record));
+    return [storeName, fromEntries(storeName, [...entries])];
+  }));
+};
+
+// Moedas base diferentes: juntar somaria valores de uma moeda com os da outra.
+// Devolve { current, incoming } ou null se pode juntar. Backup sem moeda (feito
+// antes da versão 12) conta como se fosse na moeda destes dados.
+export const getCurrencyConflict = (current, incoming) => {
+  const incomingCurrency = incoming.settings?.baseCurrency;
+  if (!incomingCurrency || !hasMoneyData(current) || !hasMoneyData(incoming)) return null;
+  return incomingCurrency === getDataCurrency(current) ? null : { current: getDataCurrency(current), incoming: incomingCurrency };
+};
+
+// Dados depois da importação. Lança Error (com mensagem para o usuário) ao
+// tentar juntar backup de outra moeda; substituir fica com a moeda do backup.
+export const applyImport = (current, incoming, mode) => {
+  const conflict = mode === 'merge' && getCurrencyConflict(current, incoming);
+  if (conflict) {
+    throw new Error(t('O backup está em {incoming} e os seus dados em {current}. Só dá para substituir tudo.', conflict));
+  }
+  // Sem moeda no backup, continua a destes dados
+  const settings = incoming.settings?.baseCurrency || !current.settings?.baseCurrency
+    ? incoming.settings
+    : { ...incoming.settings, baseCurrency: current.settings.baseCurrency };
+  const withSettings = { ...incoming, settings };
+  return mode === 'replace' ? withSettings : mergeData(current, withSettings);
+};
+
+// Prévia do que muda em cada coleção: { loja: { added, updated, removed, unchanged } }
+// mode: 'replace' (apaga o que não está no backup) | 'merge' (só acrescenta/atualiza)
+export const previewImport = (current, incoming, mode) => {
+  return Object.fromEntries(STORES.map(storeName => {
+    const currentEntries = new Map(toEntries(storeName, current[storeName]));
+    const incomingEntries = toEntries(storeName, incoming[storeName]);
+    const incomingKeys = new Set(incomingEntries.map(([key]) => key));
+
+    const summary = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    incomingEntries.forEach(([key, record]) => {
+      if (!currentEntries.has(key)) summary.added++;
+      else if (JSON.stringify(currentEntries.get(key)) !== JSON.stringify(record)) summary.updated++;
+      else summary.unchanged++;
+    });
+    currentEntries.forEach((_record, key) => {
+      if (incomingKeys.has(key)) return;
+      if (mode === 'replace') summary.removed++;
+      else summary.unchanged++;
+    });
+    return [storeName, summary];
+  }));
+};
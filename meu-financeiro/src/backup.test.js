@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { SCHEMA_VERSION } from './storage';
+import { createBackup, parseBackup, mergeData, previewImport, applyImport, BACKUP_VERSION } from './backup';
+
+const categoryDefaults = { color: null, icon: null, parentId: null, archived: false };
+const mercado = { id: '1', name: 'Mercado', limit: 800, order: 0, ...categoryDefaults };
+const lazer = { id: '2', name: 'Lazer', limit: 200, order: 1, ...categoryDefaults };
+
+const currentData = {
+  categories: [mercado, lazer],
+  recurringExpenses: [],
+  recurringIncomes: [],
+  monthlyLedgers: { '2025-10': { incomes: [], rollover: 0, status: 'OPEN' } },
+  transactions: [{ id: 't1', monthKey: '2025-10', categoryId: '1', amount: 50, date: '2025-10-02T12:00:00.000Z' }],
+  importRules: [],
+  accounts: [],
+  transfers: [],
+  goals: [],
+  savedFilters: [],
+  settings: { baseCurrency: 'BRL' }
+};
+
+const incomingData = {
+  ...currentData,
+  categories: [{ ...mercado, limit: 900 }, { id: '3', name: 'Casa', limit: 1000 }],
+  transactions: []
+};
+
+describe('createBackup / parseBackup', () => {
+  it('o backup exportado volta igual', () => {
+    const text = JSON.stringify(createBackup(currentData, new Date('2025-10-05T10:00:00Z')));
+    const { data, issues, exportedAt } = parseBackup(text);
+    expect(issues).toBe(0);
+    expect(exportedAt).toBe('2025-10-05T10:00:00.000Z');
+    expect(data.categories).toEqual(currentData.categories);
+    expect(data.transactions).toEqual(currentData.transactions);
+    expect(data.settings).toEqual({ baseCurrency: 'BRL' });
+  });
+
+  it('leva o cabeçalho com as versões', () => {
+    const backup = createBackup(currentData);
+    expect(backup).toMatchObject({ app: 'zeroBudget', backupVersion: BACKUP_VERSION, schemaVersion: SCHEMA_VERSION });
+  });
+
+  it('migra backups de versões antigas do schema', () => {
+    const oldBackup = {
+      ...createBackup(currentData),
+      schemaVersion: 1,
+      data: { ...currentData, monthlyLedgers: { '2025-09': { income: 3000, rollover: 0 } } }
+    };
+    const { data } = parseBackup(JSON.stringify(oldBackup));
+    expect(data.monthlyLedgers['2025-09'].incomes[0].amount).toBe(300000);
+  });
+
+  it('recusa arquivos que não são backup', () => {
+    expect(() => parseBackup('não é json')).toThrow('JSON válido');
+    expect(() => parseBackup(JSON.stringify({ categories: [] }))).toThrow('não é um backup');
+  });
+
+  it('recusa backups de versões mais novas', () => {
+    const future = { ...createBackup(currentData), schemaVersion: SCHEMA_VERSION + 1 };
+    expect(() => parseBackup(JSON.stringify(future))).toThrow('versão mais nova');
+  });
+});
+
+describe('mergeData', () => {
+  it('junta sem duplicar ids, ficando com a versão importada', () => {
+    const merged = mergeData(currentData, incomingData);
+    expect(merged.categories).toEqual([{ ...mercado, limit: 900 }, lazer, { id: '3', name: 'Casa', limit: 1000 }]);
+    expect(merged.transactions).toEqual(currentData.transactions);
+  });
+});
+
+describe('applyImport', () => {
+  const inDollars = { ...incomingData, settings: { baseCurrency: 'USD' } };
+
+  it('substituir fica com a moeda do backup', () => {
+    expect(applyImport(currentData, inDollars, 'replace').settings).toEqual({ baseCurrency: 'USD' });
+  });
+
+  it('não junta backup de outra moeda com dados que já têm valores', () => {
+    expect(() => applyImport(currentData, inDollars, 'merge')).toThrow('USD');
+    const empty = { ...currentData, categories: [], monthlyLedgers: {}, transactions: [] };
+    expect(applyImport(empty, inDollars, 'merge').settings).toEqual({ baseCurrency: 'USD' });
+  });
+
+  it('backup sem moeda (versão antiga) continua na moeda destes dados', () => {
+    const old = { ...incomingData, settings: {} };
+    const current = { ...currentData, settings: { baseCurrency: 'EUR' } };
+    expect(applyImport(current, old, 'replace').settings).toEqual({ baseCurrency: 'EUR' });
+    expect(applyImport(current, old, 'merge').settings).toEqual({ baseCurrency: 'EUR' });
+  });
+});
+
+describe('previewImport', () => {
+  it('no modo juntar nada é removido', () => {
+    const preview = previewImport(currentData, incomingData, 'merge');
+    expect(preview.categories).toEqual({ added: 1, updated: 1, removed: 0, unchanged: 1 });
+    expect(preview.transactions).toEqual({ added: 0, updated: 0, removed: 0, unchanged: 1 });
+  });
+
+  it('no modo substituir conta o que vai sumir', () => {
+    const preview = previewImport(currentData, incomingData, 'replace');
+    expect(preview.categories).toEqual({ added: 1, updated: 1, removed: 1, unchanged: 0 });
+    expect(preview.transactions.removed).toBe(1);
+    expect(preview.monthlyLedgers).toEqual({ added: 0, updated: 0, removed: 0, unchanged: 1 });
+  });
+});
@@ -0,0 +1,179 @@
+// ============================================================================
+// IMPORTAÇÃO DE EXTRATOS (OFX e CSV)
+// Lê o arquivo do banco e devolve linhas { date, description, amount, importId }.
+// amount é sempre positivo e em centavos (money.js); entradas vêm com isCredit.
+// ============================================================================
+
+import { toCents } from './money';
+import { toDayKey } from './search';
+
+// ============================================================================
+// NÚMEROS E DATAS NO FORMATO DOS BANCOS
+// ============================================================================
+
+// "1.234,56", "-42,50", "R$ 10,00", "1234.56" -> número.
+// Como no parseMoney: ponto seguido de 3 dígitos e sem vírgula é milhar ("1.234" = 1234).
+export const parseBankNumber = (value) => {
+  const cleaned = String(value).replace(/[^\d,.-]/g, '');
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  const isThousandsDot = lastComma === -1 && lastDot !== -1 && cleaned.length - lastDot - 1 === 3;
+  const normalized = lastComma > lastDot || isThousandsDot
+    ? cleaned.replace(/\./g, '').replace(',', '.') // vírgula decimal (padrão brasileiro)
+    : cleaned.replace(/,/g, '');
+  const number = Number(normalized);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Meio-dia local, como no resto do app, para o fuso não trocar o dia
+const toISODate = (year, month, day) => {
+  const date = new Date(Number(year), Number(month) - 1, Number(day), 12);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+export const DATE_FORMATS = {
+  'DD/MM/YYYY': /^(\d{2})\/(\d{2})\/(\d{4})/,
+  'YYYY-MM-DD': /^(\d{4})-(\d{2})-(\d{2})/
+};
+
+export const parseBankDate = (value, format) => {
+  const match = String(value).trim().match(DATE_FORMATS[format]);
+  if (!match) return null;
+  return format === 'DD/MM/YYYY'
+    ? toISODate(match[3], match[2], match[1])
+    : toISODate(match[1], match[2], match[3]);
+};
+
+// ============================================================================
+// OFX
+// Formato SGML: as tags nem sempre fecham, então lemos campo por campo.
+// ============================================================================
+
+const readOfxField = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+export const parseOFX = (text) => {
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+  return blocks.map(block => {
+    const posted = readOfxField(block, 'DTPOSTED'); // ex: 20251005120000[-3:BRT]
+    const amount = parseBankNumber(readOfxField(block, 'TRNAMT'));
+    const description = readOfxField(block, 'MEMO') || readOfxField(block, 'NAME');
+    return {
+      date: toISODate(posted.slice(0, 4), posted.slice(4, 6), posted.slice(6, 8)),
+      description,
+      amount: toCents(Math.abs(amount)),
+      isCredit: amount > 0,
+      importId: readOfxField(block, 'FITID') || null
+    };
+  }).filter(row => row.date && Number.isFinite(row.amount) && row.amount > 0);
+};
+
+// ============================================================================
+// CSV
+// Cada banco exporta de um jeito; o mapeamento de colunas é configurável e os
+// modelos abaixo só preenchem os campos iniciais.
+// ============================================================================
+
+// expenseSign: 'negative' = saídas vêm negativas (extrato de conta)
+//              'positive' = saídas vêm positivas (fatura de cartão)
+export const CSV_PRESETS = {
+  'nubank-cartao': { label: 'Nubank (cartão)', date: 'date', description: 'title', amount: 'amount', dateFormat: 'YYYY-MM-DD', expenseSign: 'positive' },
+  'nubank-conta': { label: 'Nubank (conta)', date: 'Data', description: 'Descrição', amount: 'Valor', dateFormat: 'DD/MM/YYYY', expenseSign: 'negative' },
+  'inter': { label: 'Banco Inter', date: 'Data Lançamento', description: 'Descrição', amount: 'Valor', dateFormat: 'DD/MM/YYYY', expenseSign: 'negative' },
+  'itau': { label: 'Itaú', date: 'data', description: 'lançamento', amount: 'valor', dateFormat: 'DD/MM/YYYY', expenseSign: 'negative' },
+  'bb': { label: 'Banco do Brasil', date: 'Data', description: 'Histórico', amount: 'Valor', dateFormat: 'DD/MM/YYYY', expenseSign: 'negative' }
+};
+
+// Separa uma linha respeitando aspas ("Padaria; Centro" continua um campo só)
+const splitCSVLine = (line, delimiter) => {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && inQuotes && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === delimiter && !inQuotes) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+// Lê o CSV bruto: cabeçalho + linhas. O separador (; ou ,) é detectado pela primeira linha.
+export const readCSV = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { headers: [], rows: [] };
+  const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+  const [headers, ...rows] = lines.map(line => splitCSVLine(line, delimiter));
+  return { headers, rows };
+};
+
+// Sugere o mapeamento: usa o modelo cujas colunas existem no cabeçalho
+export const guessCSVMapping = (headers) => {
+  const normalized = headers.map(h => h.toLowerCase());
+  const preset = Object.entries(CSV_PRESETS).find(([, p]) =>
+    [p.date, p.description, p.amount].every(column => normalized.includes(column.toLowerCase()))
+  );
+  if (!preset) {
+    return { preset: '', date: headers[0] || '', description: headers[1] || '', amount: headers[2] || '', dateFormat: 'DD/MM/YYYY', expenseSign: 'negative' };
+  }
+  const [presetId, { label: _label, ...mapping }] = preset;
+  // Usa o nome da coluna como está no arquivo (maiúsculas/minúsculas)
+  ['date', 'description', 'amount'].forEach(field => {
+    mapping[field] = headers[normalized.indexOf(mapping[field].toLowerCase())];
+  });
+  return { preset: presetId, ...mapping };
+};
+
+export const parseCSV = ({ headers, rows }, mapping) => {
+  const column = (name) => headers.indexOf(name);
+  const dateIndex = column(mapping.date);
+  const descriptionIndex = column(mapping.description);
+  const amountIndex = column(mapping.amount);
+  if ([dateIndex, descriptionIndex, amountIndex].includes(-1)) return [];
+
+  return rows.map(fields => {
+    const value = parseBankNumber(fields[amountIndex] ?? '');
+    const isCredit = mapping.expenseSign === 'negative' ? value > 0 : value < 0;
+    return {
+      date: parseBankDate(fields[dateIndex] ?? '', mapping.dateFormat),
+      description: fields[descriptionIndex] ?? '',
+      amount: toCents(Math.abs(value)),
+      isCredit,
+      importId: null
+    };
+  }).filter(row => row.date && Number.isFinite(row.amount) && row.amount > 0);
+};
+
+// ============================================================================
+// CATEGORIAS AUTOMÁTICAS E DUPLICADOS
+// ============================================================================
+
+// Compara sem acento e sem maiúsculas ("Alimentação" == "alimentacao")
+const normalizeText = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Regra: { pattern: 'IFOOD', categoryId } = "descrição contém IFOOD -> categoria"
+export const matchCategory = (description, rules) => {
+  const text = normalizeText(description);
+  const rule = rules.find(r => r.pattern && text.includes(normalizeText(r.pattern)));
+  return rule ? rule.categoryId : '';
+};
+
+// Já existe lançamento igual? Mesmo FITID do OFX, ou mesmo dia (local, como na busca) + mesmo valor.
+export const findDuplicate = (row, transactions) => {
+  const day = toDayKey(row.date);
+  return transactions.find(t =>
+    (row.importId && t.importId === row.importId) ||
+    (Number(t.amount) === row.amount && toDayKey(t.date) === day)
+  ) || null;
+};
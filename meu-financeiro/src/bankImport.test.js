@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseBankNumber, parseBankDate, parseOFX, readCSV, guessCSVMapping, parseCSV, matchCategory, findDuplicate
+} from './bankImport';
+
+// Data ISO do meio-dia local, como o app grava
+const localNoon = (year, month, day) => new Date(year, month - 1, day, 12).toISOString();
+
+describe('parseBankNumber', () => {
+  it('entende o formato brasileiro', () => {
+    expect(parseBankNumber('1.234,56')).toBe(1234.56);
+    expect(parseBankNumber('-42,50')).toBe(-42.5);
+    expect(parseBankNumber('R$ 10,00')).toBe(10);
+  });
+
+  it('entende o formato com ponto decimal', () => {
+    expect(parseBankNumber('1234.56')).toBe(1234.56);
+    expect(parseBankNumber('-7.9')).toBe(-7.9);
+  });
+
+  it('trata ponto seguido de 3 dígitos, sem vírgula, como milhar', () => {
+    expect(parseBankNumber('1.234')).toBe(1234);
+    expect(parseBankNumber('-1.234.567')).toBe(-1234567);
+    expect(parseBankNumber('R$ 2.500')).toBe(2500);
+    expect(parseBankNumber('12.34')).toBe(12.34);
+  });
+});
+
+describe('parseBankDate', () => {
+  it('lê DD/MM/YYYY e YYYY-MM-DD', () => {
+    expect(parseBankDate('05/10/2025', 'DD/MM/YYYY')).toBe(localNoon(2025, 10, 5));
+    expect(parseBankDate('2025-10-05', 'YYYY-MM-DD')).toBe(localNoon(2025, 10, 5));
+  });
+
+  it('retorna null quando não reconhece a data', () => {
+    expect(parseBankDate('ontem', 'DD/MM/YYYY')).toBeNull();
+  });
+});
+
+describe('parseOFX', () => {
+  // OFX 1.x (SGML): tags sem fechamento, como os bancos brasileiros exportam
+  const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20251005120000[-3:BRT]
+<TRNAMT>-42.50
+<FITID>abc123
+<MEMO>IFOOD *RESTAURANTE
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20251006
+<TRNAMT>1500.00
+<FITID>def456
+<NAME>PIX RECEBIDO
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+  it('lê cada lançamento com data, valor e FITID', () => {
+    const rows = parseOFX(ofx);
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toEqual({
+      date: localNoon(2025, 10, 5),
+      description: 'IFOOD *RESTAURANTE',
+      amount: 4250,
+      isCredit: false,
+      importId: 'abc123'
+    });
+  });
+
+  it('marca entradas como crédito e usa NAME sem MEMO', () => {
+    const [, credit] = parseOFX(ofx);
+    expect(credit).toMatchObject({ description: 'PIX RECEBIDO', amount: 150000, isCredit: true });
+  });
+});
+
+describe('CSV', () => {
+  it('detecta o separador e respeita aspas', () => {
+    const { headers, rows } = readCSV('Data;Descrição;Valor\n05/10/2025;"Padaria; Centro";-12,30\n');
+    expect(headers).toEqual(['Data', 'Descrição', 'Valor']);
+    expect(rows).toEqual([['05/10/2025', 'Padaria; Centro', '-12,30']]);
+  });
+
+  it('reconhece o CSV da fatura do Nubank', () => {
+    const csv = readCSV('date,title,amount\n2025-10-05,Uber,23.90\n2025-10-07,Pagamento recebido,-500.00');
+    const mapping = guessCSVMapping(csv.headers);
+    expect(mapping).toMatchObject({ preset: 'nubank-cartao', date: 'date', expenseSign: 'positive' });
+
+    const rows = parseCSV(csv, mapping);
+    expect(rows[0]).toMatchObject({ description: 'Uber', amount: 2390, isCredit: false });
+    expect(rows[1]).toMatchObject({ amount: 50000, isCredit: true });
+  });
+
+  it('usa o mapeamento informado para CSVs desconhecidos', () => {
+    const csv = readCSV('Quando,O que,Quanto\n05/10/2025,Farmácia,"-1.050,00"');
+    const rows = parseCSV(csv, { date: 'Quando', description: 'O que', amount: 'Quanto', dateFormat: 'DD/MM/YYYY', expenseSign: 'negative' });
+    expect(rows).toEqual([{ date: localNoon(2025, 10, 5), description: 'Farmácia', amount: 105000, isCredit: false, importId: null }]);
+  });
+
+  it('não lê nada se faltar uma coluna', () => {
+    const csv = readCSV('a,b\n1,2');
+    expect(parseCSV(csv, { date: 'a', description: 'b', amount: 'c', dateFormat: 'DD/MM/YYYY' })).toEqual([]);
+  });
+});
+
+describe('matchCategory', () => {
+  const rules = [
+    { id: 'r1', pattern: 'ifood', categoryId: 'alimentacao' },
+    { id: 'r2', pattern: 'Farmácia', categoryId: 'saude' }
+  ];
+
+  it('usa a primeira regra que a descrição contém, sem ligar para acentos e maiúsculas', () => {
+    expect(matchCategory('IFOOD *RESTAURANTE', rules)).toBe('alimentacao');
+    expect(matchCategory('FARMACIA SAO JOAO', rules)).toBe('saude');
+  });
+
+  it('retorna vazio quando nenhuma regra bate', () => {
+    expect(matchCategory('POSTO SHELL', rules)).toBe('');
+  });
+});
+
+describe('findDuplicate', () => {
+  const existing = [
+    { id: 't1', amount: 4250, date: localNoon(2025, 10, 5), importId: null },
+    { id: 't2', amount: 1000, date: localNoon(2025, 10, 1), importId: 'abc123' }
+  ];
+
+  it('acha pelo FITID do OFX', () => {
+    const row = { date: localNoon(2025, 10, 9), amount: 9900, importId: 'abc123' };
+    expect(findDuplicate(row, existing).id).toBe('t2');
+  });
+
+  it('acha pelo mesmo dia e valor', () => {
+    const row = { date: localNoon(2025, 10, 5), amount: 4250, importId: null };
+    expect(findDuplicate(row, existing).id).toBe('t1');
+  });
+
+  it('não confunde valores iguais em dias diferentes', () => {
+    const row = { date: localNoon(2025, 10, 6), amount: 4250, importId: null };
+    expect(findDuplicate(row, existing)).toBeNull();
+  });
+
+  it('compara o dia local, não o dia em UTC (lançamentos de madrugada ou de noite)', () => {
+    const lateNight = [
+      { id: 'cedo', amount: 700, date: new Date(2025, 9, 5, 0, 30).toISOString() },
+      { id: 'tarde', amount: 800, date: new Date(2025, 9, 5, 23, 30).toISOString() }
+    ];
+    expect(findDuplicate({ date: localNoon(2025, 10, 5), amount: 700, importId: null }, lateNight).id).toBe('cedo');
+    expect(findDuplicate({ date: localNoon(2025, 10, 5), amount: 800, importId: null }, lateNight).id).toBe('tarde');
+    expect(findDuplicate({ date: localNoon(2025, 10, 6), amount: 800, importId: null }, lateNight)).toBeNull();
+  });
+});
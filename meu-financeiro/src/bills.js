@@ -0,0 +1,96 @@
+// ============================================================================
+// CONTAS A PAGAR
+// Lançamentos com vencimento (dueDate) são contas: ficam pendentes até serem
+// marcadas como pagas. Os gastos do dia a dia não têm vencimento.
+// ============================================================================
+
+import { t } from './i18n';
+
+export const BILL_STATUS = { PENDING: 'PENDING', PAID: 'PAID' };
+
+// Quantos dias antes do vencimento a conta já aparece como "vence logo"
+export const DUE_SOON_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const isBill = (transaction) => Boolean(transaction.dueDate);
+
+export const isPendingBill = (transaction) => isBill(transaction) && transaction.status !== BILL_STATUS.PAID;
+
+// Dias até o vencimento (negativo = atrasada)
+export const daysUntilDue = (bill, today) => {
+  return Math.round((startOfDay(new Date(bill.dueDate)) - startOfDay(today)) / DAY_MS);
+};
+
+// 'paid' | 'overdue' | 'due-soon' | 'pending'
+export const getBillState = (bill, today, soonDays = DUE_SOON_DAYS) => {
+  if (!isPendingBill(bill)) return 'paid';
+  const days = daysUntilDue(bill, today);
+  if (days < 0) return 'overdue';
+  if (days <= soonDays) return 'due-soon';
+  return 'pending';
+};
+
+// Contas do mês, em ordem de vencimento
+export const getMonthBills = (transactions, monthKey) => {
+  return transactions
+    .filter(t => t.monthKey === monthKey && isBill(t))
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+};
+
+// Contas pendentes (de qualquer mês) atrasadas ou vencendo nos próximos dias
+export const getBillAlerts = (transactions, today, soonDays = DUE_SOON_DAYS) => {
+  return transactions
+    .filter(t => ['overdue', 'due-soon'].includes(getBillState(t, today, soonDays)))
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+};
+
+// Dinheiro comprometido: o que falta pagar das contas do mês
+// (faturas de cartão podem ter sido pagas em parte: paidAmount)
+export const getCommittedAmount = (monthBills) => {
+  return monthBills
+    .filter(isPendingBill)
+    .reduce((acc, bill) => acc + Number(bill.amount) - Number(bill.paidAmount || 0), 0);
+};
+
+// ============================================================================
+// LEMBRETES (Notification API)
+// Só funcionam com o app aberto. Cada conta avisa no máximo uma vez por dia.
+// ============================================================================
+
+const NOTIFIED_KEY = 'zeroBudget_notifiedBills';
+
+export const canNotify = () => typeof Notification !== 'undefined';
+
+export const requestNotificationPermission = () => {
+  if (!canNotify()) return Promise.resolve('denied');
+  return Notification.requestPermission();
+};
+
+export const notifyBills = (alerts, today, formatAmount, storage = globalThis.localStorage) => {
+  if (!canNotify() || Notification.permission !== 'granted') return;
+
+  const todayKey = startOfDay(today).toISOString();
+  let notified = {};
+  try {
+    notified = JSON.parse(storage.getItem(NOTIFIED_KEY)) || {};
+  } catch {
+    notified = {};
+  }
+
+  alerts.filter(bill => notified[bill.id] !== todayKey).forEach(bill => {
+    const days = daysUntilDue(bill, today);
+    const when = days < 0
+      ? t('atrasada há {days} dia(s)', { days: -days })
+      : days === 0 ? t('vence hoje') : t('vence em {days} dia(s)', { days });
+    new Notification(bill.description || t('Conta a pagar'), { body: `${formatAmount(bill.amount)} · ${when}`, tag: bill.id });
+    notified[bill.id] = todayKey;
+  });
+
+  // Guarda só os avisos de hoje (os antigos não servem mais)
+  storage.setItem(NOTIFIED_KEY, JSON.stringify(
+    Object.fromEntries(Object.entries(notified).filter(([, day]) => day === todayKey))
+  ));
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BILL_STATUS, isPendingBill, daysUntilDue, getBillState, getMonthBills, getBillAlerts, getCommittedAmount
+} from './bills';
+
+// Meio-dia local, como o app grava as datas
+const day = (year, month, date) => new Date(year, month - 1, date, 12).toISOString();
+
+const today = new Date(2025, 9, 10, 9); // 10/10/2025, de manhã
+
+const bill = (fields) => ({
+  id: 'b', monthKey: '2025-10', categoryId: 'c', amount: 100,
+  date: fields.dueDate, status: BILL_STATUS.PENDING, isFixed: true, ...fields
+});
+
+describe('daysUntilDue', () => {
+  it('conta dias de calendário, ignorando a hora', () => {
+    expect(daysUntilDue(bill({ dueDate: day(2025, 10, 10) }), today)).toBe(0);
+    expect(daysUntilDue(bill({ dueDate: day(2025, 10, 13) }), today)).toBe(3);
+    expect(daysUntilDue(bill({ dueDate: day(2025, 9, 30) }), today)).toBe(-10);
+  });
+});
+
+describe('getBillState', () => {
+  it('classifica pelas datas e pela situação', () => {
+    expect(getBillState(bill({ dueDate: day(2025, 10, 9) }), today)).toBe('overdue');
+    expect(getBillState(bill({ dueDate: day(2025, 10, 10) }), today)).toBe('due-soon');
+    expect(getBillState(bill({ dueDate: day(2025, 10, 13) }), today)).toBe('due-soon');
+    expect(getBillState(bill({ dueDate: day(2025, 10, 14) }), today)).toBe('pending');
+    expect(getBillState(bill({ dueDate: day(2025, 10, 1), status: BILL_STATUS.PAID }), today)).toBe('paid');
+  });
+
+  it('gastos sem vencimento não são contas pendentes', () => {
+    expect(isPendingBill({ id: 'g', amount: 30, date: day(2025, 10, 1) })).toBe(false);
+  });
+});
+
+describe('listas de contas', () => {
+  const transactions = [
+    bill({ id: 'luz', dueDate: day(2025, 10, 20) }),
+    bill({ id: 'aluguel', dueDate: day(2025, 10, 5), status: BILL_STATUS.PAID }),
+    bill({ id: 'internet', dueDate: day(2025, 10, 12), amount: 99.9 }),
+    bill({ id: 'cartao', monthKey: '2025-09', dueDate: day(2025, 9, 28), amount: 50 }),
+    { id: 'mercado', monthKey: '2025-10', categoryId: 'c', amount: 200, date: day(2025, 10, 3) }
+  ];
+
+  it('lista as contas do mês em ordem de vencimento', () => {
+    expect(getMonthBills(transactions, '2025-10').map(t => t.id)).toEqual(['aluguel', 'internet', 'luz']);
+  });
+
+  it('alerta atrasadas de meses passados e as que vencem logo', () => {
+    expect(getBillAlerts(transactions, today).map(t => t.id)).toEqual(['cartao', 'internet']);
+  });
+
+  it('soma só as contas ainda não pagas como comprometido', () => {
+    const october = transactions.filter(t => t.monthKey === '2025-10');
+    expect(getCommittedAmount(october)).toBeCloseTo(199.9);
+  });
+});
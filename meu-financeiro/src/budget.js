@@ -0,0 +1,112 @@
+// ============================================================================
+// DOMÍNIO DO ORÇAMENTO
+// As regras de base do app: contas com chaves de mês, somas de dinheiro e os
+// totais do mês (base zero). Os outros módulos (fixos, metas, fechamento...)
+// e a tela usam estas funções em vez de refazer as contas.
+// Nada aqui mexe em tela, banco ou relógio.
+// ============================================================================
+
+// ============================================================================
+// CHAVES DE MÊS ("2025-10")
+// ============================================================================
+
+// Chave do mês de uma data (ex: 05/10/2025 -> "2025-10")
+export const getMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// "2025-10" -> número sequencial de meses, para fazer contas
+export const toMonthIndex = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return year * 12 + (month - 1);
+};
+
+// "2025-10" deslocado N meses (ex: -1 -> "2025-09", +3 -> "2026-01")
+export const shiftMonthKey = (monthKey, offset) => {
+  const index = toMonthIndex(monthKey) + offset;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+// Chave do mês anterior (ex: "2025-01" -> "2024-12")
+export const getPrevMonthKey = (monthKey) => shiftMonthKey(monthKey, -1);
+
+// ============================================================================
+// DINHEIRO
+// Todo valor guardado é centavos inteiros (money.js), então as somas são exatas
+// ============================================================================
+
+// Soma o campo amount de uma lista (lançamentos, rendas...)
+export const sumAmounts = (items) => (items || []).reduce((acc, item) => acc + Number(item.amount || 0), 0);
+
+// Soma os valores de um objeto { categoriaId: valor }
+export const sumValues = (obj) => Object.values(obj || {}).reduce((acc, value) => acc + Number(value || 0), 0);
+
+// ============================================================================
+// IDS
+// ============================================================================
+
+// Id único para registros novos. Date.now() + Math.random() podia repetir
+// quando vários registros nascem no mesmo milissegundo (mês novo, importação).
+export const createId = () => {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  // Página aberta sem HTTPS (ex: pelo IP da rede local) não tem randomUUID
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// ============================================================================
+// O MÊS (monthlyLedgers[mês])
+// ============================================================================
+
+// Lista as entradas de renda de um mês
+// (o "income" único dos meses antigos é convertido na migração v2 do storage)
+export const getLedgerIncomes = (ledger) => ledger?.incomes || [];
+
+// Soma todas as rendas do mês
+export const getLedgerIncomeTotal = (ledger) => sumAmounts(getLedgerIncomes(ledger));
+
+// Quanto foi distribuído para cada categoria no mês.
+// Meses antigos não têm distribuição própria; usamos o teto global da categoria.
+export const getLedgerAllocations = (ledger, categories) => {
+  if (ledger?.allocations) return ledger.allocations;
+  return Object.fromEntries(categories.map(c => [c.id, Number(c.limit)]));
+};
+
+// Orçamento da categoria no mês = o que foi distribuído + sobra/estouro do mês passado
+export const getCategoryBudget = (ledger, category) => {
+  if (!ledger?.allocations) return Number(category.limit);
+  return Number(ledger.allocations[category.id] || 0) + Number(ledger.carryover?.[category.id] || 0);
+};
+
+// Lançamentos de um mês
+export const getMonthTransactions = (transactions, monthKey) => transactions.filter(t => t.monthKey === monthKey);
+
+// Todos os totais da tela principal para um mês
+export const buildMonthSummary = ({ ledger, categories, monthTransactions }) => {
+  const totalIncome = getLedgerIncomeTotal(ledger);
+  const rollover = Number(ledger?.rollover || 0);
+  const allocations = getLedgerAllocations(ledger, categories);
+  const carryover = ledger?.carryover || {};
+  const totalSpent = sumAmounts(monthTransactions);
+  // O que foi para as metas não está mais disponível para gastar
+  const totalSaved = sumValues(ledger?.goalContributions);
+  const totalAvailable = totalIncome + rollover + sumValues(carryover);
+
+  const spentByCategory = {};
+  monthTransactions.forEach(t => {
+    spentByCategory[t.categoryId] = (spentByCategory[t.categoryId] || 0) + Number(t.amount);
+  });
+  const budgetByCategory = Object.fromEntries(categories.map(c => [c.id, getCategoryBudget(ledger, c)]));
+
+  return {
+    totalIncome,
+    totalSpent,
+    totalSaved,
+    totalAvailable,
+    allocations,
+    carryover,
+    spentByCategory,
+    budgetByCategory,
+    remaining: totalAvailable - totalSpent - totalSaved,
+    // "Falta distribuir": dinheiro novo (renda + sobra geral) que ainda não tem categoria nem meta
+    toBeAssigned: totalIncome + rollover - sumValues(allocations) - totalSaved
+  };
+};
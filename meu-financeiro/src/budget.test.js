@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getMonthKey, toMonthIndex, shiftMonthKey, getPrevMonthKey, sumAmounts, sumValues, createId,
+  getLedgerIncomeTotal, getLedgerAllocations, getCategoryBudget, buildMonthSummary
+} from './budget';
+
+const categories = [
+  { id: 'mercado', name: 'Mercado', limit: 500 },
+  { id: 'lazer', name: 'Lazer', limit: 100 }
+];
+
+describe('chaves de mês', () => {
+  it('gera a chave pela data local', () => {
+    expect(getMonthKey(new Date(2025, 0, 31, 23, 59))).toBe('2025-01');
+  });
+
+  it('atravessa a virada do ano', () => {
+    expect(shiftMonthKey('2025-01', -1)).toBe('2024-12');
+    expect(shiftMonthKey('2025-11', 3)).toBe('2026-02');
+    expect(getPrevMonthKey('2025-01')).toBe('2024-12');
+  });
+
+  it('anda vários anos de uma vez', () => {
+    expect(shiftMonthKey('2025-06', -30)).toBe('2022-12');
+    expect(shiftMonthKey('2025-06', 24)).toBe('2027-06');
+  });
+
+  it('conta os meses entre duas chaves', () => {
+    expect(toMonthIndex('2026-01') - toMonthIndex('2025-10')).toBe(3);
+  });
+});
+
+describe('somas em centavos', () => {
+  it('dez centavos dez vezes dá um real exato', () => {
+    expect(sumAmounts(Array.from({ length: 10 }, () => ({ amount: 10 })))).toBe(100);
+    expect(sumValues({ a: 1010, b: 2020, c: -30 })).toBe(3000);
+  });
+
+  it('aceita valores em texto e listas vazias', () => {
+    expect(sumAmounts([{ amount: '1250' }, { amount: 750 }])).toBe(2000);
+    expect(sumAmounts(undefined)).toBe(0);
+    expect(sumValues(undefined)).toBe(0);
+  });
+});
+
+describe('createId', () => {
+  it('não repete mesmo gerando muitos de uma vez', () => {
+    const ids = Array.from({ length: 1000 }, createId);
+    expect(new Set(ids).size).toBe(1000);
+  });
+});
+
+describe('o mês', () => {
+  it('mês antigo sem distribuição usa o teto das categorias', () => {
+    expect(getLedgerAllocations({ incomes: [] }, categories)).toEqual({ mercado: 500, lazer: 100 });
+    expect(getCategoryBudget({ incomes: [] }, categories[0])).toBe(500);
+  });
+
+  it('orçamento da categoria soma a sobra/estouro herdado', () => {
+    const ledger = { allocations: { mercado: 45010 }, carryover: { mercado: -30 } };
+    expect(getCategoryBudget(ledger, categories[0])).toBe(44980);
+    expect(getCategoryBudget(ledger, categories[1])).toBe(0);
+  });
+
+  it('gastar tudo não deixa "-R$ 0,00" no livre', () => {
+    const ledger = { incomes: [{ id: 'i', amount: 30 }], rollover: 0, allocations: {} };
+    const summary = buildMonthSummary({ ledger, categories: [], monthTransactions: [{ amount: 10 }, { amount: 20 }] });
+    expect(Object.is(summary.remaining, 0)).toBe(true);
+  });
+
+  it('mês que não existe tem tudo zerado', () => {
+    expect(getLedgerIncomeTotal(undefined)).toBe(0);
+    expect(buildMonthSummary({ ledger: undefined, categories: [], monthTransactions: [] })).toMatchObject({
+      totalIncome: 0, totalAvailable: 0, remaining: 0, toBeAssigned: 0
+    });
+  });
+});
+
+describe('buildMonthSummary', () => {
+  const ledger = {
+    incomes: [{ id: 'i1', amount: 250010 }, { id: 'i2', amount: 49990 }],
+    rollover: -20000,
+    allocations: { mercado: 60000, lazer: 15030 },
+    carryover: { lazer: -3030 },
+    goalContributions: { reserva: 30000 }
+  };
+  const monthTransactions = [
+    { categoryId: 'mercado', amount: 10 },
+    { categoryId: 'mercado', amount: 20 },
+    { categoryId: 'lazer', amount: 12000 }
+  ];
+  const summary = buildMonthSummary({ ledger, categories, monthTransactions });
+
+  it('soma renda, sobra (aqui dívida) e saldo das categorias', () => {
+    expect(summary.totalIncome).toBe(300000);
+    expect(summary.totalAvailable).toBe(276970);
+  });
+
+  it('tira gastos e metas do que está livre', () => {
+    expect(summary.totalSpent).toBe(12030);
+    expect(summary.remaining).toBe(234940);
+  });
+
+  it('calcula o que falta distribuir sem contar o saldo herdado das categorias', () => {
+    expect(summary.toBeAssigned).toBe(174970);
+  });
+
+  it('separa gasto e orçamento por categoria', () => {
+    expect(summary.spentByCategory).toEqual({ mercado: 30, lazer: 12000 });
+    expect(summary.budgetByCategory).toEqual({ mercado: 60000, lazer: 12000 });
+  });
+});
@@ -0,0 +1,108 @@
+// ============================================================================
+// CATEGORIAS (ordem, grupos e arquivadas)
+// Cada categoria pode ter uma mãe (parentId) para formar grupos como
+// "Casa > Luz". Só existe um nível: mãe não tem mãe e filha não tem filhas.
+// Arquivada some dos lançamentos novos e dos meses novos, mas o histórico
+// continua apontando para ela.
+// ============================================================================
+
+import { t } from './i18n';
+
+// Cores oferecidas no cadastro (a primeira é a padrão)
+export const CATEGORY_COLORS = [
+  '#10b981', '#0ea5e9', '#6366f1', '#a855f7', '#ec4899',
+  '#ef4444', '#f97316', '#eab308', '#84cc16', '#64748b'
+];
+
+export const DEFAULT_CATEGORY_COLOR = CATEGORY_COLORS[0];
+
+export const isArchived = (category) => Boolean(category?.archived);
+
+export const getActiveCategories = (categories) => categories.filter(c => !isArchived(c));
+
+// Ordem escolhida pelo usuário (arrastando); empate fica na ordem de criação
+export const sortCategories = (categories) => categories
+  .map((category, index) => ({ category, index }))
+  .sort((a, b) => (Number(a.category.order) || 0) - (Number(b.category.order) || 0) || a.index - b.index)
+  .map(({ category }) => category);
+
+// Próxima posição para uma categoria nova (vai para o fim da lista)
+export const getNextCategoryOrder = (categories) => categories.reduce((max, c) => Math.max(max, (Number(c.order) || 0) + 1), 0);
+
+// Mãe existente (filha de uma categoria que sumiu volta para o primeiro nível)
+const getParentId = (category, byId) => (category.parentId && byId[category.parentId] ? category.parentId : null);
+
+// Lista na ordem de exibição: cada mãe seguida das filhas.
+// Devolve { category, depth } (depth 0 = primeiro nível, 1 = filha).
+export const getCategoryTree = (categories) => {
+  const byId = Object.fromEntries(categories.map(c => [c.id, c]));
+  const sorted = sortCategories(categories);
+  const roots = sorted.filter(c => !getParentId(c, byId));
+  return roots.flatMap(root => [
+    { category: root, depth: 0 },
+    ...sorted.filter(c => getParentId(c, byId) === root.id).map(category => ({ category, depth: 1 }))
+  ]);
+};
+
+export const getSubcategories = (categories, parentId) => sortCategories(categories.filter(c => c.parentId === parentId));
+
+// Nome completo (ex: "Casa > Luz")
+export const getCategoryLabel = (categories, categoryId) => {
+  const category = categories.find(c => c.id === categoryId);
+  if (!category) return t('Sem categoria');
+  const parent = category.parentId && categories.find(c => c.id === category.parentId);
+  return parent ? `${parent.name} > ${category.name}` : category.name;
+};
+
+// Quem pode ser mãe de uma categoria: as de primeiro nível (menos ela mesma).
+// Categoria que já tem filhas não pode virar filha.
+export const getParentOptions = (categories, categoryId) => {
+  if (categoryId && categories.some(c => c.parentId === categoryId)) return [];
+  return sortCategories(categories.filter(c => !c.parentId && c.id !== categoryId));
+};
+
+// Soma os valores das filhas na mãe: { casa: 100, luz: 30 } -> { casa: 130, luz: 30 }.
+// Usado no painel para o grupo mostrar o gasto e o orçamento de tudo que está nele.
+export const rollupByParent = (valuesById, categories) => {
+  const byId = Object.fromEntries(categories.map(c => [c.id, c]));
+  const totals = { ...valuesById };
+  categories.forEach(category => {
+    const parentId = getParentId(category, byId);
+    if (!parentId) return;
+    totals[parentId] = (totals[parentId] || 0) + Number(valuesById[category.id] || 0);
+  });
+  return totals;
+};
+
+// Nova ordem dos irmãos depois de arrastar uma categoria para o lugar de outra.
+// Só reordena dentro do mesmo nível (mesma mãe); devolve null se não der.
+export const moveCategory = (categories, draggedId, targetId) => {
+  const dragged = categories.find(c => c.id === draggedId);
+  const target = categories.find(c => c.id === targetId);
+  if (!dragged || !target || dragged === target || (dragged.parentId || null) !== (target.parentId || null)) return null;
+
+  const siblingIds = sortCategories(categories.filter(c => (c.parentId || null) === (dragged.parentId || null))).map(c => c.id);
+  const withoutDragged = siblingIds.filter(id => id !== draggedId);
+  // Arrastando para baixo, entra depois do alvo; para cima, antes
+  const offset = siblingIds.indexOf(draggedId) < siblingIds.indexOf(targetId) ? 1 : 0;
+  withoutDragged.splice(withoutDragged.indexOf(targetId) + offset, 0, draggedId);
+  return withoutDragged;
+};
+
+// Sobe (step = -1) ou desce (step = 1) uma posição entre as irmãs ativas: os botões
+// que fazem o mesmo que arrastar (no celular não há arrastar). null se já está na ponta.
+export const moveCategoryBy = (categories, categoryId, step) => {
+  const category = categories.find(c => c.id === categoryId);
+  if (!category) return null;
+  const siblings = sortCategories(getActiveCategories(categories).filter(c => (c.parentId || null) === (category.parentId || null)));
+  const neighbor = siblings[siblings.findIndex(c => c.id === categoryId) + step];
+  return neighbor ? moveCategory(categories, categoryId, neighbor.id) : null;
+};
+
+// O que ainda aponta para a categoria (para avisar antes de apagar)
+export const getCategoryUsage = (state, categoryId) => ({
+  transactions: state.transactions.filter(t => t.categoryId === categoryId),
+  recurringExpenses: state.recurringExpenses.filter(rec => rec.categoryId === categoryId),
+  importRules: state.importRules.filter(rule => rule.categoryId === categoryId),
+  subcategories: state.categories.filter(c => c.parentId === categoryId)
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getActiveCategories, sortCategories, getNextCategoryOrder, getCategoryTree, getCategoryLabel,
+  getParentOptions, rollupByParent, moveCategory, moveCategoryBy, getCategoryUsage
+} from './categories';
+
+const categories = [
+  { id: 'lazer', name: 'Lazer', order: 2 },
+  { id: 'luz', name: 'Luz', order: 1, parentId: 'casa' },
+  { id: 'casa', name: 'Casa', order: 0 },
+  { id: 'agua', name: 'Água', order: 0, parentId: 'casa' },
+  { id: 'cinema', name: 'Cinema', order: 0, parentId: 'lazer', archived: true },
+  { id: 'mercado', name: 'Mercado', order: 1 }
+];
+
+describe('ordem e grupos', () => {
+  it('ordena pela posição escolhida e desempata pela criação', () => {
+    expect(sortCategories([{ id: 'b', order: 1 }, { id: 'a' }, { id: 'c', order: 1 }]).map(c => c.id)).toEqual(['a', 'b', 'c']);
+    expect(getNextCategoryOrder(categories)).toBe(3);
+    expect(getNextCategoryOrder([])).toBe(0);
+  });
+
+  it('lista cada grupo seguido das filhas', () => {
+    expect(getCategoryTree(categories).map(({ category, depth }) => `${depth}:${category.id}`)).toEqual([
+      '0:casa', '1:agua', '1:luz', '0:mercado', '0:lazer', '1:cinema'
+    ]);
+  });
+
+  it('filha de uma categoria que sumiu aparece no primeiro nível', () => {
+    expect(getCategoryTree([{ id: 'luz', parentId: 'casa' }])).toEqual([{ category: { id: 'luz', parentId: 'casa' }, depth: 0 }]);
+  });
+
+  it('mostra o nome com o grupo', () => {
+    expect(getCategoryLabel(categories, 'luz')).toBe('Casa > Luz');
+    expect(getCategoryLabel(categories, 'mercado')).toBe('Mercado');
+    expect(getCategoryLabel(categories, 'x')).toBe('Sem categoria');
+  });
+
+  it('arquivadas saem das listas de escolha', () => {
+    expect(getActiveCategories(categories).map(c => c.id)).not.toContain('cinema');
+  });
+
+  it('só categorias de primeiro nível podem ser mãe, e mãe não vira filha', () => {
+    expect(getParentOptions(categories, 'mercado').map(c => c.id)).toEqual(['casa', 'lazer']);
+    expect(getParentOptions(categories, 'casa')).toEqual([]);
+  });
+});
+
+describe('rollupByParent', () => {
+  it('soma as filhas na mãe', () => {
+    expect(rollupByParent({ casa: 100, luz: 3000, agua: 20, mercado: 5 }, categories)).toEqual({
+      casa: 3120, luz: 3000, agua: 20, mercado: 5, lazer: 0
+    });
+  });
+});
+
+describe('moveCategory', () => {
+  it('arrastar para baixo entra depois do alvo; para cima, antes', () => {
+    expect(moveCategory(categories, 'casa', 'mercado')).toEqual(['mercado', 'casa', 'lazer']);
+    expect(moveCategory(categories, 'lazer', 'casa')).toEqual(['lazer', 'casa', 'mercado']);
+    expect(moveCategory(categories, 'luz', 'agua')).toEqual(['luz', 'agua']);
+  });
+
+  it('não mistura níveis diferentes', () => {
+    expect(moveCategory(categories, 'luz', 'mercado')).toBeNull();
+    expect(moveCategory(categories, 'casa', 'casa')).toBeNull();
+  });
+});
+
+describe('moveCategoryBy', () => {
+  it('sobe e desce uma posição entre as irmãs', () => {
+    expect(moveCategoryBy(categories, 'mercado', -1)).toEqual(['mercado', 'casa', 'lazer']);
+    expect(moveCategoryBy(categories, 'mercado', 1)).toEqual(['casa', 'lazer', 'mercado']);
+    expect(moveCategoryBy(categories, 'agua', 1)).toEqual(['luz', 'agua']);
+  });
+
+  it('na ponta não faz nada', () => {
+    expect(moveCategoryBy(categories, 'casa', -1)).toBeNull();
+    expect(moveCategoryBy(categories, 'lazer', 1)).toBeNull();
+  });
+});
+
+describe('getCategoryUsage', () => {
+  it('lista o que aponta para a categoria', () => {
+    const usage = getCategoryUsage({
+      categories,
+      transactions: [{ id: 't', categoryId: 'casa' }, { id: 'u', categoryId: 'mercado' }],
+      recurringExpenses: [{ id: 'r', categoryId: 'casa' }],
+      importRules: []
+    }, 'casa');
+    expect(usage.transactions.map(t => t.id)).toEqual(['t']);
+    expect(usage.recurringExpenses).toHaveLength(1);
+    expect(usage.subcategories.map(c => c.id)).toEqual(['luz', 'agua']);
+  });
+});
@@ -0,0 +1,117 @@
+// ============================================================================
+// FECHAMENTO DE MÊS
+// Um mês fechado (status 'CLOSED') guarda a própria sobra em ledger.closing e
+// não é mais recalculado a partir do histórico. Reabrir é explícito e mostra
+// o quanto os meses seguintes mudam.
+// ============================================================================
+
+import { getPrevMonthKey, sumAmounts, sumValues, getLedgerIncomeTotal, getMonthTransactions } from './budget';
+import { planContributions } from './goals';
+
+export const MONTH_STATUS = { OPEN: 'OPEN', CLOSED: 'CLOSED' };
+
+export const isMonthClosed = (ledger) => ledger?.status === MONTH_STATUS.CLOSED;
+
+// Sobra geral e sobra/estouro de cada categoria calculadas a partir do histórico do mês.
+// Negativo = estouro: vira dívida no mês seguinte.
+export const computeMonthLeftover = (ledger, monthTransactions) => {
+  // O que foi guardado nas metas já saiu do orçamento
+  const funds = getLedgerIncomeTotal(ledger) + Number(ledger.rollover || 0) - sumValues(ledger.goalContributions);
+
+  // Meses antigos (sem distribuição) mandam tudo pela sobra geral
+  if (!ledger.allocations) {
+    return { rollover: funds - sumAmounts(monthTransactions), carryover: {} };
+  }
+
+  // Mês com distribuição: só o que ficou SEM categoria vira sobra geral;
+  // o resto segue categoria por categoria
+  const categoryIds = new Set([
+    ...Object.keys(ledger.allocations),
+    ...Object.keys(ledger.carryover || {}),
+    ...monthTransactions.map(t => t.categoryId)
+  ]);
+  const carryover = {};
+  categoryIds.forEach(categoryId => {
+    const left = Number(ledger.allocations[categoryId] || 0)
+      + Number(ledger.carryover?.[categoryId] || 0)
+      - sumAmounts(monthTransactions.filter(t => t.categoryId === categoryId));
+    if (left !== 0) carryover[categoryId] = left;
+  });
+  return { rollover: funds - sumValues(ledger.allocations), carryover };
+};
+
+// Sobra que o mês passa adiante: a congelada (mês fechado) ou a calculada agora
+export const getMonthLeftover = (ledger, monthTransactions) => {
+  if (!ledger) return { rollover: 0, carryover: {} };
+  if (isMonthClosed(ledger) && ledger.closing) {
+    return { rollover: ledger.closing.rollover, carryover: ledger.closing.carryover };
+  }
+  return computeMonthLeftover(ledger, monthTransactions);
+};
+
+// Resumo gravado no ledger ao fechar o mês
+export const buildMonthClosing = (ledger, monthTransactions, closedAt = new Date()) => {
+  const { rollover, carryover } = computeMonthLeftover(ledger, monthTransactions);
+  const income = getLedgerIncomeTotal(ledger);
+  return {
+    closedAt: closedAt.toISOString(),
+    income,
+    expenses: sumAmounts(monthTransactions),
+    saved: sumValues(ledger.goalContributions),
+    rollover,
+    carryover
+  };
+};
+
+const sameCarryover = (a, b) => {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].every(key => Number(a?.[key] || 0) === Number(b?.[key] || 0));
+};
+
+// O mês novo mandou parte da sobra herdada para as metas (planContributions). Se a
+// sobra herdada muda, troca essa parte pela calculada com a sobra nova, sem mexer
+// no que foi guardado à mão.
+const replanContributions = (goals, ledgers, monthKey, oldRollover, newRollover) => {
+  const current = ledgers[monthKey].goalContributions || {};
+  if (goals.length === 0 || oldRollover === newRollover) return current;
+
+  const { [monthKey]: _month, ...otherLedgers } = ledgers;
+  const before = planContributions(goals, otherLedgers, oldRollover);
+  const after = planContributions(goals, otherLedgers, newRollover);
+  const contributions = { ...current };
+  goals.forEach(goal => {
+    const amount = Math.max(0, Number(current[goal.id] || 0) + Number(after[goal.id] || 0) - Number(before[goal.id] || 0));
+    if (amount > 0) contributions[goal.id] = amount;
+    else delete contributions[goal.id];
+  });
+  return contributions;
+};
+
+// Recalcula a sobra herdada (e o que ela mandou para as metas) pelos meses seguintes
+// a fromMonthKey, em ordem. Para no primeiro mês fechado (ele fica como está) e pula
+// meses que não existem.
+// Retorna os ledgers atualizados e a lista do que mudou (antes/depois) para mostrar.
+export const recalculateLaterMonths = (monthlyLedgers, transactions, fromMonthKey, goals = []) => {
+  const ledgers = { ...monthlyLedgers };
+  const diffs = [];
+  const laterMonthKeys = Object.keys(ledgers).filter(monthKey => monthKey > fromMonthKey).sort();
+
+  for (const monthKey of laterMonthKeys) {
+    const ledger = ledgers[monthKey];
+    if (isMonthClosed(ledger)) break;
+
+    const prevKey = getPrevMonthKey(monthKey);
+    const { rollover, carryover } = getMonthLeftover(ledgers[prevKey], getMonthTransactions(transactions, prevKey));
+    const goalContributions = replanContributions(goals, ledgers, monthKey, Number(ledger.rollover || 0), rollover);
+    if (rollover === Number(ledger.rollover || 0) && sameCarryover(carryover, ledger.carryover)
+      && sameCarryover(goalContributions, ledger.goalContributions)) continue;
+
+    diffs.push({
+      monthKey,
+      before: { rollover: Number(ledger.rollover || 0), carryover: ledger.carryover || {}, goalContributions: ledger.goalContributions || {} },
+      after: { rollover, carryover, goalContributions }
+    });
+    ledgers[monthKey] = { ...ledger, rollover, carryover, goalContributions };
+  }
+  return { ledgers, diffs };
+};
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { MONTH_STATUS, computeMonthLeftover, getMonthLeftover, buildMonthClosing, recalculateLaterMonths } from './closing';
+
+const september = {
+  incomes: [{ id: 'i1', amount: 3000 }],
+  rollover: 100,
+  allocations: { mercado: 800, lazer: 200 },
+  carryover: { lazer: -50 },
+  goalContributions: { reserva: 300 },
+  status: MONTH_STATUS.OPEN
+};
+
+const transactions = [
+  { id: 't1', monthKey: '2025-09', categoryId: 'mercado', amount: 700 },
+  { id: 't2', monthKey: '2025-09', categoryId: 'lazer', amount: 180 },
+  { id: 't3', monthKey: '2025-10', categoryId: 'mercado', amount: 900 }
+];
+
+const monthOf = (monthKey) => transactions.filter(t => t.monthKey === monthKey);
+
+describe('computeMonthLeftover', () => {
+  it('separa o que ficou sem categoria do saldo de cada categoria', () => {
+    expect(computeMonthLeftover(september, monthOf('2025-09'))).toEqual({
+      rollover: 3000 + 100 - 300 - 1000,
+      carryover: { mercado: 100, lazer: -30 }
+    });
+  });
+
+  it('mês sem distribuição manda tudo pela sobra geral, inclusive estouro', () => {
+    const old = { incomes: [{ id: 'i', amount: 500 }], rollover: 0 };
+    expect(computeMonthLeftover(old, [{ amount: 650 }])).toEqual({ rollover: -150, carryover: {} });
+  });
+});
+
+describe('getMonthLeftover', () => {
+  it('mês fechado usa a sobra congelada, mesmo que o histórico mude', () => {
+    const closed = { ...september, status: MONTH_STATUS.CLOSED, closing: buildMonthClosing(september, monthOf('2025-09')) };
+    const edited = [...monthOf('2025-09'), { id: 'tx', monthKey: '2025-09', categoryId: 'mercado', amount: 999 }];
+    expect(getMonthLeftover(closed, edited)).toEqual({ rollover: 1800, carryover: { mercado: 100, lazer: -30 } });
+  });
+
+  it('mês que não existe não passa nada adiante', () => {
+    expect(getMonthLeftover(undefined, [])).toEqual({ rollover: 0, carryover: {} });
+  });
+});
+
+describe('buildMonthClosing', () => {
+  it('guarda o resumo do mês', () => {
+    const closing = buildMonthClosing(september, monthOf('2025-09'), new Date('2025-10-01T10:00:00Z'));
+    expect(closing).toEqual({
+      closedAt: '2025-10-01T10:00:00.000Z',
+      income: 3000,
+      expenses: 880,
+      saved: 300,
+      rollover: 1800,
+      carryover: { mercado: 100, lazer: -30 }
+    });
+  });
+});
+
+describe('recalculateLaterMonths', () => {
+  const ledgers = {
+    '2025-09': september,
+    '2025-10': { incomes: [], rollover: 1500, allocations: {}, carryover: { mercado: 100, lazer: -30 }, status: MONTH_STATUS.OPEN },
+    '2025-11': { incomes: [], rollover: 0, allocations: {}, carryover: {}, status: MONTH_STATUS.CLOSED },
+    '2025-12': { incomes: [], rollover: 999, status: MONTH_STATUS.OPEN }
+  };
+
+  it('atualiza os meses seguintes e lista o antes/depois', () => {
+    const { ledgers: updated, diffs } = recalculateLaterMonths(ledgers, transactions, '2025-09');
+    expect(diffs).toEqual([{
+      monthKey: '2025-10',
+      before: { rollover: 1500, carryover: { mercado: 100, lazer: -30 }, goalContributions: {} },
+      after: { rollover: 1800, carryover: { mercado: 100, lazer: -30 }, goalContributions: {} }
+    }]);
+    expect(updated['2025-10'].rollover).toBe(1800);
+  });
+
+  it('para no primeiro mês fechado', () => {
+    const { ledgers: updated } = recalculateLaterMonths(ledgers, transactions, '2025-09');
+    expect(updated['2025-12']).toBe(ledgers['2025-12']);
+  });
+
+  it('não devolve nada quando os meses seguintes já batem', () => {
+    const synced = { ...ledgers, '2025-10': { ...ledgers['2025-10'], rollover: 1800 } };
+    expect(recalculateLaterMonths(synced, transactions, '2025-09').diffs).toEqual([]);
+  });
+
+  it('refaz a parte da sobra que o mês seguinte mandou para as metas, sem mexer no guardado à mão', () => {
+    // Reserva: 100 fixos + 10% da sobra; em outubro foram 250 (100 + 10% de 1500) e mais 40 à mão
+    const goals = [{ id: 'reserva', targetAmount: 100000, monthlyContribution: 100, rolloverShare: 10 }];
+    const withGoal = { ...ledgers, '2025-10': { ...ledgers['2025-10'], goalContributions: { reserva: 290 } } };
+    const { ledgers: updated, diffs } = recalculateLaterMonths(withGoal, transactions, '2025-09', goals);
+    expect(updated['2025-10'].goalContributions).toEqual({ reserva: 320 });
+    expect(diffs[0].before.goalContributions).toEqual({ reserva: 290 });
+  });
+});
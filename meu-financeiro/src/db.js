@@ -0,0 +1,333 @@
+// ============================================================================
+// BANCO DE DADOS (IndexedDB) E SINCRONIA ENTRE ABAS
+// Cada categoria, fixo, mês e lançamento é um registro separado: salvar uma
+// despesa grava só aquela despesa, e não o histórico inteiro.
+// O formato dos dados (versão, migrações, reparo) continua no storage.js.
+// ============================================================================
+
+import {
+  STORAGE_KEY, SCHEMA_VERSION, createEmptyData, migrate, repairData, loadData, saveData
+} from './storage';
+import { toSyncKey } from './syncProtocol';
+
+const DB_NAME = 'zeroBudget';
+const DB_VERSION = 8;
+const META_STORE = 'meta';
+// Log da sincronia entre aparelhos (sync.js): uma entrada por registro, chave "loja/id"
+const SYNC_STORE = 'sync';
+// Fotos dos comprovantes (Blob, chave = receiptId do lançamento); ficam só neste aparelho
+const RECEIPT_STORE = 'receipts';
+const CHANNEL_NAME = 'zeroBudget_sync';
+// Cópia do conteúdo original quando o reparo precisou mexer nele (como o BACKUP_KEY do storage.js)
+const BACKUP_META_KEY = 'backup';
+
+// Coleções do app; cada uma vira um object store com o id (ou monthKey) como chave
+export const STORES = ['categories', 'recurringExpenses', 'recurringIncomes', 'monthlyLedgers', 'transactions', 'importRules', 'accounts', 'transfers', 'goals', 'savedFilters', 'settings'];
+
+// ============================================================================
+// REGISTROS: conversão entre o formato do app e pares [chave, valor]
+// ============================================================================
+
+// monthlyLedgers é um objeto { "2025-10": {...} } e settings { baseCurrency: 'BRL' }; o resto são listas com id
+const isKeyedObject = (storeName) => storeName === 'monthlyLedgers' || storeName === 'settings';
+
+export const toEntries = (storeName, value) => {
+  if (isKeyedObject(storeName)) return Object.entries(value || {});
+  return (value || []).map(item => [item.id, item]);
+};
+
+export const fromEntries = (storeName, entries) => {
+  if (isKeyedObject(storeName)) return Object.fromEntries(entries);
+  return entries.map(([, item]) => item);
+};
+
+// Fotografia do que já está gravado: { loja: Map(chave -> registro) }
+export const createSnapshot = (data) => {
+  return Object.fromEntries(STORES.map(storeName => [storeName, new Map(toEntries(storeName, data[storeName]))]));
+};
+
+// Descobre o que mudou comparando referências (o app sempre cria objetos novos ao editar)
+export const diffRecords = (previous, entries) => {
+  const puts = entries.filter(([key, value]) => previous.get(key) !== value);
+  const nextKeys = new Set(entries.map(([key]) => key));
+  const deletes = [...previous.keys()].filter(key => !nextKeys.has(key));
+  return { puts, deletes };
+};
+
+// Mudanças de todas as lojas entre a fotografia e o estado atual (só as lojas com mudança)
+export const diffSnapshot = (snapshot, data) => {
+  const changes = {};
+  STORES.forEach(storeName => {
+    const diff = diffRecords(snapshot[storeName], toEntries(storeName, data[storeName]));
+    if (diff.puts.length > 0 || diff.deletes.length > 0) changes[storeName] = diff;
+  });
+  return changes;
+};
+
+// Aplica mudanças (vindas de outra aba) numa coleção do app, sem mexer na ordem dos demais
+export const applyChanges = (storeName, value, { puts, deletes }) => {
+  const entries = new Map(toEntries(storeName, value));
+  deletes.forEach(key => entries.delete(key));
+  puts.forEach(([key, record]) => entries.set(key, record));
+  return fromEntries(storeName, [...entries]);
+};
+
+// Mesma coisa para a fotografia
+export const applyChangesToSnapshot = (snapshot, changes) => {
+  Object.entries(changes).forEach(([storeName, { puts, deletes }]) => {
+    deletes.forEach(key => snapshot[storeName].delete(key));
+    puts.forEach(([key, record]) => snapshot[storeName].set(key, record));
+  });
+};
+
+// ============================================================================
+// INDEXEDDB
+// ============================================================================
+
+// Transforma um IDBRequest/IDBTransaction em Promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDatabase = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    [...STORES, META_STORE, SYNC_STORE, RECEIPT_STORE].forEach(storeName => {
+      if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName);
+    });
+  };
+  return requestToPromise(request).then(db => {
+    // Outra aba quer apagar/atualizar o banco: libera a conexão
+    db.onversionchange = () => db.close();
+    return db;
+  });
+};
+
+// Todos os pedidos saem de uma vez, antes de qualquer await (senão a transação fecha)
+const readAllData = async (db) => {
+  const tx = db.transaction([...STORES, META_STORE], 'readonly');
+  const requests = STORES.map(storeName => {
+    const store = tx.objectStore(storeName);
+    return Promise.all([requestToPromise(store.getAllKeys()), requestToPromise(store.getAll())]);
+  });
+  const versionRequest = requestToPromise(tx.objectStore(META_STORE).get('schemaVersion'));
+
+  const results = await Promise.all(requests);
+  const data = Object.fromEntries(STORES.map((storeName, i) => {
+    const [keys, values] = results[i];
+    return [storeName, fromEntries(storeName, keys.map((key, j) => [key, values[j]]))];
+  }));
+  return { ...data, schemaVersion: await versionRequest };
+};
+
+// Grava só as mudanças, tudo numa transação só (junto com as entradas do log
+// de sincronia, para um registro nunca ficar gravado sem o seu carimbo)
+export const writeChanges = (db, changes, syncEntries = []) => {
+  const storeNames = Object.keys(changes);
+  if (storeNames.length === 0 && syncEntries.length === 0) return Promise.resolve();
+  const tx = db.transaction(syncEntries.length > 0 ? [...storeNames, SYNC_STORE] : storeNames, 'readwrite');
+  storeNames.forEach(storeName => {
+    const store = tx.objectStore(storeName);
+    changes[storeName].deletes.forEach(key => store.delete(key));
+    changes[storeName].puts.forEach(([key, record]) => store.put(record, key));
+  });
+  if (syncEntries.length > 0) {
+    const syncStore = tx.objectStore(SYNC_STORE);
+    syncEntries.forEach(entry => syncStore.put(entry, toSyncKey(entry.store, entry.key)));
+  }
+  return transactionDone(tx);
+};
+
+// Log da sincronia e até onde já recebemos do servidor
+export const readSyncState = async (db) => {
+  const tx = db.transaction([SYNC_STORE, META_STORE], 'readonly');
+  const [entries, cursor] = await Promise.all([
+    requestToPromise(tx.objectStore(SYNC_STORE).getAll()),
+    requestToPromise(tx.objectStore(META_STORE).get('syncCursor'))
+  ]);
+  return { entries, cursor: cursor || 0 };
+};
+
+// Grava o resultado de uma sincronia numa transação só. merge(entradas do log, meses)
+// decide o que gravar ({ changes, entries, cursor }) com o log e os meses lidos dentro
+// da própria transação: uma mudança local gravada no meio do caminho não se perde.
+// Devolve o que o merge devolveu.
+export const writeSyncResult = (db, merge) => new Promise((resolve, reject) => {
+  const tx = db.transaction([...STORES, SYNC_STORE, META_STORE], 'readwrite');
+  let result;
+  const ledgerStore = tx.objectStore('monthlyLedgers');
+  const requests = [tx.objectStore(SYNC_STORE).getAll(), ledgerStore.getAllKeys(), ledgerStore.getAll()];
+  let pending = requests.length;
+  const apply = () => {
+    const [entries, ledgerKeys, ledgers] = requests.map(request => request.result);
+    result = merge(entries, fromEntries('monthlyLedgers', ledgerKeys.map((key, index) => [key, ledgers[index]])));
+    Object.entries(result.changes).forEach(([storeName, { puts, deletes }]) => {
+      const store = tx.objectStore(storeName);
+      deletes.forEach(key => store.delete(key));
+      puts.forEach(([key, record]) => store.put(record, key));
+    });
+    const syncStore = tx.objectStore(SYNC_STORE);
+    result.entries.forEach(entry => syncStore.put(entry, toSyncKey(entry.store, entry.key)));
+    tx.objectStore(META_STORE).put(result.cursor, 'syncCursor');
+  };
+  requests.forEach(request => {
+    request.onsuccess = () => {
+      if (--pending === 0) apply();
+    };
+  });
+  tx.oncomplete = () => resolve(result);
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// Desligar a sincronia esquece o log (ligar de novo reenvia tudo com o carimbo inicial)
+export const clearSyncState = (db) => {
+  const tx = db.transaction([SYNC_STORE, META_STORE], 'readwrite');
+  tx.objectStore(SYNC_STORE).clear();
+  tx.objectStore(META_STORE).delete('syncCursor');
+  return transactionDone(tx);
+};
+
+// ============================================================================
+// COMPROVANTES (fora dos dados do app: não vão no backup nem na sincronia)
+// ============================================================================
+
+export const saveReceipt = (db, receiptId, blob) => {
+  const tx = db.transaction(RECEIPT_STORE, 'readwrite');
+  tx.objectStore(RECEIPT_STORE).put(blob, receiptId);
+  return transactionDone(tx);
+};
+
+// Devolve o Blob ou undefined (ex: lançamento feito em outro aparelho)
+export const loadReceipt = (db, receiptId) => {
+  return requestToPromise(db.transaction(RECEIPT_STORE, 'readonly').objectStore(RECEIPT_STORE).get(receiptId));
+};
+
+// Apaga as fotos que nenhum lançamento usa mais. Roda ao abrir o app, e não ao
+// excluir, para o "Desfazer" da exclusão ainda encontrar a foto.
+export const pruneReceipts = (db, transactions) => {
+  const used = new Set(transactions.map(t => t.receiptId).filter(Boolean));
+  const tx = db.transaction(RECEIPT_STORE, 'readwrite');
+  const store = tx.objectStore(RECEIPT_STORE);
+  const request = store.getAllKeys();
+  request.onsuccess = () => request.result.filter(key => !used.has(key)).forEach(key => store.delete(key));
+  return transactionDone(tx);
+};
+
+// Apaga tudo e grava o conjunto inteiro (usado na migração e em importações).
+// backup: o conteúdo lido do banco, guardado à parte (meta "backup") na mesma
+// transação, para o original nunca sumir sem cópia quando o reparo o substitui.
+export const replaceAllData = (db, data, backup) => {
+  const tx = db.transaction([...STORES, META_STORE], 'readwrite');
+  if (backup !== undefined) tx.objectStore(META_STORE).put(backup, BACKUP_META_KEY);
+  STORES.forEach(storeName => {
+    const store = tx.objectStore(storeName);
+    store.clear();
+    toEntries(storeName, data[storeName]).forEach(([key, record]) => store.put(record, key));
+  });
+  tx.objectStore(META_STORE).put(SCHEMA_VERSION, 'schemaVersion');
+  return transactionDone(tx);
+};
+
+export const deleteDatabase = () => requestToPromise(indexedDB.deleteDatabase(DB_NAME));
+
+// Abre o banco e devolve os dados prontos para o app.
+// - Primeira vez: importa o que estava no localStorage ('zeroBudget_MVP_v1') e limpa a
+//   chave antiga (só se estava tudo certo; senão ela fica como mais uma cópia).
+// - Banco de versão antiga: roda as migrações do storage.js e regrava.
+// - Dados reparados ou impossíveis de aproveitar: o original vai para a cópia (meta
+//   "backup") e o banco é regravado antes de o app escrever qualquer coisa.
+// - Sem IndexedDB (navegador antigo/modo restrito): continua no localStorage (db = null).
+// - Banco gravado por uma versão mais nova do app (outra aba já atualizou): não mexe
+//   em nada e devolve status 'outdated' para o app pedir a atualização.
+// - Falha ao ler o banco (ou ao guardar a cópia): lança o erro sem gravar nada; o app
+//   mostra a tela de erro e os dados continuam lá para a próxima tentativa.
+// status: 'empty' | 'ok' | 'repaired' | 'corrupt' (mesmo significado do loadData) | 'outdated'
+export const loadDatabase = async () => {
+  let db;
+  try {
+    db = await openDatabase();
+  } catch (error) {
+    console.error('IndexedDB indisponível, usando localStorage:', error);
+    return { db: null, ...loadData() };
+  }
+
+  try {
+    const stored = await readAllData(db);
+
+    if (stored.schemaVersion === undefined) {
+      const legacy = loadData();
+      await replaceAllData(db, legacy.data);
+      if (legacy.status === 'ok') localStorage.removeItem(STORAGE_KEY);
+      return { db, data: legacy.data, status: legacy.status };
+    }
+
+    if (Number(stored.schemaVersion) > SCHEMA_VERSION) {
+      return { db, data: { ...createEmptyData(), schemaVersion: SCHEMA_VERSION }, status: 'outdated' };
+    }
+
+    let repaired;
+    try {
+      repaired = repairData(migrate(stored));
+    } catch (error) {
+      // Nada aproveitável: o original vai inteiro para a cópia e o app começa do zero
+      console.error('Não foi possível ler o banco de dados:', error);
+      const empty = { ...createEmptyData(), schemaVersion: SCHEMA_VERSION };
+      await replaceAllData(db, empty, stored);
+      return { db, data: empty, status: 'corrupt' };
+    }
+
+    const { data, issues } = repaired;
+    if (issues > 0) await replaceAllData(db, data, stored);
+    else if (stored.schemaVersion !== SCHEMA_VERSION) await replaceAllData(db, data);
+    return { db, data, status: issues > 0 ? 'repaired' : 'ok' };
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+};
+
+// Grava as mudanças onde os dados estiverem (IndexedDB ou, sem ele, localStorage)
+export const persistChanges = async (db, changes, data, syncEntries = []) => {
+  if (db) await writeChanges(db, changes, syncEntries);
+  else saveData(data);
+};
+
+// ============================================================================
+// SINCRONIA ENTRE ABAS (BroadcastChannel)
+// Cada aba avisa as outras sobre os registros que gravou; quem recebe aplica
+// só esses registros, sem sobrescrever o resto.
+// ============================================================================
+
+// Criado só quando alguém usa (e nem existe em navegadores antigos)
+let channel;
+const getChannel = () => {
+  if (channel === undefined) {
+    channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+  }
+  return channel;
+};
+
+export const broadcastChanges = (changes) => getChannel()?.postMessage({ type: 'changes', changes });
+
+export const broadcastReset = () => getChannel()?.postMessage({ type: 'reset' });
+
+// Retorna a função para cancelar a inscrição
+export const subscribeToChanges = ({ onChanges, onReset }) => {
+  const channel = getChannel();
+  if (!channel) return () => {};
+  const handler = ({ data: message }) => {
+    if (message?.type === 'changes') onChanges(message.changes);
+    if (message?.type === 'reset') onReset();
+  };
+  channel.addEventListener('message', handler);
+  return () => channel.removeEventListener('message', handler);
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toEntries, fromEntries, createSnapshot, diffRecords, diffSnapshot, applyChanges, applyChangesToSnapshot
+} from './db';
+
+const mercado = { id: '1', name: 'Mercado', limit: 800 };
+const lazer = { id: '2', name: 'Lazer', limit: 200 };
+const outubro = { incomes: [], rollover: 0, status: 'OPEN' };
+
+const baseData = {
+  categories: [mercado, lazer],
+  recurringExpenses: [],
+  recurringIncomes: [],
+  monthlyLedgers: { '2025-10': outubro },
+  transactions: []
+};
+
+describe('toEntries / fromEntries', () => {
+  it('usa o id como chave das listas', () => {
+    expect(toEntries('categories', [mercado])).toEqual([['1', mercado]]);
+    expect(fromEntries('categories', [['1', mercado]])).toEqual([mercado]);
+  });
+
+  it('usa o monthKey como chave dos meses', () => {
+    expect(toEntries('monthlyLedgers', { '2025-10': outubro })).toEqual([['2025-10', outubro]]);
+    expect(fromEntries('monthlyLedgers', [['2025-10', outubro]])).toEqual({ '2025-10': outubro });
+  });
+});
+
+describe('diffRecords', () => {
+  it('só grava os registros que viraram objetos novos', () => {
+    const previous = new Map([['1', mercado], ['2', lazer]]);
+    const editedLazer = { ...lazer, limit: 300 };
+    const { puts, deletes } = diffRecords(previous, [['1', mercado], ['2', editedLazer]]);
+    expect(puts).toEqual([['2', editedLazer]]);
+    expect(deletes).toEqual([]);
+  });
+
+  it('detecta inclusões e exclusões', () => {
+    const previous = new Map([['1', mercado]]);
+    const { puts, deletes } = diffRecords(previous, [['2', lazer]]);
+    expect(puts).toEqual([['2', lazer]]);
+    expect(deletes).toEqual(['1']);
+  });
+});
+
+describe('diffSnapshot', () => {
+  it('não acusa mudança quando nada mudou', () => {
+    expect(diffSnapshot(createSnapshot(baseData), baseData)).toEqual({});
+  });
+
+  it('separa as mudanças por loja', () => {
+    const snapshot = createSnapshot(baseData);
+    const novembro = { incomes: [], rollover: 10, status: 'OPEN' };
+    const changes = diffSnapshot(snapshot, {
+      ...baseData,
+      monthlyLedgers: { ...baseData.monthlyLedgers, '2025-11': novembro }
+    });
+    expect(Object.keys(changes)).toEqual(['monthlyLedgers']);
+    expect(changes.monthlyLedgers.puts).toEqual([['2025-11', novembro]]);
+  });
+});
+
+describe('applyChanges (mudanças vindas de outra aba)', () => {
+  it('atualiza no lugar, inclui no fim e remove', () => {
+    const editedMercado = { ...mercado, limit: 900 };
+    const casa = { id: '3', name: 'Casa', limit: 1000 };
+    const result = applyChanges('categories', baseData.categories, {
+      puts: [['1', editedMercado], ['3', casa]],
+      deletes: ['2']
+    });
+    expect(result).toEqual([editedMercado, casa]);
+  });
+
+  it('depois de aplicar na fotografia, o estado novo não gera regravação', () => {
+    const snapshot = createSnapshot(baseData);
+    const casa = { id: '3', name: 'Casa', limit: 1000 };
+    const changes = { categories: { puts: [['3', casa]], deletes: [] } };
+
+    applyChangesToSnapshot(snapshot, changes);
+    const categories = applyChanges('categories', baseData.categories, changes.categories);
+
+    expect(diffSnapshot(snapshot, { ...baseData, categories })).toEqual({});
+  });
+});
@@ -0,0 +1,70 @@
+// ============================================================================
+// METAS DE ECONOMIA (caixinhas)
+// Reserva de emergência, viagem, IPVA do ano que vem... Cada mês novo guarda
+// um valor fixo e/ou uma parte da sobra do mês anterior em cada meta.
+// O que foi guardado fica no mês: monthlyLedgers[mês].goalContributions.
+// ============================================================================
+
+import { shiftMonthKey, toMonthIndex } from './budget';
+import { splitByWeights, percentOf } from './money';
+
+// Quanto já foi guardado na meta (valor inicial + o que cada mês guardou)
+export const getGoalSaved = (goal, monthlyLedgers) => {
+  return Object.values(monthlyLedgers).reduce(
+    (acc, ledger) => acc + Number(ledger.goalContributions?.[goal.id] || 0),
+    Number(goal.initialAmount) || 0
+  );
+};
+
+// Quanto cada meta recebe no mês novo: o valor fixo + a porcentagem da sobra.
+// Sobra negativa (estouro) não alimenta meta nenhuma; meta cheia não recebe mais.
+// Se as porcentagens passarem de 100%, são reduzidas na mesma proporção.
+// A divisão é feita em centavos inteiros: nenhum centavo da sobra se perde.
+export const planContributions = (goals, monthlyLedgers, leftover) => {
+  const positiveLeftover = Math.max(0, Number(leftover) || 0);
+  const totalShare = goals.reduce((acc, goal) => acc + (Number(goal.rolloverShare) || 0), 0);
+  const fromShares = splitByWeights(percentOf(positiveLeftover, Math.min(100, totalShare)), goals.map(goal => goal.rolloverShare));
+
+  const contributions = {};
+  goals.forEach((goal, index) => {
+    const missing = Number(goal.targetAmount) - getGoalSaved(goal, monthlyLedgers);
+    if (missing <= 0) return;
+    const amount = Math.min(missing, (Number(goal.monthlyContribution) || 0) + fromShares[index]);
+    if (amount > 0) contributions[goal.id] = amount;
+  });
+  return contributions;
+};
+
+// Progresso da meta e quando ela deve ficar pronta no ritmo atual.
+// O ritmo é a média do que já foi guardado por mês (ou o valor fixo, se ainda não guardou nada).
+export const getGoalProgress = (goal, monthlyLedgers, currentMonthKey) => {
+  const saved = getGoalSaved(goal, monthlyLedgers);
+  const target = Number(goal.targetAmount) || 0;
+  const missing = Math.max(0, target - saved);
+
+  const monthlyAmounts = Object.values(monthlyLedgers)
+    .map(ledger => Number(ledger.goalContributions?.[goal.id] || 0))
+    .filter(amount => amount > 0);
+  const pace = monthlyAmounts.length > 0
+    ? Math.round(monthlyAmounts.reduce((acc, amount) => acc + amount, 0) / monthlyAmounts.length)
+    : Number(goal.monthlyContribution) || 0;
+
+  const projectedMonthKey = missing === 0
+    ? currentMonthKey
+    : pace > 0 ? shiftMonthKey(currentMonthKey, Math.ceil(missing / pace)) : null;
+
+  // Quanto precisaria guardar por mês para chegar lá na data escolhida (arredondado para cima,
+  // senão o último centavo fica faltando)
+  const monthsLeft = goal.targetDate ? toMonthIndex(goal.targetDate) - toMonthIndex(currentMonthKey) + 1 : null;
+  const neededPerMonth = monthsLeft === null ? null : Math.ceil(missing / Math.max(1, monthsLeft));
+
+  return {
+    saved,
+    missing,
+    percentage: target > 0 ? Math.min(100, (saved / target) * 100) : 100,
+    pace,
+    projectedMonthKey,
+    neededPerMonth,
+    isOnTrack: !goal.targetDate || (projectedMonthKey !== null && projectedMonthKey <= goal.targetDate)
+  };
+};
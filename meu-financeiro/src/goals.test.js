@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getGoalSaved, planContributions, getGoalProgress } from './goals';
+
+const reserva = { id: 'reserva', name: 'Reserva', targetAmount: 6000, targetDate: '2026-06', initialAmount: 1000, monthlyContribution: 200, rolloverShare: 50 };
+const viagem = { id: 'viagem', name: 'Viagem', targetAmount: 3000, targetDate: '2025-12', initialAmount: 0, monthlyContribution: 0, rolloverShare: 100 };
+
+const monthlyLedgers = {
+  '2025-08': { incomes: [], rollover: 0, goalContributions: { reserva: 300 } },
+  '2025-09': { incomes: [], rollover: 0, goalContributions: { reserva: 500, viagem: 2900 } },
+  '2025-10': { incomes: [], rollover: 0 }
+};
+
+describe('getGoalSaved', () => {
+  it('soma o valor inicial com o que cada mês guardou', () => {
+    expect(getGoalSaved(reserva, monthlyLedgers)).toBe(1800);
+    expect(getGoalSaved(viagem, monthlyLedgers)).toBe(2900);
+  });
+});
+
+describe('planContributions', () => {
+  it('junta o valor fixo com a parte da sobra', () => {
+    expect(planContributions([reserva], monthlyLedgers, 600)).toEqual({ reserva: 500 });
+  });
+
+  it('estouro não alimenta metas, mas o valor fixo continua', () => {
+    expect(planContributions([reserva, viagem], monthlyLedgers, -250)).toEqual({ reserva: 200 });
+  });
+
+  it('não passa do que falta para a meta', () => {
+    expect(planContributions([viagem], monthlyLedgers, 1000)).toEqual({ viagem: 100 });
+  });
+
+  it('reduz as porcentagens quando passam de 100%', () => {
+    const a = { id: 'a', targetAmount: 10000, rolloverShare: 100 };
+    const b = { id: 'b', targetAmount: 10000, rolloverShare: 100 };
+    expect(planContributions([a, b], {}, 300)).toEqual({ a: 150, b: 150 });
+  });
+
+  it('divide a sobra em centavos sem perder nenhum', () => {
+    const a = { id: 'a', targetAmount: 10000, rolloverShare: 50 };
+    const b = { id: 'b', targetAmount: 10000, rolloverShare: 50 };
+    expect(planContributions([a, b], {}, 1001)).toEqual({ a: 501, b: 500 });
+  });
+});
+
+describe('getGoalProgress', () => {
+  it('projeta a conclusão pela média guardada por mês', () => {
+    const progress = getGoalProgress(reserva, monthlyLedgers, '2025-10');
+    expect(progress).toMatchObject({ saved: 1800, missing: 4200, percentage: 30, pace: 400, projectedMonthKey: '2026-09' });
+    expect(progress.isOnTrack).toBe(false);
+    // Faltam 9 meses (outubro a junho, contando este)
+    expect(progress.neededPerMonth).toBe(467);
+  });
+
+  it('meta sem ritmo nenhum não tem previsão', () => {
+    const parada = { id: 'parada', targetAmount: 1000 };
+    expect(getGoalProgress(parada, {}, '2025-10')).toMatchObject({ projectedMonthKey: null, neededPerMonth: null, isOnTrack: true });
+  });
+});
@@ -0,0 +1,103 @@
+// ============================================================================
+// IDIOMA E MOEDA
+// O app é escrito em português: o próprio texto em pt-BR é a chave da
+// tradução, e t('Salvar') devolve "Save" em inglês. Texto sem tradução
+// aparece em português (nunca some da tela).
+// Valores com {nome} recebem parâmetros: t('{count} lançamentos', { count: 2 }).
+//
+// O idioma é deste aparelho (localStorage, como a sincronia). A moeda base é
+// dos dados (loja "settings" do storage.js): vai no backup e na sincronia, e o
+// App aplica aqui com o applyBaseCurrency. Todos os valores guardados estão na
+// moeda base, então ela só pode ser trocada antes do primeiro valor (store.js).
+// ============================================================================
+
+import { MESSAGES } from './messages';
+
+export const PREFERENCES_KEY = 'zeroBudget_preferences';
+
+export const LOCALES = [
+  { id: 'pt-BR', label: 'Português (Brasil)' },
+  { id: 'en-US', label: 'English (US)' }
+];
+
+// Moedas aceitas (todas com centavos, como o resto do app)
+export const CURRENCIES = ['BRL', 'USD', 'EUR', 'GBP', 'CAD', 'ARS'];
+
+// Moeda de dados que nunca escolheram uma
+export const DEFAULT_CURRENCY = 'BRL';
+
+export const DEFAULT_PREFERENCES = { locale: 'pt-BR' };
+
+// Idioma do navegador quando o usuário ainda não escolheu
+const guessLocale = () => {
+  const language = globalThis.navigator?.language || '';
+  return LOCALES.find(locale => locale.id === language)?.id
+    || (language.startsWith('en') ? 'en-US' : DEFAULT_PREFERENCES.locale);
+};
+
+// Garante um idioma conhecido (preferência salva por uma versão futura, por exemplo)
+export const normalizePreferences = (saved = {}) => ({
+  locale: LOCALES.some(locale => locale.id === saved.locale) ? saved.locale : DEFAULT_PREFERENCES.locale
+});
+
+const readSaved = (storage) => {
+  try {
+    return JSON.parse(storage.getItem(PREFERENCES_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Sem localStorage (fora do navegador) fica no padrão
+export const loadPreferences = (storage = globalThis.localStorage) => {
+  if (!storage) return DEFAULT_PREFERENCES;
+  return normalizePreferences(readSaved(storage) || { locale: guessLocale() });
+};
+
+// Moeda base que versões antigas guardavam junto com o idioma, neste aparelho.
+// Serve só para os dados de antes da versão 12 adotarem a moeda que já usavam.
+export const loadLegacyBaseCurrency = (storage = globalThis.localStorage) => {
+  const currency = storage ? readSaved(storage)?.baseCurrency : undefined;
+  return CURRENCIES.includes(currency) ? currency : null;
+};
+
+// Idioma e moeda em uso: o idioma lido ao abrir (logo abaixo), a moeda vinda dos dados
+let current = { ...DEFAULT_PREFERENCES, baseCurrency: DEFAULT_CURRENCY };
+
+export const getPreferences = () => current;
+export const getLocale = () => current.locale;
+export const getBaseCurrency = () => current.baseCurrency;
+
+// Troca o idioma só em memória (ex: outra aba já gravou no localStorage).
+// Quem chama precisa redesenhar a tela.
+export const applyPreferences = (preferences) => {
+  current = { ...current, ...normalizePreferences(preferences) };
+  if (typeof document !== 'undefined') document.documentElement.lang = current.locale;
+  return current;
+};
+
+// Moeda base dos dados carregados (desconhecida vira a padrão)
+export const applyBaseCurrency = (currency) => {
+  const baseCurrency = CURRENCIES.includes(currency) ? currency : DEFAULT_CURRENCY;
+  if (baseCurrency !== current.baseCurrency) current = { ...current, baseCurrency };
+  return current;
+};
+
+// Troca e guarda (só o idioma: a moeda fica nos dados)
+export const savePreferences = (preferences, storage = globalThis.localStorage) => {
+  const applied = applyPreferences(preferences);
+  storage?.setItem(PREFERENCES_KEY, JSON.stringify(normalizePreferences(applied)));
+  return applied;
+};
+
+applyPreferences(loadPreferences());
+
+// ============================================================================
+// TRADUÇÃO
+// ============================================================================
+
+const interpolate = (text, params) => (params
+  ? text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match))
+  : text);
+
+export const t = (text, params) => interpolate(MESSAGES[current.locale]?.[text] ?? text, params);
@@ -0,0 +1,86 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  t, normalizePreferences, loadPreferences, savePreferences, applyPreferences, applyBaseCurrency, loadLegacyBaseCurrency,
+  getLocale, getBaseCurrency, DEFAULT_PREFERENCES, DEFAULT_CURRENCY, PREFERENCES_KEY
+} from './i18n';
+import { MESSAGES } from './messages';
+
+// localStorage de mentira, só com o que o i18n usa
+const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+};
+
+afterEach(() => {
+  applyPreferences(DEFAULT_PREFERENCES);
+  applyBaseCurrency(DEFAULT_CURRENCY);
+});
+
+describe('t', () => {
+  it('em português devolve o próprio texto, com os parâmetros', () => {
+    expect(t('Salvar')).toBe('Salvar');
+    expect(t('{count} lançamentos', { count: 3 })).toBe('3 lançamentos');
+  });
+
+  it('em inglês usa a tradução e cai no português quando não tem', () => {
+    applyPreferences({ locale: 'en-US' });
+    expect(getLocale()).toBe('en-US');
+    expect(t('Salvar')).toBe('Save');
+    expect(t('{count} lançamentos', { count: 3 })).toBe('3 transactions');
+    expect(t('Texto sem tradução')).toBe('Texto sem tradução');
+  });
+
+  it('deixa o {nome} sem parâmetro como está', () => {
+    expect(t('pago {amount}', {})).toBe('pago {amount}');
+  });
+
+  it('todo t("...") do código tem tradução em inglês', () => {
+    const dir = new URL('.', import.meta.url);
+    const keys = readdirSync(dir)
+      .filter(file => /\.jsx?$/.test(file) && !file.includes('.test.') && file !== 'messages.js')
+      .flatMap(file => [...readFileSync(new URL(file, dir), 'utf8').matchAll(/\bt\('((?:[^'\\]|\\.)*)'/g)])
+      .map(match => match[1].replace(/\\'/g, "'"));
+    expect(keys.length).toBeGreaterThan(0);
+    expect(keys.filter(key => !MESSAGES['en-US'][key])).toEqual([]);
+  });
+
+  it('nenhum alert/confirm mostra texto fixo sem passar pelo t()', () => {
+    const source = readFileSync(new URL('App.jsx', import.meta.url), 'utf8');
+    expect([...source.matchAll(/\b(?:alert|confirm)\(\s*['`]/g)]).toEqual([]);
+  });
+});
+
+describe('preferências', () => {
+  it('troca idioma desconhecido pelo padrão', () => {
+    expect(normalizePreferences({ locale: 'fr-FR' })).toEqual(DEFAULT_PREFERENCES);
+    expect(normalizePreferences({ locale: 'en-US' })).toEqual({ locale: 'en-US' });
+  });
+
+  it('guarda e lê de volta só o idioma (a moeda base é dos dados)', () => {
+    const storage = createStorage();
+    applyBaseCurrency('EUR');
+    savePreferences({ locale: 'en-US' }, storage);
+    expect(loadPreferences(storage)).toEqual({ locale: 'en-US' });
+    expect(JSON.parse(storage.getItem(PREFERENCES_KEY))).toEqual({ locale: 'en-US' });
+    expect(getBaseCurrency()).toBe('EUR');
+  });
+
+  it('moeda base desconhecida vira a padrão', () => {
+    applyBaseCurrency('USD');
+    expect(getBaseCurrency()).toBe('USD');
+    applyBaseCurrency('XYZ');
+    expect(getBaseCurrency()).toBe(DEFAULT_CURRENCY);
+  });
+
+  it('lê a moeda que versões antigas guardavam no aparelho', () => {
+    expect(loadLegacyBaseCurrency(createStorage({ [PREFERENCES_KEY]: JSON.stringify({ locale: 'pt-BR', baseCurrency: 'USD' }) }))).toBe('USD');
+    expect(loadLegacyBaseCurrency(createStorage({ [PREFERENCES_KEY]: JSON.stringify({ locale: 'pt-BR' }) }))).toBeNull();
+    expect(loadLegacyBaseCurrency(createStorage())).toBeNull();
+  });
+
+  it('sem nada salvo (ou com lixo) fica no padrão', () => {
+    expect(loadPreferences(undefined)).toEqual(DEFAULT_PREFERENCES);
+    expect(loadPreferences(createStorage({ [PREFERENCES_KEY]: '{quebrado' }))).toEqual(DEFAULT_PREFERENCES);
+  });
+});
@@ -0,0 +1,361 @@
+// ============================================================================
+// TRADUÇÕES
+// Chave: o texto em português, exatamente como aparece no t('...').
+// Rótulos das tabelas (formas de pagamento, frequências, tipos de conta...)
+// também entram pelo texto. Texto novo no app precisa entrar aqui (o
+// i18n.test.js confere os t("...") escritos no código).
+// ============================================================================
+
+export const MESSAGES = {
+  'en-US': {
+    'Valor inválido: "{value}". Use o formato 1.234,56 (ou -1.234,56).': 'Invalid amount: "{value}". Use the format 1,234.56 (or -1,234.56).',
+    'Valor inválido: "{value}". Use o formato 1.234,56.': 'Invalid amount: "{value}". Use the format 1,234.56.',
+    '(arquivada)': '(archived)',
+    'Não conseguimos ler os dados salvos, então o app começou do zero. Uma cópia do conteúdo original foi guardada no navegador.': 'We couldn\'t read the saved data, so the app started from scratch. A copy of the original content was kept in the browser.',
+    'Alguns dados salvos estavam inválidos e foram corrigidos automaticamente. Uma cópia do original foi guardada no navegador.': 'Some saved data was invalid and was fixed automatically. A copy of the original was kept in the browser.',
+    'Nova versão do app disponível.': 'A new version of the app is available.',
+    'Atualizar': 'Update',
+    'Este navegador não tem IndexedDB, então não dá para sincronizar.': 'This browser has no IndexedDB, so syncing is not possible.',
+    'Seu nome (aparece nos lançamentos)': 'Your name (shown on transactions)',
+    'Servidor (ex: http://192.168.0.10:8787)': 'Server (e.g. http://192.168.0.10:8787)',
+    'Senha do servidor': 'Server password',
+    'Desligar': 'Turn off',
+    'Salvar': 'Save',
+    'Ligar sincronia': 'Turn on sync',
+    'Sincronizando...': 'Syncing...',
+    'Sincronizado às {time}': 'Synced at {time}',
+    'Ainda não sincronizou.': 'Not synced yet.',
+    '{count} mudanças esperando envio': '{count} changes waiting to be sent',
+    'Sincronizar agora': 'Sync now',
+    'Backup importado!': 'Backup imported!',
+    'Exportar': 'Export',
+    'Importar': 'Import',
+    'Feito em {date}': 'Made on {date}',
+    '{count} itens inválidos foram corrigidos ou ignorados.': '{count} invalid items were fixed or skipped.',
+    'Juntar': 'Merge',
+    'Substituir tudo': 'Replace everything',
+    '{count} alterados': '{count} changed',
+    'Cancelar': 'Cancel',
+    'Nenhum lançamento encontrado no arquivo.': 'No transactions found in the file.',
+    'O arquivo está vazio.': 'The file is empty.',
+    'Importar Extrato': 'Import Statement',
+    'Escolher arquivo OFX ou CSV': 'Choose an OFX or CSV file',
+    'Colunas do CSV': 'CSV columns',
+    'Personalizado': 'Custom',
+    'Data': 'Date',
+    'Descrição': 'Description',
+    'Valor': 'Amount',
+    'Coluna...': 'Column...',
+    'Gastos negativos': 'Expenses are negative',
+    'Gastos positivos': 'Expenses are positive',
+    'Regras automáticas': 'Automatic rules',
+    'Descrição contém...': 'Description contains...',
+    'Categoria': 'Category',
+    'Ex: "IFOOD" → Alimentação': 'E.g. "UBER EATS" → Food',
+    'Revisar {count} lançamentos': 'Review {count} transactions',
+    '({count} entradas ignoradas)': '({count} credits skipped)',
+    'Sem categoria': 'No category',
+    'Possível duplicado': 'Possible duplicate',
+    'Importar {count} lançamentos ({total})': 'Import {count} transactions ({total})',
+    'Relatórios': 'Reports',
+    'Últimos 12 meses': 'Last 12 months',
+    'Renda x Gastos x Economia': 'Income x Expenses x Savings',
+    'Renda': 'Income',
+    'Gastos': 'Expenses',
+    'Economia': 'Savings',
+    'Gastos por categoria': 'Expenses by category',
+    'Média mensal': 'Monthly average',
+    'Sem dados no período.': 'No data in this period.',
+    'Meses acima do teto': 'Months over the limit',
+    'Nenhum estouro no período.': 'No overspending in this period.',
+    'Nome (Ex: Aluguel)': 'Name (e.g. Rent)',
+    'Categoria...': 'Category...',
+    'Mensal': 'Monthly',
+    'Bimestral': 'Every 2 months',
+    'Trimestral': 'Quarterly',
+    'Semestral': 'Every 6 months',
+    'Anual': 'Yearly',
+    'Dia': 'Day',
+    'Início': 'Start',
+    'Sem fim': 'No end',
+    'Até o mês...': 'Until month...',
+    'Parcelado': 'Installments',
+    'Nº de parcelas': 'No. of installments',
+    'Valor varia (luz, água): confirmar o valor real todo mês': 'Amount varies (power, water): confirm the real amount every month',
+    'Adicionar': 'Add',
+    'Confirme o valor real': 'Confirm the real amount',
+    'Sem conta': 'No account',
+    '1 conta atrasada': '1 overdue bill',
+    '{count} contas atrasadas': '{count} overdue bills',
+    '1 conta vence nos próximos dias': '1 bill due in the next few days',
+    '{count} contas vencem nos próximos dias': '{count} bills due in the next few days',
+    'Contas do Mês': 'Bills this Month',
+    'A pagar': 'To pay',
+    'Pago': 'Paid',
+    'Nenhuma conta com vencimento neste mês.': 'No bills due this month.',
+    'Cartão de crédito': 'Credit card',
+    'Paga': 'Paid',
+    'Atrasada': 'Overdue',
+    'Vence logo': 'Due soon',
+    'Pendente': 'Pending',
+    'pago {amount}': 'paid {amount}',
+    'Desmarcar pagamento': 'Mark as unpaid',
+    'Marcar como paga': 'Mark as paid',
+    'Ativar lembretes de vencimento': 'Turn on due date reminders',
+    'Lembretes ativos: avisamos das contas atrasadas ou vencendo enquanto o app estiver aberto.': 'Reminders on: we let you know about overdue or upcoming bills while the app is open.',
+    'Lembretes bloqueados. Libere as notificações deste site no navegador para recebê-los.': 'Reminders blocked. Allow notifications for this site in your browser to get them.',
+    'Cotação inválida: "{value}". Informe quanto vale 1 {currency} em {base}.': 'Invalid exchange rate: "{value}". Enter how much 1 {currency} is worth in {base}.',
+    'Moeda': 'Currency',
+    'Cotação': 'Rate',
+    'Cotação (1 {currency} em {base})': 'Exchange rate (1 {currency} in {base})',
+    'Valor Gasto': 'Amount Spent',
+    'Ex: Padaria': 'E.g. Bakery',
+    'Selecione...': 'Select...',
+    'Mesma categoria da última vez': 'Same category as last time',
+    'Pago com': 'Paid with',
+    'Forma de pagamento': 'Payment method',
+    'Pix': 'Pix',
+    'Débito': 'Debit',
+    'Crédito': 'Credit',
+    'Dinheiro': 'Cash',
+    'Boleto': 'Bank slip',
+    'Etiquetas': 'Tags',
+    'Ex: viagem, presente': 'E.g. travel, gift',
+    'Comprovante (foto)': 'Receipt (photo)',
+    'A foto fica só neste aparelho.': 'The photo stays on this device only.',
+    'Salvar Gasto': 'Save Expense',
+    'Fechar': 'Close',
+    'Comprovante': 'Receipt',
+    'Abrindo...': 'Opening...',
+    'A foto deste comprovante não está neste aparelho.': 'This receipt photo is not on this device.',
+    'Lançamentos': 'Transactions',
+    'Todas as categorias': 'All categories',
+    'Conta': 'Account',
+    'Não informada': 'Not specified',
+    'Fixo': 'Fixed',
+    'Estimado': 'Estimated',
+    'Ver comprovante': 'View receipt',
+    'Não foi possível guardar a foto do comprovante. O gasto foi salvo sem ela.': 'Could not save the receipt photo. The expense was saved without it.',
+    'Editar': 'Edit',
+    'Excluir': 'Delete',
+    'Nenhum lançamento neste mês.': 'No transactions this month.',
+    'Lançamento excluído': 'Transaction deleted',
+    'Desfazer': 'Undo',
+    'Buscar lançamentos': 'Search transactions',
+    'Em todos os meses': 'Across all months',
+    'Apagar filtro {name}': 'Delete filter {name}',
+    'Ex: encanador, padaria, viagem': 'E.g. plumber, bakery, travel',
+    'Filtros': 'Filters',
+    'Valor mínimo': 'Minimum amount',
+    'Valor máximo': 'Maximum amount',
+    'De': 'From',
+    'Até': 'To',
+    'Filtrar por categoria...': 'Filter by category...',
+    'Todos': 'All',
+    'Fixos': 'Fixed',
+    'Variáveis': 'Variable',
+    'Limpar filtros': 'Clear filters',
+    '1 lançamento': '1 transaction',
+    '{count} lançamentos': '{count} transactions',
+    'Salvar filtro': 'Save filter',
+    'Exportar CSV': 'Export CSV',
+    'Nome do filtro (ex: Obra da cozinha)': 'Filter name (e.g. Kitchen remodel)',
+    'Nenhum lançamento encontrado.': 'No transactions found.',
+    'Rendas': 'Income',
+    'Fonte (Ex: Freela, 13º Salário)': 'Source (E.g. Freelance, Bonus)',
+    'Nenhuma renda lançada.': 'No income recorded.',
+    'Total': 'Total',
+    'Fora do app': 'Outside the app',
+    'Contas e Cartões': 'Accounts and Cards',
+    'Conta corrente': 'Checking',
+    'Poupança': 'Savings',
+    'fecha dia {closingDay} · vence dia {dueDay}': 'closes on day {closingDay} · due on day {dueDay}',
+    'Nenhuma conta cadastrada.': 'No accounts yet.',
+    'Saldo total': 'Total balance',
+    'Nova conta': 'New account',
+    'Nome (Ex: Nubank)': 'Name (E.g. Chase)',
+    'Fatura em aberto (negativo)': 'Open statement (negative)',
+    'Saldo atual': 'Current balance',
+    'Fecha dia': 'Closes on',
+    'Vence dia': 'Due on',
+    'Paga com...': 'Paid from...',
+    'Transferir': 'Transfer',
+    'Para': 'To',
+    'Transferir para um cartão paga a fatura que vence neste mês.': 'Transferring to a card pays the statement due this month.',
+    'Meta alcançada!': 'Goal reached!',
+    'Previsão: {month}': 'Forecast: {month}',
+    'Sem previsão (nada guardado por mês)': 'No forecast (nothing saved per month)',
+    'meta {month}': 'target {month}',
+    'precisa de {amount}/mês': 'needs {amount}/month',
+    'Metas': 'Goals',
+    'Todo mês: {amount} + {share}% da sobra': 'Every month: {amount} + {share}% of the leftover',
+    'este mês: {amount}': 'this month: {amount}',
+    'Guardar (ou retirar com -)': 'Save (or withdraw with -)',
+    'Guardar': 'Save',
+    'Nenhuma meta criada. Que tal uma reserva de emergência?': 'No goals yet. How about an emergency fund?',
+    'As metas somam {share}% da sobra; cada uma recebe sua parte proporcional.': 'Goals add up to {share}% of the leftover; each one gets its proportional share.',
+    'Nova meta': 'New goal',
+    'Nome (Ex: Reserva de emergência)': 'Name (E.g. Emergency fund)',
+    'Valor alvo': 'Target amount',
+    'Até quando': 'By when',
+    'Já tenho': 'Already have',
+    'Fixo/mês': 'Fixed/month',
+    '% sobra': '% leftover',
+    'Criar meta': 'Create goal',
+    'Herdado do mês anterior': 'Carried over from last month',
+    'Guardado em metas': 'Saved in goals',
+    'Mês Fechado': 'Month Closed',
+    'Fechar Mês': 'Close Month',
+    'Passa para o próximo mês': 'Carries over to next month',
+    'Saldo das categorias': 'Category balances',
+    'Fechado em {day}. Estes valores ficam congelados.': 'Closed on {day}. These amounts are frozen.',
+    '1 conta ainda não foi paga.': '1 bill has not been paid yet.',
+    '{count} contas ainda não foram pagas.': '{count} bills have not been paid yet.',
+    '1 gasto estimado sem valor real confirmado.': '1 estimated expense without a confirmed amount.',
+    '{count} gastos estimados sem valor real confirmado.': '{count} estimated expenses without a confirmed amount.',
+    'Dá para fechar mesmo assim; pagar contas continua liberado depois.': 'You can close it anyway; paying bills is still allowed afterwards.',
+    'Meses seguintes': 'Following months',
+    'Nenhum mês seguinte muda.': 'No following month changes.',
+    'Herdado': 'Carried over',
+    'Meses já fechados não são alterados.': 'Months already closed are not changed.',
+    'Reabrir libera a edição dos lançamentos. Feche de novo depois para congelar os novos valores.': 'Reopening allows editing transactions again. Close it again afterwards to freeze the new amounts.',
+    'Reabrir mês': 'Reopen month',
+    'Fechar mês': 'Close month',
+    'Nome (Ex: Lazer)': 'Name (E.g. Leisure)',
+    'Teto': 'Limit',
+    'Sem grupo (primeiro nível)': 'No group (top level)',
+    'Dentro de {name}': 'Inside {name}',
+    'Tem subcategorias, então fica no primeiro nível.': 'It has subcategories, so it stays at the top level.',
+    'Cor {color}': 'Color {color}',
+    'Ícone {name}': 'Icon {name}',
+    'Criar categoria': 'Create category',
+    'Usada em {transactions} lançamentos, {recurring} fixos e {rules} regras.': 'Used in {transactions} transactions, {recurring} fixed expenses and {rules} rules.',
+    'Nenhum lançamento usa esta categoria.': 'No transaction uses this category.',
+    'As {count} subcategorias vão para o primeiro nível.': 'Its {count} subcategories move to the top level.',
+    'Tem lançamentos em meses fechados, que não podem mudar. Arquive a categoria em vez de apagar.': 'It has transactions in closed months, which cannot change. Archive the category instead of deleting it.',
+    'Arquivar': 'Archive',
+    'Desarquivar': 'Unarchive',
+    'Mover tudo para...': 'Move everything to...',
+    'Apagar': 'Delete',
+    'Arraste ou use as setas para mudar a ordem.': 'Drag or use the arrows to reorder.',
+    'Subir': 'Move up',
+    'Descer': 'Move down',
+    'Nenhuma categoria criada.': 'No categories yet.',
+    'Esconder {count} arquivadas': 'Hide {count} archived',
+    'Mostrar {count} arquivadas': 'Show {count} archived',
+    'Distribuir Orçamento': 'Assign Budget',
+    'Distribuído a mais': 'Over-assigned',
+    'Falta distribuir': 'Left to assign',
+    'Distribuído para {name}': 'Assigned to {name}',
+    'Sobra do mês passado: {amount}': 'Leftover from last month: {amount}',
+    'Estouro do mês passado: {amount}': 'Overspent last month: {amount}',
+    'Disponível: {amount}': 'Available: {amount}',
+    'Mover dinheiro': 'Move money',
+    'Para...': 'To...',
+    'Mover': 'Move',
+    'Outro aparelho usa uma versão mais nova do app. Atualize este aparelho.': 'Another device uses a newer version of the app. Update this device.',
+    'Apagar este gasto fixo? Os lançamentos já feitos continuam no histórico.': 'Delete this fixed expense? Transactions already recorded stay in the history.',
+    'O mês {month} está fechado. Reabra o mês para fazer mudanças.': 'Month {month} is closed. Reopen the month to make changes.',
+    'Apagar esta conta? Os lançamentos continuam no histórico, mas sem conta (e a fatura some, se for cartão).': 'Delete this account? Transactions stay in the history, but without an account (and the statement disappears, if it is a card).',
+    'Apagar esta meta? Para usar o dinheiro guardado, retire antes (valor negativo) no mês em que for gastar.': 'Delete this goal? To use the saved money, withdraw it first (negative amount) in the month you will spend it.',
+    '{count} lançamento(s) caem em meses fechados e não foram importados.': '{count} transaction(s) fall in closed months and were not imported.',
+    'Seus dados foram atualizados por uma versão mais nova do app. Recarregue para continuar.': 'Your data was updated by a newer version of the app. Reload to continue.',
+    'Não foi possível abrir os dados salvos. Recarregue para tentar de novo.': 'Could not open your saved data. Reload to try again.',
+    'Recarregar': 'Reload',
+    'Planejar {month}': 'Plan {month}',
+    'Vamos configurar o orçamento deste mês.': 'Let\'s set up this month\'s budget.',
+    'Sobrou do mês passado!': 'Left over from last month!',
+    'Este valor será somado à sua renda.': 'This amount will be added to your income.',
+    'O mês passado fechou no vermelho': 'Last month ended in the red',
+    'Este valor será descontado da sua renda.': 'This amount will be deducted from your income.',
+    'Saldo das categorias no mês passado': 'Category balances last month',
+    'Cada categoria começa o mês com esse saldo somado ao teto.': 'Each category starts the month with this balance added to its limit.',
+    'Alguma renda extra este mês?': 'Any extra income this month?',
+    'Qual sua Renda/Salário este mês?': 'What is your income/salary this month?',
+    'Automação': 'Automation',
+    'Lançaremos {count} rendas fixas ({amount}).': 'We will record {count} fixed incomes ({amount}).',
+    'Lançaremos {count} gastos fixos automaticamente.': 'We will record {count} fixed expenses automatically.',
+    'Guardaremos {amount} nas suas metas.': 'We will save {amount} in your goals.',
+    'Voltar Mês': 'Previous Month',
+    'Iniciar Mês': 'Start Month',
+    'Ajustes Globais': 'Settings',
+    'Categorias (Budget)': 'Categories (Budget)',
+    'O teto é a sugestão inicial de cada mês novo; ajuste em "Distribuir". Arquivadas somem dos meses novos, mas o histórico continua.': 'The limit is the starting suggestion for each new month; adjust it in "Assign". Archived ones disappear from new months, but the history stays.',
+    'Gastos Fixos Recorrentes': 'Recurring Fixed Expenses',
+    'Estes gastos aparecerão automaticamente nos meses novos em que vencem.': 'These expenses will show up automatically in the new months they are due.',
+    'Crie categorias primeiro.': 'Create categories first.',
+    'Nenhum fixo cadastrado.': 'No fixed expenses yet.',
+    'Rendas Fixas Recorrentes': 'Recurring Fixed Income',
+    'Estas rendas entrarão automaticamente todo mês novo.': 'This income will be added automatically every new month.',
+    'Fonte (Ex: Salário)': 'Source (E.g. Salary)',
+    'Nenhuma renda fixa cadastrada.': 'No fixed income yet.',
+    'Sincronizar entre aparelhos': 'Sync between devices',
+    'Lançamentos, categorias, fixos e meses passam por um servidor seu (npm run sync-server). Sem internet, tudo continua funcionando e é enviado depois.': 'Transactions, categories, fixed expenses and months go through your own server (npm run sync-server). Without internet everything keeps working and is sent later.',
+    'Backup': 'Backup',
+    'Guarde uma cópia de tudo num arquivo para não perder os dados se o navegador for limpo.': 'Keep a copy of everything in a file so you don\'t lose your data if the browser is cleared.',
+    'Idioma e moeda': 'Language and currency',
+    'Vale só para este aparelho.': 'Applies to this device only.',
+    'Isso apaga TUDO e reinicia o app.': 'This deletes EVERYTHING and restarts the app.',
+    'Baixar backup e apagar': 'Download backup and delete',
+    'Apagar sem backup': 'Delete without backup',
+    'Resetar Aplicativo': 'Reset App',
+    'Nova Despesa': 'New Expense',
+    'Mês anterior': 'Previous month',
+    'Próximo mês': 'Next month',
+    'Disponível (Renda + Sobras)': 'Available (Income + Leftovers)',
+    '1 renda ({amount}) · Lançar renda': '1 income ({amount}) · Add income',
+    '{count} rendas ({amount}) · Lançar renda': '{count} incomes ({amount}) · Add income',
+    'Livre': 'Free',
+    '+ {amount} comprometido': '+ {amount} committed',
+    'Configurar': 'Set up',
+    'Categorias & Fixos': 'Categories & Fixed',
+    'Tudo distribuído': 'All assigned',
+    'Distribuir': 'Assign',
+    '{amount} guardados este mês': '{amount} saved this month',
+    'Você ainda não configurou categorias.': 'You haven\'t set up categories yet.',
+    'Configurar Agora': 'Set Up Now',
+    'Ver {count} lançamentos do mês': 'See {count} transactions this month',
+    'Buscar em todos os meses': 'Search all months',
+    'Contas do mês ({count} a pagar)': 'Bills this month ({count} to pay)',
+    'Criar metas de economia': 'Create savings goals',
+    'Contas e cartões ({amount})': 'Accounts and cards ({amount})',
+    'Cadastrar contas e cartões': 'Add accounts and cards',
+    'Mês fechado · ver resumo ou reabrir': 'Month closed · see summary or reopen',
+    'Fechar o mês': 'Close the month',
+    'Importar extrato do banco': 'Import bank statement',
+    'Idioma': 'Language',
+    'Moeda base': 'Base currency',
+    'Todos os totais ficam na moeda base. Gastos e rendas em outra moeda são convertidos pela cotação que você informar ao lançar.': 'All totals are in the base currency. Expenses and income in another currency are converted using the exchange rate you enter when recording them.',
+    'A moeda base não pode mais ser trocada: os valores já guardados estão nela. Para usar outra moeda, comece do zero.': 'The base currency can no longer be changed: the amounts already saved are in it. To use another currency, start from scratch.',
+    'O backup está em {incoming} e os seus dados em {current}. Só dá para substituir tudo.': 'The backup is in {incoming} and your data is in {current}. You can only replace everything.',
+    'Sem conexão com o servidor. As mudanças ficam guardadas para depois.': 'No connection to the server. Changes are kept for later.',
+    'Senha do servidor incorreta.': 'Wrong server password.',
+    'O servidor tem dados de uma versão mais nova do app. Atualize o app neste aparelho.': 'The server has data from a newer version of the app. Update the app on this device.',
+    'O servidor respondeu com erro ({status}).': 'The server responded with an error ({status}).',
+    'O arquivo não é um JSON válido.': 'The file is not valid JSON.',
+    'Este arquivo não é um backup do app.': 'This file is not a backup of the app.',
+    'Este backup foi feito por uma versão mais nova do app. Atualize antes de importar.': 'This backup was made by a newer version of the app. Update before importing.',
+    'Categorias': 'Categories',
+    'Gastos fixos': 'Fixed expenses',
+    'Rendas fixas': 'Fixed income',
+    'Meses': 'Months',
+    'Regras de importação': 'Import rules',
+    'Contas e cartões': 'Accounts and cards',
+    'Transferências': 'Transfers',
+    'Filtros salvos': 'Saved filters',
+    'Configurações': 'Settings',
+    'dia {day}': 'day {day}',
+    'até {month}': 'until {month}',
+    'valor estimado': 'estimated amount',
+    'atrasada há {days} dia(s)': '{days} day(s) overdue',
+    'vence hoje': 'due today',
+    'vence em {days} dia(s)': 'due in {days} day(s)',
+    'Conta a pagar': 'Bill to pay',
+    'Mês': 'Month',
+    'Variável': 'Variable',
+    'Fatura {name}': '{name} statement',
+    'Nubank (cartão)': 'Nubank (card)',
+    'Nubank (conta)': 'Nubank (account)',
+    'Tipo': 'Type'
+  }
+};
@@ -0,0 +1,134 @@
+// ============================================================================
+// DINHEIRO EM CENTAVOS
+// Todo valor guardado é um número inteiro de centavos (R$ 1.234,56 -> 123456).
+// Somar inteiros é exato; reais com vírgula só existem na tela (digitar e exibir).
+// Valores em moeda estrangeira guardam também o original e a cotação usada
+// (originalAmount, currency, exchangeRate); "amount" é sempre na moeda base,
+// então todos os totais continuam somando só "amount".
+// ============================================================================
+
+import { getLocale, getBaseCurrency } from './i18n';
+
+// R$ 1 bilhão: acima disso é erro de digitação
+export const MAX_CENTS = 100_000_000_000;
+
+// Reais (número) -> centavos. Para dados antigos e arquivos de banco.
+// O toFixed evita que 1,005 vire 100,4999... centavos e arredonde para baixo.
+export const toCents = (reais) => Math.round(Number((Number(reais) * 100).toFixed(4)));
+
+// Centavos -> reais (só para exibir; nunca guarde o resultado)
+export const fromCents = (cents) => cents / 100;
+
+// Valor digitado -> centavos; null se não for um valor válido.
+// Aceita "1.234,56", "1234,56", "R$ 10", "-42,5" e também o ponto decimal ("12.50").
+// Só ponto seguido de 3 dígitos é milhar ("1.234" = mil duzentos e trinta e quatro).
+// Em inglês os separadores trocam de papel ("1,234.56"; "1,234" = mil e duzentos...).
+export const parseMoney = (text, locale = getLocale()) => {
+  let cleaned = String(text ?? '').replace(/R\$|US\$|C\$|\$|€|£|\s/g, '');
+  if (locale === 'en-US') cleaned = cleaned.replace(/[.,]/g, char => (char === '.' ? ',' : '.'));
+  if (!/^-?[\d.,]+$/.test(cleaned)) return null;
+
+  const isNegative = cleaned.startsWith('-');
+  const digits = cleaned.replace('-', '');
+  const decimalAt = Math.max(digits.lastIndexOf(','), digits.lastIndexOf('.'));
+  const hasDecimal = decimalAt !== -1 && !(digits[decimalAt] === '.' && !digits.includes(',') && digits.length - decimalAt - 1 === 3);
+
+  // "1.2.3" ou "1,234,56": o separador decimal só pode aparecer uma vez
+  if (hasDecimal && digits.slice(0, decimalAt).includes(digits[decimalAt])) return null;
+
+  const whole = (hasDecimal ? digits.slice(0, decimalAt) : digits).replace(/[.,]/g, '');
+  const fraction = hasDecimal ? digits.slice(decimalAt + 1) : '';
+  if (fraction.length > 2 || (whole === '' && fraction === '')) return null;
+
+  const cents = Number(whole || 0) * 100 + Number(fraction.padEnd(2, '0'));
+  if (!Number.isSafeInteger(cents) || cents > MAX_CENTS) return null;
+  return isNegative ? -cents : cents;
+};
+
+// Um Intl.NumberFormat por idioma + moeda (criar um a cada valor na tela é caro)
+const moneyFormats = {};
+const getMoneyFormat = (locale, currency) => {
+  const key = `${locale}/${currency}`;
+  moneyFormats[key] = moneyFormats[key] || new Intl.NumberFormat(locale, { style: 'currency', currency });
+  return moneyFormats[key];
+};
+
+// Formata centavos na moeda base (ex: 123456 -> "R$ 1.234,56") ou na moeda pedida.
+// O "|| 0" evita o "-R$ 0,00" de um zero negativo.
+export const formatMoney = (cents, currency = getBaseCurrency(), locale = getLocale()) => {
+  return getMoneyFormat(locale, currency).format(fromCents(Number(cents) || 0));
+};
+
+// Centavos -> texto para preencher um campo de valor (ex: 123456 -> "1234,56"; em inglês "1234.56")
+export const toMoneyInput = (cents, locale = getLocale()) => {
+  const text = (fromCents(Number(cents) || 0)).toFixed(2);
+  return locale === 'en-US' ? text : text.replace('.', ',');
+};
+
+// ============================================================================
+// MOEDA ESTRANGEIRA (cotação digitada pelo usuário)
+// ============================================================================
+
+// Cotação = quanto 1 unidade da moeda estrangeira vale na moeda base (ex: 1 USD = 5,4321 BRL)
+export const MAX_RATE_DECIMALS = 6;
+
+// Cotação digitada -> número positivo; null se não for válida.
+// Aceita vírgula ou ponto decimal ("5,43" ou "5.43"); com os dois, vale o do idioma.
+export const parseRate = (text, locale = getLocale()) => {
+  let cleaned = String(text ?? '').replace(/\s/g, '');
+  if (cleaned.includes(',') && cleaned.includes('.')) {
+    cleaned = cleaned.replace(locale === 'en-US' ? /,/g : /\./g, '');
+  }
+  cleaned = cleaned.replace(',', '.');
+  if (!/^\d*\.?\d+$/.test(cleaned) && !/^\d+\.$/.test(cleaned)) return null;
+  const rate = Number(Number(cleaned).toFixed(MAX_RATE_DECIMALS));
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+};
+
+export const formatRate = (rate, locale = getLocale()) => {
+  return new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: MAX_RATE_DECIMALS }).format(rate);
+};
+
+// Cotação -> texto para preencher o campo (sem separador de milhar, ex: "5,4321"; em inglês "5.4321")
+export const toRateInput = (rate, locale = getLocale()) => {
+  const text = String(Number(Number(rate).toFixed(MAX_RATE_DECIMALS)));
+  return locale === 'en-US' ? text : text.replace('.', ',');
+};
+
+// Última cotação usada para cada moeda (sugestão ao escolher a moeda de novo).
+// Os registros vêm na ordem em que foram lançados; o mais recente vence.
+export const getLastExchangeRates = (records) => {
+  const rates = {};
+  records.forEach(record => {
+    if (isForeignAmount(record) && record.exchangeRate > 0) rates[record.currency] = record.exchangeRate;
+  });
+  return rates;
+};
+
+// Valor na moeda estrangeira -> centavos na moeda base (arredonda para o centavo)
+export const convertToBase = (originalCents, rate) => Math.round(Number(originalCents) * Number(rate));
+
+// O lançamento (ou renda) foi feito em outra moeda?
+export const isForeignAmount = (record) => Boolean(record?.currency) && record.originalAmount != null;
+
+// Divide um valor (positivo) em partes proporcionais aos pesos sem perder centavos:
+// cada parte é arredondada para baixo e os centavos que sobram vão, um a um,
+// para as partes com a maior fração. A soma das partes é sempre o total.
+export const splitByWeights = (totalCents, weights) => {
+  const totalWeight = weights.reduce((acc, weight) => acc + Math.max(0, Number(weight) || 0), 0);
+  if (totalWeight === 0) return weights.map(() => 0);
+
+  const exact = weights.map(weight => (totalCents * Math.max(0, Number(weight) || 0)) / totalWeight);
+  const parts = exact.map(Math.floor);
+  let remaining = totalCents - parts.reduce((acc, part) => acc + part, 0);
+  const byFraction = exact
+    .map((value, index) => ({ index, fraction: value - parts[index] }))
+    .sort((a, b) => b.fraction - a.fraction);
+  for (let i = 0; remaining > 0; i = (i + 1) % byFraction.length, remaining--) {
+    parts[byFraction[i].index]++;
+  }
+  return parts;
+};
+
+// Porcentagem de um valor, arredondada para o centavo (ex: 10% de R$ 0,05 -> 1 centavo)
+export const percentOf = (cents, percent) => Math.round((cents * Number(percent)) / 100);
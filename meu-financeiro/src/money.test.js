@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_CENTS, toCents, fromCents, parseMoney, formatMoney, toMoneyInput, splitByWeights, percentOf,
+  parseRate, formatRate, toRateInput, convertToBase, isForeignAmount, getLastExchangeRates
+} from './money';
+
+// O Intl usa espaço não separável entre "R$" e o número
+const normalizeSpaces = (text) => text.replace(/\s/g, ' ');
+
+describe('toCents / fromCents', () => {
+  it('converte reais em centavos inteiros sem erro de arredondamento', () => {
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(-12.5)).toBe(-1250);
+    expect(fromCents(123456)).toBe(1234.56);
+  });
+});
+
+describe('parseMoney', () => {
+  it('lê o formato brasileiro', () => {
+    expect(parseMoney('1.234,56')).toBe(123456);
+    expect(parseMoney('1234,5')).toBe(123450);
+    expect(parseMoney('R$ 10')).toBe(1000);
+    expect(parseMoney(',99')).toBe(99);
+    expect(parseMoney('-42,50')).toBe(-4250);
+    expect(parseMoney('1.234.567')).toBe(123456700);
+  });
+
+  it('aceita ponto decimal de quem digita no padrão americano', () => {
+    expect(parseMoney('12.50')).toBe(1250);
+    expect(parseMoney('1,234.56')).toBe(123456);
+  });
+
+  it('trata ponto com três dígitos como milhar', () => {
+    expect(parseMoney('1.234')).toBe(123400);
+  });
+
+  it('recusa o que não é valor', () => {
+    expect(parseMoney('')).toBeNull();
+    expect(parseMoney('abc')).toBeNull();
+    expect(parseMoney('12,345')).toBeNull();
+    expect(parseMoney('1,2,3')).toBeNull();
+    expect(parseMoney('.')).toBeNull();
+    expect(parseMoney(null)).toBeNull();
+  });
+
+  it('recusa valores absurdos', () => {
+    expect(parseMoney('1e9')).toBeNull();
+    expect(parseMoney('99999999999999')).toBeNull();
+    expect(parseMoney(toMoneyInput(MAX_CENTS))).toBe(MAX_CENTS);
+  });
+});
+
+describe('formatMoney', () => {
+  it('formata centavos em reais', () => {
+    expect(normalizeSpaces(formatMoney(123456))).toBe('R$ 1.234,56');
+    expect(normalizeSpaces(formatMoney(-5))).toBe('-R$ 0,05');
+  });
+
+  it('zero nunca aparece como "-R$ 0,00"', () => {
+    expect(normalizeSpaces(formatMoney(-0))).toBe('R$ 0,00');
+    expect(normalizeSpaces(formatMoney(undefined))).toBe('R$ 0,00');
+  });
+
+  it('prepara o valor para o campo de edição', () => {
+    expect(toMoneyInput(123456)).toBe('1234,56');
+    expect(parseMoney(toMoneyInput(-1))).toBe(-1);
+  });
+});
+
+describe('em inglês e em outras moedas', () => {
+  it('lê e escreve com ponto decimal e vírgula de milhar', () => {
+    expect(parseMoney('1,234.56', 'en-US')).toBe(123456);
+    expect(parseMoney('$ 12.5', 'en-US')).toBe(1250);
+    expect(parseMoney('1,234', 'en-US')).toBe(123400);
+    expect(toMoneyInput(123456, 'en-US')).toBe('1234.56');
+    expect(parseMoney(toMoneyInput(-1, 'en-US'), 'en-US')).toBe(-1);
+  });
+
+  it('formata na moeda pedida', () => {
+    expect(normalizeSpaces(formatMoney(123456, 'USD', 'en-US'))).toBe('$1,234.56');
+    expect(normalizeSpaces(formatMoney(1000, 'EUR'))).toBe('€ 10,00');
+  });
+});
+
+describe('cotação', () => {
+  it('aceita vírgula ou ponto e recusa zero ou texto', () => {
+    expect(parseRate('5,4321')).toBe(5.4321);
+    expect(parseRate('5.4321')).toBe(5.4321);
+    expect(parseRate('1.234,5')).toBe(1234.5);
+    expect(parseRate('1,234.5', 'en-US')).toBe(1234.5);
+    expect(parseRate('0')).toBeNull();
+    expect(parseRate('-5')).toBeNull();
+    expect(parseRate('abc')).toBeNull();
+  });
+
+  it('prepara a cotação para o campo e para exibir', () => {
+    expect(toRateInput(5.4321)).toBe('5,4321');
+    expect(toRateInput(5.4321, 'en-US')).toBe('5.4321');
+    expect(parseRate(toRateInput(1234.5))).toBe(1234.5);
+    expect(formatRate(5.4)).toBe('5,40');
+  });
+
+  it('converte para a moeda base arredondando o centavo', () => {
+    expect(convertToBase(1000, 5.4321)).toBe(5432);
+    expect(convertToBase(999, 0.185)).toBe(185);
+  });
+
+  it('sabe o que foi lançado em outra moeda e a última cotação de cada uma', () => {
+    const records = [
+      { amount: 5000 },
+      { amount: 5400, currency: 'USD', originalAmount: 1000, exchangeRate: 5.4 },
+      { amount: 6000, currency: 'EUR', originalAmount: 1000, exchangeRate: 6 },
+      { amount: 5500, currency: 'USD', originalAmount: 1000, exchangeRate: 5.5 }
+    ];
+    expect(records.map(isForeignAmount)).toEqual([false, true, true, true]);
+    expect(getLastExchangeRates(records)).toEqual({ USD: 5.5, EUR: 6 });
+  });
+});
+
+describe('splitByWeights / percentOf', () => {
+  it('divide sem perder nem criar centavos', () => {
+    expect(splitByWeights(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(splitByWeights(1001, [50, 30, 20])).toEqual([501, 300, 200]);
+    const parts = splitByWeights(99999, [33.3, 33.3, 33.4]);
+    expect(parts.reduce((acc, part) => acc + part, 0)).toBe(99999);
+  });
+
+  it('peso zero ou inválido não recebe nada', () => {
+    expect(splitByWeights(500, [0, 'x', 2])).toEqual([0, 0, 500]);
+    expect(splitByWeights(500, [0, 0])).toEqual([0, 0]);
+  });
+
+  it('calcula porcentagens arredondando para o centavo', () => {
+    expect(percentOf(5, 10)).toBe(1);
+    expect(percentOf(123456, 50)).toBe(61728);
+  });
+});
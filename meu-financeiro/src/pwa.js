@@ -0,0 +1,63 @@
+// ============================================================================
+// APP INSTALÁVEL (PWA)
+// Registra o service worker (src/sw.js, montado pelo vite.config.js) e avisa
+// quando há uma versão nova esperando. O app só troca de versão quando o
+// usuário aceita, e então todas as abas recarregam juntas: nenhuma fica com
+// código antigo rodando em cima de dados já migrados pela versão nova.
+// ============================================================================
+
+// Telas que podem ser abertas direto pelo endereço (atalho "Nova Despesa" do manifesto)
+export const LAUNCH_VIEWS = ['add-transaction'];
+
+// "?view=add-transaction" -> 'add-transaction' (ou null se não for uma tela conhecida)
+export const getLaunchView = (search) => {
+  const view = new URLSearchParams(search).get('view');
+  return LAUNCH_VIEWS.includes(view) ? view : null;
+};
+
+// Tira o "?view=..." do endereço para recarregar não reabrir a mesma tela
+export const clearLaunchView = () => {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has('view')) return;
+  url.searchParams.delete('view');
+  window.history.replaceState(null, '', url);
+};
+
+// Versão esperando: libera para assumir o controle (o recarregamento vem no controllerchange)
+const activateUpdate = (worker) => worker.postMessage({ type: 'SKIP_WAITING' });
+
+// Registra o service worker. onUpdateReady(applyUpdate) é chamado quando uma versão
+// nova terminou de baixar; applyUpdate() troca de versão e recarrega.
+// No "npm run dev" não registra nada (o Vite serve os arquivos direto).
+export const registerServiceWorker = async (onUpdateReady) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  // Primeira instalação não é atualização: só recarrega se já havia uma versão no controle
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  let isReloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || isReloading) return;
+    isReloading = true;
+    window.location.reload();
+  });
+
+  try {
+    const registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+    const notify = (worker) => onUpdateReady(() => activateUpdate(worker));
+
+    if (registration.waiting && hadController) notify(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) notify(worker);
+      });
+    });
+
+    // App instalado fica dias aberto: procura versão nova sempre que volta para a tela
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+  } catch (error) {
+    console.error('Não foi possível ativar o modo offline:', error);
+  }
+};
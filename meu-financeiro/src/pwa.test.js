@@ -0,0 +1,231 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getLaunchView, registerServiceWorker } from './pwa';
+import { serviceWorker } from '../vite.config.js';
+
+describe('getLaunchView', () => {
+  it('abre a tela do atalho do manifesto', () => {
+    expect(getLaunchView('?view=add-transaction')).toBe('add-transaction');
+  });
+
+  it('ignora telas desconhecidas e endereço sem tela', () => {
+    expect(getLaunchView('?view=settings&x=1')).toBeNull();
+    expect(getLaunchView('')).toBeNull();
+  });
+});
+
+// ============================================================================
+// SERVICE WORKER GERADO NO BUILD (vite.config.js + sw.js)
+// ============================================================================
+
+// Roda o plugin como o Vite faria e devolve o sw.js emitido
+const buildServiceWorker = (bundle, publicDir) => {
+  const plugin = serviceWorker();
+  const emitted = [];
+  plugin.configResolved({ publicDir });
+  plugin.generateBundle.call({ emitFile: file => emitted.push(file) }, {}, bundle);
+  return emitted;
+};
+
+const chunk = (fileName, code) => ({ [fileName]: { type: 'chunk', fileName, code } });
+const asset = (fileName, source) => ({ [fileName]: { type: 'asset', fileName, source } });
+
+// Executa o sw.js num "self" de mentira e guarda os ouvintes de eventos
+const runWorker = (source) => {
+  const listeners = {};
+  const opened = [];
+  const self = {
+    registration: { scope: 'https://app.example/financeiro/' },
+    location: { origin: 'https://app.example' },
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    skipWaiting: vi.fn()
+  };
+  const caches = {
+    open: async (name) => ({ addAll: async (urls) => opened.push({ name, urls }) })
+  };
+  new Function('self', 'caches', source)(self, caches);
+
+  const dispatch = (type, data) => {
+    let pending;
+    listeners[type]({ data, waitUntil: promise => { pending = promise; } });
+    return pending;
+  };
+  return { self, opened, dispatch };
+};
+
+describe('service worker do build', () => {
+  let publicDir;
+
+  afterEach(() => {
+    if (publicDir) rmSync(publicDir, { recursive: true, force: true });
+    publicDir = null;
+  });
+
+  const createPublicDir = () => {
+    publicDir = mkdtempSync(join(tmpdir(), 'meu-financeiro-public-'));
+    mkdirSync(join(publicDir, 'icons'));
+    writeFileSync(join(publicDir, 'manifest.webmanifest'), '{}');
+    writeFileSync(join(publicDir, 'icons', 'icon-192.png'), 'png');
+    return publicDir;
+  };
+
+  const bundle = {
+    ...asset('index.html', '<html></html>'),
+    ...chunk('assets/index-abc.js', 'console.log(1)'),
+    ...asset('assets/index-abc.js.map', '{}'),
+    ...asset('assets/index-def.css', 'body{}')
+  };
+
+  it('emite um único sw.js', () => {
+    const emitted = buildServiceWorker(bundle, createPublicDir());
+    expect(emitted.map(file => file.fileName)).toEqual(['sw.js']);
+  });
+
+  it('pré-carrega tudo do build e do public/, menos os .map', async () => {
+    const [file] = buildServiceWorker(bundle, createPublicDir());
+    const { opened, dispatch } = runWorker(file.source);
+
+    await dispatch('install');
+
+    expect(opened).toHaveLength(1);
+    expect(opened[0].urls.sort()).toEqual([
+      'https://app.example/financeiro/assets/index-abc.js',
+      'https://app.example/financeiro/assets/index-def.css',
+      'https://app.example/financeiro/icons/icon-192.png',
+      'https://app.example/financeiro/index.html',
+      'https://app.example/financeiro/manifest.webmanifest'
+    ]);
+  });
+
+  it('sem public/ pré-carrega só o build', () => {
+    const [file] = buildServiceWorker(bundle, '');
+    const precache = JSON.parse(file.source.match(/self\.__PRECACHE__ = (.*);/)[1]);
+    expect(precache.sort()).toEqual(['assets/index-abc.js', 'assets/index-def.css', 'index.html']);
+  });
+
+  it('a versão (e o nome do cache) só muda quando o conteúdo muda', async () => {
+    const dir = createPublicDir();
+    const version = (files) => buildServiceWorker(files, dir)[0].source.match(/self\.__BUILD_VERSION__ = '(\w+)'/)[1];
+
+    expect(version(bundle)).toBe(version({ ...bundle }));
+    expect(version({ ...bundle, ...chunk('assets/index-abc.js', 'console.log(2)') })).not.toBe(version(bundle));
+
+    const { opened, dispatch } = runWorker(buildServiceWorker(bundle, dir)[0].source);
+    await dispatch('install');
+    expect(opened[0].name).toBe(`meu-financeiro-${version(bundle)}`);
+  });
+
+  it('a versão nova só assume quando o app manda SKIP_WAITING', () => {
+    const [file] = buildServiceWorker(bundle, createPublicDir());
+    const { self, dispatch } = runWorker(file.source);
+
+    dispatch('message', { type: 'OUTRA_COISA' });
+    expect(self.skipWaiting).not.toHaveBeenCalled();
+
+    dispatch('message', { type: 'SKIP_WAITING' });
+    expect(self.skipWaiting).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ============================================================================
+// AVISO DE ATUALIZAÇÃO (registerServiceWorker)
+// ============================================================================
+
+const createTarget = (props = {}) => {
+  const listeners = {};
+  return {
+    ...props,
+    addEventListener: (type, listener) => { (listeners[type] ||= []).push(listener); },
+    emit: (type) => (listeners[type] || []).forEach(listener => listener())
+  };
+};
+
+// Navegador de mentira: controller = já havia uma versão no controle desta aba
+const setupBrowser = ({ controller = null, waiting = null } = {}) => {
+  const registration = createTarget({ waiting, installing: null, update: vi.fn(() => Promise.resolve()) });
+  const container = createTarget({ controller, register: vi.fn(async () => registration) });
+  const reload = vi.fn();
+  vi.stubEnv('PROD', true);
+  vi.stubGlobal('navigator', { serviceWorker: container });
+  vi.stubGlobal('window', { location: { reload } });
+  vi.stubGlobal('document', createTarget({ visibilityState: 'visible' }));
+  return { registration, container, reload };
+};
+
+const createWorker = (state) => createTarget({ state, postMessage: vi.fn() });
+
+describe('registerServiceWorker', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.unstubAllEnvs();
+  });
+
+  it('avisa da versão que já estava esperando e troca só quando o usuário aceita', async () => {
+    const waiting = createWorker('installed');
+    const { container, reload } = setupBrowser({ controller: {}, waiting });
+    const onUpdateReady = vi.fn();
+
+    await registerServiceWorker(onUpdateReady);
+    expect(container.register).toHaveBeenCalledWith('/sw.js');
+    expect(onUpdateReady).toHaveBeenCalledTimes(1);
+    expect(waiting.postMessage).not.toHaveBeenCalled();
+
+    const applyUpdate = onUpdateReady.mock.calls[0][0];
+    applyUpdate();
+    expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+
+    // A versão nova assumiu: recarrega uma vez só, mesmo com eventos repetidos
+    container.emit('controllerchange');
+    container.emit('controllerchange');
+    expect(reload).toHaveBeenCalledTimes(1);
+  });
+
+  it('avisa quando uma versão nova termina de baixar com o app aberto', async () => {
+    const { registration } = setupBrowser({ controller: {} });
+    const onUpdateReady = vi.fn();
+    await registerServiceWorker(onUpdateReady);
+
+    const worker = createWorker('installing');
+    registration.installing = worker;
+    registration.emit('updatefound');
+    worker.emit('statechange');
+    expect(onUpdateReady).not.toHaveBeenCalled();
+
+    worker.state = 'installed';
+    worker.emit('statechange');
+    onUpdateReady.mock.calls[0][0]();
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+  });
+
+  it('primeira instalação não é atualização: sem aviso e sem recarregar', async () => {
+    const { registration, container, reload } = setupBrowser({ waiting: createWorker('installed') });
+    const onUpdateReady = vi.fn();
+    await registerServiceWorker(onUpdateReady);
+
+    const worker = createWorker('installed');
+    registration.installing = worker;
+    registration.emit('updatefound');
+    worker.emit('statechange');
+    container.emit('controllerchange');
+
+    expect(onUpdateReady).not.toHaveBeenCalled();
+    expect(reload).not.toHaveBeenCalled();
+  });
+
+  it('procura versão nova quando o app volta para a tela', async () => {
+    const { registration } = setupBrowser({ controller: {} });
+    await registerServiceWorker(vi.fn());
+
+    document.emit('visibilitychange');
+    expect(registration.update).toHaveBeenCalledTimes(1);
+  });
+
+  it('no modo de desenvolvimento não registra nada', async () => {
+    const { container } = setupBrowser({ controller: {} });
+    vi.stubEnv('PROD', false);
+    await registerServiceWorker(vi.fn());
+    expect(container.register).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+// ============================================================================
+// GASTOS FIXOS RECORRENTES
+// Decide quais modelos de gasto fixo caem em cada mês (mensal, trimestral,
+// anual, parcelado...) e em que dia vencem.
+// ============================================================================
+
+import { toMonthIndex } from './budget';
+import { t } from './i18n';
+
+export const FREQUENCIES = {
+  monthly: { label: 'Mensal', interval: 1 },
+  bimonthly: { label: 'Bimestral', interval: 2 },
+  quarterly: { label: 'Trimestral', interval: 3 },
+  semiannual: { label: 'Semestral', interval: 6 },
+  annual: { label: 'Anual', interval: 12 }
+};
+
+// Valores padrão de um modelo (modelos antigos só tinham nome, valor e categoria)
+export const createRecurringDefaults = () => ({
+  frequency: 'monthly',
+  dueDay: 1,
+  startMonth: null, // "2025-10"; null = desde sempre
+  endMonth: null, // "2026-03"; null = sem fim
+  installments: null, // total de parcelas (ex: 12); null = não é parcelado
+  isEstimated: false // valor varia (luz, água): pede confirmação do valor real
+});
+
+// Qual ocorrência do modelo cai neste mês (1 = primeira)? null se não cai.
+export const getOccurrence = (template, monthKey) => {
+  const interval = FREQUENCIES[template.frequency]?.interval || 1;
+  const target = toMonthIndex(monthKey);
+
+  if (!template.startMonth) return interval === 1 ? 1 : null;
+
+  const elapsed = target - toMonthIndex(template.startMonth);
+  if (elapsed < 0 || elapsed % interval !== 0) return null;
+  if (template.endMonth && target > toMonthIndex(template.endMonth)) return null;
+
+  const occurrence = elapsed / interval + 1;
+  if (template.installments && occurrence > template.installments) return null;
+  return occurrence;
+};
+
+// Dia de vencimento dentro do mês (dia 31 em fevereiro vira o último dia)
+export const getDueDate = (template, monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const lastDay = new Date(year, month, 0).getDate();
+  const day = Math.min(Math.max(1, Number(template.dueDay) || 1), lastDay);
+  return new Date(year, month - 1, day, 12).toISOString();
+};
+
+// Modelos que caem no mês, já com a parcela e o vencimento
+export const expandRecurring = (templates, monthKey) => {
+  return templates
+    .map(template => ({ template, occurrence: getOccurrence(template, monthKey) }))
+    .filter(({ occurrence }) => occurrence !== null)
+    .map(({ template, occurrence }) => ({
+      template,
+      installment: template.installments ? `${occurrence}/${template.installments}` : null,
+      dueDate: getDueDate(template, monthKey)
+    }));
+};
+
+// Texto curto para a lista de fixos (ex: "Anual · dia 10 · 12x")
+export const describeRecurring = (template) => {
+  const parts = [t(FREQUENCIES[template.frequency]?.label || 'Mensal'), t('dia {day}', { day: template.dueDay || 1 })];
+  if (template.installments) parts.push(`${template.installments}x`);
+  if (template.endMonth) parts.push(t('até {month}', { month: template.endMonth.split('-').reverse().join('/') }));
+  if (template.isEstimated) parts.push(t('valor estimado'));
+  return parts.join(' · ');
+};
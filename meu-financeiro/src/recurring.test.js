@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { createRecurringDefaults, getOccurrence, getDueDate, expandRecurring, describeRecurring } from './recurring';
+
+const template = (fields) => ({ id: 'r', name: 'Conta', amount: 100, categoryId: 'c', ...createRecurringDefaults(), ...fields });
+
+describe('getOccurrence', () => {
+  it('modelos mensais sem início caem todo mês', () => {
+    expect(getOccurrence(template({}), '2025-10')).toBe(1);
+  });
+
+  it('não cai antes do início', () => {
+    expect(getOccurrence(template({ startMonth: '2025-10' }), '2025-09')).toBeNull();
+  });
+
+  it('anual cai só no mês de aniversário', () => {
+    const ipva = template({ frequency: 'annual', startMonth: '2025-03' });
+    expect(getOccurrence(ipva, '2025-03')).toBe(1);
+    expect(getOccurrence(ipva, '2025-09')).toBeNull();
+    expect(getOccurrence(ipva, '2026-03')).toBe(2);
+  });
+
+  it('trimestral atravessa a virada do ano', () => {
+    const bill = template({ frequency: 'quarterly', startMonth: '2025-11' });
+    expect(getOccurrence(bill, '2026-02')).toBe(2);
+    expect(getOccurrence(bill, '2026-01')).toBeNull();
+  });
+
+  it('parcelado para depois da última parcela', () => {
+    const parcelas = template({ startMonth: '2025-08', installments: 12 });
+    expect(getOccurrence(parcelas, '2025-10')).toBe(3);
+    expect(getOccurrence(parcelas, '2026-07')).toBe(12);
+    expect(getOccurrence(parcelas, '2026-08')).toBeNull();
+  });
+
+  it('respeita a data de fim', () => {
+    const academia = template({ startMonth: '2025-01', endMonth: '2025-06' });
+    expect(getOccurrence(academia, '2025-06')).toBe(6);
+    expect(getOccurrence(academia, '2025-07')).toBeNull();
+  });
+
+  it('frequência maior que mensal sem início não cai', () => {
+    expect(getOccurrence(template({ frequency: 'annual' }), '2025-10')).toBeNull();
+  });
+});
+
+describe('getDueDate', () => {
+  it('usa o dia de vencimento ao meio-dia local', () => {
+    expect(getDueDate(template({ dueDay: 10 }), '2025-10')).toBe(new Date(2025, 9, 10, 12).toISOString());
+  });
+
+  it('vencimento dia 31 em fevereiro vira o último dia', () => {
+    expect(getDueDate(template({ dueDay: 31 }), '2026-02')).toBe(new Date(2026, 1, 28, 12).toISOString());
+  });
+});
+
+describe('expandRecurring', () => {
+  it('devolve só os modelos do mês, com a parcela', () => {
+    const aluguel = template({ id: 'aluguel' });
+    const ipva = template({ id: 'ipva', frequency: 'annual', startMonth: '2025-03' });
+    const celular = template({ id: 'celular', startMonth: '2025-08', installments: 10 });
+
+    const due = expandRecurring([aluguel, ipva, celular], '2025-10');
+    expect(due.map(d => d.template.id)).toEqual(['aluguel', 'celular']);
+    expect(due[0].installment).toBeNull();
+    expect(due[1].installment).toBe('3/10');
+  });
+});
+
+describe('describeRecurring', () => {
+  it('resume a configuração do modelo', () => {
+    expect(describeRecurring(template({ frequency: 'annual', dueDay: 20, isEstimated: true })))
+      .toBe('Anual · dia 20 · valor estimado');
+    expect(describeRecurring(template({ installments: 12, endMonth: '2026-03' })))
+      .toBe('Mensal · dia 1 · 12x · até 03/2026');
+  });
+});
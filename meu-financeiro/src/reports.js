@@ -0,0 +1,53 @@
+// ============================================================================
+// RELATÓRIOS
+// Cálculos dos gráficos a partir do histórico (monthlyLedgers + transactions).
+// Nada sai do navegador: os gráficos são desenhados pelo próprio app.
+// ============================================================================
+
+import { shiftMonthKey, sumAmounts, getLedgerIncomeTotal, getCategoryBudget, getMonthTransactions } from './budget';
+
+// Os últimos N meses terminando em endMonthKey, do mais antigo para o mais novo
+export const getLastMonthKeys = (endMonthKey, count = 12) => {
+  return Array.from({ length: count }, (_, i) => shiftMonthKey(endMonthKey, i - count + 1));
+};
+
+// Um resumo por mês: renda, gastos, economia e gasto/teto de cada categoria
+export const buildMonthlyReport = ({ monthKeys, categories, monthlyLedgers, transactions }) => {
+  return monthKeys.map(monthKey => {
+    const ledger = monthlyLedgers[monthKey];
+    const monthTransactions = getMonthTransactions(transactions, monthKey);
+    const income = getLedgerIncomeTotal(ledger);
+    const expenses = sumAmounts(monthTransactions);
+
+    const byCategory = {};
+    categories.forEach(cat => {
+      byCategory[cat.id] = {
+        spent: sumAmounts(monthTransactions.filter(t => t.categoryId === cat.id)),
+        budget: getCategoryBudget(ledger, cat)
+      };
+    });
+
+    return {
+      monthKey,
+      hasData: Boolean(ledger) || monthTransactions.length > 0,
+      income,
+      expenses,
+      savings: income - expenses,
+      byCategory
+    };
+  });
+};
+
+// Estatísticas de cada categoria no período: média, histórico e meses estourados
+export const buildCategoryStats = (report, categories) => {
+  const activeMonths = report.filter(month => month.hasData);
+  return Object.fromEntries(categories.map(cat => {
+    const history = activeMonths.map(month => ({ monthKey: month.monthKey, ...month.byCategory[cat.id] }));
+    const total = history.reduce((acc, month) => acc + month.spent, 0);
+    return [cat.id, {
+      average: history.length > 0 ? Math.round(total / history.length) : 0,
+      history,
+      overMonths: history.filter(month => month.spent > month.budget)
+    }];
+  }));
+};
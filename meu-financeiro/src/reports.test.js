@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { getLastMonthKeys, buildMonthlyReport, buildCategoryStats } from './reports';
+
+const categories = [
+  { id: 'mercado', name: 'Mercado', limit: 500 },
+  { id: 'lazer', name: 'Lazer', limit: 100 }
+];
+
+const monthlyLedgers = {
+  // Mês antigo, sem distribuição: vale o teto global
+  '2025-09': { incomes: [{ id: 'i1', amount: 3000 }], rollover: 0 },
+  // Mês com distribuição própria e estouro herdado em Lazer
+  '2025-10': {
+    incomes: [{ id: 'i2', amount: 3000 }, { id: 'i3', amount: 500 }],
+    rollover: 0,
+    allocations: { mercado: 600, lazer: 150 },
+    carryover: { lazer: -30 }
+  }
+};
+
+const transactions = [
+  { id: 't1', monthKey: '2025-09', categoryId: 'mercado', amount: 450 },
+  { id: 't2', monthKey: '2025-09', categoryId: 'lazer', amount: 130 },
+  { id: 't3', monthKey: '2025-10', categoryId: 'mercado', amount: 550 },
+  { id: 't4', monthKey: '2025-10', categoryId: 'lazer', amount: 100 }
+];
+
+describe('chaves de mês', () => {
+  it('lista os últimos meses do mais antigo para o mais novo', () => {
+    expect(getLastMonthKeys('2025-02', 4)).toEqual(['2024-11', '2024-12', '2025-01', '2025-02']);
+  });
+});
+
+describe('buildMonthlyReport', () => {
+  const report = buildMonthlyReport({
+    monthKeys: ['2025-08', '2025-09', '2025-10'],
+    categories,
+    monthlyLedgers,
+    transactions
+  });
+
+  it('soma renda, gastos e economia de cada mês', () => {
+    expect(report[2]).toMatchObject({ monthKey: '2025-10', income: 3500, expenses: 650, savings: 2850, hasData: true });
+  });
+
+  it('marca meses sem dados', () => {
+    expect(report[0]).toMatchObject({ hasData: false, income: 0, expenses: 0 });
+  });
+
+  it('usa o teto global em meses sem distribuição', () => {
+    expect(report[1].byCategory.lazer).toEqual({ spent: 130, budget: 100 });
+  });
+
+  it('usa distribuição + herança em meses com distribuição', () => {
+    expect(report[2].byCategory.lazer).toEqual({ spent: 100, budget: 120 });
+  });
+});
+
+describe('buildCategoryStats', () => {
+  const report = buildMonthlyReport({
+    monthKeys: ['2025-08', '2025-09', '2025-10'],
+    categories,
+    monthlyLedgers,
+    transactions
+  });
+  const stats = buildCategoryStats(report, categories);
+
+  it('calcula a média só com os meses que têm dados', () => {
+    expect(stats.mercado.average).toBe(500);
+    expect(stats.mercado.history).toHaveLength(2);
+  });
+
+  it('lista os meses acima do teto', () => {
+    expect(stats.lazer.overMonths.map(m => m.monthKey)).toEqual(['2025-09']);
+    expect(stats.mercado.overMonths).toEqual([]);
+  });
+});
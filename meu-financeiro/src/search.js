@@ -0,0 +1,128 @@
+// ============================================================================
+// BUSCA EM TODOS OS MESES
+// Um filtro combina texto, faixa de valor, período, categorias, etiquetas e
+// fixo/variável; só entra o lançamento que passa em todos os campos
+// preenchidos. Filtros salvos ficam na coleção savedFilters ({ id, name, filter }).
+// ============================================================================
+
+import { getMonthKey, sumAmounts } from './budget';
+import { getCategoryLabel, getSubcategories } from './categories';
+import { toMoneyInput } from './money';
+import { getPaymentMethodLabel, formatTags } from './transactions';
+import { t } from './i18n';
+
+// Filtro sem nada preenchido (mostra tudo). Valores em centavos; datas como no <input type="date">.
+export const createEmptyFilter = () => ({
+  text: '',
+  minAmount: null,
+  maxAmount: null,
+  startDate: '',
+  endDate: '',
+  categoryIds: [],
+  tags: [],
+  kind: 'all' // 'all' | 'fixed' | 'variable'
+});
+
+export const isFilterEmpty = (filter) => {
+  const empty = createEmptyFilter();
+  return Object.keys(empty).every(field => JSON.stringify(filter[field] ?? empty[field]) === JSON.stringify(empty[field]));
+};
+
+// Minúsculas e sem acento: "acougue" acha "Açougue" e vice-versa
+export const normalizeText = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Dia local do lançamento no formato do filtro ("2025-10-05")
+export const toDayKey = (isoDate) => {
+  const date = new Date(isoDate);
+  return `${getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Categoria mãe escolhida no filtro leva junto as filhas
+const expandCategoryIds = (categoryIds, categories) => new Set(
+  categoryIds.flatMap(id => [id, ...getSubcategories(categories, id).map(sub => sub.id)])
+);
+
+// Cada palavra digitada precisa aparecer na descrição, na categoria ou nas etiquetas
+const matchesText = (transaction, words, categories) => {
+  if (words.length === 0) return true;
+  const haystack = normalizeText([
+    transaction.description,
+    getCategoryLabel(categories, transaction.categoryId),
+    ...(transaction.tags || [])
+  ].join(' '));
+  return words.every(word => haystack.includes(word));
+};
+
+// Lançamentos que passam no filtro, do mais recente para o mais antigo
+export const searchTransactions = (transactions, filter, categories) => {
+  const words = normalizeText(filter.text).split(/\s+/).filter(Boolean);
+  const categoryIds = filter.categoryIds?.length > 0 ? expandCategoryIds(filter.categoryIds, categories) : null;
+  const tags = filter.tags || [];
+
+  return transactions
+    .filter(t => {
+      if (filter.minAmount != null && t.amount < filter.minAmount) return false;
+      if (filter.maxAmount != null && t.amount > filter.maxAmount) return false;
+      const day = toDayKey(t.date);
+      if (filter.startDate && day < filter.startDate) return false;
+      if (filter.endDate && day > filter.endDate) return false;
+      if (categoryIds && !categoryIds.has(t.categoryId)) return false;
+      if (tags.some(tag => !(t.tags || []).includes(tag))) return false;
+      if (filter.kind === 'fixed' && !t.isFixed) return false;
+      if (filter.kind === 'variable' && t.isFixed) return false;
+      return matchesText(t, words, categories);
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+// Resultado por mês do orçamento (o mais recente primeiro), com o total de cada um
+export const groupByMonth = (transactions) => {
+  const groups = {};
+  transactions.forEach(t => {
+    groups[t.monthKey] = groups[t.monthKey] || [];
+    groups[t.monthKey].push(t);
+  });
+  return Object.keys(groups)
+    .sort((a, b) => b.localeCompare(a))
+    .map(monthKey => ({ monthKey, transactions: groups[monthKey], total: sumAmounts(groups[monthKey]) }));
+};
+
+// ============================================================================
+// EXPORTAR CSV (separado por ";" e com vírgula decimal, como o Excel em português abre)
+// Cabeçalho e valores seguem o idioma escolhido; os valores estão na moeda base.
+// ============================================================================
+
+const CSV_HEADER = ['Data', 'Mês', 'Descrição', 'Categoria', 'Conta', 'Forma de pagamento', 'Etiquetas', 'Tipo', 'Valor'];
+
+// Aspas em volta de tudo que tiver separador, aspas ou quebra de linha
+const toCSVField = (value) => {
+  const text = String(value ?? '');
+  return /[;"\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const buildSearchCSV = (transactions, { categories, accounts }) => {
+  const rows = transactions.map(trans => [
+    toDayKey(trans.date).split('-').reverse().join('/'),
+    trans.monthKey,
+    trans.description || '',
+    getCategoryLabel(categories, trans.categoryId),
+    accounts.find(acc => acc.id === trans.accountId)?.name || '',
+    getPaymentMethodLabel(trans.paymentMethod),
+    formatTags(trans.tags),
+    trans.isFixed ? t('Fixo') : t('Variável'),
+    toMoneyInput(trans.amount)
+  ]);
+  return [CSV_HEADER.map(label => t(label)), ...rows].map(row => row.map(toCSVField).join(';')).join('\r\n');
+};
+
+// Baixa o CSV (ex: "meu-financeiro-encanador.csv"). O BOM faz o Excel ler os acentos.
+export const downloadSearchCSV = (csv, name) => {
+  const slug = normalizeText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'busca';
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `meu-financeiro-${slug}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyFilter, isFilterEmpty, normalizeText, searchTransactions, groupByMonth, buildSearchCSV
+} from './search';
+
+const categories = [
+  { id: 'casa', name: 'Casa' },
+  { id: 'reparos', name: 'Reparos', parentId: 'casa' },
+  { id: 'mercado', name: 'Açougue e Mercado' }
+];
+
+const accounts = [{ id: 'nu', name: 'Nubank', type: 'credit' }];
+
+const transactions = [
+  { id: 't1', monthKey: '2025-08', categoryId: 'reparos', amount: 25000, date: '2025-08-10T12:00:00.000Z', description: 'Encanador João', tags: ['obra'] },
+  { id: 't2', monthKey: '2025-10', categoryId: 'mercado', amount: 4550, date: '2025-10-02T12:00:00.000Z', description: 'Carne', paymentMethod: 'credit', accountId: 'nu' },
+  { id: 't3', monthKey: '2025-10', categoryId: 'casa', amount: 150000, date: '2025-10-05T12:00:00.000Z', description: 'Aluguel', isFixed: true },
+  { id: 't4', monthKey: '2025-09', categoryId: 'reparos', amount: 8000, date: '2025-09-20T12:00:00.000Z', description: 'Encanador; "volta"', tags: ['obra', 'urgente'] }
+];
+
+const search = (fields) => searchTransactions(transactions, { ...createEmptyFilter(), ...fields }, categories).map(t => t.id);
+
+describe('filtro', () => {
+  it('sabe quando não tem nada preenchido', () => {
+    expect(isFilterEmpty(createEmptyFilter())).toBe(true);
+    expect(isFilterEmpty({ text: '' })).toBe(true);
+    expect(isFilterEmpty({ ...createEmptyFilter(), kind: 'fixed' })).toBe(false);
+  });
+
+  it('compara texto sem acento nem maiúsculas', () => {
+    expect(normalizeText('Açougue JOÃO')).toBe('acougue joao');
+  });
+});
+
+describe('searchTransactions', () => {
+  it('sem filtro traz tudo, do mais recente para o mais antigo', () => {
+    expect(search({})).toEqual(['t3', 't2', 't4', 't1']);
+  });
+
+  it('cada palavra precisa aparecer na descrição, na categoria ou nas etiquetas', () => {
+    expect(search({ text: 'encanador' })).toEqual(['t4', 't1']);
+    expect(search({ text: 'encanador joao' })).toEqual(['t1']);
+    expect(search({ text: 'acougue' })).toEqual(['t2']);
+    expect(search({ text: 'urgente' })).toEqual(['t4']);
+  });
+
+  it('filtra por faixa de valor e período (com as pontas)', () => {
+    expect(search({ minAmount: 8000, maxAmount: 25000 })).toEqual(['t4', 't1']);
+    expect(search({ startDate: '2025-09-20', endDate: '2025-10-02' })).toEqual(['t2', 't4']);
+  });
+
+  it('categoria mãe traz as filhas junto', () => {
+    expect(search({ categoryIds: ['casa'] })).toEqual(['t3', 't4', 't1']);
+    expect(search({ categoryIds: ['reparos'] })).toEqual(['t4', 't1']);
+  });
+
+  it('exige todas as etiquetas escolhidas e separa fixos de variáveis', () => {
+    expect(search({ tags: ['obra', 'urgente'] })).toEqual(['t4']);
+    expect(search({ kind: 'fixed' })).toEqual(['t3']);
+    expect(search({ kind: 'variable' })).toEqual(['t2', 't4', 't1']);
+  });
+});
+
+describe('groupByMonth', () => {
+  it('agrupa pelo mês do orçamento com o total de cada um', () => {
+    const groups = groupByMonth(searchTransactions(transactions, createEmptyFilter(), categories));
+    expect(groups.map(({ monthKey, total }) => [monthKey, total])).toEqual([
+      ['2025-10', 154550], ['2025-09', 8000], ['2025-08', 25000]
+    ]);
+    expect(groups[0].transactions.map(t => t.id)).toEqual(['t3', 't2']);
+  });
+});
+
+describe('buildSearchCSV', () => {
+  it('gera uma linha por lançamento, com vírgula decimal e aspas quando precisa', () => {
+    const lines = buildSearchCSV([transactions[1], transactions[3]], { categories, accounts }).split('\r\n');
+    expect(lines[0]).toBe('Data;Mês;Descrição;Categoria;Conta;Forma de pagamento;Etiquetas;Tipo;Valor');
+    expect(lines[1]).toBe('02/10/2025;2025-10;Carne;Açougue e Mercado;Nubank;Crédito;;Variável;45,50');
+    expect(lines[2]).toBe('20/09/2025;2025-09;"Encanador; ""volta""";Casa > Reparos;;;obra, urgente;Variável;80,00');
+  });
+});
@@ -0,0 +1,432 @@
+// ============================================================================
+// ARMAZENAMENTO (localStorage) COM VERSÃO E MIGRAÇÕES
+// Tudo que entra e sai do navegador passa por aqui. Cada mudança no formato
+// dos dados ganha uma migração nova no fim da lista MIGRATIONS.
+// ============================================================================
+
+import { toCents } from './money';
+import { CURRENCIES, DEFAULT_CURRENCY } from './i18n';
+import { getMonthKey } from './budget';
+
+export const STORAGE_KEY = 'zeroBudget_MVP_v1';
+
+// Onde guardamos o conteúdo original quando ele não pôde ser lido/convertido
+export const BACKUP_KEY = `${STORAGE_KEY}_backup`;
+
+// Dados de um app recém-instalado
+export const createEmptyData = () => ({
+  categories: [],
+  recurringExpenses: [],
+  recurringIncomes: [],
+  monthlyLedgers: {},
+  transactions: [],
+  importRules: [],
+  accounts: [],
+  transfers: [],
+  goals: [],
+  savedFilters: [],
+  // Configurações dos dados (não do aparelho): { baseCurrency }
+  settings: {}
+});
+
+// Moeda em que estão todos os valores guardados
+export const getDataCurrency = (data) => data.settings?.baseCurrency || DEFAULT_CURRENCY;
+
+// Já há algum valor guardado (na moeda base)? Regras de importação e filtros salvos não contam.
+export const hasMoneyData = (data) => {
+  return ['categories', 'recurringExpenses', 'recurringIncomes', 'transactions', 'accounts', 'transfers', 'goals']
+    .some(storeName => data[storeName]?.length > 0)
+    || Object.keys(data.monthlyLedgers || {}).length > 0;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toNumber = (value, fallback = 0) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// Valores em dinheiro são centavos inteiros (money.js)
+const toCentsNumber = (value) => Math.round(toNumber(value));
+
+const MONTH_KEY_PATTERN = /^\d{4}-\d{2}$/;
+
+// Valor em outra moeda (gasto ou renda): original e cotação precisam ser válidos;
+// se não forem, fica só o valor na moeda base, que é o que entra nos totais
+const repairForeignAmount = (record) => {
+  const { currency, originalAmount, exchangeRate, ...rest } = record;
+  if (currency === undefined && originalAmount === undefined && exchangeRate === undefined) return record;
+  if (typeof currency !== 'string' || !Number.isFinite(Number(originalAmount)) || !(Number(exchangeRate) > 0)) return rest;
+  return { ...record, originalAmount: toCentsNumber(originalAmount), exchangeRate: Number(exchangeRate) };
+};
+
+// ============================================================================
+// MIGRAÇÕES
+// A posição na lista é a versão que ela produz: MIGRATIONS[0] leva para v1,
+// MIGRATIONS[1] leva para v2 e assim por diante. Nunca reordene nem apague.
+// ============================================================================
+
+export const MIGRATIONS = [
+  // v1: formato original do MVP (sem versão). Garante que todas as coleções existem.
+  (data) => ({
+    ...data,
+    categories: Array.isArray(data.categories) ? data.categories : [],
+    recurringExpenses: Array.isArray(data.recurringExpenses) ? data.recurringExpenses : [],
+    recurringIncomes: Array.isArray(data.recurringIncomes) ? data.recurringIncomes : [],
+    monthlyLedgers: isPlainObject(data.monthlyLedgers) ? data.monthlyLedgers : {},
+    transactions: Array.isArray(data.transactions) ? data.transactions : []
+  }),
+
+  // v2: a renda do mês deixa de ser um número único ("income") e vira uma lista de entradas
+  (data) => ({
+    ...data,
+    monthlyLedgers: Object.fromEntries(Object.entries(data.monthlyLedgers).map(([monthKey, ledger]) => {
+      if (!isPlainObject(ledger) || Array.isArray(ledger.incomes)) return [monthKey, ledger];
+      const { income, ...rest } = ledger;
+      const incomes = toNumber(income) > 0
+        ? [{ id: `${monthKey}-income`, source: 'Renda', amount: toNumber(income), date: null }]
+        : [];
+      return [monthKey, { ...rest, incomes }];
+    }))
+  }),
+
+  // v3: regras de categoria automática para a importação de extratos
+  (data) => ({
+    ...data,
+    importRules: Array.isArray(data.importRules) ? data.importRules : []
+  }),
+
+  // v4: gastos fixos ganham frequência, vencimento, início/fim, parcelas e valor estimado.
+  // Os antigos continuam mensais, sem fim, vencendo no dia 1.
+  (data) => ({
+    ...data,
+    recurringExpenses: data.recurringExpenses.map(rec => ({
+      frequency: 'monthly',
+      dueDay: 1,
+      startMonth: null,
+      endMonth: null,
+      installments: null,
+      isEstimated: false,
+      ...rec
+    }))
+  }),
+
+  // v5: gastos fixos viram contas com vencimento e situação (pendente/paga).
+  // Os lançados antes disso não tinham como ser marcados: contam como pagos.
+  (data) => ({
+    ...data,
+    transactions: data.transactions.map(t => (
+      t.isFixed && !t.status ? { ...t, dueDate: t.dueDate || t.date, status: 'PAID' } : t
+    ))
+  }),
+
+  // v6: contas (corrente, poupança, cartão...) e transferências entre elas.
+  // Lançamentos antigos ficam sem conta (accountId ausente) e continuam valendo.
+  (data) => ({
+    ...data,
+    accounts: Array.isArray(data.accounts) ? data.accounts : [],
+    transfers: Array.isArray(data.transfers) ? data.transfers : []
+  }),
+
+  // v7: metas de economia. O quanto cada mês guardou fica no próprio mês
+  // (goalContributions), então os meses antigos não precisam de nada.
+  (data) => ({
+    ...data,
+    goals: Array.isArray(data.goals) ? data.goals : []
+  }),
+
+  // v8: dinheiro passa a ser guardado em centavos inteiros (R$ 12,34 -> 1234),
+  // para as somas darem exato. Porcentagens (rolloverShare) e dias não mudam.
+  (data) => {
+    // O que não é número fica como está (o reparo decide o que fazer)
+    const cents = (value) => (value === null || value === '' || !Number.isFinite(Number(value)) ? value : toCents(value));
+    const centsMap = (obj) => (isPlainObject(obj)
+      ? Object.fromEntries(Object.entries(obj).map(([id, value]) => [id, cents(value)]))
+      : obj);
+    const convert = (list, fields) => list.map(item => {
+      if (!isPlainObject(item)) return item;
+      const converted = { ...item };
+      fields.forEach(field => { if (field in item) converted[field] = cents(item[field]); });
+      return converted;
+    });
+
+    return {
+      ...data,
+      categories: convert(data.categories, ['limit']),
+      recurringExpenses: convert(data.recurringExpenses, ['amount']),
+      recurringIncomes: convert(data.recurringIncomes, ['amount']),
+      transactions: convert(data.transactions, ['amount']),
+      accounts: convert(data.accounts, ['initialBalance']),
+      transfers: convert(data.transfers, ['amount']),
+      goals: convert(data.goals, ['targetAmount', 'initialAmount', 'monthlyContribution']),
+      monthlyLedgers: Object.fromEntries(Object.entries(data.monthlyLedgers).map(([monthKey, ledger]) => {
+        if (!isPlainObject(ledger)) return [monthKey, ledger];
+        const converted = {
+          ...ledger,
+          incomes: Array.isArray(ledger.incomes) ? convert(ledger.incomes, ['amount']) : ledger.incomes,
+          rollover: cents(ledger.rollover),
+          allocations: centsMap(ledger.allocations),
+          carryover: centsMap(ledger.carryover),
+          goalContributions: centsMap(ledger.goalContributions)
+        };
+        if (isPlainObject(ledger.closing)) {
+          const [closing] = convert([ledger.closing], ['income', 'expenses', 'saved', 'rollover']);
+          converted.closing = { ...closing, carryover: centsMap(ledger.closing.carryover) };
+        }
+        // Campos que o mês não tinha continuam ausentes
+        Object.keys(converted).forEach(field => { if (converted[field] === undefined) delete converted[field]; });
+        return [monthKey, converted];
+      }))
+    };
+  },
+
+  // v9: categorias ganham ordem (arrastar), cor, ícone, grupo (parentId) e arquivamento.
+  // As antigas ficam na ordem em que foram criadas, sem grupo e ativas.
+  (data) => ({
+    ...data,
+    categories: data.categories.map((cat, index) => (isPlainObject(cat) ? {
+      order: index,
+      color: null,
+      icon: null,
+      parentId: null,
+      archived: false,
+      ...cat
+    } : cat))
+  }),
+
+  // v10: filtros salvos da busca
+  (data) => ({
+    ...data,
+    savedFilters: Array.isArray(data.savedFilters) ? data.savedFilters : []
+  }),
+
+  // v11: nada muda no que fica guardado. A sincronia passou a mandar o mês em
+  // partes (sync.js) e a levar contas, transferências, metas e rendas fixas; a
+  // versão sobe para o servidor pedir a atualização aos aparelhos com o app antigo.
+  (data) => data,
+
+  // v12: a moeda base sai das preferências do aparelho e passa a morar nos dados
+  // (loja "settings"). Dados antigos ficam sem ela: o App adota a do aparelho ao abrir.
+  (data) => ({
+    ...data,
+    settings: isPlainObject(data.settings) ? data.settings : {}
+  })
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+// Roda, em ordem, as migrações que faltam para chegar na versão atual
+export const migrate = (data) => {
+  const fromVersion = toNumber(data.schemaVersion);
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Dados salvos na versão ${fromVersion}, mas o app só conhece até a ${SCHEMA_VERSION}.`);
+  }
+
+  const { schemaVersion: _oldVersion, ...content } = data;
+  const migrated = MIGRATIONS.slice(fromVersion).reduce((acc, migration) => migration(acc), content);
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+};
+
+// ============================================================================
+// VALIDAÇÃO E REPARO
+// Depois de migrar, descarta o que não dá pra aproveitar e corrige o resto.
+// Retorna quantos problemas foram encontrados para o app poder avisar.
+// ============================================================================
+
+export const repairData = (data) => {
+  let issues = 0;
+
+  // Mantém só os itens válidos de uma lista, contando os descartados
+  const keepValid = (list, isValid, fix) => {
+    if (!Array.isArray(list)) {
+      issues++;
+      return [];
+    }
+    const kept = list.filter(item => isPlainObject(item) && isValid(item));
+    issues += list.length - kept.length;
+    return kept.map(item => {
+      const fixed = fix(item);
+      if (JSON.stringify(fixed) !== JSON.stringify(item)) issues++;
+      return fixed;
+    });
+  };
+
+  const categories = keepValid(
+    data.categories,
+    cat => cat.id != null && typeof cat.name === 'string',
+    cat => ({
+      ...cat,
+      id: String(cat.id),
+      limit: toCentsNumber(cat.limit),
+      order: toNumber(cat.order),
+      parentId: cat.parentId == null ? null : String(cat.parentId),
+      archived: Boolean(cat.archived)
+    })
+  );
+  // Grupo de um nível só: a mãe tem que existir e não pode ser filha de ninguém
+  const categoryById = Object.fromEntries(categories.map(cat => [cat.id, cat]));
+  categories.forEach((cat, index) => {
+    const parent = categoryById[cat.parentId];
+    if (cat.parentId !== null && (!parent || parent.id === cat.id || parent.parentId !== null)) {
+      categories[index] = { ...cat, parentId: null };
+      issues++;
+    }
+  });
+
+  // Fixo que não é mensal precisa de início para saber em que meses cai (sem ele
+  // nunca aparecia): usa o primeiro mês em que já foi lançado, ou o mês atual
+  const firstMonthOf = (recurringId) => (Array.isArray(data.transactions) ? data.transactions : [])
+    .filter(t => isPlainObject(t) && String(t.recurringId) === recurringId && MONTH_KEY_PATTERN.test(t.monthKey))
+    .reduce((first, t) => (first && first < t.monthKey ? first : t.monthKey), null) || getMonthKey(new Date());
+
+  const recurringExpenses = keepValid(
+    data.recurringExpenses,
+    rec => rec.id != null && typeof rec.name === 'string',
+    rec => ({
+      ...rec,
+      id: String(rec.id),
+      amount: toCentsNumber(rec.amount),
+      ...((rec.frequency || 'monthly') !== 'monthly' && !MONTH_KEY_PATTERN.test(rec.startMonth) && { startMonth: firstMonthOf(String(rec.id)) })
+    })
+  );
+
+  const recurringIncomes = keepValid(
+    data.recurringIncomes,
+    rec => rec.id != null && typeof rec.source === 'string',
+    rec => ({ ...rec, id: String(rec.id), amount: toCentsNumber(rec.amount) })
+  );
+
+  const transactions = keepValid(
+    data.transactions,
+    t => t.id != null && MONTH_KEY_PATTERN.test(t.monthKey) && Number.isFinite(Number(t.amount)),
+    t => ({
+      ...repairForeignAmount(t),
+      id: String(t.id),
+      amount: toCentsNumber(t.amount),
+      date: Number.isNaN(new Date(t.date).getTime()) ? `${t.monthKey}-01T12:00:00.000Z` : t.date,
+      // Etiquetas são opcionais, mas quando existem precisam ser uma lista de textos
+      ...(t.tags !== undefined && { tags: Array.isArray(t.tags) ? t.tags.filter(tag => typeof tag === 'string') : [] })
+    })
+  );
+
+  const importRules = keepValid(
+    data.importRules,
+    rule => rule.id != null && typeof rule.pattern === 'string' && rule.categoryId != null,
+    rule => ({ ...rule, id: String(rule.id), categoryId: String(rule.categoryId) })
+  );
+
+  const accounts = keepValid(
+    data.accounts,
+    acc => acc.id != null && typeof acc.name === 'string',
+    acc => ({ ...acc, id: String(acc.id), initialBalance: toCentsNumber(acc.initialBalance) })
+  );
+
+  const transfers = keepValid(
+    data.transfers,
+    tr => tr.id != null && MONTH_KEY_PATTERN.test(tr.monthKey) && Number.isFinite(Number(tr.amount)),
+    tr => ({ ...tr, id: String(tr.id), amount: toCentsNumber(tr.amount) })
+  );
+
+  const goals = keepValid(
+    data.goals,
+    goal => goal.id != null && typeof goal.name === 'string',
+    goal => ({ ...goal, id: String(goal.id), targetAmount: toCentsNumber(goal.targetAmount) })
+  );
+
+  const savedFilters = keepValid(
+    data.savedFilters,
+    saved => saved.id != null && typeof saved.name === 'string' && isPlainObject(saved.filter),
+    saved => ({ ...saved, id: String(saved.id) })
+  );
+
+  const monthlyLedgers = {};
+  if (!isPlainObject(data.monthlyLedgers)) issues++;
+  Object.entries(isPlainObject(data.monthlyLedgers) ? data.monthlyLedgers : {}).forEach(([monthKey, ledger]) => {
+    if (!MONTH_KEY_PATTERN.test(monthKey) || !isPlainObject(ledger)) {
+      issues++;
+      return;
+    }
+    const incomes = keepValid(
+      Array.isArray(ledger.incomes) ? ledger.incomes : [],
+      inc => inc.id != null && Number.isFinite(Number(inc.amount)),
+      inc => ({ ...repairForeignAmount(inc), id: String(inc.id), amount: toCentsNumber(inc.amount) })
+    );
+    const repaired = {
+      ...ledger,
+      incomes,
+      rollover: toCentsNumber(ledger.rollover),
+      status: ledger.status || 'OPEN'
+    };
+    // Distribuições por categoria (e o guardado nas metas) precisam ser { id: número }
+    ['allocations', 'carryover', 'goalContributions'].forEach(field => {
+      if (repaired[field] === undefined) return;
+      repaired[field] = isPlainObject(repaired[field])
+        ? Object.fromEntries(Object.entries(repaired[field]).map(([id, value]) => [id, toCentsNumber(value)]))
+        : {};
+    });
+    if (JSON.stringify(repaired) !== JSON.stringify(ledger)) issues++;
+    monthlyLedgers[monthKey] = repaired;
+  });
+
+  // Moeda base desconhecida (ex: de uma versão futura) é descartada: vale a padrão
+  let settings = data.settings;
+  if (!isPlainObject(settings)) {
+    issues++;
+    settings = {};
+  } else if (settings.baseCurrency !== undefined && !CURRENCIES.includes(settings.baseCurrency)) {
+    issues++;
+    const { baseCurrency: _unknown, ...rest } = settings;
+    settings = rest;
+  }
+
+  return {
+    data: { ...data, categories, recurringExpenses, recurringIncomes, monthlyLedgers, transactions, importRules, accounts, transfers, goals, savedFilters, settings },
+    issues
+  };
+};
+
+// ============================================================================
+// LEITURA E GRAVAÇÃO
+// ============================================================================
+
+// Guarda o conteúdo original em BACKUP_KEY. Com a cota cheia não dá: segue sem a
+// cópia (o original continua em STORAGE_KEY até o próximo salvamento)
+const keepBackup = (storage, raw) => {
+  try {
+    storage.setItem(BACKUP_KEY, raw);
+  } catch (error) {
+    console.error('Não foi possível guardar a cópia dos dados:', error);
+  }
+};
+
+// Lê, migra e repara os dados salvos. Nunca lança erro: no pior caso guarda
+// o conteúdo original em BACKUP_KEY e começa do zero.
+// status: 'empty' | 'ok' | 'repaired' | 'corrupt'
+export const loadData = (storage = globalThis.localStorage) => {
+  const raw = storage.getItem(STORAGE_KEY);
+  if (!raw) return { data: { ...createEmptyData(), schemaVersion: SCHEMA_VERSION }, status: 'empty' };
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!isPlainObject(parsed)) throw new Error('Formato inesperado.');
+
+    const { data, issues } = repairData(migrate(parsed));
+    if (issues > 0) keepBackup(storage, raw);
+    return { data, status: issues > 0 ? 'repaired' : 'ok' };
+  } catch (error) {
+    console.error('Não foi possível ler os dados salvos:', error);
+    keepBackup(storage, raw);
+    return { data: { ...createEmptyData(), schemaVersion: SCHEMA_VERSION }, status: 'corrupt' };
+  }
+};
+
+// Grava tudo com a versão atual. Retorna false se o navegador recusar (ex: cota cheia).
+export const saveData = (data, storage = globalThis.localStorage) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ ...data, schemaVersion: SCHEMA_VERSION }));
+    return true;
+  } catch (error) {
+    console.error('Não foi possível salvar os dados:', error);
+    return false;
+  }
+};
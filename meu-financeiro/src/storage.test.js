@@ -0,0 +1,384 @@
+import { describe, it, expect } from 'vitest';
+import {
+  STORAGE_KEY, BACKUP_KEY, SCHEMA_VERSION, MIGRATIONS,
+  migrate, repairData, loadData, saveData, getDataCurrency
+} from './storage';
+
+// localStorage de mentira (o Vitest roda em Node, sem navegador)
+const createMemoryStorage = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+// Formato exato que o MVP original gravava (sem versão, renda como número)
+const legacyData = {
+  categories: [{ id: '1', name: 'Mercado', limit: 800 }],
+  recurringExpenses: [{ id: '2', name: 'Aluguel', amount: 1500, categoryId: '1' }],
+  monthlyLedgers: { '2025-10': { income: 5000, rollover: 120, status: 'OPEN' } },
+  transactions: [
+    { id: '3', monthKey: '2025-10', categoryId: '1', amount: 42.5, date: '2025-10-05T15:00:00.000Z' }
+  ]
+};
+
+describe('migração v1 (formato original sem versão)', () => {
+  const toV1 = MIGRATIONS[0];
+
+  it('cria as coleções que faltam', () => {
+    const result = toV1({ categories: [{ id: '1', name: 'Lazer', limit: 100 }] });
+    expect(result.categories).toHaveLength(1);
+    expect(result.recurringExpenses).toEqual([]);
+    expect(result.recurringIncomes).toEqual([]);
+    expect(result.monthlyLedgers).toEqual({});
+    expect(result.transactions).toEqual([]);
+  });
+
+  it('substitui coleções com o tipo errado', () => {
+    const result = toV1({ categories: 'oops', monthlyLedgers: [], transactions: null });
+    expect(result.categories).toEqual([]);
+    expect(result.monthlyLedgers).toEqual({});
+    expect(result.transactions).toEqual([]);
+  });
+});
+
+describe('migração v2 (renda única -> lista de rendas)', () => {
+  const toV2 = MIGRATIONS[1];
+
+  it('converte "income" numa entrada de renda', () => {
+    const result = toV2(MIGRATIONS[0](legacyData));
+    const ledger = result.monthlyLedgers['2025-10'];
+    expect(ledger.income).toBeUndefined();
+    expect(ledger.incomes).toEqual([{ id: '2025-10-income', source: 'Renda', amount: 5000, date: null }]);
+    expect(ledger.rollover).toBe(120);
+  });
+
+  it('não cria entrada para renda zerada', () => {
+    const result = toV2({ monthlyLedgers: { '2025-11': { income: 0, rollover: 0 } } });
+    expect(result.monthlyLedgers['2025-11'].incomes).toEqual([]);
+  });
+
+  it('mantém meses que já usam a lista', () => {
+    const incomes = [{ id: 'a', source: 'Freela', amount: 300, date: null }];
+    const result = toV2({ monthlyLedgers: { '2025-12': { incomes, rollover: 0 } } });
+    expect(result.monthlyLedgers['2025-12'].incomes).toBe(incomes);
+  });
+});
+
+describe('migração v3 (regras de importação de extrato)', () => {
+  const toV3 = MIGRATIONS[2];
+
+  it('cria a lista de regras vazia', () => {
+    expect(toV3({ categories: [] }).importRules).toEqual([]);
+  });
+
+  it('mantém regras existentes', () => {
+    const rules = [{ id: 'r1', pattern: 'IFOOD', categoryId: '1' }];
+    expect(toV3({ importRules: rules }).importRules).toBe(rules);
+  });
+});
+
+describe('migração v4 (gastos fixos com frequência e vencimento)', () => {
+  const toV4 = MIGRATIONS[3];
+
+  it('completa os modelos antigos como mensais, sem fim, vencendo no dia 1', () => {
+    const result = toV4({ recurringExpenses: legacyData.recurringExpenses });
+    expect(result.recurringExpenses[0]).toEqual({
+      id: '2', name: 'Aluguel', amount: 1500, categoryId: '1',
+      frequency: 'monthly', dueDay: 1, startMonth: null, endMonth: null, installments: null, isEstimated: false
+    });
+  });
+
+  it('não mexe em modelos que já têm os campos novos', () => {
+    const ipva = { id: '5', name: 'IPVA', amount: 900, categoryId: '1', frequency: 'annual', dueDay: 20, startMonth: '2025-03', endMonth: null, installments: null, isEstimated: false };
+    expect(toV4({ recurringExpenses: [ipva] }).recurringExpenses[0]).toEqual(ipva);
+  });
+});
+
+describe('migração v5 (contas com vencimento e situação)', () => {
+  const toV5 = MIGRATIONS[4];
+
+  it('marca gastos fixos antigos como pagos, vencendo na data do lançamento', () => {
+    const fixed = { id: '6', monthKey: '2025-10', categoryId: '1', amount: 1500, date: '2025-10-01T12:00:00.000Z', isFixed: true };
+    expect(toV5({ transactions: [fixed] }).transactions[0]).toEqual({
+      ...fixed, dueDate: '2025-10-01T12:00:00.000Z', status: 'PAID'
+    });
+  });
+
+  it('não mexe em gastos do dia a dia nem em contas que já têm situação', () => {
+    const pending = { id: '7', monthKey: '2025-10', amount: 90, isFixed: true, dueDate: '2025-10-10T12:00:00.000Z', status: 'PENDING' };
+    const transactions = [...legacyData.transactions, pending];
+    expect(toV5({ transactions }).transactions).toEqual(transactions);
+  });
+});
+
+describe('migração v6 (contas e transferências)', () => {
+  const toV6 = MIGRATIONS[5];
+
+  it('cria as listas vazias sem mexer nos lançamentos', () => {
+    const result = toV6({ transactions: legacyData.transactions });
+    expect(result.accounts).toEqual([]);
+    expect(result.transfers).toEqual([]);
+    expect(result.transactions).toBe(legacyData.transactions);
+  });
+});
+
+describe('migração v7 (metas de economia)', () => {
+  const toV7 = MIGRATIONS[6];
+
+  it('cria a lista de metas vazia', () => {
+    expect(toV7({ transactions: [] }).goals).toEqual([]);
+  });
+});
+
+describe('migração v8 (centavos inteiros)', () => {
+  const toV8 = MIGRATIONS[7];
+
+  it('converte todos os valores em dinheiro para centavos', () => {
+    const result = toV8({
+      categories: [{ id: 'c', name: 'Mercado', limit: 800 }],
+      recurringExpenses: [{ id: 'r', name: 'Luz', amount: 150.35 }],
+      recurringIncomes: [{ id: 's', source: 'Salário', amount: 3000 }],
+      transactions: [{ id: 't', monthKey: '2025-10', amount: 0.1 }, { id: 'u', monthKey: '2025-10', amount: 1.005 }],
+      accounts: [{ id: 'a', name: 'Conta', initialBalance: -12.5 }],
+      transfers: [{ id: 'tr', monthKey: '2025-10', amount: 99.99 }],
+      goals: [{ id: 'g', name: 'Reserva', targetAmount: 6000, initialAmount: 100, monthlyContribution: 200, rolloverShare: 50 }],
+      monthlyLedgers: {
+        '2025-10': {
+          incomes: [{ id: 'i', amount: 3000.1 }],
+          rollover: -20.3,
+          allocations: { c: 800 },
+          carryover: { c: 0.3 },
+          goalContributions: { g: 200 },
+          closing: { closedAt: '2025-11-01', income: 3000.1, expenses: 0.1, saved: 200, rollover: 1.5, carryover: { c: 0.3 } }
+        },
+        '2025-09': { incomes: [], rollover: 0 }
+      }
+    });
+    expect(result.categories[0].limit).toBe(80000);
+    expect(result.recurringExpenses[0].amount).toBe(15035);
+    expect(result.transactions.map(t => t.amount)).toEqual([10, 101]);
+    expect(result.accounts[0].initialBalance).toBe(-1250);
+    expect(result.transfers[0].amount).toBe(9999);
+    expect(result.goals[0]).toMatchObject({ targetAmount: 600000, initialAmount: 10000, monthlyContribution: 20000, rolloverShare: 50 });
+    expect(result.monthlyLedgers['2025-10']).toEqual({
+      incomes: [{ id: 'i', amount: 300010 }],
+      rollover: -2030,
+      allocations: { c: 80000 },
+      carryover: { c: 30 },
+      goalContributions: { g: 20000 },
+      closing: { closedAt: '2025-11-01', income: 300010, expenses: 10, saved: 20000, rollover: 150, carryover: { c: 30 } }
+    });
+    expect(result.monthlyLedgers['2025-09']).toEqual({ incomes: [], rollover: 0 });
+  });
+
+  it('deixa valores inválidos para o reparo', () => {
+    const result = toV8({
+      categories: [], recurringExpenses: [], recurringIncomes: [], monthlyLedgers: {},
+      transactions: [{ id: 't', amount: 'abc' }], accounts: [], transfers: [], goals: []
+    });
+    expect(result.transactions[0].amount).toBe('abc');
+  });
+});
+
+describe('migração v9 (organização das categorias)', () => {
+  const toV9 = MIGRATIONS[8];
+
+  it('mantém a ordem de criação, sem grupo e ativas', () => {
+    const result = toV9({ categories: [{ id: 'a', name: 'Mercado', limit: 100 }, { id: 'b', name: 'Lazer', limit: 50, color: '#0ea5e9' }] });
+    expect(result.categories).toEqual([
+      { id: 'a', name: 'Mercado', limit: 100, order: 0, color: null, icon: null, parentId: null, archived: false },
+      { id: 'b', name: 'Lazer', limit: 50, order: 1, color: '#0ea5e9', icon: null, parentId: null, archived: false }
+    ]);
+  });
+});
+
+describe('migração v10 (filtros salvos)', () => {
+  const toV10 = MIGRATIONS[9];
+
+  it('cria a lista de filtros salvos vazia', () => {
+    expect(toV10({ transactions: [] }).savedFilters).toEqual([]);
+  });
+});
+
+describe('migração v12 (moeda base nos dados)', () => {
+  const toV12 = MIGRATIONS[11];
+
+  it('cria as configurações vazias (a moeda fica a do aparelho, adotada ao abrir)', () => {
+    expect(toV12({ transactions: [] }).settings).toEqual({});
+    expect(getDataCurrency(toV12({}))).toBe('BRL');
+  });
+
+  it('mantém a moeda já guardada', () => {
+    expect(getDataCurrency(toV12({ settings: { baseCurrency: 'USD' } }))).toBe('USD');
+  });
+});
+
+describe('migrate', () => {
+  it('leva dados sem versão até a versão atual', () => {
+    const result = migrate(legacyData);
+    expect(result.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(result.monthlyLedgers['2025-10'].incomes).toHaveLength(1);
+  });
+
+  it('não roda de novo migrações já aplicadas', () => {
+    const current = migrate(legacyData);
+    expect(migrate(current)).toEqual(current);
+  });
+
+  it('recusa dados de uma versão mais nova que o app', () => {
+    expect(() => migrate({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow();
+  });
+});
+
+describe('repairData', () => {
+  it('não encontra problemas em dados saudáveis', () => {
+    const { data, issues } = repairData(migrate(legacyData));
+    expect(issues).toBe(0);
+    expect(data.transactions).toHaveLength(1);
+  });
+
+  it('descarta itens sem id ou com mês inválido', () => {
+    const broken = migrate({
+      ...legacyData,
+      categories: [...legacyData.categories, { name: 'Sem id' }, null],
+      transactions: [...legacyData.transactions, { id: '9', monthKey: 'outubro', amount: 10 }]
+    });
+    const { data, issues } = repairData(broken);
+    expect(data.categories).toHaveLength(1);
+    expect(data.transactions).toHaveLength(1);
+    expect(issues).toBe(3);
+  });
+
+  it('corrige valores em texto e campos faltando', () => {
+    const broken = migrate({
+      categories: [{ id: 1, name: 'Lazer', limit: '250' }],
+      monthlyLedgers: { '2025-10': { incomes: [], allocations: { 1: '100' } } },
+      transactions: [{ id: 4, monthKey: '2025-10', amount: '19.9', date: 'ontem' }]
+    });
+    const { data, issues } = repairData(broken);
+    expect(data.categories[0]).toEqual({ id: '1', name: 'Lazer', limit: 25000, order: 0, color: null, icon: null, parentId: null, archived: false });
+    expect(data.monthlyLedgers['2025-10']).toMatchObject({ rollover: 0, status: 'OPEN', allocations: { 1: 10000 } });
+    expect(data.transactions[0]).toMatchObject({ id: '4', amount: 1990, date: '2025-10-01T12:00:00.000Z' });
+    expect(issues).toBe(3);
+  });
+
+  it('fixo que não é mensal ganha o mês de início (o primeiro lançado, ou o atual)', () => {
+    const broken = migrate({
+      recurringExpenses: [
+        { id: 'ipva', name: 'IPVA', amount: 1000, frequency: 'annual', startMonth: null },
+        { id: 'seguro', name: 'Seguro', amount: 1000, frequency: 'quarterly' },
+        { id: 'luz', name: 'Luz', amount: 1000, frequency: 'monthly' }
+      ],
+      transactions: [
+        { id: 'a', monthKey: '2025-03', amount: 1000, date: '2025-03-10T12:00:00.000Z', recurringId: 'ipva' },
+        { id: 'b', monthKey: '2024-03', amount: 1000, date: '2024-03-10T12:00:00.000Z', recurringId: 'ipva' }
+      ]
+    });
+    const { data, issues } = repairData(broken);
+    expect(data.recurringExpenses[0].startMonth).toBe('2024-03');
+    expect(data.recurringExpenses[1].startMonth).toMatch(/^\d{4}-\d{2}$/);
+    expect(data.recurringExpenses[2].startMonth).toBeNull();
+    expect(issues).toBe(2);
+  });
+
+  it('desfaz grupos que apontam para categoria que não existe ou para uma filha', () => {
+    const broken = migrate({
+      categories: [
+        { id: 'casa', name: 'Casa', limit: 0 },
+        { id: 'luz', name: 'Luz', limit: 0, parentId: 'casa' },
+        { id: 'lampada', name: 'Lâmpada', limit: 0, parentId: 'luz' },
+        { id: 'gas', name: 'Gás', limit: 0, parentId: 'sumiu' }
+      ]
+    });
+    const { data, issues } = repairData(broken);
+    expect(data.categories.map(cat => cat.parentId)).toEqual([null, 'casa', null, null]);
+    expect(issues).toBe(2);
+  });
+
+  it('etiquetas fora do formato viram lista de textos', () => {
+    const broken = migrate({
+      transactions: [
+        { id: 't1', monthKey: '2025-10', amount: 100, date: '2025-10-05T12:00:00.000Z', tags: 'viagem' },
+        { id: 't2', monthKey: '2025-10', amount: 100, date: '2025-10-05T12:00:00.000Z', tags: ['viagem', 3] },
+        { id: 't3', monthKey: '2025-10', amount: 100, date: '2025-10-05T12:00:00.000Z' }
+      ]
+    });
+    const { data, issues } = repairData(broken);
+    expect(data.transactions.map(t => t.tags)).toEqual([[], ['viagem'], undefined]);
+    expect(issues).toBe(2);
+  });
+
+  it('valor em outra moeda sem original ou cotação válidos fica só na moeda base', () => {
+    const day = '2025-10-05T12:00:00.000Z';
+    const broken = migrate({
+      monthlyLedgers: { '2025-10': { rollover: 0, status: 'OPEN', incomes: [{ id: 'i1', amount: 5400, currency: 'USD', originalAmount: 1000, exchangeRate: 5.4 }] } },
+      transactions: [
+        { id: 't1', monthKey: '2025-10', amount: 5400, date: day, currency: 'USD', originalAmount: '1000', exchangeRate: '5.4' },
+        { id: 't2', monthKey: '2025-10', amount: 5400, date: day, currency: 'USD', originalAmount: 1000, exchangeRate: 0 }
+      ]
+    });
+    const { data, issues } = repairData(broken);
+    expect(data.transactions[0]).toMatchObject({ currency: 'USD', originalAmount: 1000, exchangeRate: 5.4 });
+    expect(data.transactions[1].id).toBe('t2');
+    expect(data.transactions[1]).not.toHaveProperty('currency');
+    expect(data.transactions[1]).not.toHaveProperty('exchangeRate');
+    expect(data.monthlyLedgers['2025-10'].incomes[0]).toMatchObject({ currency: 'USD', originalAmount: 1000 });
+    expect(issues).toBe(2);
+  });
+});
+
+describe('repairData: moeda base', () => {
+  it('descarta moeda desconhecida e configurações fora do formato', () => {
+    const unknown = repairData({ ...migrate(legacyData), settings: { baseCurrency: 'XYZ' } });
+    expect(unknown.data.settings).toEqual({});
+    expect(unknown.issues).toBe(1);
+    expect(repairData({ ...migrate(legacyData), settings: 'USD' }).data.settings).toEqual({});
+    expect(repairData({ ...migrate(legacyData), settings: { baseCurrency: 'EUR' } }).issues).toBe(0);
+  });
+});
+
+describe('loadData / saveData', () => {
+  it('começa vazio quando não há nada salvo', () => {
+    const { data, status } = loadData(createMemoryStorage());
+    expect(status).toBe('empty');
+    expect(data.transactions).toEqual([]);
+  });
+
+  it('migra os dados do MVP original', () => {
+    const storage = createMemoryStorage({ [STORAGE_KEY]: JSON.stringify(legacyData) });
+    const { data, status } = loadData(storage);
+    expect(status).toBe('ok');
+    expect(data.monthlyLedgers['2025-10'].incomes[0].amount).toBe(500000);
+  });
+
+  it('sobrevive a JSON corrompido e guarda uma cópia do original', () => {
+    const storage = createMemoryStorage({ [STORAGE_KEY]: '{"categories": [' });
+    const { data, status } = loadData(storage);
+    expect(status).toBe('corrupt');
+    expect(data.categories).toEqual([]);
+    expect(storage.getItem(BACKUP_KEY)).toBe('{"categories": [');
+  });
+
+  it('não lança erro quando o navegador recusa guardar a cópia', () => {
+    const storage = {
+      ...createMemoryStorage({ [STORAGE_KEY]: '{"categories": [' }),
+      setItem: () => { throw new Error('QuotaExceededError'); }
+    };
+    expect(loadData(storage).status).toBe('corrupt');
+  });
+
+  it('grava com a versão do schema', () => {
+    const storage = createMemoryStorage();
+    expect(saveData(migrate(legacyData), storage)).toBe(true);
+    expect(JSON.parse(storage.getItem(STORAGE_KEY)).schemaVersion).toBe(SCHEMA_VERSION);
+    expect(loadData(storage).status).toBe('ok');
+  });
+
+  it('retorna false quando o navegador recusa gravar', () => {
+    const storage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(saveData({}, storage)).toBe(false);
+  });
+});
@@ -0,0 +1,322 @@
+// ============================================================================
+// STORE (estado do app + reducer)
+// Todos os dados do app vivem num objeto só e só mudam por ações.
+// O reducer é puro: ids e datas chegam prontos na ação (os criadores de ação
+// lá embaixo é que chamam createId e new Date), então cada mudança é testável.
+// Mês fechado (closing.js) ignora mudanças nos lançamentos, rendas e distribuição.
+// ============================================================================
+
+import { createEmptyData, hasMoneyData } from './storage';
+import { STORES, applyChanges } from './db';
+import {
+  createId, getPrevMonthKey, getMonthTransactions, getLedgerIncomes, getLedgerAllocations
+} from './budget';
+import { expandRecurring } from './recurring';
+import { BILL_STATUS } from './bills';
+import { getTransactionMonthKey } from './accounts';
+import { planContributions } from './goals';
+import { MONTH_STATUS, isMonthClosed, getMonthLeftover } from './closing';
+import { getActiveCategories, getCategoryUsage } from './categories';
+
+export const createInitialState = createEmptyData;
+
+// ============================================================================
+// MÊS NOVO
+// ============================================================================
+
+// O que o mês herda do anterior: sobra geral (negativa = dívida) e saldo de cada categoria.
+// Mês anterior fechado usa a sobra congelada; aberto é calculado do histórico.
+// Mês anterior que não existe (o usuário pulou meses) não passa nada adiante.
+export const getMonthOpening = ({ monthlyLedgers, transactions }, monthKey) => {
+  const prevKey = getPrevMonthKey(monthKey);
+  return getMonthLeftover(monthlyLedgers[prevKey], getMonthTransactions(transactions, prevKey));
+};
+
+// Monta o mês novo: rendas fixas (+ renda extra digitada), sobra herdada, distribuição
+// inicial pelos tetos, depósitos nas metas e os gastos fixos que caem no mês.
+export const buildNewMonth = (state, { monthKey, extraIncome, now, createId: newId = createId }) => {
+  const { categories, recurringExpenses, recurringIncomes, goals, monthlyLedgers } = state;
+  const { rollover, carryover } = getMonthOpening(state, monthKey);
+
+  // A renda digitada na hora entra junto (é opcional se já existem rendas fixas)
+  const incomeModels = Number(extraIncome) > 0
+    ? [...recurringIncomes, { source: 'Renda', amount: Number(extraIncome), isExtra: true }]
+    : recurringIncomes;
+
+  const ledger = {
+    incomes: incomeModels.map(model => ({
+      // Renda fixa com id fixo por modelo e mês, como os gastos fixos logo abaixo
+      id: model.isExtra ? newId() : `${model.id}-${monthKey}`,
+      source: model.source,
+      amount: model.amount,
+      date: now.toISOString(),
+      isFixed: !model.isExtra
+    })),
+    rollover,
+    // Cada categoria começa com o teto como sugestão; o usuário redistribui depois.
+    // Arquivadas ficam de fora.
+    allocations: Object.fromEntries(getActiveCategories(categories).map(c => [c.id, Number(c.limit)])),
+    carryover,
+    // Parte da sobra (e os valores fixos) já vai direto para as metas
+    goalContributions: planContributions(goals, monthlyLedgers, rollover),
+    status: MONTH_STATUS.OPEN
+  };
+
+  const transactions = expandRecurring(recurringExpenses, monthKey).map(({ template, installment, dueDate }) => ({
+    // Id fixo por modelo e mês: dois aparelhos abrindo o mesmo mês (sync.js) geram a mesma conta, não duas
+    id: `${template.id}-${monthKey}`,
+    monthKey,
+    categoryId: template.categoryId,
+    amount: template.amount,
+    description: installment ? `${template.name} (${installment})` : `${template.name} (Fixo Recorrente)`,
+    date: dueDate,
+    dueDate,
+    status: BILL_STATUS.PENDING, // Vira conta a pagar até ser marcada como paga
+    isFixed: true,
+    isEstimated: Boolean(template.isEstimated),
+    recurringId: template.id
+  }));
+
+  return { ledger, transactions };
+};
+
+// ============================================================================
+// REDUCER
+// ============================================================================
+
+const isOpenMonth = (state, monthKey) => !isMonthClosed(state.monthlyLedgers[monthKey]);
+
+// Muda um mês existente e aberto (senão devolve o estado como está)
+const updateLedger = (state, monthKey, updater) => {
+  const ledger = state.monthlyLedgers[monthKey];
+  if (!ledger || isMonthClosed(ledger)) return state;
+  return { ...state, monthlyLedgers: { ...state.monthlyLedgers, [monthKey]: updater(ledger) } };
+};
+
+// Ao distribuir, o mês passa a guardar a própria distribuição (e não depende mais do teto global)
+const updateAllocations = (state, monthKey, updater) => updateLedger(state, monthKey, ledger => ({
+  ...ledger,
+  allocations: updater({ ...getLedgerAllocations(ledger, state.categories) })
+}));
+
+// Passa o valor de uma categoria para outra num objeto { categoriaId: valor }
+// (sem substituta o valor some: volta para o "Falta distribuir")
+const moveCategoryValue = (values, fromId, toId) => {
+  if (!values || !(fromId in values)) return values;
+  const { [fromId]: moved, ...rest } = values;
+  if (toId) rest[toId] = Number(rest[toId] || 0) + Number(moved || 0);
+  return rest;
+};
+
+// Apaga uma categoria levando tudo que apontava para ela para a substituta.
+// Meses fechados não mudam: se algum deles usa a categoria, o jeito é arquivar.
+const deleteCategory = (state, categoryId, replacementId) => {
+  const usage = getCategoryUsage(state, categoryId);
+  const hasReplacement = Boolean(replacementId) && replacementId !== categoryId && state.categories.some(c => c.id === replacementId);
+  if (usage.transactions.some(t => !isOpenMonth(state, t.monthKey))) return state;
+  if (!hasReplacement && (usage.transactions.length + usage.recurringExpenses.length + usage.importRules.length) > 0) return state;
+
+  const toId = hasReplacement ? replacementId : null;
+  const reassign = (record) => (record.categoryId === categoryId ? { ...record, categoryId: toId } : record);
+
+  return {
+    ...state,
+    // As filhas da categoria apagada voltam para o primeiro nível
+    categories: state.categories
+      .filter(c => c.id !== categoryId)
+      .map(c => (c.parentId === categoryId ? { ...c, parentId: null } : c)),
+    transactions: state.transactions.map(reassign),
+    recurringExpenses: state.recurringExpenses.map(reassign),
+    importRules: state.importRules.map(reassign),
+    // Filtros salvos passam a buscar pela substituta (ou deixam de filtrar por ela)
+    savedFilters: state.savedFilters.map(saved => (saved.filter.categoryIds?.includes(categoryId) ? {
+      ...saved,
+      filter: { ...saved.filter, categoryIds: [...new Set(saved.filter.categoryIds.map(id => (id === categoryId ? toId : id)).filter(Boolean))] }
+    } : saved)),
+    monthlyLedgers: Object.fromEntries(Object.entries(state.monthlyLedgers).map(([monthKey, ledger]) => [
+      monthKey,
+      isMonthClosed(ledger) || !ledger.allocations ? ledger : {
+        ...ledger,
+        allocations: moveCategoryValue(ledger.allocations, categoryId, toId),
+        carryover: moveCategoryValue(ledger.carryover, categoryId, toId) || {}
+      }
+    ]))
+  };
+};
+
+// A moeda base só pode ser trocada enquanto não há valor nenhum guardado
+export const canChangeBaseCurrency = (state) => !hasMoneyData(state);
+
+export const reducer = (state, action) => {
+  switch (action.type) {
+    // Dados vindos do banco ou de um backup
+    case 'REPLACE_DATA':
+      return Object.fromEntries(STORES.map(storeName => [storeName, action.data[storeName]]));
+
+    // Outra aba gravou algo: aplica só aqueles registros
+    case 'APPLY_CHANGES':
+      return Object.entries(action.changes).reduce((next, [storeName, storeChanges]) => ({
+        ...next,
+        [storeName]: applyChanges(storeName, next[storeName], storeChanges)
+      }), state);
+
+    case 'START_MONTH':
+      if (state.monthlyLedgers[action.monthKey]) return state;
+      return {
+        ...state,
+        monthlyLedgers: { ...state.monthlyLedgers, [action.monthKey]: action.ledger },
+        transactions: [...state.transactions, ...action.transactions]
+      };
+
+    // Listas simples (categorias, fixos, contas, metas, regras...)
+    case 'ADD_RECORD':
+      return { ...state, [action.storeName]: [...state[action.storeName], action.record] };
+
+    case 'UPDATE_RECORD':
+      return {
+        ...state,
+        [action.storeName]: state[action.storeName].map(record => record.id === action.id ? { ...record, ...action.changes } : record)
+      };
+
+    case 'DELETE_RECORD':
+      return { ...state, [action.storeName]: state[action.storeName].filter(record => record.id !== action.id) };
+
+    case 'DELETE_CATEGORY':
+      return deleteCategory(state, action.id, action.replacementId);
+
+    // Nova ordem (arrastando) de um grupo de categorias irmãs
+    case 'REORDER_CATEGORIES':
+      return {
+        ...state,
+        categories: state.categories.map(c => (action.orderedIds.includes(c.id) ? { ...c, order: action.orderedIds.indexOf(c.id) } : c))
+      };
+
+    // Lançamentos novos (manual, importação, desfazer exclusão); os de meses fechados ficam de fora
+    case 'ADD_TRANSACTIONS': {
+      const added = action.transactions.filter(t => isOpenMonth(state, t.monthKey));
+      return added.length > 0 ? { ...state, transactions: [...state.transactions, ...added] } : state;
+    }
+
+    case 'UPDATE_TRANSACTION': {
+      const current = state.transactions.find(t => t.id === action.id);
+      if (!current) return state;
+      const updated = { ...current, ...action.changes };
+      // Se a data (ou o cartão) mudou de mês, o lançamento vai junto para o mês certo
+      if (action.changes.date || action.changes.accountId !== undefined) {
+        updated.monthKey = getTransactionMonthKey(updated, state.accounts);
+      }
+      if (!isOpenMonth(state, current.monthKey) || !isOpenMonth(state, updated.monthKey)) return state;
+      return { ...state, transactions: state.transactions.map(t => t.id === action.id ? updated : t) };
+    }
+
+    case 'DELETE_TRANSACTION': {
+      const current = state.transactions.find(t => t.id === action.id);
+      if (!current || !isOpenMonth(state, current.monthKey)) return state;
+      return { ...state, transactions: state.transactions.filter(t => t.id !== action.id) };
+    }
+
+    // Pagar não muda o orçamento, então vale até em mês fechado
+    case 'SET_BILL_STATUS':
+      return {
+        ...state,
+        transactions: state.transactions.map(t => t.id === action.id ? { ...t, status: action.status, paidAt: action.paidAt } : t)
+      };
+
+    // Desfaz o pagamento de uma fatura (apaga as transferências que pagaram aquele mês)
+    case 'DELETE_INVOICE_PAYMENTS':
+      return {
+        ...state,
+        transfers: state.transfers.filter(tr => !(tr.toAccountId === action.accountId && tr.invoiceMonth === action.monthKey))
+      };
+
+    case 'SET_ALLOCATION':
+      return updateAllocations(state, action.monthKey, allocations => ({ ...allocations, [action.categoryId]: action.amount }));
+
+    // Move dinheiro entre categorias no meio do mês ('' = falta distribuir)
+    case 'MOVE_MONEY':
+      return updateAllocations(state, action.monthKey, allocations => {
+        const { fromCategoryId, toCategoryId, amount } = action;
+        if (fromCategoryId) allocations[fromCategoryId] = Number(allocations[fromCategoryId] || 0) - amount;
+        if (toCategoryId) allocations[toCategoryId] = Number(allocations[toCategoryId] || 0) + amount;
+        return allocations;
+      });
+
+    case 'ADD_INCOME':
+      return updateLedger(state, action.monthKey, ledger => ({ ...ledger, incomes: [...getLedgerIncomes(ledger), action.income] }));
+
+    case 'DELETE_INCOME':
+      return updateLedger(state, action.monthKey, ledger => ({
+        ...ledger,
+        incomes: getLedgerIncomes(ledger).filter(inc => inc.id !== action.id)
+      }));
+
+    // Depósito (ou retirada, se negativo) avulso numa meta.
+    // Retirar devolve o dinheiro para o "Falta distribuir" do mês.
+    case 'CONTRIBUTE_TO_GOAL':
+      return updateLedger(state, action.monthKey, ledger => {
+        const goalContributions = { ...ledger.goalContributions };
+        goalContributions[action.goalId] = Number(goalContributions[action.goalId] || 0) + action.amount;
+        return { ...ledger, goalContributions };
+      });
+
+    // Fecha ou reabre um mês, já com os meses seguintes recalculados (ver closing.js)
+    case 'SET_MONTH_LEDGERS':
+      return { ...state, monthlyLedgers: action.monthlyLedgers };
+
+    // Moeda base: só antes do primeiro valor. Depois, trocar só mudaria o símbolo
+    // de valores que continuam na moeda antiga.
+    case 'SET_BASE_CURRENCY':
+      if (!canChangeBaseCurrency(state)) return state;
+      return { ...state, settings: { ...state.settings, baseCurrency: action.currency } };
+
+    default:
+      return state;
+  }
+};
+
+// ============================================================================
+// CRIADORES DE AÇÃO
+// Únicos lugares que geram ids e leem o relógio
+// ============================================================================
+
+export const actions = {
+  replaceData: (data) => ({ type: 'REPLACE_DATA', data }),
+  applyChanges: (changes) => ({ type: 'APPLY_CHANGES', changes }),
+
+  startMonth: (state, { monthKey, extraIncome }) => ({
+    type: 'START_MONTH',
+    monthKey,
+    ...buildNewMonth(state, { monthKey, extraIncome, now: new Date() })
+  }),
+
+  addRecord: (storeName, fields) => ({ type: 'ADD_RECORD', storeName, record: { id: createId(), ...fields } }),
+  updateRecord: (storeName, id, changes) => ({ type: 'UPDATE_RECORD', storeName, id, changes }),
+  deleteRecord: (storeName, id) => ({ type: 'DELETE_RECORD', storeName, id }),
+
+  deleteCategory: (id, replacementId) => ({ type: 'DELETE_CATEGORY', id, replacementId }),
+  reorderCategories: (orderedIds) => ({ type: 'REORDER_CATEGORIES', orderedIds }),
+
+  // Lançamento que já tem id (desfazer exclusão) mantém o id
+  addTransactions: (transactions) => ({
+    type: 'ADD_TRANSACTIONS',
+    transactions: transactions.map(t => ({ id: createId(), ...t }))
+  }),
+  updateTransaction: (id, changes) => ({ type: 'UPDATE_TRANSACTION', id, changes }),
+  deleteTransaction: (id) => ({ type: 'DELETE_TRANSACTION', id }),
+
+  setBillPaid: (id, isPaid) => ({
+    type: 'SET_BILL_STATUS',
+    id,
+    status: isPaid ? BILL_STATUS.PAID : BILL_STATUS.PENDING,
+    paidAt: isPaid ? new Date().toISOString() : null
+  }),
+  deleteInvoicePayments: (accountId, monthKey) => ({ type: 'DELETE_INVOICE_PAYMENTS', accountId, monthKey }),
+
+  setAllocation: (monthKey, categoryId, amount) => ({ type: 'SET_ALLOCATION', monthKey, categoryId, amount }),
+  moveMoney: (monthKey, fromCategoryId, toCategoryId, amount) => ({ type: 'MOVE_MONEY', monthKey, fromCategoryId, toCategoryId, amount }),
+  addIncome: (monthKey, income) => ({ type: 'ADD_INCOME', monthKey, income: { id: createId(), ...income } }),
+  deleteIncome: (monthKey, id) => ({ type: 'DELETE_INCOME', monthKey, id }),
+  contributeToGoal: (monthKey, goalId, amount) => ({ type: 'CONTRIBUTE_TO_GOAL', monthKey, goalId, amount }),
+  setMonthLedgers: (monthlyLedgers) => ({ type: 'SET_MONTH_LEDGERS', monthlyLedgers }),
+  setBaseCurrency: (currency) => ({ type: 'SET_BASE_CURRENCY', currency })
+};
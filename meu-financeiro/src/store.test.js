@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest';
+import { reducer, actions, createInitialState, getMonthOpening, buildNewMonth, canChangeBaseCurrency } from './store';
+import { MONTH_STATUS } from './closing';
+
+// Ids previsíveis para comparar os resultados
+const sequentialIds = () => {
+  let next = 0;
+  return () => `id-${++next}`;
+};
+
+const now = new Date('2026-01-01T10:00:00Z');
+
+const december = {
+  incomes: [{ id: 'i1', amount: 300000 }],
+  rollover: 0,
+  allocations: { mercado: 80000 },
+  carryover: {},
+  goalContributions: {},
+  status: MONTH_STATUS.OPEN
+};
+
+const baseState = {
+  ...createInitialState(),
+  categories: [{ id: 'mercado', name: 'Mercado', limit: 80000 }],
+  recurringIncomes: [{ id: 'r1', source: 'Salário', amount: 300000 }],
+  recurringExpenses: [{ id: 'f1', name: 'Aluguel', amount: 120000, categoryId: 'mercado', dueDay: 10 }],
+  monthlyLedgers: { '2025-12': december },
+  transactions: [{ id: 't1', monthKey: '2025-12', categoryId: 'mercado', amount: 65010 }]
+};
+
+describe('getMonthOpening', () => {
+  it('janeiro herda a sobra de dezembro do ano anterior', () => {
+    expect(getMonthOpening(baseState, '2026-01')).toEqual({ rollover: 220000, carryover: { mercado: 14990 } });
+  });
+
+  it('mês anterior que não existe (meses pulados) não passa nada adiante', () => {
+    expect(getMonthOpening(baseState, '2026-03')).toEqual({ rollover: 0, carryover: {} });
+  });
+});
+
+describe('buildNewMonth', () => {
+  const { ledger, transactions } = buildNewMonth(baseState, { monthKey: '2026-01', extraIncome: 15050, now, createId: sequentialIds() });
+
+  it('lança rendas fixas, a renda extra e a sobra herdada', () => {
+    expect(ledger.incomes).toEqual([
+      { id: 'r1-2026-01', source: 'Salário', amount: 300000, date: now.toISOString(), isFixed: true },
+      { id: 'id-1', source: 'Renda', amount: 15050, date: now.toISOString(), isFixed: false }
+    ]);
+    expect(ledger).toMatchObject({ rollover: 220000, carryover: { mercado: 14990 }, allocations: { mercado: 80000 }, status: MONTH_STATUS.OPEN });
+  });
+
+  it('cria os gastos fixos do mês como contas a pagar', () => {
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({ id: 'f1-2026-01', monthKey: '2026-01', amount: 120000, status: 'PENDING', recurringId: 'f1' });
+    expect(new Date(transactions[0].dueDate).getDate()).toBe(10);
+  });
+});
+
+describe('reducer', () => {
+  it('começa vazio', () => {
+    expect(createInitialState()).toMatchObject({ categories: [], monthlyLedgers: {}, transactions: [] });
+  });
+
+  it('START_MONTH não sobrescreve um mês que já existe', () => {
+    const action = { type: 'START_MONTH', monthKey: '2025-12', ledger: { incomes: [] }, transactions: [{ id: 'x' }] };
+    expect(reducer(baseState, action)).toBe(baseState);
+  });
+
+  it('startMonth cria o mês com ids novos', () => {
+    const state = reducer(baseState, actions.startMonth(baseState, { monthKey: '2026-01', extraIncome: null }));
+    expect(state.monthlyLedgers['2026-01'].incomes).toHaveLength(1);
+    expect(state.transactions).toHaveLength(2);
+    expect(state.transactions[1].id).not.toBe(state.monthlyLedgers['2026-01'].incomes[0].id);
+  });
+
+  it('adiciona, edita e apaga registros das listas simples', () => {
+    const added = reducer(baseState, actions.addRecord('goals', { name: 'Reserva', targetAmount: 1000 }));
+    const goalId = added.goals[0].id;
+    const edited = reducer(added, actions.updateRecord('goals', goalId, { targetAmount: 2000 }));
+    expect(edited.goals[0]).toMatchObject({ name: 'Reserva', targetAmount: 2000 });
+    expect(reducer(edited, actions.deleteRecord('goals', goalId)).goals).toEqual([]);
+  });
+
+  it('editar a data leva o lançamento para o mês certo', () => {
+    const state = reducer(baseState, actions.updateTransaction('t1', { date: new Date(2025, 10, 20, 12).toISOString() }));
+    expect(state.transactions[0].monthKey).toBe('2025-11');
+  });
+
+  it('move dinheiro entre categorias', () => {
+    let state = reducer(baseState, actions.moveMoney('2025-12', 'mercado', '', 10));
+    state = reducer(state, actions.moveMoney('2025-12', '', 'lazer', 20));
+    expect(state.monthlyLedgers['2025-12'].allocations).toEqual({ mercado: 79990, lazer: 20 });
+  });
+
+  it('mês sem ledger não aceita distribuição nem renda', () => {
+    expect(reducer(baseState, actions.setAllocation('2026-05', 'mercado', 100))).toBe(baseState);
+    expect(reducer(baseState, actions.addIncome('2026-05', { amount: 100 }))).toBe(baseState);
+  });
+
+  describe('mês fechado', () => {
+    const closed = {
+      ...baseState,
+      monthlyLedgers: { '2025-12': { ...december, status: MONTH_STATUS.CLOSED } }
+    };
+
+    it('ignora mudanças nos lançamentos, rendas, distribuição e metas', () => {
+      expect(reducer(closed, actions.addTransactions([{ monthKey: '2025-12', amount: 10 }]))).toBe(closed);
+      expect(reducer(closed, actions.updateTransaction('t1', { amount: 1 }))).toBe(closed);
+      expect(reducer(closed, actions.deleteTransaction('t1'))).toBe(closed);
+      expect(reducer(closed, actions.addIncome('2025-12', { amount: 100 }))).toBe(closed);
+      expect(reducer(closed, actions.setAllocation('2025-12', 'mercado', 1))).toBe(closed);
+      expect(reducer(closed, actions.contributeToGoal('2025-12', 'reserva', 50))).toBe(closed);
+    });
+
+    it('não deixa mover um lançamento para dentro dele', () => {
+      const state = { ...closed, transactions: [{ id: 't2', monthKey: '2026-01', amount: 5 }] };
+      expect(reducer(state, actions.updateTransaction('t2', { date: new Date(2025, 11, 5, 12).toISOString() }))).toBe(state);
+    });
+
+    it('ainda deixa marcar a conta como paga', () => {
+      const state = reducer(closed, actions.setBillPaid('t1', true));
+      expect(state.transactions[0].status).toBe('PAID');
+      expect(state.transactions[0].paidAt).toEqual(expect.any(String));
+    });
+  });
+
+  describe('categorias', () => {
+    const state = {
+      ...baseState,
+      categories: [
+        ...baseState.categories,
+        { id: 'casa', name: 'Casa', limit: 0 },
+        { id: 'luz', name: 'Luz', limit: 0, parentId: 'casa' }
+      ],
+      importRules: [{ id: 'ru', pattern: 'CARREFOUR', categoryId: 'mercado' }],
+      savedFilters: [{ id: 'sf', name: 'Casa e mercado', filter: { text: '', categoryIds: ['mercado', 'casa'] } }]
+    };
+
+    it('apagar leva lançamentos, fixos, regras e o saldo do mês para a substituta', () => {
+      const next = reducer(state, actions.deleteCategory('mercado', 'casa'));
+      expect(next.categories.map(c => c.id)).toEqual(['casa', 'luz']);
+      expect(next.transactions[0].categoryId).toBe('casa');
+      expect(next.recurringExpenses[0].categoryId).toBe('casa');
+      expect(next.importRules[0].categoryId).toBe('casa');
+      expect(next.monthlyLedgers['2025-12'].allocations).toEqual({ casa: 80000 });
+    });
+
+    it('filtros salvos trocam a categoria apagada pela substituta, ou deixam de usá-la', () => {
+      expect(reducer(state, actions.deleteCategory('mercado', 'casa')).savedFilters[0].filter.categoryIds).toEqual(['casa']);
+      expect(reducer(state, actions.deleteCategory('luz', null)).savedFilters[0]).toBe(state.savedFilters[0]);
+      expect(reducer(state, actions.deleteCategory('casa', null)).savedFilters[0].filter.categoryIds).toEqual(['mercado']);
+    });
+
+    it('não apaga categoria em uso sem dizer para onde vai', () => {
+      expect(reducer(state, actions.deleteCategory('mercado', null))).toBe(state);
+      expect(reducer(state, actions.deleteCategory('mercado', 'mercado'))).toBe(state);
+    });
+
+    it('apagar a mãe deixa as filhas no primeiro nível', () => {
+      const next = reducer(state, actions.deleteCategory('casa', null));
+      expect(next.categories.find(c => c.id === 'luz').parentId).toBeNull();
+    });
+
+    it('não mexe em mês fechado: categoria usada nele só pode ser arquivada', () => {
+      const closed = { ...state, monthlyLedgers: { '2025-12': { ...december, status: MONTH_STATUS.CLOSED } } };
+      expect(reducer(closed, actions.deleteCategory('mercado', 'casa'))).toBe(closed);
+    });
+
+    it('arquivada não entra nos meses novos', () => {
+      const archived = reducer(state, actions.updateRecord('categories', 'mercado', { archived: true }));
+      const { ledger } = buildNewMonth(archived, { monthKey: '2026-01', extraIncome: null, now, createId: sequentialIds() });
+      expect(ledger.allocations).toEqual({ casa: 0, luz: 0 });
+    });
+
+    it('grava a nova ordem arrastada', () => {
+      const next = reducer(state, actions.reorderCategories(['casa', 'mercado']));
+      expect(next.categories.map(c => c.order)).toEqual([1, 0, undefined]);
+    });
+  });
+
+  it('aplica as mudanças gravadas por outra aba', () => {
+    const state = reducer(baseState, actions.applyChanges({
+      transactions: { puts: [['t9', { id: 't9', monthKey: '2025-12', amount: 1 }]], deletes: ['t1'] }
+    }));
+    expect(state.transactions.map(t => t.id)).toEqual(['t9']);
+    expect(state.categories).toBe(baseState.categories);
+  });
+
+  it('a moeda base só troca enquanto não há nenhum valor guardado', () => {
+    const empty = reducer(createInitialState(), actions.setBaseCurrency('USD'));
+    expect(empty.settings).toEqual({ baseCurrency: 'USD' });
+
+    expect(canChangeBaseCurrency(baseState)).toBe(false);
+    expect(reducer(baseState, actions.setBaseCurrency('USD'))).toBe(baseState);
+    const onlyRules = { ...createInitialState(), importRules: [{ id: 'r1', pattern: 'IFOOD' }] };
+    expect(canChangeBaseCurrency(onlyRules)).toBe(true);
+  });
+
+  it('REPLACE_DATA troca todos os dados', () => {
+    const state = reducer(baseState, actions.replaceData(createInitialState()));
+    expect(state).toEqual(createInitialState());
+  });
+});
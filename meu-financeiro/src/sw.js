@@ -0,0 +1,55 @@
+// ============================================================================
+// SERVICE WORKER (app offline)
+// Guarda todos os arquivos do build no cache na instalação e serve o app de lá,
+// com ou sem internet. O vite.config.js escreve no começo deste arquivo a lista
+// de arquivos (self.__PRECACHE__) e a versão do build (self.__BUILD_VERSION__).
+//
+// Versão nova fica esperando (não assume sozinha): o app mostra o aviso de
+// atualização e, quando o usuário aceita, manda SKIP_WAITING (ver pwa.js).
+// Assim uma aba nunca mistura arquivos de duas versões.
+// ============================================================================
+
+const CACHE_PREFIX = 'meu-financeiro-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.__BUILD_VERSION__}`;
+const PRECACHE_URLS = self.__PRECACHE__;
+
+// Endereço completo a partir do escopo (o app pode morar numa subpasta)
+const toScopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(toScopeUrl)))
+  );
+});
+
+// Versão nova no controle: apaga os caches das versões antigas
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Só os arquivos do próprio app; o resto (ex: servidor de sincronia) vai direto para a rede
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Qualquer página do app abre o index.html do cache (inclusive "?view=add-transaction")
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(toScopeUrl('index.html')).then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+  );
+});
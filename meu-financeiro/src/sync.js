@@ -0,0 +1,342 @@
+// ============================================================================
+// SINCRONIA ENTRE APARELHOS (opcional)
+// Cada aparelho continua com todos os dados no próprio IndexedDB e funciona
+// offline. Quando a sincronia está ligada, toda mudança em lançamentos,
+// categorias, fixos, meses, contas, transferências, metas e na moeda base
+// ganha um carimbo (stamp) e fica pendente; de tempos em tempos o app manda as
+// pendentes para o servidor (server/) e recebe o que os outros aparelhos mudaram.
+//
+// Conflito: vence a última escrita de cada registro (maior stamp; empate vai
+// para o deviceId maior), no servidor e nos aparelhos, então todos chegam ao
+// mesmo resultado. Apagar vira uma "lápide" (deleted: true) que também disputa
+// pelo stamp, para o registro não voltar do outro aparelho.
+//
+// O mês viaja em partes (cada renda, cada distribuição por categoria...): um
+// aparelho lançando renda e o outro distribuindo no mesmo mês não se atropelam.
+// ============================================================================
+
+import { SCHEMA_VERSION, createEmptyData, migrate } from './storage';
+import { createId } from './budget';
+import { toEntries, fromEntries, readSyncState, writeSyncResult } from './db';
+import { t } from './i18n';
+import { toSyncKey, compareVersions, getMaxStamp } from './syncProtocol';
+
+export { toSyncKey, nextStamp, compareVersions, getMaxStamp } from './syncProtocol';
+
+// Só estas coleções viajam; regras de importação e filtros salvos ficam em cada aparelho.
+// settings leva a moeda base: valores sem ela não dizem em que moeda estão.
+export const SYNC_STORES = ['transactions', 'categories', 'recurringExpenses', 'recurringIncomes', 'monthlyLedgers', 'accounts', 'transfers', 'goals', 'settings'];
+
+// Carimbo do envio inicial: qualquer mudança já feita em outro aparelho ganha dele
+export const INITIAL_STAMP = 1;
+
+// Onde fica a configuração deste aparelho (as outras abas escutam mudanças nela)
+export const SYNC_SETTINGS_KEY = 'zeroBudget_sync';
+
+// ============================================================================
+// MESES EM PARTES
+// Chave de cada parte: "2026-01/incomes/<id da renda>", "2026-01/allocations/<categoria>",
+// "2026-01/carryover/<categoria>", "2026-01/goalContributions/<meta>" e, para os
+// demais campos, "2026-01/rollover", "2026-01/status", "2026-01/closing"...
+// Até a versão 10 o mês ia inteiro, com a chave "2026-01" (ver LEGADO abaixo).
+// ============================================================================
+
+const LEDGER_MAPS = ['allocations', 'carryover', 'goalContributions'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// "2026-01/allocations/c1" -> { monthKey: '2026-01', field: 'allocations', id: 'c1' }
+export const parseLedgerPartKey = (key) => {
+  const [monthKey, field, ...rest] = String(key).split('/');
+  return { monthKey, field, id: rest.length > 0 ? rest.join('/') : undefined };
+};
+
+// Chave do mês inteiro, gravada por um app antigo
+const isLegacyLedgerKey = (store, key) => store === 'monthlyLedgers' && !String(key).includes('/');
+
+export const toLedgerParts = (monthKey, ledger) => Object.entries(ledger || {}).flatMap(([field, value]) => {
+  if (field === 'incomes' && Array.isArray(value)) return value.map(income => [`${monthKey}/incomes/${income.id}`, income]);
+  if (LEDGER_MAPS.includes(field) && isPlainObject(value)) {
+    return Object.entries(value).map(([id, amount]) => [`${monthKey}/${field}/${id}`, amount]);
+  }
+  return [[`${monthKey}/${field}`, value]];
+});
+
+// Aplica partes ({ key, record, deleted }, em ordem) num mês. Devolve o mês novo,
+// ou null se não sobrou parte nenhuma (o mês foi apagado).
+// Renda nova entra no fim da lista; renda editada continua no mesmo lugar.
+export const applyLedgerParts = (ledger, parts) => {
+  const next = { ...ledger };
+  parts.forEach(({ key, record, deleted }) => {
+    const { field, id } = parseLedgerPartKey(key);
+    if (field === 'incomes') {
+      const incomes = next.incomes || [];
+      const index = incomes.findIndex(income => income.id === id);
+      if (deleted) next.incomes = incomes.filter(income => income.id !== id);
+      else next.incomes = index === -1 ? [...incomes, record] : incomes.map((income, i) => (i === index ? record : income));
+    } else if (id !== undefined) {
+      const values = { ...next[field] };
+      if (deleted) delete values[id];
+      else values[id] = record;
+      next[field] = values;
+    } else if (deleted) {
+      delete next[field];
+    } else {
+      next[field] = record;
+    }
+  });
+  if (toLedgerParts('', next).length === 0) return null;
+  return { ...next, incomes: next.incomes || [] };
+};
+
+// Registros como a sincronia os vê: pares [chave, registro], com os meses em partes
+const toSyncEntries = (store, value) => (store === 'monthlyLedgers'
+  ? toEntries(store, value).flatMap(([monthKey, ledger]) => toLedgerParts(monthKey, ledger))
+  : toEntries(store, value));
+
+// Partes que mudaram entre duas versões do mesmo mês (compara referências, como o db.js)
+const diffLedgerParts = (monthKey, previous, next) => {
+  const before = new Map(toLedgerParts(monthKey, previous));
+  const after = toLedgerParts(monthKey, next);
+  const afterKeys = new Set(after.map(([key]) => key));
+  return {
+    puts: after.filter(([key, value]) => before.get(key) !== value),
+    deletes: [...before.keys()].filter(key => !afterKeys.has(key))
+  };
+};
+
+// ============================================================================
+// MUDANÇAS LOCAIS -> PENDENTES
+// Entrada do log (gravada no IndexedDB, loja "sync"):
+//   { store, key, stamp, deviceId, member, deleted, pending }
+// ============================================================================
+
+// Carimba as mudanças gravadas pelo app (formato do db.js: { loja: { puts, deletes } }).
+// snapshot: o que estava gravado antes delas (para saber que partes do mês mudaram).
+export const stampLocalChanges = (changes, snapshot, { stamp, deviceId, member }) => SYNC_STORES.flatMap(store => {
+  if (!changes[store]) return [];
+  let { puts, deletes } = changes[store];
+  if (store === 'monthlyLedgers') {
+    const previous = snapshot.monthlyLedgers;
+    const diffs = [
+      ...puts.map(([monthKey, ledger]) => diffLedgerParts(monthKey, previous.get(monthKey), ledger)),
+      ...deletes.map(monthKey => diffLedgerParts(monthKey, previous.get(monthKey), undefined))
+    ];
+    puts = diffs.flatMap(diff => diff.puts);
+    deletes = diffs.flatMap(diff => diff.deletes);
+  }
+  const entry = (key, deleted) => ({ store, key, stamp, deviceId, member, deleted, pending: true });
+  return [...puts.map(([key]) => entry(key, false)), ...deletes.map(key => entry(key, true))];
+});
+
+// Ligar a sincronia: tudo que já existe vai para o servidor, mas com o carimbo
+// inicial, para não passar por cima do que os outros aparelhos já mandaram
+export const stampExistingData = (data, { deviceId, member }) => SYNC_STORES.flatMap(store => (
+  toSyncEntries(store, data[store]).map(([key]) => ({ store, key, stamp: INITIAL_STAMP, deviceId, member, deleted: false, pending: true }))
+));
+
+// Registros sem entrada no log: coleções que passaram a sincronizar depois que a
+// sincronia foi ligada (contas, metas...) e meses que o log ainda tinha inteiros.
+// Vão como no envio inicial; a parte de um mês herda o carimbo do mês inteiro,
+// assim todos os aparelhos mandam a mesma versão e ninguém passa por cima de ninguém.
+// As entradas de mês inteiro deixam de ficar pendentes (as partes vão no lugar delas).
+export const stampUnloggedData = (data, entries, { deviceId, member }) => {
+  const logged = new Map(entries.map(entry => [toSyncKey(entry.store, entry.key), entry]));
+  const stamped = SYNC_STORES.flatMap(store => toSyncEntries(store, data[store])
+    .filter(([key]) => !logged.has(toSyncKey(store, key)))
+    .map(([key]) => {
+      const legacy = store === 'monthlyLedgers' ? logged.get(toSyncKey(store, parseLedgerPartKey(key).monthKey)) : undefined;
+      return legacy
+        ? { store, key, stamp: legacy.stamp, deviceId: legacy.deviceId, member: legacy.member, deleted: false, pending: true }
+        : { store, key, stamp: INITIAL_STAMP, deviceId, member, deleted: false, pending: true };
+    }));
+  const legacyDone = entries
+    .filter(entry => entry.pending && isLegacyLedgerKey(entry.store, entry.key))
+    .map(entry => ({ ...entry, pending: false }));
+  return [...stamped, ...legacyDone];
+};
+
+// Monta o envio a partir das pendentes, com o conteúdo atual de cada registro
+export const buildPushChanges = (entries, data) => {
+  const records = Object.fromEntries(SYNC_STORES.map(store => [store, new Map(toSyncEntries(store, data[store]))]));
+  return entries
+    .filter(entry => entry.pending && SYNC_STORES.includes(entry.store) && !isLegacyLedgerKey(entry.store, entry.key))
+    .map(({ store, key, stamp, deviceId, member, deleted }) => {
+      const record = deleted ? undefined : records[store].get(key);
+      return {
+        store,
+        key,
+        stamp,
+        deviceId,
+        member,
+        // Registro que sumiu sem lápide (ex: desfeito depois) vai como apagado
+        deleted: record === undefined,
+        record: record ?? null,
+        schemaVersion: SCHEMA_VERSION
+      };
+    });
+};
+
+// ============================================================================
+// MUDANÇAS REMOTAS -> APP
+// ============================================================================
+
+// Registro gravado por uma versão mais antiga do app: passa pelas mesmas
+// migrações do storage.js (elas funcionam com uma coleção de um registro só)
+export const migrateRecord = (store, key, record, fromVersion) => {
+  if (fromVersion >= SCHEMA_VERSION) return record;
+  const data = migrate({ ...createEmptyData(), [store]: fromEntries(store, [[key, record]]), schemaVersion: fromVersion });
+  return toEntries(store, data[store]).find(([entryKey]) => entryKey === key)?.[1] ?? record;
+};
+
+// LEGADO: mês inteiro mandado por um app antigo vira uma mudança por parte, com
+// o mesmo carimbo. A lápide de um mês inteiro não diz que partes apagar: é ignorada.
+const expandLegacyLedger = (remote) => {
+  if (remote.deleted) return [];
+  const ledger = migrateRecord('monthlyLedgers', remote.key, remote.record, remote.schemaVersion);
+  return toLedgerParts(remote.key, ledger).map(([key, record]) => ({ ...remote, key, record, schemaVersion: SCHEMA_VERSION }));
+};
+
+// Decide, registro a registro, o que chegou do servidor e ganha da versão local.
+// entriesByKey: log local atual ({ "loja/chave": entrada }).
+// ledgers: os meses gravados neste aparelho (as partes que chegam são aplicadas neles).
+// Devolve as mudanças para o app (formato do db.js), as entradas do log
+// atualizadas e se algo veio de uma versão mais nova do app (não aplicado).
+export const mergeRemoteChanges = (remoteChanges, entriesByKey, ledgers = {}) => {
+  const changes = {};
+  const entries = [];
+  const latest = { ...entriesByKey };
+  const ledgerParts = {};
+  let isOutdated = false;
+
+  const expanded = remoteChanges.flatMap(remote => (
+    isLegacyLedgerKey(remote.store, remote.key) && remote.schemaVersion <= SCHEMA_VERSION ? expandLegacyLedger(remote) : [remote]
+  ));
+
+  expanded.forEach(remote => {
+    if (!SYNC_STORES.includes(remote.store)) return;
+    if (remote.schemaVersion > SCHEMA_VERSION) {
+      isOutdated = true;
+      return;
+    }
+    const syncKey = toSyncKey(remote.store, remote.key);
+    const local = latest[syncKey];
+    const comparison = local ? compareVersions(remote, local) : 1;
+    if (comparison < 0) return; // A versão local é mais nova: continua pendente e vai no próximo envio
+
+    const entry = { store: remote.store, key: remote.key, stamp: remote.stamp, deviceId: remote.deviceId, member: remote.member, deleted: remote.deleted, pending: false };
+    if (comparison === 0) {
+      // A nossa própria versão voltando do servidor: só deixa de ser pendente
+      if (local.pending) entries.push(entry);
+      return;
+    }
+
+    entries.push(entry);
+    latest[syncKey] = entry;
+    if (remote.store === 'monthlyLedgers') {
+      const { monthKey } = parseLedgerPartKey(remote.key);
+      ledgerParts[monthKey] = ledgerParts[monthKey] || [];
+      ledgerParts[monthKey].push({ key: remote.key, record: remote.record, deleted: remote.deleted });
+      return;
+    }
+    changes[remote.store] = changes[remote.store] || { puts: [], deletes: [] };
+    if (remote.deleted) {
+      changes[remote.store].deletes.push(remote.key);
+    } else {
+      const record = migrateRecord(remote.store, remote.key, remote.record, remote.schemaVersion);
+      changes[remote.store].puts.push([remote.key, record]);
+    }
+  });
+
+  // Cada mês que recebeu partes é remontado a partir da versão deste aparelho
+  Object.entries(ledgerParts).forEach(([monthKey, parts]) => {
+    const ledger = applyLedgerParts(ledgers[monthKey], parts);
+    if (!ledger && !ledgers[monthKey]) return;
+    changes.monthlyLedgers = changes.monthlyLedgers || { puts: [], deletes: [] };
+    if (ledger) changes.monthlyLedgers.puts.push([monthKey, ledger]);
+    else changes.monthlyLedgers.deletes.push(monthKey);
+  });
+
+  return { changes, entries, isOutdated };
+};
+
+// ============================================================================
+// CONFIGURAÇÃO DESTE APARELHO (localStorage; não vai no backup nem sincroniza)
+// ============================================================================
+
+export const loadSyncSettings = (storage = globalThis.localStorage) => {
+  let saved = {};
+  try {
+    saved = JSON.parse(storage.getItem(SYNC_SETTINGS_KEY)) || {};
+  } catch {
+    saved = {};
+  }
+  return {
+    enabled: false,
+    serverUrl: '',
+    token: '',
+    memberName: '',
+    ...saved,
+    // Cada aparelho tem o seu (desempata conflitos)
+    deviceId: saved.deviceId || createId()
+  };
+};
+
+export const saveSyncSettings = (settings, storage = globalThis.localStorage) => {
+  storage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// ============================================================================
+// CONVERSA COM O SERVIDOR
+// ============================================================================
+
+// Manda as pendentes e recebe o que mudou desde o cursor, numa ida só.
+// Sem internet o fetch falha: as pendentes ficam para a próxima tentativa.
+export const requestSync = async ({ serverUrl, token }, { cursor, changes }) => {
+  let response;
+  try {
+    response = await fetch(`${serverUrl.replace(/\/+$/, '')}/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ cursor, schemaVersion: SCHEMA_VERSION, changes })
+    });
+  } catch {
+    throw new Error(t('Sem conexão com o servidor. As mudanças ficam guardadas para depois.'));
+  }
+  if (response.status === 401) throw new Error(t('Senha do servidor incorreta.'));
+  if (response.status === 409) throw new Error(t('O servidor tem dados de uma versão mais nova do app. Atualize o app neste aparelho.'));
+  if (!response.ok) throw new Error(t('O servidor respondeu com erro ({status}).', { status: response.status }));
+  return response.json();
+};
+
+// Uma rodada: manda as pendentes, recebe as mudanças dos outros aparelhos e grava
+// o que ganhou. Abas diferentes se revezam (Web Locks) para não mandar a mesma coisa duas vezes.
+// Devolve { changes (já gravadas; o app só aplica na tela), isOutdated, clock, pendingCount }.
+export const runSync = (db, settings, getData) => {
+  const round = async () => {
+    const { entries, cursor } = await readSyncState(db);
+    const unlogged = stampUnloggedData(getData(), entries, { deviceId: settings.deviceId, member: settings.memberName });
+    const response = await requestSync(settings, { cursor, changes: buildPushChanges([...entries, ...unlogged], getData()) });
+
+    return writeSyncResult(db, (currentEntries, ledgers) => {
+      const entriesByKey = Object.fromEntries(currentEntries.map(entry => [toSyncKey(entry.store, entry.key), entry]));
+      // O que ganhou carimbo agora, menos o que uma mudança local já carimbou no meio do caminho
+      const stamped = unlogged.filter(entry => {
+        const current = entriesByKey[toSyncKey(entry.store, entry.key)];
+        return !current || (isLegacyLedgerKey(entry.store, entry.key) && current.stamp === entry.stamp);
+      });
+      stamped.forEach(entry => { entriesByKey[toSyncKey(entry.store, entry.key)] = entry; });
+      const merged = mergeRemoteChanges(response.changes, entriesByKey, ledgers);
+      merged.entries.forEach(entry => { entriesByKey[toSyncKey(entry.store, entry.key)] = entry; });
+      return {
+        ...merged,
+        entries: [...stamped, ...merged.entries],
+        // Com algo de uma versão mais nova no meio, pede de novo depois de atualizar
+        cursor: merged.isOutdated ? cursor : response.cursor,
+        clock: getMaxStamp(response.changes),
+        pendingCount: Object.values(entriesByKey).filter(entry => entry.pending).length
+      };
+    });
+  };
+  return globalThis.navigator?.locks ? navigator.locks.request(SYNC_SETTINGS_KEY, round) : round();
+};
@@ -0,0 +1,322 @@
+import { describe, it, expect } from 'vitest';
+import {
+  INITIAL_STAMP, toSyncKey, nextStamp, compareVersions, stampLocalChanges, stampExistingData, stampUnloggedData,
+  buildPushChanges, migrateRecord, mergeRemoteChanges, loadSyncSettings, toLedgerParts, applyLedgerParts
+} from './sync';
+import { applyChanges, createSnapshot, diffSnapshot } from './db';
+import { createServerState, applyToServer, getServerChangesSince } from './syncProtocol';
+import { SCHEMA_VERSION, createEmptyData } from './storage';
+import { reducer, actions } from './store';
+
+const mercado = { id: 'c1', name: 'Mercado', limit: 50000 };
+const ana = { deviceId: 'a', member: 'Ana' };
+const bia = { deviceId: 'b', member: 'Bia' };
+
+// Simula um aparelho: dados, log e cursor, conversando com o mesmo estado de servidor
+const createDevice = (identity, data = createEmptyData()) => ({ ...identity, data, entries: {}, cursor: 0 });
+
+const sync = (device, server) => {
+  const pending = Object.values(device.entries);
+  const next = applyToServer(server, buildPushChanges(pending, device.data));
+  const { changes, entries } = mergeRemoteChanges(getServerChangesSince(next, device.cursor), device.entries, device.data.monthlyLedgers);
+  Object.entries(changes).forEach(([store, storeChanges]) => {
+    device.data = { ...device.data, [store]: applyChanges(store, device.data[store], storeChanges) };
+  });
+  entries.forEach(entry => { device.entries[toSyncKey(entry.store, entry.key)] = entry; });
+  device.cursor = next.seq;
+  return next;
+};
+
+// Troca os dados do aparelho e carimba o que mudou, como o salvamento automático do App
+const commit = (device, data, stamp) => {
+  const snapshot = createSnapshot(device.data);
+  device.data = data;
+  stampLocalChanges(diffSnapshot(snapshot, data), snapshot, { ...device, stamp })
+    .forEach(entry => { device.entries[toSyncKey(entry.store, entry.key)] = entry; });
+};
+
+const edit = (device, store, list, stamp, deletes = []) => {
+  const kept = device.data[store].filter(r => !deletes.includes(r.id) && !list.some(rec => rec.id === r.id));
+  commit(device, { ...device.data, [store]: [...kept, ...list] }, stamp);
+};
+
+const editLedger = (device, monthKey, update, stamp) => {
+  const ledger = update(device.data.monthlyLedgers[monthKey]);
+  commit(device, { ...device.data, monthlyLedgers: { ...device.data.monthlyLedgers, [monthKey]: ledger } }, stamp);
+};
+
+const janeiro = { incomes: [{ id: 'i1', source: 'Salário', amount: 500000 }], rollover: 0, status: 'OPEN', allocations: { c1: 50000 } };
+
+describe('carimbos', () => {
+  it('o relógio nunca volta', () => {
+    expect(nextStamp(100, 50)).toBe(101);
+    expect(nextStamp(100, 500)).toBe(500);
+  });
+
+  it('empate de horário é decidido pelo aparelho, igual em todo lugar', () => {
+    expect(compareVersions({ stamp: 5, deviceId: 'a' }, { stamp: 4, deviceId: 'z' })).toBeGreaterThan(0);
+    expect(compareVersions({ stamp: 5, deviceId: 'a' }, { stamp: 5, deviceId: 'b' })).toBeLessThan(0);
+    expect(compareVersions({ stamp: 5, deviceId: 'a' }, { stamp: 5, deviceId: 'a' })).toBe(0);
+  });
+});
+
+describe('mudanças locais', () => {
+  it('carimba só as coleções que sincronizam', () => {
+    const entries = stampLocalChanges({
+      transactions: { puts: [['t1', {}]], deletes: ['t2'] },
+      importRules: { puts: [['r1', {}]], deletes: [] }
+    }, createSnapshot(createEmptyData()), { ...ana, stamp: 10 });
+    expect(entries).toEqual([
+      { store: 'transactions', key: 't1', stamp: 10, deviceId: 'a', member: 'Ana', deleted: false, pending: true },
+      { store: 'transactions', key: 't2', stamp: 10, deviceId: 'a', member: 'Ana', deleted: true, pending: true }
+    ]);
+  });
+
+  it('do mês, carimba só as partes que mudaram', () => {
+    const snapshot = createSnapshot({ ...createEmptyData(), monthlyLedgers: { '2026-01': janeiro } });
+    const edited = { ...janeiro, allocations: { c2: 10000 }, incomes: [...janeiro.incomes, { id: 'i2', amount: 100 }] };
+    const entries = stampLocalChanges({ monthlyLedgers: { puts: [['2026-01', edited]], deletes: [] } }, snapshot, { ...ana, stamp: 10 });
+    expect(entries.map(e => [e.key, e.deleted])).toEqual([
+      ['2026-01/incomes/i2', false],
+      ['2026-01/allocations/c2', false],
+      ['2026-01/allocations/c1', true]
+    ]);
+  });
+
+  it('mês apagado vira lápide de cada parte', () => {
+    const snapshot = createSnapshot({ ...createEmptyData(), monthlyLedgers: { '2026-01': janeiro } });
+    const entries = stampLocalChanges({ monthlyLedgers: { puts: [], deletes: ['2026-01'] } }, snapshot, { ...ana, stamp: 10 });
+    expect(entries.every(e => e.deleted)).toBe(true);
+    expect(entries.map(e => e.key).sort()).toEqual(toLedgerParts('2026-01', janeiro).map(([key]) => key).sort());
+  });
+
+  it('ligar a sincronia manda o que já existe com o carimbo inicial', () => {
+    const data = { ...createEmptyData(), categories: [mercado], monthlyLedgers: { '2026-01': { incomes: [], rollover: 0 } } };
+    expect(stampExistingData(data, ana).map(e => [e.key, e.stamp])).toEqual([['c1', INITIAL_STAMP], ['2026-01/rollover', INITIAL_STAMP]]);
+  });
+
+  it('o que ainda não está no log vai com o carimbo inicial; o mês herda o carimbo do mês inteiro', () => {
+    const data = { ...createEmptyData(), categories: [mercado], goals: [{ id: 'g1', name: 'Viagem' }], monthlyLedgers: { '2026-01': { incomes: [], rollover: 0 } } };
+    const entries = [
+      { store: 'categories', key: 'c1', stamp: 5, ...ana, deleted: false, pending: false },
+      { store: 'monthlyLedgers', key: '2026-01', stamp: 7, ...bia, deleted: false, pending: true }
+    ];
+    expect(stampUnloggedData(data, entries, ana)).toEqual([
+      { store: 'monthlyLedgers', key: '2026-01/rollover', stamp: 7, deviceId: 'b', member: 'Bia', deleted: false, pending: true },
+      { store: 'goals', key: 'g1', stamp: INITIAL_STAMP, deviceId: 'a', member: 'Ana', deleted: false, pending: true },
+      { store: 'monthlyLedgers', key: '2026-01', stamp: 7, deviceId: 'b', member: 'Bia', deleted: false, pending: false }
+    ]);
+  });
+
+  it('o envio leva o registro atual; o que sumiu vai como lápide', () => {
+    const data = { ...createEmptyData(), categories: [mercado] };
+    const changes = buildPushChanges([
+      { store: 'categories', key: 'c1', stamp: 3, ...ana, deleted: false, pending: true },
+      { store: 'categories', key: 'c2', stamp: 3, ...ana, deleted: false, pending: true },
+      { store: 'categories', key: 'c3', stamp: 3, ...ana, deleted: false, pending: false }
+    ], data);
+    expect(changes).toEqual([
+      { store: 'categories', key: 'c1', stamp: 3, deviceId: 'a', member: 'Ana', deleted: false, record: mercado, schemaVersion: SCHEMA_VERSION },
+      { store: 'categories', key: 'c2', stamp: 3, deviceId: 'a', member: 'Ana', deleted: true, record: null, schemaVersion: SCHEMA_VERSION }
+    ]);
+  });
+});
+
+describe('mudanças remotas', () => {
+  const remote = (fields) => ({ store: 'transactions', key: 't1', record: { id: 't1', amount: 100 }, deleted: false, stamp: 10, ...bia, schemaVersion: SCHEMA_VERSION, ...fields });
+
+  it('aplica o que é mais novo que a versão local', () => {
+    const { changes, entries } = mergeRemoteChanges([remote()], {});
+    expect(changes).toEqual({ transactions: { puts: [['t1', { id: 't1', amount: 100 }]], deletes: [] } });
+    expect(entries[0]).toMatchObject({ stamp: 10, member: 'Bia', pending: false });
+  });
+
+  it('mantém a versão local mais nova (ela vai no próximo envio)', () => {
+    const local = { 'transactions/t1': { store: 'transactions', key: 't1', stamp: 11, ...ana, pending: true } };
+    expect(mergeRemoteChanges([remote()], local)).toEqual({ changes: {}, entries: [], isOutdated: false });
+  });
+
+  it('a própria versão voltando do servidor só deixa de ser pendente', () => {
+    const local = { 'transactions/t1': { store: 'transactions', key: 't1', stamp: 10, ...bia, pending: true } };
+    const { changes, entries } = mergeRemoteChanges([remote()], local);
+    expect(changes).toEqual({});
+    expect(entries[0].pending).toBe(false);
+  });
+
+  it('lápide apaga', () => {
+    expect(mergeRemoteChanges([remote({ deleted: true, record: null })], {}).changes).toEqual({ transactions: { puts: [], deletes: ['t1'] } });
+  });
+
+  it('não aplica nada de uma versão mais nova do app', () => {
+    const result = mergeRemoteChanges([remote({ schemaVersion: SCHEMA_VERSION + 1 })], {});
+    expect(result.changes).toEqual({});
+    expect(result.isOutdated).toBe(true);
+  });
+
+  it('parte do mês é aplicada no mês deste aparelho', () => {
+    const income = { id: 'i2', source: 'Freela', amount: 30000 };
+    const { changes } = mergeRemoteChanges([
+      remote({ store: 'monthlyLedgers', key: '2026-01/incomes/i2', record: income }),
+      remote({ store: 'monthlyLedgers', key: '2026-01/allocations/c1', record: null, deleted: true })
+    ], {}, { '2026-01': janeiro });
+    expect(changes.monthlyLedgers.puts).toEqual([['2026-01', { ...janeiro, incomes: [...janeiro.incomes, income], allocations: {} }]]);
+  });
+
+  it('mês inteiro de um app antigo chega como partes', () => {
+    const legacy = remote({ store: 'monthlyLedgers', key: '2026-01', record: { incomes: [], rollover: 0, status: 'OPEN' }, schemaVersion: SCHEMA_VERSION - 1 });
+    const { changes, entries } = mergeRemoteChanges([legacy], {}, {});
+    expect(changes.monthlyLedgers.puts).toEqual([['2026-01', { incomes: [], rollover: 0, status: 'OPEN' }]]);
+    expect(entries.map(e => e.key)).toEqual(['2026-01/rollover', '2026-01/status']);
+  });
+
+  it('registro de um app mais antigo passa pelas migrações', () => {
+    expect(migrateRecord('transactions', 't1', { id: 't1', monthKey: '2025-10', amount: 12.5 }, 7)).toEqual({ id: 't1', monthKey: '2025-10', amount: 1250 });
+  });
+});
+
+describe('dois aparelhos', () => {
+  it('cada um recebe o que o outro lançou', () => {
+    let server = createServerState();
+    const a = createDevice(ana);
+    const b = createDevice(bia);
+    edit(a, 'transactions', [{ id: 't1', amount: 100, createdBy: 'Ana' }], 10);
+    edit(b, 'transactions', [{ id: 't2', amount: 200, createdBy: 'Bia' }], 11);
+    server = sync(a, server);
+    server = sync(b, server);
+    sync(a, server);
+    expect(a.data.transactions.map(t => t.id).sort()).toEqual(['t1', 't2']);
+    expect(b.data.transactions.map(t => t.id).sort()).toEqual(['t1', 't2']);
+    expect(Object.values(a.entries).every(e => !e.pending)).toBe(true);
+  });
+
+  it('edição simultânea: vence a mais nova nos dois aparelhos', () => {
+    let server = createServerState();
+    const a = createDevice(ana, { ...createEmptyData(), categories: [mercado] });
+    const b = createDevice(bia, { ...createEmptyData(), categories: [mercado] });
+    edit(a, 'categories', [{ ...mercado, limit: 60000 }], 20);
+    edit(b, 'categories', [{ ...mercado, limit: 70000 }], 21);
+    server = sync(b, server);
+    server = sync(a, server);
+    sync(b, server);
+    expect(a.data.categories).toEqual([{ ...mercado, limit: 70000 }]);
+    expect(b.data.categories).toEqual([{ ...mercado, limit: 70000 }]);
+  });
+
+  it('renda num aparelho e distribuição no outro, no mesmo mês: ficam as duas', () => {
+    let server = createServerState();
+    const a = createDevice(ana);
+    const b = createDevice(bia);
+    editLedger(a, '2026-01', () => janeiro, 10);
+    server = sync(a, server);
+    server = sync(b, server);
+
+    const freela = { id: 'i2', source: 'Freela', amount: 30000 };
+    editLedger(a, '2026-01', ledger => ({ ...ledger, incomes: [...ledger.incomes, freela] }), 20);
+    editLedger(b, '2026-01', ledger => ({ ...ledger, allocations: { ...ledger.allocations, c1: 80000 } }), 21);
+    server = sync(a, server);
+    server = sync(b, server);
+    sync(a, server);
+
+    const expected = { ...janeiro, incomes: [...janeiro.incomes, freela], allocations: { c1: 80000 } };
+    expect(a.data.monthlyLedgers['2026-01']).toEqual(expected);
+    expect(b.data.monthlyLedgers['2026-01']).toEqual(expected);
+  });
+
+  it('os dois aparelhos abrem o mesmo mês: a renda fixa não duplica', () => {
+    let server = createServerState();
+    const salario = { id: 'r1', source: 'Salário', amount: 500000 };
+    const a = createDevice(ana, { ...createEmptyData(), recurringIncomes: [salario] });
+    const b = createDevice(bia, { ...createEmptyData(), recurringIncomes: [salario] });
+    commit(a, reducer(a.data, actions.startMonth(a.data, { monthKey: '2026-02' })), 10);
+    commit(b, reducer(b.data, actions.startMonth(b.data, { monthKey: '2026-02' })), 11);
+    server = sync(a, server);
+    server = sync(b, server);
+    sync(a, server);
+
+    [a, b].forEach(device => {
+      expect(device.data.monthlyLedgers['2026-02'].incomes.map(income => `${income.source} ${income.amount}`)).toEqual(['Salário 500000']);
+    });
+  });
+
+  it('contas, transferências e metas viajam junto com os lançamentos que apontam para elas', () => {
+    let server = createServerState();
+    const a = createDevice(ana);
+    const b = createDevice(bia);
+    const cartao = { id: 'acc1', name: 'Cartão', type: 'credit', closingDay: 5, dueDay: 12 };
+    commit(a, {
+      ...a.data,
+      accounts: [cartao],
+      transfers: [{ id: 'tr1', fromAccountId: 'acc1', toAccountId: 'acc2', amount: 1000 }],
+      goals: [{ id: 'g1', name: 'Viagem', targetAmount: 500000 }],
+      transactions: [{ id: 't1', amount: 100, accountId: 'acc1' }]
+    }, 10);
+    server = sync(a, server);
+    sync(b, server);
+    expect(b.data.accounts).toEqual([cartao]);
+    expect(b.data.transfers.map(tr => tr.id)).toEqual(['tr1']);
+    expect(b.data.goals.map(goal => goal.id)).toEqual(['g1']);
+  });
+
+  it('a moeda base viaja com os dados', () => {
+    let server = createServerState();
+    const a = createDevice(ana);
+    const b = createDevice(bia);
+    commit(a, { ...a.data, settings: { baseCurrency: 'USD' } }, 10);
+    server = sync(a, server);
+    sync(b, server);
+    expect(b.data.settings).toEqual({ baseCurrency: 'USD' });
+  });
+
+  it('apagado num aparelho não volta pelo outro', () => {
+    let server = createServerState();
+    const a = createDevice(ana);
+    const b = createDevice(bia);
+    edit(a, 'transactions', [{ id: 't1', amount: 100 }], 10);
+    server = sync(a, server);
+    server = sync(b, server);
+    edit(b, 'transactions', [], 30, ['t1']);
+    server = sync(b, server);
+    server = sync(a, server);
+    expect(a.data.transactions).toEqual([]);
+    expect(server.records['transactions/t1']).toMatchObject({ deleted: true, member: 'Bia' });
+  });
+});
+
+describe('meses em partes', () => {
+  it('desmonta e remonta o mês', () => {
+    const parts = toLedgerParts('2026-01', janeiro).map(([key, record]) => ({ key, record, deleted: false }));
+    expect(parts.map(part => part.key)).toEqual(['2026-01/incomes/i1', '2026-01/rollover', '2026-01/status', '2026-01/allocations/c1']);
+    expect(applyLedgerParts(undefined, parts)).toEqual(janeiro);
+  });
+
+  it('renda editada fica no lugar; mês sem parte nenhuma some', () => {
+    const ledger = { ...janeiro, incomes: [{ id: 'i1', amount: 1 }, { id: 'i2', amount: 2 }] };
+    const edited = applyLedgerParts(ledger, [{ key: '2026-01/incomes/i1', record: { id: 'i1', amount: 9 }, deleted: false }]);
+    expect(edited.incomes.map(income => income.amount)).toEqual([9, 2]);
+    const deleted = toLedgerParts('2026-01', janeiro).map(([key]) => ({ key, deleted: true }));
+    expect(applyLedgerParts(janeiro, deleted)).toBeNull();
+  });
+});
+
+describe('applyToServer', () => {
+  it('guarda só quem ganha e numera na ordem de chegada', () => {
+    const change = { store: 'categories', key: 'c1', record: mercado, deleted: false, stamp: 5, ...ana, schemaVersion: 8 };
+    let state = applyToServer(createServerState(), [change]);
+    state = applyToServer(state, [{ ...change, stamp: 4, deviceId: 'z' }]);
+    expect(state.seq).toBe(1);
+    expect(state.schemaVersion).toBe(8);
+    expect(getServerChangesSince(state, 0)).toHaveLength(1);
+    expect(getServerChangesSince(state, 1)).toEqual([]);
+  });
+});
+
+describe('loadSyncSettings', () => {
+  it('cria o id do aparelho uma vez só', () => {
+    const memory = new Map();
+    const storage = { getItem: key => memory.get(key) ?? null, setItem: (key, value) => memory.set(key, value) };
+    const settings = loadSyncSettings(storage);
+    expect(settings).toMatchObject({ enabled: false, serverUrl: '', memberName: '' });
+    storage.setItem('zeroBudget_sync', JSON.stringify(settings));
+    expect(loadSyncSettings(storage).deviceId).toBe(settings.deviceId);
+  });
+});
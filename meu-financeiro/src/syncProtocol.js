@@ -0,0 +1,54 @@
+// ============================================================================
+// PROTOCOLO DA SINCRONIA (regras comuns ao app e ao servidor)
+// Sem imports: o server/ roda este arquivo direto no Node.
+// Mudança que viaja: { store, key, record, deleted, stamp, deviceId, member, schemaVersion }
+// ============================================================================
+
+// Identifica o registro entre todas as coleções (ex: "transactions/abc")
+export const toSyncKey = (store, key) => `${store}/${key}`;
+
+// ============================================================================
+// CARIMBOS (last-writer-wins)
+// ============================================================================
+
+// Relógio que nunca anda para trás: usa a hora atual, mas sempre passa do maior
+// carimbo já visto (relógio do celular atrasado não perde para mudanças antigas)
+export const nextStamp = (clock, now = Date.now()) => Math.max(now, clock + 1);
+
+// > 0 se a fica com a última palavra, < 0 se b, 0 se é a mesma versão
+export const compareVersions = (a, b) => {
+  if (a.stamp !== b.stamp) return a.stamp - b.stamp;
+  if (a.deviceId === b.deviceId) return 0;
+  return a.deviceId > b.deviceId ? 1 : -1;
+};
+
+// Maior carimbo entre as versões (para o relógio continuar dali)
+export const getMaxStamp = (versions, clock = 0) => versions.reduce((max, version) => Math.max(max, version.stamp), clock);
+
+// ============================================================================
+// SERVIDOR (server/syncServer.js)
+// Estado: { schemaVersion, seq, records: { "loja/chave": mudança + seq } }
+// ============================================================================
+
+export const createServerState = () => ({ schemaVersion: 0, seq: 0, records: {} });
+
+// Guarda as mudanças que ganham da versão do servidor, cada uma com um número
+// de sequência novo (é por ele que os aparelhos pedem "o que mudou desde...")
+export const applyToServer = (state, changes) => {
+  let { seq } = state;
+  const records = { ...state.records };
+  let schemaVersion = state.schemaVersion;
+  changes.forEach(change => {
+    const syncKey = toSyncKey(change.store, change.key);
+    const current = records[syncKey];
+    if (current && compareVersions(change, current) <= 0) return;
+    records[syncKey] = { ...change, seq: ++seq };
+    schemaVersion = Math.max(schemaVersion, Number(change.schemaVersion) || 0);
+  });
+  return { schemaVersion, seq, records };
+};
+
+// Tudo que mudou depois do cursor, na ordem em que chegou
+export const getServerChangesSince = (state, cursor) => Object.values(state.records)
+  .filter(record => record.seq > cursor)
+  .sort((a, b) => a.seq - b.seq);
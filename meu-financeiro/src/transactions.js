@@ -0,0 +1,109 @@
+// ============================================================================
+// DETALHES DO LANÇAMENTO (descrição, forma de pagamento, etiquetas, comprovante)
+// Tudo opcional: lançamento antigo sem esses campos continua valendo.
+// A foto do comprovante fica só neste aparelho (IndexedDB, ver db.js); o
+// lançamento guarda apenas o receiptId.
+// ============================================================================
+
+import { isCreditCard } from './accounts';
+import { t } from './i18n';
+
+// Formas de pagamento (o id é o que fica gravado no lançamento)
+export const PAYMENT_METHODS = [
+  { id: 'pix', label: 'Pix' },
+  { id: 'debit', label: 'Débito' },
+  { id: 'credit', label: 'Crédito' },
+  { id: 'cash', label: 'Dinheiro' },
+  { id: 'boleto', label: 'Boleto' }
+];
+
+export const getPaymentMethodLabel = (id) => {
+  const label = PAYMENT_METHODS.find(method => method.id === id)?.label;
+  return label ? t(label) : '';
+};
+
+// Pago com cartão de crédito já vem com "Crédito" escolhido
+export const getDefaultPaymentMethod = (account) => (isCreditCard(account) ? 'credit' : '');
+
+// ============================================================================
+// ETIQUETAS (tags livres, ex: "viagem, presente")
+// ============================================================================
+
+// Texto digitado -> lista sem repetição, sem "#" e em minúsculas
+export const parseTags = (text) => {
+  const tags = String(text || '')
+    .split(/[,;]/)
+    .map(tag => tag.trim().replace(/^#+/, '').trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
+
+export const formatTags = (tags) => (tags || []).join(', ');
+
+// Etiquetas já usadas, das mais usadas para as menos (sugestões do campo)
+export const getUsedTags = (transactions) => {
+  const counts = {};
+  transactions.forEach(t => (t.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b, 'pt-BR'));
+};
+
+// ============================================================================
+// AUTOCOMPLETAR A DESCRIÇÃO
+// ============================================================================
+
+const normalizeDescription = (text) => String(text || '').trim().toLowerCase();
+
+// Descrições já usadas, da mais recente para a mais antiga, cada uma com a
+// categoria da última vez em que apareceu (ex: "Padaria" -> Mercado)
+export const getDescriptionSuggestions = (transactions) => {
+  const seen = new Set();
+  return [...transactions]
+    .filter(t => normalizeDescription(t.description))
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .filter(t => {
+      const key = normalizeDescription(t.description);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(t => ({ description: t.description.trim(), categoryId: t.categoryId }));
+};
+
+// Sugestão para o que foi digitado (ignora maiúsculas e espaços nas pontas)
+export const findDescriptionSuggestion = (suggestions, text) => {
+  const key = normalizeDescription(text);
+  if (!key) return null;
+  return suggestions.find(suggestion => normalizeDescription(suggestion.description) === key) || null;
+};
+
+// ============================================================================
+// FOTO DO COMPROVANTE
+// ============================================================================
+
+// Maior lado da foto guardada: legível e bem menor que a foto original da câmera
+export const RECEIPT_MAX_SIZE = 1600;
+
+// Tamanho final mantendo a proporção (foto pequena fica como está)
+export const fitReceiptSize = (width, height, maxSize = RECEIPT_MAX_SIZE) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+// Reduz a foto para JPEG antes de guardar. Sem suporte no navegador (ou se a
+// imagem não abrir), guarda o arquivo original.
+export const shrinkReceiptImage = async (file) => {
+  if (typeof createImageBitmap !== 'function' || typeof document === 'undefined') return file;
+  try {
+    const bitmap = await createImageBitmap(file);
+    const { width, height } = fitReceiptSize(bitmap.width, bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    return blob && blob.size < file.size ? blob : file;
+  } catch {
+    return file;
+  }
+};
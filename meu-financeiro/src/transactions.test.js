@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getPaymentMethodLabel, getDefaultPaymentMethod, parseTags, formatTags, getUsedTags,
+  getDescriptionSuggestions, findDescriptionSuggestion, fitReceiptSize
+} from './transactions';
+
+const transactions = [
+  { id: 't1', description: 'Padaria', categoryId: 'lazer', date: '2025-09-02T12:00:00.000Z', tags: ['cafe'] },
+  { id: 't2', description: 'padaria ', categoryId: 'mercado', date: '2025-10-03T12:00:00.000Z', tags: ['cafe', 'viagem'] },
+  { id: 't3', description: 'Posto', categoryId: 'carro', date: '2025-10-01T12:00:00.000Z' },
+  { id: 't4', categoryId: 'mercado', date: '2025-10-04T12:00:00.000Z' }
+];
+
+describe('forma de pagamento', () => {
+  it('mostra o nome e escolhe crédito para cartão', () => {
+    expect(getPaymentMethodLabel('pix')).toBe('Pix');
+    expect(getPaymentMethodLabel('outra')).toBe('');
+    expect(getDefaultPaymentMethod({ type: 'credit' })).toBe('credit');
+    expect(getDefaultPaymentMethod({ type: 'checking' })).toBe('');
+    expect(getDefaultPaymentMethod(undefined)).toBe('');
+  });
+});
+
+describe('etiquetas', () => {
+  it('separa por vírgula, tira "#" e repetições', () => {
+    expect(parseTags(' #Viagem, presente;viagem, , ')).toEqual(['viagem', 'presente']);
+    expect(parseTags('')).toEqual([]);
+    expect(formatTags(['viagem', 'presente'])).toBe('viagem, presente');
+    expect(formatTags(undefined)).toBe('');
+  });
+
+  it('sugere as mais usadas primeiro', () => {
+    expect(getUsedTags(transactions)).toEqual(['cafe', 'viagem']);
+  });
+});
+
+describe('autocompletar a descrição', () => {
+  it('sugere cada descrição uma vez, com a categoria da última vez', () => {
+    expect(getDescriptionSuggestions(transactions)).toEqual([
+      { description: 'padaria', categoryId: 'mercado' },
+      { description: 'Posto', categoryId: 'carro' }
+    ]);
+  });
+
+  it('acha a sugestão ignorando maiúsculas e espaços', () => {
+    const suggestions = getDescriptionSuggestions(transactions);
+    expect(findDescriptionSuggestion(suggestions, ' PADARIA')).toEqual({ description: 'padaria', categoryId: 'mercado' });
+    expect(findDescriptionSuggestion(suggestions, 'Pada')).toBeNull();
+    expect(findDescriptionSuggestion(suggestions, '')).toBeNull();
+  });
+});
+
+describe('foto do comprovante', () => {
+  it('reduz o maior lado mantendo a proporção', () => {
+    expect(fitReceiptSize(4000, 3000)).toEqual({ width: 1600, height: 1200 });
+    expect(fitReceiptSize(1000, 3000, 1500)).toEqual({ width: 500, height: 1500 });
+    expect(fitReceiptSize(800, 600)).toEqual({ width: 800, height: 600 });
+  });
+});
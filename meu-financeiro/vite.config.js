@@ -1,7 +1,45 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { join, relative } from 'node:path'
+
+// Arquivos de public/ (manifesto, ícones...), com o caminho relativo à raiz do site
+const listPublicFiles = (dir, root = dir) => readdirSync(dir).flatMap(name => {
+  const path = join(dir, name)
+  return statSync(path).isDirectory() ? listPublicFiles(path, root) : [relative(root, path).split('\\').join('/')]
+})
+
+// Gera o dist/sw.js a partir do src/sw.js com a lista de tudo que o build produziu.
+// A versão é um hash do conteúdo: build igual não dispara o aviso de atualização.
+// Exportado para os testes (src/pwa.test.js).
+export const serviceWorker = () => {
+  let config
+  return {
+    name: 'meu-financeiro-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_options, bundle) {
+      const publicFiles = config.publicDir ? listPublicFiles(config.publicDir) : []
+      const hash = createHash('sha256')
+      Object.values(bundle).forEach(file => hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source))
+      publicFiles.forEach(file => hash.update(file).update(readFileSync(join(config.publicDir, file))))
+
+      const precache = [...Object.keys(bundle), ...publicFiles].filter(file => !file.endsWith('.map'))
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf-8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE__ = ${JSON.stringify(precache)};\nself.__BUILD_VERSION__ = '${hash.digest('hex').slice(0, 12)}';\n\n${source}`,
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })